@@ -3,14 +3,40 @@
   const results = document.getElementById('api-results');
   if (!input || !results) return;
 
+  const engine = window.PowerForgeApiSearch;
+  const telemetry = window.PowerForgeSearchTelemetry ? window.PowerForgeSearchTelemetry.create('api') : null;
+  const maxResults = 24;
+  const summaryLength = 160;
   let data = [];
-  fetch('search.json')
-    .then((r) => r.json())
-    .then((items) => {
-      data = items || [];
+  let index = null;
+  let loaded = false;
+
+  const rank = (query) => {
+    if (index) return index.search(query, { limit: maxResults }).map((result) => result.item);
+    const q = query.toLowerCase();
+    return data
+      .filter((x) => (x.title || '').toLowerCase().includes(q) || (x.summary || '').toLowerCase().includes(q))
+      .slice(0, maxResults);
+  };
+
+  // Matches become <mark> elements built with textContent; index text is never parsed as HTML.
+  const appendHighlighted = (parent, text, query, maxLength) => {
+    if (!engine || typeof engine.highlight !== 'function') {
+      parent.textContent = text || '';
+      return;
+    }
+    engine.highlight(text || '', query, { maxLength }).forEach((segment) => {
+      if (!segment.match) {
+        parent.appendChild(document.createTextNode(segment.text));
+        return;
+      }
+      const mark = document.createElement('mark');
+      mark.textContent = segment.text;
+      parent.appendChild(mark);
     });
+  };
 
-  const render = (items) => {
+  const render = (items, query) => {
     results.innerHTML = '';
     if (!items.length) {
       results.innerHTML = '<div class="pf-api-empty">No results</div>';
@@ -18,24 +44,51 @@
     }
 
     const frag = document.createDocumentFragment();
-    items.slice(0, 24).forEach((item) => {
+    items.forEach((item) => {
       const link = document.createElement('a');
       link.className = 'pf-api-result';
       const slug = item.slug || '';
-      link.href = 'types/' + slug + '.html';
-      link.innerHTML = '<strong>' + (item.title || '') + '</strong><span>' + (item.summary || '') + '</span>';
+      link.href = 'types/' + slug + '.html' + (item.anchor ? '#' + item.anchor : '');
+      const title = document.createElement('strong');
+      appendHighlighted(title, item.title || '', query, 0);
+      link.appendChild(title);
+      if (item.signature) {
+        const signature = document.createElement('code');
+        appendHighlighted(signature, item.signature, query, 0);
+        link.appendChild(signature);
+      }
+      const summary = document.createElement('span');
+      appendHighlighted(summary, item.summary || '', query, summaryLength);
+      link.appendChild(summary);
       frag.appendChild(link);
     });
     results.appendChild(frag);
   };
 
-  input.addEventListener('input', () => {
-    const q = input.value.trim().toLowerCase();
+  const update = () => {
+    const q = input.value.trim();
     if (!q) {
       results.innerHTML = '';
       return;
     }
-    const filtered = data.filter((x) => (x.title || '').toLowerCase().includes(q) || (x.summary || '').toLowerCase().includes(q));
-    render(filtered);
+    const items = rank(q);
+    render(items, q);
+    if (telemetry && loaded) telemetry.query(q, items.length);
+  };
+
+  fetch('search.json')
+    .then((r) => r.json())
+    .then((items) => {
+      data = Array.isArray(items) ? items : [];
+      index = engine ? engine.createIndex(data) : null;
+      loaded = true;
+      if (input.value.trim()) update();
+    });
+
+  input.addEventListener('input', update);
+  results.addEventListener('click', (event) => {
+    const link = event.target.closest('.pf-api-result');
+    if (!link || !telemetry) return;
+    telemetry.click(input.value, Array.prototype.indexOf.call(results.children, link) + 1);
   });
 })();
@@ -35,14 +35,9 @@
 
   var activeKind = '';
   var activeNamespace = '';
-
-  function setSearchParam(searchParams, key, value) {
-    if (value) {
-      searchParams.set(key, value);
-    } else {
-      searchParams.delete(key);
-    }
-  }
+  var activeMemberKind = '';
+  // Shared with the embedded docs.js so links keep their filters when a site switches templates.
+  var stateCodec = window.PowerForgeApiDocsState || null;
 
   function normalizePath(path) {
     if (!path) return '/';
@@ -61,18 +56,15 @@
     }
   }
 
-  function getTypeFilterState() {
-    return {
-      query: filterInput ? filterInput.value : '',
-      kind: activeKind || '',
-      namespace: activeNamespace || ''
-    };
-  }
-
-  function writeTypeFilterState(url, state) {
-    setSearchParam(url.searchParams, 'q', state.query);
-    setSearchParam(url.searchParams, 'kind', state.kind);
-    setSearchParam(url.searchParams, 'namespace', state.namespace);
+  function getFilterState() {
+    // Fields this template does not render (collapsed sections) are carried over from the URL untouched.
+    var state = stateCodec.read();
+    state.query = filterInput ? filterInput.value : '';
+    state.kind = activeKind || '';
+    state.namespace = activeNamespace || '';
+    state.memberKind = activeMemberKind || '';
+    state.memberQuery = memberFilter ? memberFilter.value : '';
+    return state;
   }
 
   function isApiDocLink(anchor) {
@@ -98,39 +90,34 @@
     });
   }
 
-  function syncApiLinks() {
-    var state = getTypeFilterState();
-
+  function syncApiLinks(state) {
     document.querySelectorAll('a[href]').forEach(function(anchor) {
       if (!isApiDocLink(anchor)) return;
-
-      var url = new URL(anchor.getAttribute('href'), window.location.href);
-      writeTypeFilterState(url, state);
-      anchor.setAttribute('href', url.pathname + url.search + url.hash);
+      anchor.setAttribute('href', stateCodec.write(anchor.getAttribute('href'), state));
     });
   }
 
-  function syncTypeFilterUrl() {
-    if (!window.history || !window.history.replaceState) return;
-
-    var url = new URL(window.location.href);
-    writeTypeFilterState(url, getTypeFilterState());
-    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+  function persistFilterState() {
+    if (!stateCodec) return;
+    var state = getFilterState();
+    stateCodec.save(state);
+    syncApiLinks(state);
   }
 
-  function persistTypeFilterState() {
-    syncTypeFilterUrl();
-    syncApiLinks();
-  }
-
-  function applyTypeFilterStateFromUrl() {
-    var url = new URL(window.location.href);
-
-    activeKind = url.searchParams.get('kind') || '';
-    activeNamespace = url.searchParams.get('namespace') || '';
+  function applyFilterStateFromUrl() {
+    var state = stateCodec ? stateCodec.read() : null;
+    if (state) {
+      activeKind = state.kind;
+      activeNamespace = state.namespace;
+      activeMemberKind = state.memberKind;
+      if (filterInput) filterInput.value = state.query;
+      if (memberFilter) memberFilter.value = state.memberQuery;
+    }
 
-    if (filterInput) {
-      filterInput.value = url.searchParams.get('q') || '';
+    if (memberKindButtons.length) {
+      memberKindButtons.forEach(function(btn) {
+        btn.classList.toggle('active', (btn.dataset.memberKind || '') === activeMemberKind);
+      });
     }
 
     if (clearButton) {
@@ -185,7 +172,7 @@
       if (clearButton) {
         clearButton.style.display = filterInput.value ? 'inline-flex' : 'none';
       }
-      persistTypeFilterState();
+      persistFilterState();
     });
   }
 
@@ -194,7 +181,7 @@
       filterInput.value = '';
       applyFilter('');
       clearButton.style.display = 'none';
-      persistTypeFilterState();
+      persistFilterState();
       filterInput.focus();
     });
     clearButton.style.display = filterInput.value ? 'inline-flex' : 'none';
@@ -206,7 +193,7 @@
         activeKind = btn.dataset.kind || '';
         syncKindButtons();
         applyFilter(filterInput ? filterInput.value : '');
-        persistTypeFilterState();
+        persistFilterState();
       });
     });
   }
@@ -215,7 +202,7 @@
     namespaceSelect.addEventListener('change', function() {
       activeNamespace = namespaceSelect.value || '';
       applyFilter(filterInput ? filterInput.value : '');
-      persistTypeFilterState();
+      persistFilterState();
     });
   }
 
@@ -234,8 +221,6 @@
     });
   });
 
-  var activeMemberKind = '';
-
   function applyMemberFilter() {
     var q = normalize(memberFilter ? memberFilter.value : '');
     var showInherited = inheritedToggle ? inheritedToggle.checked : true;
@@ -261,7 +246,10 @@
   }
 
   if (memberFilter) {
-    memberFilter.addEventListener('input', applyMemberFilter);
+    memberFilter.addEventListener('input', function() {
+      applyMemberFilter();
+      persistFilterState();
+    });
   }
 
   if (memberKindButtons.length) {
@@ -271,6 +259,7 @@
         btn.classList.add('active');
         activeMemberKind = btn.dataset.memberKind || '';
         applyMemberFilter();
+        persistFilterState();
       });
     });
   }
@@ -290,8 +279,8 @@
     });
   });
 
-  applyTypeFilterStateFromUrl();
+  applyFilterStateFromUrl();
   applyFilter(filterInput ? filterInput.value : '');
-  persistTypeFilterState();
+  persistFilterState();
   applyMemberFilter();
 })();
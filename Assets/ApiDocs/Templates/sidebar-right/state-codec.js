@@ -0,0 +1,227 @@
+(function installPowerForgeApiDocsState(root) {
+  'use strict';
+
+  // One URL format for API docs view state, shared by every docs.js variant:
+  //   ?pf=1&q=<type filter>&k=<kind>&ns=<namespace>&mk=<member kind>&mq=<member filter>&md=<declaring type>
+  //     &mt=<traits; -trait excludes>&ma=<access>&mr=<return type>&mv=<status:version>&mi=1&mc=<section ids>&tc=1#<anchor>
+  // State lives in the query string so the hash stays free for real member anchors.
+  // Links written by older scripts are still read:
+  //   #k=&ns=&q=&mk=&mq=&mi=&mc=&tc=   (embedded docs.js before v1)
+  //   ?q=&kind=&namespace=             (Templates/default and Templates/sidebar-right docs.js)
+  var version = '1';
+  var versionKey = 'pf';
+  var fields = [
+    { name: 'query', key: 'q', type: 'text' },
+    { name: 'kind', key: 'k', type: 'text' },
+    { name: 'namespace', key: 'ns', type: 'text' },
+    { name: 'memberKind', key: 'mk', type: 'text' },
+    { name: 'memberQuery', key: 'mq', type: 'text' },
+    { name: 'memberDeclaring', key: 'md', type: 'text' },
+    { name: 'memberTraits', key: 'mt', type: 'list' },
+    { name: 'memberAccess', key: 'ma', type: 'text' },
+    { name: 'memberReturns', key: 'mr', type: 'text' },
+    { name: 'memberVersion', key: 'mv', type: 'text' },
+    { name: 'inherited', key: 'mi', type: 'flag' },
+    { name: 'memberCollapsed', key: 'mc', type: 'list' },
+    { name: 'tocCollapsed', key: 'tc', type: 'flag' }
+  ];
+  var legacyQueryFields = { q: 'query', kind: 'kind', namespace: 'namespace' };
+  var legacyHashPattern = /^#\??(?:k|ns|q|mk|mq|mi|mc|tc)=/;
+
+  // Free-text filters belong to a visit; the remaining fields can be remembered as per-site defaults.
+  var storedFields = ['kind', 'namespace', 'memberKind', 'inherited', 'memberCollapsed', 'tocCollapsed'];
+  var storageKey = 'pf-api-docs-state';
+
+  function emptyState() {
+    return {
+      query: '',
+      kind: '',
+      namespace: '',
+      memberKind: '',
+      memberQuery: '',
+      memberDeclaring: '',
+      memberTraits: [],
+      memberAccess: '',
+      memberReturns: '',
+      memberVersion: '',
+      inherited: false,
+      memberCollapsed: [],
+      tocCollapsed: false
+    };
+  }
+
+  function findField(property, value) {
+    for (var i = 0; i < fields.length; i++) {
+      if (fields[i][property] === value) return fields[i];
+    }
+    return null;
+  }
+
+  function safeDecode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  function toUrl(href) {
+    return new URL(href === undefined || href === null ? root.location.href : String(href), root.location.href);
+  }
+
+  function setField(state, field, raw) {
+    if (field.type === 'flag') state[field.name] = raw === '1' || raw === 'true';
+    else if (field.type === 'list') state[field.name] = String(raw || '').split(',').filter(Boolean);
+    else state[field.name] = String(raw || '');
+  }
+
+  function isFieldSet(state, field) {
+    var value = state ? state[field.name] : null;
+    if (field.type === 'flag') return value === true;
+    if (field.type === 'list') return Array.isArray(value) && value.length > 0;
+    return typeof value === 'string' && value.length > 0;
+  }
+
+  function hasState(state) {
+    return fields.some(function (field) { return isFieldSet(state, field); });
+  }
+
+  function isLegacyHash(hash) {
+    return legacyHashPattern.test(hash || '');
+  }
+
+  function readLegacyHash(hash, state) {
+    hash.replace(/^#\??/, '').split('&').forEach(function (pair) {
+      var index = pair.indexOf('=');
+      if (index < 0) return;
+      var field = findField('key', safeDecode(pair.slice(0, index)));
+      if (field) setField(state, field, safeDecode(pair.slice(index + 1)));
+    });
+  }
+
+  // Persistence is opt-in: window.PowerForgeApiDocsStateConfig = { storage: 'local' }
+  // or <meta name="pf-api-state" content="local">.
+  function isStorageEnabled() {
+    var config = root.PowerForgeApiDocsStateConfig;
+    var storage = config && config.storage;
+    if (!storage && root.document) {
+      var meta = root.document.querySelector('meta[name="pf-api-state"]');
+      storage = meta ? meta.getAttribute('content') : '';
+    }
+    return String(storage || '').trim().toLowerCase() === 'local';
+  }
+
+  function readStored() {
+    if (!isStorageEnabled()) return null;
+    try {
+      var parsed = JSON.parse(root.localStorage.getItem(storageKey) || 'null');
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function writeStored(state) {
+    if (!isStorageEnabled()) return;
+    var stored = {};
+    var any = false;
+    storedFields.forEach(function (name) {
+      if (!isFieldSet(state, findField('name', name))) return;
+      stored[name] = state[name];
+      any = true;
+    });
+    try {
+      if (any) root.localStorage.setItem(storageKey, JSON.stringify(stored));
+      else root.localStorage.removeItem(storageKey);
+    } catch (error) {
+      // Storage can be full or blocked; remembering defaults must never break the page.
+    }
+  }
+
+  function removeStateParams(params) {
+    params.delete(versionKey);
+    fields.forEach(function (field) { params.delete(field.key); });
+    Object.keys(legacyQueryFields).forEach(function (key) { params.delete(key); });
+  }
+
+  function appendStateParams(params, state) {
+    if (!hasState(state)) return;
+    params.set(versionKey, version);
+    fields.forEach(function (field) {
+      if (!isFieldSet(state, field)) return;
+      var value = state[field.name];
+      params.set(field.key, field.type === 'flag' ? '1' : (field.type === 'list' ? value.join(',') : value));
+    });
+  }
+
+  // Reads state from a URL (default: the current page). Precedence: versioned query, legacy hash,
+  // legacy template query, then stored per-site defaults when storage is enabled.
+  function read(href) {
+    var url = toUrl(href);
+    var params = url.searchParams;
+    var state = emptyState();
+    if (params.has(versionKey)) {
+      fields.forEach(function (field) {
+        if (params.has(field.key)) setField(state, field, params.get(field.key));
+      });
+    } else if (isLegacyHash(url.hash)) {
+      readLegacyHash(url.hash, state);
+    } else if (Object.keys(legacyQueryFields).some(function (key) { return params.has(key); })) {
+      Object.keys(legacyQueryFields).forEach(function (key) {
+        if (params.has(key)) state[legacyQueryFields[key]] = params.get(key) || '';
+      });
+    } else {
+      var stored = readStored();
+      if (stored) {
+        storedFields.forEach(function (name) {
+          var value = stored[name];
+          if (value === undefined || value === null) return;
+          setField(state, findField('name', name), Array.isArray(value) ? value.join(',') : (value === true ? '1' : String(value)));
+        });
+      }
+    }
+    return state;
+  }
+
+  // Returns href (path + query + hash) carrying the given state; legacy state is dropped, real anchors are kept.
+  function write(href, state) {
+    var url = toUrl(href);
+    removeStateParams(url.searchParams);
+    if (isLegacyHash(url.hash)) url.hash = '';
+    appendStateParams(url.searchParams, state);
+    return url.pathname + url.search + url.hash;
+  }
+
+  // Returns href without any state, e.g. to compare which page two links point at.
+  function strip(href) {
+    return write(href, null);
+  }
+
+  // Returns just the query string ("?pf=1&..." or "") for the given state.
+  function toSearch(state) {
+    var params = new URLSearchParams();
+    appendStateParams(params, state);
+    var search = params.toString();
+    return search ? '?' + search : '';
+  }
+
+  // Writes state into the current URL without adding a history entry and remembers stored defaults.
+  function save(state) {
+    var href = write(root.location.href, state);
+    if (root.history && root.history.replaceState) root.history.replaceState(root.history.state, '', href);
+    writeStored(state);
+    return href;
+  }
+
+  root.PowerForgeApiDocsState = {
+    version: Number(version),
+    empty: emptyState,
+    hasState: hasState,
+    isLegacyHash: isLegacyHash,
+    read: read,
+    write: write,
+    strip: strip,
+    toSearch: toSearch,
+    save: save
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,108 @@
+using System.Diagnostics;
+using System.Text;
+using System.Text.Json;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+/// <summary>
+/// Runs a test only when node is available; otherwise the test is reported as skipped instead of passing silently.
+/// </summary>
+public sealed class NodeFactAttribute : FactAttribute
+{
+    public NodeFactAttribute()
+    {
+        if (ApiDocsScriptHost.NodePath is null)
+            Skip = "node is not on PATH; API docs script tests need it to run the embedded assets.";
+    }
+}
+
+/// <summary>
+/// Runs the embedded API docs scripts under node so their browser-side behavior can be asserted from xunit.
+/// </summary>
+internal static class ApiDocsScriptHost
+{
+    private static readonly TimeSpan Timeout = TimeSpan.FromSeconds(60);
+
+    public static string? NodePath { get; } = ResolveNode();
+
+    /// <summary>
+    /// Loads the named embedded assets into a browser-like global scope, runs <paramref name="script"/> and
+    /// parses the JSON it prints as its last line of output.
+    /// </summary>
+    public static JsonDocument Run(string script, params string[] assetNames)
+    {
+        if (NodePath is null)
+            throw new InvalidOperationException("node is not on PATH.");
+
+        using var directory = new TemporaryDirectory();
+        var prelude = new StringBuilder();
+        prelude.AppendLine("globalThis.self = globalThis;");
+        prelude.AppendLine("globalThis.window = globalThis;");
+        foreach (var assetName in assetNames)
+        {
+            var assetPath = Path.Combine(directory.Path, assetName);
+            File.WriteAllText(assetPath, ReadAsset(assetName));
+            prelude.Append("require(").Append(JsonSerializer.Serialize(assetPath)).AppendLine(");");
+        }
+
+        var scriptPath = Path.Combine(directory.Path, "test-script.js");
+        File.WriteAllText(scriptPath, prelude.Append(script).ToString());
+
+        var startInfo = new ProcessStartInfo(NodePath)
+        {
+            WorkingDirectory = directory.Path,
+            RedirectStandardOutput = true,
+            RedirectStandardError = true,
+            UseShellExecute = false
+        };
+        startInfo.ArgumentList.Add(scriptPath);
+        using var process = Process.Start(startInfo)
+            ?? throw new InvalidOperationException("Unable to start node.");
+        var output = process.StandardOutput.ReadToEndAsync();
+        var error = process.StandardError.ReadToEndAsync();
+        if (!process.WaitForExit((int)Timeout.TotalMilliseconds))
+        {
+            process.Kill(entireProcessTree: true);
+            throw new TimeoutException($"node did not finish within {Timeout.TotalSeconds} seconds.");
+        }
+
+        process.WaitForExit();
+        if (process.ExitCode != 0)
+            throw new InvalidOperationException($"node failed with exit code {process.ExitCode}: {error.Result}");
+
+        var lines = output.Result.Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        if (lines.Length == 0)
+            throw new InvalidOperationException("node printed no result.");
+        return JsonDocument.Parse(lines[^1]);
+    }
+
+    private static string ReadAsset(string fileName)
+    {
+        var assembly = typeof(WebApiDocsGenerator).Assembly;
+        var resourceName = assembly.GetManifestResourceNames()
+            .FirstOrDefault(n => n.EndsWith($"Assets.ApiDocs.{fileName}", StringComparison.OrdinalIgnoreCase))
+            ?? throw new FileNotFoundException($"Embedded API docs asset '{fileName}' was not found.");
+        using var stream = assembly.GetManifestResourceStream(resourceName)
+            ?? throw new FileNotFoundException($"Embedded API docs asset '{fileName}' could not be opened.");
+        using var reader = new StreamReader(stream);
+        return reader.ReadToEnd();
+    }
+
+    private static string? ResolveNode()
+    {
+        var path = Environment.GetEnvironmentVariable("PATH") ?? string.Empty;
+        var candidates = OperatingSystem.IsWindows() ? new[] { "node.exe", "node" } : new[] { "node" };
+        foreach (var directory in path.Split(Path.PathSeparator, StringSplitOptions.RemoveEmptyEntries))
+        {
+            foreach (var candidate in candidates)
+            {
+                var fullPath = Path.Combine(directory, candidate);
+                if (File.Exists(fullPath))
+                    return fullPath;
+            }
+        }
+
+        return null;
+    }
+}
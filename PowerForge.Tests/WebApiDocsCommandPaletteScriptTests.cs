@@ -0,0 +1,66 @@
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsCommandPaletteScriptTests
+{
+    [NodeFact]
+    public void CommandPalette_SearchesApiSuiteAndConfiguredSiteSources()
+    {
+        using var results = ApiDocsScriptHost.Run(
+            """
+            var files = {
+              'http://site.test/docs-site/search/index.json': [{ title: 'Report pipeline guide', url: '/docs-site/docs/report/', collection: 'docs' }],
+              'http://site.test/api/search.json': [{ title: 'Alpha.ReportBuilder', displayName: 'ReportBuilder', kind: 'class', slug: 'alpha-reportbuilder' }],
+              'http://site.test/suite/api-suite-search.json': { shards: [{ id: 'z', url: 'shards/z.json', prefix: 'z' }, { id: 'r', url: 'shards/r.json', prefix: 'r' }] },
+              'http://site.test/suite/shards/r.json': { items: [
+                { title: 'Alpha.ReportBuilder', displayName: 'ReportBuilder', kind: 'class', url: '/api/types/alpha-reportbuilder.json', suiteEntryLabel: 'Alpha' },
+                { title: 'Beta.ReportWriter', displayName: 'ReportWriter', kind: 'class', url: '/beta/types/beta-reportwriter.json', suiteEntryLabel: 'Beta' }
+              ] },
+              'http://site.test/suite/shards/z.json': { items: [{ title: 'Beta.ZipReport', displayName: 'ZipReport', kind: 'class', url: '/beta/types/beta-zipreport.json', suiteEntryLabel: 'Beta' }] }
+            };
+            var requested = [];
+            globalThis.fetch = function (url) {
+              requested.push(url);
+              var body = files[url];
+              return Promise.resolve({ ok: !!body, status: body ? 200 : 404, json: function () { return Promise.resolve(body); } });
+            };
+            window.PowerForgeCommandPaletteConfig = { siteSearchUrl: 'http://site.test/docs-site/search/index.json' };
+            var sources = [
+              { id: 'api', label: 'This API', url: 'http://site.test/api/search.json', apiBase: '/api/' },
+              { id: 'suite', label: 'API suite', url: 'http://site.test/suite/api-suite-search.json', suite: true }
+            ].concat(PowerForgeCommandPalette.configuredSources());
+            var done = false;
+            var search = PowerForgeCommandPalette.createSearch(sources, function () {
+              var view = search.groups();
+              if (done || view.pending) return;
+              done = true;
+              console.log(JSON.stringify({
+                groups: view.groups.map(function (group) { return { id: group.id, hrefs: group.items.map(function (item) { return item.href; }) }; }),
+                requested: requested
+              }));
+            });
+            search.load();
+            search.search('report');
+            """,
+            "search-engine.js",
+            "suite-search.js",
+            "command-palette.js");
+
+        var root = results.RootElement;
+        var groups = root.GetProperty("groups").EnumerateArray().ToArray();
+        string[] Hrefs(string id) => groups
+            .Single(group => group.GetProperty("id").GetString() == id)
+            .GetProperty("hrefs").EnumerateArray().Select(href => href.GetString() ?? string.Empty).ToArray();
+        Assert.Equal(new[] { "api", "suite", "site" }, groups.Select(group => group.GetProperty("id").GetString() ?? string.Empty).ToArray());
+        Assert.Equal(new[] { "/api/alpha-reportbuilder/" }, Hrefs("api"));
+        // The suite hit for the current API is deduped against the API group; ZipReport comes from a background shard.
+        Assert.Equal(new[] { "/beta/beta-reportwriter/", "/beta/beta-zipreport/" }, Hrefs("suite"));
+        Assert.Equal(new[] { "/docs-site/docs/report/" }, Hrefs("site"));
+
+        var requested = root.GetProperty("requested").EnumerateArray().Select(url => url.GetString() ?? string.Empty).ToArray();
+        Assert.Contains("http://site.test/docs-site/search/index.json", requested);
+        Assert.DoesNotContain("/search/index.json", requested);
+        var firstLetterShard = Array.IndexOf(requested, "http://site.test/suite/shards/r.json");
+        Assert.True(firstLetterShard >= 0, "Expected the shard for the query's first letter to load.");
+        Assert.True(Array.IndexOf(requested, "http://site.test/suite/shards/z.json") > firstLetterShard, "Expected the remaining shards to load after it.");
+    }
+}
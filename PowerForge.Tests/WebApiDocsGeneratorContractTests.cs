@@ -1511,4 +1511,153 @@ public class WebApiDocsGeneratorContractTests
             }
         }
     }
+
+    [Fact]
+    public void GenerateDocsHtml_VirtualizesSidebarFromNavModel_WhenTypeCountReachesThreshold()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-sidebar-virtual-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        var xmlPath = Path.Combine(root, "test.xml");
+        File.WriteAllText(xmlPath,
+            """
+            <doc>
+              <assembly><name>Test</name></assembly>
+              <members>
+                <member name="T:Alpha.Widget">
+                  <summary>Widget summary.</summary>
+                </member>
+                <member name="T:Alpha.Gadget">
+                  <summary>Gadget summary.</summary>
+                </member>
+                <member name="T:Beta.Report">
+                  <summary>Report summary.</summary>
+                </member>
+              </members>
+            </doc>
+            """);
+
+        var outputPath = Path.Combine(root, "api");
+        var options = new WebApiDocsOptions
+        {
+            XmlPath = xmlPath,
+            OutputPath = outputPath,
+            Format = "html",
+            Template = "docs",
+            BaseUrl = "/api",
+            SidebarVirtualizeThreshold = 3
+        };
+        options.QuickStartTypeNames.Add("Report");
+
+        try
+        {
+            WebApiDocsGenerator.Generate(options);
+
+            var navModelPath = Path.Combine(outputPath, "sidebar-nav.json");
+            Assert.True(File.Exists(navModelPath), "Expected sidebar-nav.json to be generated.");
+            using (var model = JsonDocument.Parse(File.ReadAllText(navModelPath)))
+            {
+                Assert.Equal(3, model.RootElement.GetProperty("total").GetInt32());
+                Assert.Equal("/api/", model.RootElement.GetProperty("baseUrl").GetString());
+                var namespaces = model.RootElement.GetProperty("namespaces").EnumerateArray().Select(static ns => ns.GetString()).ToArray();
+                var sections = model.RootElement.GetProperty("sections").EnumerateArray().ToArray();
+                Assert.Equal(2, sections.Length);
+                Assert.True(sections[0].GetProperty("main").GetBoolean());
+                Assert.Equal("Report", Assert.Single(sections[0].GetProperty("items").EnumerateArray().ToArray()).GetProperty("n").GetString());
+                Assert.Equal("Alpha", sections[1].GetProperty("namespace").GetString());
+                var alphaItems = sections[1].GetProperty("items").EnumerateArray().ToArray();
+                Assert.Equal(new[] { "Gadget", "Widget" }, alphaItems.Select(static item => item.GetProperty("n").GetString()).ToArray());
+                Assert.Equal("class", alphaItems[1].GetProperty("k").GetString());
+                Assert.Equal("Alpha", namespaces[alphaItems[1].GetProperty("ns").GetInt32()]);
+                Assert.Contains("Widget summary.", alphaItems[1].GetProperty("q").GetString(), StringComparison.Ordinal);
+            }
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "alpha-widget", "index.html"));
+            Assert.Contains("class=\"sidebar-nav sidebar-nav-virtual\" data-nav-url=\"/api/sidebar-nav.json?v=", typeHtml, StringComparison.Ordinal);
+            Assert.DoesNotContain("class=\"type-item", typeHtml, StringComparison.Ordinal);
+            Assert.Contains("data-total=\"3\"", typeHtml, StringComparison.Ordinal);
+
+            options.SidebarVirtualizeThreshold = 0;
+            WebApiDocsGenerator.Generate(options);
+
+            Assert.False(File.Exists(navModelPath), "Expected stale sidebar-nav.json to be removed when virtualization is off.");
+            typeHtml = File.ReadAllText(Path.Combine(outputPath, "alpha-widget", "index.html"));
+            Assert.DoesNotContain("sidebar-nav-virtual", typeHtml, StringComparison.Ordinal);
+            Assert.Contains("class=\"type-item active\"", typeHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            try
+            {
+                if (Directory.Exists(root))
+                    Directory.Delete(root, true);
+            }
+            catch
+            {
+                // ignore cleanup failures in tests
+            }
+        }
+    }
+
+    [Fact]
+    public void GenerateDocsHtml_InlinesStateCodecAheadOfDocsScript()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-state-codec-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        var xmlPath = Path.Combine(root, "test.xml");
+        File.WriteAllText(xmlPath,
+            """
+            <doc>
+              <assembly><name>Test</name></assembly>
+              <members>
+                <member name="T:Alpha.Widget">
+                  <summary>Widget summary.</summary>
+                </member>
+              </members>
+            </doc>
+            """);
+
+        var outputPath = Path.Combine(root, "api");
+        var options = new WebApiDocsOptions
+        {
+            XmlPath = xmlPath,
+            OutputPath = outputPath,
+            Format = "html",
+            Template = "docs",
+            BaseUrl = "/api"
+        };
+
+        try
+        {
+            WebApiDocsGenerator.Generate(options);
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "alpha-widget", "index.html"));
+            var codecIndex = typeHtml.IndexOf("root.PowerForgeApiDocsState = {", StringComparison.Ordinal);
+            var docsIndex = typeHtml.IndexOf("window.PowerForgeApiDocsState || null", StringComparison.Ordinal);
+            Assert.True(codecIndex >= 0, "Expected state-codec.js to be inlined.");
+            Assert.True(docsIndex > codecIndex, "Expected the state codec to load before docs.js.");
+            Assert.DoesNotContain("window.PowerForgeApiDocsStateConfig = { storage: 'local' };", typeHtml, StringComparison.Ordinal);
+
+            options.StateStorage = "local";
+            WebApiDocsGenerator.Generate(options);
+
+            typeHtml = File.ReadAllText(Path.Combine(outputPath, "alpha-widget", "index.html"));
+            var configIndex = typeHtml.IndexOf("window.PowerForgeApiDocsStateConfig = { storage: 'local' };", StringComparison.Ordinal);
+            Assert.True(configIndex >= 0, "Expected opt-in state storage config to be inlined.");
+            Assert.True(configIndex < typeHtml.IndexOf("root.PowerForgeApiDocsState = {", StringComparison.Ordinal), "Expected state config before the codec.");
+        }
+        finally
+        {
+            try
+            {
+                if (Directory.Exists(root))
+                    Directory.Delete(root, true);
+            }
+            catch
+            {
+                // ignore cleanup failures in tests
+            }
+        }
+    }
 }
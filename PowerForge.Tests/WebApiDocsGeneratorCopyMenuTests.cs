@@ -0,0 +1,172 @@
+using System.Text.RegularExpressions;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorCopyMenuTests
+{
+    [Fact]
+    public void Generate_DocsTemplate_EmitsCopyMenuDataForCSharpTypesAndMembers()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-copy-menu-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "test.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>PowerForge.Tests</name></assembly>
+                  <members>
+                    <member name="T:PowerForge.Tests.WebApiDocsCopyMenuFixture"><summary>Copy menu fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsCopyMenuFixture.#ctor(System.String)"><summary>Creates a fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsCopyMenuFixture.Create(System.String,System.Boolean)"><summary>Creates a named fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsCopyMenuFixture.CountAsync(System.String)"><summary>Counts matching items.</summary></member>
+                    <member name="P:PowerForge.Tests.WebApiDocsCopyMenuFixture.Name"><summary>Fixture name.</summary></member>
+                  </members>
+                </doc>
+                """);
+
+            var outputPath = Path.Combine(root, "api");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsCopyMenuFixture).Assembly.Location,
+                OutputPath = outputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false
+            });
+
+            var html = File.ReadAllText(Path.Combine(outputPath, "powerforge-tests-webapidocscopymenufixture", "index.html"));
+
+            var typeTrigger = Regex.Match(html, "<button class=\"api-copy-trigger type-copy\"[^>]*>");
+            Assert.True(typeTrigger.Success, "Expected a copy menu trigger in the type header.");
+            Assert.Equal("PowerForge.Tests.WebApiDocsCopyMenuFixture", GetAttribute(typeTrigger.Value, "data-copy-name"));
+            Assert.Equal("PowerForge.Tests.WebApiDocsCopyMenuFixture", GetAttribute(typeTrigger.Value, "data-copy-uid"));
+            Assert.Equal("var webApiDocsCopyMenuFixture = new WebApiDocsCopyMenuFixture(name);", GetAttribute(typeTrigger.Value, "data-copy-usage"));
+            Assert.Equal("C# usage", GetAttribute(typeTrigger.Value, "data-copy-usage-label"));
+            Assert.Null(GetAttribute(typeTrigger.Value, "data-copy-anchor"));
+
+            // Optional parameters stay out of the snippet; the anchor is the member card id.
+            var create = GetMemberTrigger(html, "Create");
+            Assert.Equal("PowerForge.Tests.WebApiDocsCopyMenuFixture.Create", GetAttribute(create, "data-copy-name"));
+            Assert.Equal("M:PowerForge.Tests.WebApiDocsCopyMenuFixture.Create(System.String,System.Boolean)", GetAttribute(create, "data-copy-uid"));
+            Assert.Equal("var result = WebApiDocsCopyMenuFixture.Create(name);", GetAttribute(create, "data-copy-usage"));
+            Assert.Contains($"id=\"{GetAttribute(create, "data-copy-anchor")}\" data-kind=\"method\"", html, StringComparison.Ordinal);
+
+            var count = GetMemberTrigger(html, "CountAsync");
+            Assert.Equal("var result = await webApiDocsCopyMenuFixture.CountAsync(filter);", GetAttribute(count, "data-copy-usage"));
+
+            var name = GetMemberTrigger(html, "Name");
+            Assert.Equal("P:PowerForge.Tests.WebApiDocsCopyMenuFixture.Name", GetAttribute(name, "data-copy-uid"));
+            Assert.Equal("var value = webApiDocsCopyMenuFixture.Name;", GetAttribute(name, "data-copy-usage"));
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_PowerShellHelp_CopyMenuUsesMandatoryParameters()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-copy-menu-ps-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var helpPath = Path.Combine(root, "Sample.Module.dll-Help.xml");
+            File.WriteAllText(helpPath,
+                """
+                <?xml version="1.0" encoding="utf-8"?>
+                <helpItems schema="maml" xmlns="http://msh" xmlns:maml="http://schemas.microsoft.com/maml/2004/10" xmlns:command="http://schemas.microsoft.com/maml/dev/command/2004/10" xmlns:dev="http://schemas.microsoft.com/maml/dev/2004/10">
+                  <command:command>
+                    <command:details>
+                      <command:name>Get-SampleData</command:name>
+                      <maml:description><maml:para>Gets sample data.</maml:para></maml:description>
+                    </command:details>
+                    <command:syntax>
+                      <command:syntaxItem>
+                        <command:name>Get-SampleData</command:name>
+                        <command:parameter required="true" position="named">
+                          <maml:name>Name</maml:name>
+                          <command:parameterValue required="true">string</command:parameterValue>
+                        </command:parameter>
+                        <command:parameter required="false" position="named">
+                          <maml:name>Category</maml:name>
+                          <command:parameterValue required="false">string</command:parameterValue>
+                        </command:parameter>
+                      </command:syntaxItem>
+                    </command:syntax>
+                  </command:command>
+                </helpItems>
+                """);
+
+            var outputPath = Path.Combine(root, "_site", "api", "powershell");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.PowerShell,
+                HelpPath = helpPath,
+                OutputPath = outputPath,
+                Title = "PowerShell API",
+                BaseUrl = "/api/powershell",
+                Template = "docs",
+                Format = "html"
+            });
+
+            var html = File.ReadAllText(Path.Combine(outputPath, "get-sampledata", "index.html"));
+
+            var typeTrigger = Regex.Match(html, "<button class=\"api-copy-trigger type-copy\"[^>]*>");
+            Assert.True(typeTrigger.Success, "Expected a copy menu trigger in the command header.");
+            Assert.EndsWith("Get-SampleData", GetAttribute(typeTrigger.Value, "data-copy-name"), StringComparison.Ordinal);
+            Assert.Equal("Get-SampleData", GetAttribute(typeTrigger.Value, "data-copy-uid"));
+            Assert.Equal("Get-SampleData -Name 'Name'", GetAttribute(typeTrigger.Value, "data-copy-usage"));
+            Assert.Equal("PowerShell usage", GetAttribute(typeTrigger.Value, "data-copy-usage-label"));
+
+            var syntaxTrigger = Regex.Match(html, "<button class=\"api-copy-trigger member-copy\"[^>]*>");
+            Assert.True(syntaxTrigger.Success, "Expected a copy menu trigger on the syntax card.");
+            Assert.Equal("Get-SampleData -Name 'Name'", GetAttribute(syntaxTrigger.Value, "data-copy-usage"));
+            Assert.False(string.IsNullOrWhiteSpace(GetAttribute(syntaxTrigger.Value, "data-copy-anchor")));
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    private static string GetMemberTrigger(string html, string memberName)
+    {
+        var card = Regex.Match(html, "<div class=\"member-card\"[^>]*data-member-name=\"" + Regex.Escape(memberName) + "\"[^>]*>");
+        Assert.True(card.Success, $"Expected a member card for {memberName}.");
+        var trigger = new Regex("<button class=\"api-copy-trigger member-copy\"[^>]*>").Match(html, card.Index);
+        Assert.True(trigger.Success, $"Expected a copy menu trigger for {memberName}.");
+        return trigger.Value;
+    }
+
+    private static string? GetAttribute(string element, string attribute)
+    {
+        var value = Regex.Match(element, " " + Regex.Escape(attribute) + "=\"([^\"]*)\"");
+        return value.Success ? System.Web.HttpUtility.HtmlDecode(value.Groups[1].Value) : null;
+    }
+}
+
+/// <summary>Type used by API documentation copy menu tests.</summary>
+public class WebApiDocsCopyMenuFixture
+{
+    /// <summary>Creates a fixture.</summary>
+    public WebApiDocsCopyMenuFixture(string name) => Name = name;
+
+    /// <summary>Fixture name.</summary>
+    public string Name { get; }
+
+    /// <summary>Creates a named fixture.</summary>
+    public static WebApiDocsCopyMenuFixture Create(string name, bool strict = false) => new(name);
+
+    /// <summary>Counts matching items.</summary>
+    public Task<int> CountAsync(string filter) => Task.FromResult(filter.Length);
+}
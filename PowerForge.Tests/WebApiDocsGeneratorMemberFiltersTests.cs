@@ -0,0 +1,106 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorMemberFiltersTests
+{
+    [Fact]
+    public void Generate_DocsTemplate_EmitsMemberFilterDataAndOverloadComparison()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-member-filters-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "test.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>PowerForge.Tests</name></assembly>
+                  <members>
+                    <member name="T:PowerForge.Tests.WebApiDocsMemberFilterFixture"><summary>Member filter fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsMemberFilterFixture.Create"><summary>Creates a fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsMemberFilterFixture.Create(System.String,System.Boolean)"><summary>Creates a named fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsMemberFilterFixture.CreateLegacy"><summary>Creates a fixture the old way.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsMemberFilterFixture.LoadAsync"><summary>Loads the fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsMemberFilterFixture.Describe"><summary>Describes the fixture.</summary></member>
+                  </members>
+                </doc>
+                """);
+
+            var outputPath = Path.Combine(root, "api");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsMemberFilterFixture).Assembly.Location,
+                OutputPath = outputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false
+            });
+
+            var html = File.ReadAllText(Path.Combine(outputPath, "powerforge-tests-webapidocsmemberfilterfixture", "index.html"));
+
+            Assert.Equal("static", GetCardAttribute(html, "Create", "data-traits"));
+            Assert.Equal("WebApiDocsMemberFilterFixture", GetCardAttribute(html, "Create", "data-returns"));
+            Assert.Equal("public", GetCardAttribute(html, "Create", "data-access"));
+            Assert.Equal("static obsolete", GetCardAttribute(html, "CreateLegacy", "data-traits"));
+            Assert.Contains("async", GetCardAttribute(html, "LoadAsync", "data-traits")!.Split(' '));
+            Assert.Equal("virtual", GetCardAttribute(html, "Describe", "data-traits"));
+
+            Assert.Contains("data-member-trait=\"static\"", html, StringComparison.Ordinal);
+            Assert.Contains("data-member-trait=\"obsolete\"", html, StringComparison.Ordinal);
+            Assert.DoesNotContain("data-member-trait=\"extension\"", html, StringComparison.Ordinal);
+            Assert.Contains("id=\"api-member-returns\"", html, StringComparison.Ordinal);
+
+            // Overload groups carry the comparison model; every row links to an overload card on the page.
+            var compare = Regex.Match(html, "<div class=\"member-overload-compare\" id=\"([^\"]+)\" data-overloads=\"([^\"]*)\"");
+            Assert.True(compare.Success, "Expected an overload comparison panel.");
+            Assert.Contains($"aria-controls=\"{compare.Groups[1].Value}\"", html, StringComparison.Ordinal);
+            using var overloads = JsonDocument.Parse(System.Web.HttpUtility.HtmlDecode(compare.Groups[2].Value));
+            Assert.Equal("Create", overloads.RootElement.GetProperty("name").GetString());
+            var rows = overloads.RootElement.GetProperty("overloads").EnumerateArray().ToArray();
+            Assert.Equal(2, rows.Length);
+            Assert.All(rows, row => Assert.Contains($"id=\"{row.GetProperty("id").GetString()}\"", html, StringComparison.Ordinal));
+            var named = Assert.Single(rows, row => row.GetProperty("parameters").GetArrayLength() == 2);
+            Assert.Equal(new[] { "name", "strict" }, named.GetProperty("parameters").EnumerateArray().Select(p => p.GetProperty("name").GetString()).ToArray());
+            Assert.True(named.GetProperty("parameters")[1].GetProperty("optional").GetBoolean());
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    private static string? GetCardAttribute(string html, string memberName, string attribute)
+    {
+        var card = Regex.Match(html, "<div class=\"member-card\"[^>]*data-member-name=\"" + Regex.Escape(memberName) + "\"[^>]*>");
+        Assert.True(card.Success, $"Expected a member card for {memberName}.");
+        var value = Regex.Match(card.Value, " " + Regex.Escape(attribute) + "=\"([^\"]*)\"");
+        return value.Success ? System.Web.HttpUtility.HtmlDecode(value.Groups[1].Value) : null;
+    }
+}
+
+/// <summary>Type used by API documentation member filter tests.</summary>
+public class WebApiDocsMemberFilterFixture
+{
+    /// <summary>Creates a fixture.</summary>
+    public static WebApiDocsMemberFilterFixture Create() => new();
+
+    /// <summary>Creates a named fixture.</summary>
+    public static WebApiDocsMemberFilterFixture Create(string name, bool strict = false) => new();
+
+    /// <summary>Creates a fixture the old way.</summary>
+    [Obsolete("Use Create.")]
+    public static WebApiDocsMemberFilterFixture CreateLegacy() => new();
+
+    /// <summary>Loads the fixture.</summary>
+    public async Task LoadAsync() => await Task.Yield();
+
+    /// <summary>Describes the fixture.</summary>
+    public virtual string Describe() => nameof(WebApiDocsMemberFilterFixture);
+}
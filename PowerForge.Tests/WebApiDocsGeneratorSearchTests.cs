@@ -0,0 +1,426 @@
+using System.Text.Json;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorSearchTests
+{
+    [Fact]
+    public void Generate_SimpleTemplate_InlinesSearchEngineBeforeSearchScript()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-engine-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteSampleXml(root);
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "html",
+                Template = "simple"
+            });
+
+            var indexHtml = File.ReadAllText(Path.Combine(outputPath, "index.html"));
+            var engineIndex = indexHtml.IndexOf("window.PowerForgeApiSearch", StringComparison.Ordinal);
+            var searchIndex = indexHtml.IndexOf("getElementById('api-search')", StringComparison.Ordinal);
+            Assert.True(engineIndex >= 0, "Expected the ranked search engine to be inlined.");
+            Assert.True(searchIndex > engineIndex, "Expected search.js to run after the search engine.");
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_SimpleTemplate_UsesSearchEngineFromTemplateRoot()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-engine-root-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteSampleXml(root);
+            var templateRoot = Path.Combine(root, "templates");
+            Directory.CreateDirectory(templateRoot);
+            File.WriteAllText(Path.Combine(templateRoot, "search-engine.js"), "window.CustomSearchEngine = true;");
+
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "html",
+                Template = "simple",
+                TemplateRootPath = templateRoot
+            });
+
+            var indexHtml = File.ReadAllText(Path.Combine(outputPath, "index.html"));
+            Assert.Contains("window.CustomSearchEngine = true;", indexHtml, StringComparison.Ordinal);
+            Assert.DoesNotContain("window.PowerForgeApiSearch", indexHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_DocsTemplate_ExposesSuiteSearchUrlOnSidebarShell()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-palette-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteSampleXml(root);
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                Title = "Sample API Reference",
+                BaseUrl = "/projects/sample/api",
+                Format = "html",
+                Template = "docs",
+                ApiSuiteTitle = "Sample Suite",
+                ApiSuiteCurrentId = "sample",
+                ApiSuiteSearchUrl = "../../api-suite-search.json",
+                ApiSuiteEntries =
+                {
+                    new WebApiDocsSuiteEntry { Id = "sample", Label = "Sample", Href = "/projects/sample/api/" },
+                    new WebApiDocsSuiteEntry { Id = "other", Label = "Other", Href = "/projects/other/api/" }
+                }
+            });
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "sample-api-reportbuilder", "index.html"));
+            Assert.Contains("class=\"ev-docs-menu api-sidebar-shell\" data-suite-search-url=\"../../api-suite-search.json\"", typeHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_DocsTemplate_IndexesMembersWithAnchorsAndSignatures()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-members-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteMemberXml(root);
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "both",
+                Template = "docs"
+            });
+
+            using var search = JsonDocument.Parse(File.ReadAllText(Path.Combine(outputPath, "search.json")));
+            var items = search.RootElement.EnumerateArray().ToArray();
+            Assert.Equal("type", items[0].GetProperty("entryKind").GetString());
+
+            var method = items.Single(item => item.GetProperty("title").GetString() == "Sample.Api.ReportBuilder.Build");
+            Assert.Equal("member", method.GetProperty("entryKind").GetString());
+            Assert.Equal("method", method.GetProperty("kind").GetString());
+            Assert.Equal("Sample.Api.ReportBuilder", method.GetProperty("parentTitle").GetString());
+            Assert.False(string.IsNullOrWhiteSpace(method.GetProperty("signature").GetString()));
+
+            var anchor = method.GetProperty("anchor").GetString();
+            Assert.False(string.IsNullOrWhiteSpace(anchor));
+            Assert.Equal("/api/sample-api-reportbuilder/#" + anchor, method.GetProperty("url").GetString());
+
+            var property = items.Single(item => item.GetProperty("title").GetString() == "Sample.Api.ReportBuilder.Title");
+            Assert.Equal("property", property.GetProperty("kind").GetString());
+            Assert.NotEqual(method.GetProperty("url").GetString(), property.GetProperty("url").GetString());
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "sample-api-reportbuilder", "index.html"));
+            Assert.Contains($"class=\"member-card\" id=\"{anchor}\"", typeHtml, StringComparison.Ordinal);
+            Assert.Contains($"class=\"member-card\" id=\"{property.GetProperty("anchor").GetString()}\"", typeHtml, StringComparison.Ordinal);
+            Assert.Contains("data-member-name=\"Title\"", typeHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_DocsTemplate_IndexesTypeSummariesWithoutCrefTokens()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-cref-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "Sample.Api.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>Sample.Api</name></assembly>
+                  <members>
+                    <member name="T:Sample.Api.ReportBuilder">
+                      <summary>Builds a <see cref="T:Sample.Api.Report"/> from document data.</summary>
+                    </member>
+                    <member name="T:Sample.Api.Report">
+                      <summary>Rendered report.</summary>
+                    </member>
+                  </members>
+                </doc>
+                """);
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                BaseUrl = "/api",
+                Format = "html",
+                Template = "docs"
+            });
+
+            using var search = JsonDocument.Parse(File.ReadAllText(Path.Combine(outputPath, "search.json")));
+            var builder = search.RootElement.EnumerateArray().Single(item => item.GetProperty("title").GetString() == "Sample.Api.ReportBuilder");
+            var summary = builder.GetProperty("summary").GetString();
+            Assert.DoesNotContain("[[cref:", summary, StringComparison.Ordinal);
+            Assert.Contains("Report", summary, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_SimpleTemplate_RendersMemberAnchorsUsedBySearch()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-members-simple-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteMemberXml(root);
+            var outputPath = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = outputPath,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "both",
+                Template = "simple"
+            });
+
+            using var search = JsonDocument.Parse(File.ReadAllText(Path.Combine(outputPath, "search.json")));
+            var method = search.RootElement.EnumerateArray()
+                .Single(item => item.GetProperty("title").GetString() == "Sample.Api.ReportBuilder.Build");
+            var anchor = method.GetProperty("anchor").GetString();
+            Assert.Equal("/api/types/sample-api-reportbuilder.html#" + anchor, method.GetProperty("url").GetString());
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "types", "sample-api-reportbuilder.html"));
+            Assert.Contains($"<li id=\"{anchor}\">", typeHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_PowerShellHelp_IndexesParametersWithCommandSetsAndRowAnchors()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-parameters-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var helpPath = Path.Combine(root, "Sample.Module.dll-Help.xml");
+            File.WriteAllText(helpPath,
+                """
+                <?xml version="1.0" encoding="utf-8"?>
+                <helpItems schema="maml" xmlns="http://msh" xmlns:maml="http://schemas.microsoft.com/maml/2004/10" xmlns:command="http://schemas.microsoft.com/maml/dev/command/2004/10" xmlns:dev="http://schemas.microsoft.com/maml/dev/2004/10">
+                  <command:command>
+                    <command:details>
+                      <command:name>New-SampleCmdlet</command:name>
+                      <maml:description>
+                        <maml:para>Creates a sample item.</maml:para>
+                      </maml:description>
+                    </command:details>
+                    <command:syntax>
+                      <command:syntaxItem parameterSetName="ByName">
+                        <command:name>New-SampleCmdlet</command:name>
+                        <command:parameter required="true" globbing="false" pipelineInput="false" position="named">
+                          <maml:name>Name</maml:name>
+                          <command:parameterValue required="true">string</command:parameterValue>
+                        </command:parameter>
+                        <command:parameter required="false" globbing="false" pipelineInput="false" position="named">
+                          <maml:name>Force</maml:name>
+                        </command:parameter>
+                      </command:syntaxItem>
+                      <command:syntaxItem parameterSetName="ByPath">
+                        <command:name>New-SampleCmdlet</command:name>
+                        <command:parameter required="true" globbing="false" pipelineInput="false" position="named">
+                          <maml:name>Path</maml:name>
+                          <command:parameterValue required="true">string</command:parameterValue>
+                        </command:parameter>
+                        <command:parameter required="false" globbing="false" pipelineInput="false" position="named">
+                          <maml:name>Force</maml:name>
+                        </command:parameter>
+                      </command:syntaxItem>
+                    </command:syntax>
+                  </command:command>
+                </helpItems>
+                """);
+
+            var outputPath = Path.Combine(root, "_site", "api", "powershell");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.PowerShell,
+                HelpPath = helpPath,
+                OutputPath = outputPath,
+                Title = "PowerShell API",
+                BaseUrl = "/api/powershell",
+                Template = "docs",
+                Format = "both"
+            });
+
+            using var search = JsonDocument.Parse(File.ReadAllText(Path.Combine(outputPath, "search.json")));
+            var force = search.RootElement.EnumerateArray()
+                .Single(item => item.GetProperty("title").GetString() == "New-SampleCmdlet -Force");
+            Assert.Equal("parameter", force.GetProperty("kind").GetString());
+            Assert.Equal("New-SampleCmdlet", force.GetProperty("command").GetString());
+            Assert.Equal(new[] { "ByName", "ByPath" }, force.GetProperty("parameterSets").EnumerateArray().Select(static set => set.GetString()).ToArray());
+
+            var anchor = force.GetProperty("anchor").GetString();
+            Assert.EndsWith("-param-force", anchor, StringComparison.Ordinal);
+            Assert.Equal("/api/powershell/new-samplecmdlet/#" + anchor, force.GetProperty("url").GetString());
+
+            var typeHtml = File.ReadAllText(Path.Combine(outputPath, "new-samplecmdlet", "index.html"));
+            Assert.Contains($"<dt id=\"{anchor}\">", typeHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    [Fact]
+    public void Generate_SimpleTemplate_InlinesSearchTelemetryOnlyWhenOptedIn()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-apidocs-search-telemetry-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = WriteSampleXml(root);
+            var defaultOutput = Path.Combine(root, "_site", "api");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = defaultOutput,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "html",
+                Template = "simple"
+            });
+
+            var defaultHtml = File.ReadAllText(Path.Combine(defaultOutput, "index.html"));
+            Assert.DoesNotContain("PowerForgeSearchTelemetry", defaultHtml, StringComparison.Ordinal);
+            Assert.DoesNotContain("data-pf-search-telemetry-export", defaultHtml, StringComparison.Ordinal);
+
+            var telemetryOutput = Path.Combine(root, "_site", "api-telemetry");
+            _ = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                Type = ApiDocsType.CSharp,
+                XmlPath = xmlPath,
+                OutputPath = telemetryOutput,
+                Title = "Sample API Reference",
+                BaseUrl = "/api",
+                Format = "html",
+                Template = "simple",
+                SearchTelemetry = "local"
+            });
+
+            var telemetryHtml = File.ReadAllText(Path.Combine(telemetryOutput, "index.html"));
+            var configIndex = telemetryHtml.IndexOf("window.PowerForgeSearchTelemetryConfig = {\"target\":\"local\"};", StringComparison.Ordinal);
+            var telemetryIndex = telemetryHtml.IndexOf("root.PowerForgeSearchTelemetry", StringComparison.Ordinal);
+            var searchIndex = telemetryHtml.IndexOf("getElementById('api-search')", StringComparison.Ordinal);
+            Assert.True(configIndex >= 0, "Expected the telemetry target to be configured.");
+            Assert.True(telemetryIndex > configIndex, "Expected search-telemetry.js after its config.");
+            Assert.True(searchIndex > telemetryIndex, "Expected search.js to run after search-telemetry.js.");
+            Assert.Contains("<button type=\"button\" class=\"pf-search-telemetry-export\" data-pf-search-telemetry-export hidden>", telemetryHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    private static string WriteMemberXml(string root)
+    {
+        var xmlPath = Path.Combine(root, "Sample.Api.xml");
+        File.WriteAllText(xmlPath,
+            """
+            <doc>
+              <assembly><name>Sample.Api</name></assembly>
+              <members>
+                <member name="T:Sample.Api.ReportBuilder">
+                  <summary>Builds validated reports from document data.</summary>
+                </member>
+                <member name="M:Sample.Api.ReportBuilder.Build(System.String)">
+                  <summary>Builds the report for the given path.</summary>
+                  <param name="path">Report path.</param>
+                </member>
+                <member name="P:Sample.Api.ReportBuilder.Title">
+                  <summary>Gets or sets the report title.</summary>
+                </member>
+              </members>
+            </doc>
+            """);
+        return xmlPath;
+    }
+
+    private static string WriteSampleXml(string root)
+    {
+        var xmlPath = Path.Combine(root, "Sample.Api.xml");
+        File.WriteAllText(xmlPath,
+            """
+            <doc>
+              <assembly><name>Sample.Api</name></assembly>
+              <members>
+                <member name="T:Sample.Api.ReportBuilder">
+                  <summary>Builds validated reports from document data.</summary>
+                </member>
+              </members>
+            </doc>
+            """);
+        return xmlPath;
+    }
+}
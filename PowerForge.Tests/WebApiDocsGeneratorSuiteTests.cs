@@ -161,8 +161,11 @@ public class WebApiDocsGeneratorSuiteTests
             Assert.Contains("../api-suite-search.json", html, StringComparison.Ordinal);
             Assert.Contains("api-suite-coverage-summary", html, StringComparison.OrdinalIgnoreCase);
             Assert.Contains("../api-suite-coverage.json", html, StringComparison.Ordinal);
+            Assert.Contains("<div class=\"api-suite-coverage-breakdown\" id=\"api-suite-coverage-breakdown\" hidden></div>", html, StringComparison.Ordinal);
             Assert.Contains("api-suite-narrative", html, StringComparison.OrdinalIgnoreCase);
             Assert.Contains("../api-suite-narrative.json", html, StringComparison.Ordinal);
+            // Progress tools and the continue card sit between the summary and the sections.
+            Assert.Matches("api-suite-narrative-summary\"[^>]*></div>\\s*<div class=\"api-suite-narrative-tools\" hidden></div>\\s*<div class=\"api-suite-narrative-continue\" hidden></div>\\s*<div class=\"api-suite-narrative-sections\"", html);
             Assert.Contains("Start Here", html, StringComparison.Ordinal);
             Assert.Contains("api-suite-related-content", html, StringComparison.OrdinalIgnoreCase);
             Assert.Contains("../api-suite-related-content.json", html, StringComparison.Ordinal);
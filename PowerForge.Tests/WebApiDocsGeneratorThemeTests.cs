@@ -0,0 +1,84 @@
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorThemeTests
+{
+    [Fact]
+    public void Generate_DocsTemplate_InlinesThemeScriptBeforeStylesAndRendersToggle()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-theme-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "test.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>PowerForge.Tests</name></assembly>
+                  <members>
+                    <member name="T:PowerForge.Tests.WebApiDocsThemeFixture"><summary>Theme fixture.</summary></member>
+                  </members>
+                </doc>
+                """);
+
+            var outputPath = Path.Combine(root, "api");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsThemeFixture).Assembly.Location,
+                OutputPath = outputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false,
+                ThemeMode = "Light"
+            });
+
+            var html = File.ReadAllText(Path.Combine(outputPath, "powerforge-tests-webapidocsthemefixture", "index.html"));
+
+            // The theme is applied before the first stylesheet so the page never paints in the wrong colors.
+            var config = html.IndexOf("window.PowerForgeApiDocsThemeConfig = { theme: 'light' };", StringComparison.Ordinal);
+            var runtime = html.IndexOf("root.PowerForgeApiDocsTheme = {", StringComparison.Ordinal);
+            var firstStyle = html.IndexOf("<style", StringComparison.Ordinal);
+            Assert.True(config >= 0, "Expected the theme default to be configured.");
+            Assert.True(runtime > config, "Expected the theme runtime after its config.");
+            Assert.True(firstStyle > runtime, "Expected the theme runtime ahead of the stylesheets.");
+
+            Assert.Contains("<button class=\"api-theme-toggle\" type=\"button\"", html, StringComparison.Ordinal);
+            Assert.Contains("data-pf-prism-theme=\"light\"", html, StringComparison.Ordinal);
+            Assert.Contains("data-pf-prism-theme=\"dark\"", html, StringComparison.Ordinal);
+
+            // "auto" is the runtime default and needs no config.
+            var indexHtml = File.ReadAllText(Path.Combine(outputPath, "index.html"));
+            Assert.Contains("root.PowerForgeApiDocsTheme = {", indexHtml, StringComparison.Ordinal);
+
+            var autoOutputPath = Path.Combine(root, "api-auto");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsThemeFixture).Assembly.Location,
+                OutputPath = autoOutputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false
+            });
+
+            var autoHtml = File.ReadAllText(Path.Combine(autoOutputPath, "powerforge-tests-webapidocsthemefixture", "index.html"));
+            Assert.DoesNotContain("window.PowerForgeApiDocsThemeConfig", autoHtml, StringComparison.Ordinal);
+            Assert.Contains("root.PowerForgeApiDocsTheme = {", autoHtml, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+}
+
+/// <summary>Type used by API documentation theme tests.</summary>
+public class WebApiDocsThemeFixture
+{
+}
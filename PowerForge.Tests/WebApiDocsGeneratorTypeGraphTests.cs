@@ -0,0 +1,115 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorTypeGraphTests
+{
+    [Fact]
+    public void Generate_DocsTemplate_EmitsTypeGraphAndDeclaringTypes()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-type-graph-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "test.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>PowerForge.Tests</name></assembly>
+                  <members>
+                    <member name="T:PowerForge.Tests.WebApiDocsTypeGraphBaseFixture"><summary>Graph base fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsTypeGraphBaseFixture.Describe"><summary>Declared on the base.</summary></member>
+                    <member name="T:PowerForge.Tests.WebApiDocsTypeGraphDerivedFixture"><summary>Graph derived fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsTypeGraphDerivedFixture.Run"><summary>Declared on the derived type.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsTypeGraphDerivedFixture.Dispose"><summary>Releases nothing.</summary></member>
+                  </members>
+                </doc>
+                """);
+
+            var outputPath = Path.Combine(root, "api");
+            WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsTypeGraphDerivedFixture).Assembly.Location,
+                OutputPath = outputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false
+            });
+
+            const string baseSlug = "powerforge-tests-webapidocstypegraphbasefixture";
+            const string derivedSlug = "powerforge-tests-webapidocstypegraphderivedfixture";
+
+            var baseHtml = File.ReadAllText(Path.Combine(outputPath, baseSlug, "index.html"));
+            using (var baseGraph = ReadTypeGraph(baseHtml))
+            {
+                var derived = Assert.Single(baseGraph.RootElement.GetProperty("derived").EnumerateArray());
+                Assert.Equal("PowerForge.Tests.WebApiDocsTypeGraphDerivedFixture", derived.GetProperty("fullName").GetString());
+                Assert.Equal("/api/" + derivedSlug + "/", derived.GetProperty("href").GetString());
+                var objectBase = Assert.Single(baseGraph.RootElement.GetProperty("ancestors").EnumerateArray());
+                Assert.Equal("Object", objectBase.GetProperty("key").GetString());
+            }
+
+            var derivedHtml = File.ReadAllText(Path.Combine(outputPath, derivedSlug, "index.html"));
+            Assert.Contains("aria-controls=\"type-graph-canvas\"", derivedHtml, StringComparison.Ordinal);
+            using (var derivedGraph = ReadTypeGraph(derivedHtml))
+            {
+                var type = derivedGraph.RootElement.GetProperty("type");
+                Assert.Equal("PowerForge.Tests.WebApiDocsTypeGraphDerivedFixture", type.GetProperty("key").GetString());
+
+                var ancestor = Assert.Single(derivedGraph.RootElement.GetProperty("ancestors").EnumerateArray());
+                Assert.Equal("PowerForge.Tests.WebApiDocsTypeGraphBaseFixture", ancestor.GetProperty("key").GetString());
+                Assert.Equal("/api/" + baseSlug + "/", ancestor.GetProperty("href").GetString());
+
+                Assert.Contains(
+                    derivedGraph.RootElement.GetProperty("interfaces").EnumerateArray(),
+                    item => item.GetProperty("key").GetString() == "IDisposable");
+            }
+
+            // Inherited member cards point back at the ancestor node so docs.js can filter by it.
+            Assert.Matches(
+                "data-member-name=\"Describe\"[^>]*data-declaring-type=\"PowerForge\\.Tests\\.WebApiDocsTypeGraphBaseFixture\"",
+                derivedHtml);
+            Assert.Matches(
+                "data-member-name=\"Run\"[^>]*data-declaring-type=\"PowerForge\\.Tests\\.WebApiDocsTypeGraphDerivedFixture\"",
+                derivedHtml);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    private static JsonDocument ReadTypeGraph(string html)
+    {
+        var match = Regex.Match(html, "data-type-graph=\"([^\"]*)\"");
+        Assert.True(match.Success, "Expected a type graph section.");
+        return JsonDocument.Parse(System.Web.HttpUtility.HtmlDecode(match.Groups[1].Value));
+    }
+}
+
+/// <summary>Base type used by API documentation type graph tests.</summary>
+public class WebApiDocsTypeGraphBaseFixture
+{
+    /// <summary>Declared on the base.</summary>
+    public string Describe() => nameof(WebApiDocsTypeGraphBaseFixture);
+}
+
+/// <summary>Derived type used by API documentation type graph tests.</summary>
+public sealed class WebApiDocsTypeGraphDerivedFixture : WebApiDocsTypeGraphBaseFixture, IDisposable
+{
+    /// <summary>Declared on the derived type.</summary>
+    public void Run()
+    {
+    }
+
+    /// <summary>Releases nothing.</summary>
+    public void Dispose()
+    {
+    }
+}
@@ -0,0 +1,149 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsGeneratorVersionsTests
+{
+    [Fact]
+    public void Generate_DocsTemplate_EmitsVersionPickerSnapshotBadgesAndChangesPage()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-webapidocs-versions-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var xmlPath = Path.Combine(root, "test.xml");
+            File.WriteAllText(xmlPath,
+                """
+                <doc>
+                  <assembly><name>PowerForge.Tests</name></assembly>
+                  <members>
+                    <member name="T:PowerForge.Tests.WebApiDocsVersionFixture"><summary>Version fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsVersionFixture.Run"><summary>Runs the fixture.</summary></member>
+                    <member name="M:PowerForge.Tests.WebApiDocsVersionFixture.Describe"><summary>Describes the fixture.</summary></member>
+                  </members>
+                </doc>
+                """);
+
+            // The 1.0 snapshot has Run with a different signature and a Legacy method that 2.0 dropped; Describe is new.
+            var previousPath = Path.Combine(root, "v1");
+            Directory.CreateDirectory(previousPath);
+            File.WriteAllText(Path.Combine(previousPath, "api-snapshot.json"),
+                """
+                {
+                  "format": "powerforge-api-snapshot",
+                  "formatVersion": 1,
+                  "apiVersion": "1.0",
+                  "types": [
+                    {
+                      "key": "PowerForge.Tests.WebApiDocsVersionFixture",
+                      "name": "WebApiDocsVersionFixture",
+                      "kind": "Class",
+                      "signature": "Class WebApiDocsVersionFixture",
+                      "members": [
+                        { "key": "method-run", "kind": "method", "name": "Run", "signature": "public int Run()" },
+                        { "key": "method-legacy", "kind": "method", "name": "Legacy", "signature": "public void Legacy()" }
+                      ]
+                    }
+                  ]
+                }
+                """);
+
+            var outputPath = Path.Combine(root, "api");
+            var result = WebApiDocsGenerator.Generate(new WebApiDocsOptions
+            {
+                XmlPath = xmlPath,
+                AssemblyPath = typeof(WebApiDocsVersionFixture).Assembly.Location,
+                OutputPath = outputPath,
+                Format = "both",
+                Template = "docs",
+                BaseUrl = "/api",
+                IncludeUndocumentedTypes = false,
+                ApiVersion = "2.0",
+                ApiVersionEntries =
+                {
+                    new WebApiDocsVersionEntry { Version = "1.0", Href = "/api/v1/" },
+                    new WebApiDocsVersionEntry { Version = "2.0", Href = "/api/", Label = "2.0 (latest)" }
+                },
+                ApiVersionSnapshotPaths = { previousPath }
+            });
+
+            var snapshotPath = Path.Combine(outputPath, "api-snapshot.json");
+            Assert.Equal(snapshotPath, result.VersionSnapshotPath);
+            using (var snapshot = JsonDocument.Parse(File.ReadAllText(snapshotPath)))
+            {
+                Assert.Equal("2.0", snapshot.RootElement.GetProperty("apiVersion").GetString());
+                var type = Assert.Single(
+                    snapshot.RootElement.GetProperty("types").EnumerateArray(),
+                    item => item.GetProperty("key").GetString() == "PowerForge.Tests.WebApiDocsVersionFixture");
+                Assert.Equal("PowerForge.Tests", type.GetProperty("namespace").GetString());
+                Assert.Contains(type.GetProperty("members").EnumerateArray(), member => member.GetProperty("key").GetString() == "method-describe");
+            }
+
+            var html = File.ReadAllText(Path.Combine(outputPath, "powerforge-tests-webapidocsversionfixture", "index.html"));
+
+            // Newest first, the current version selected and pointing at this build's root.
+            var picker = Regex.Match(html, "<select id=\"api-version-picker\"[^>]*data-version-base=\"/api/\"[^>]*>(.*?)</select>", RegexOptions.Singleline);
+            Assert.True(picker.Success, "Expected a version picker.");
+            var options = Regex.Matches(picker.Groups[1].Value, "data-version=\"([^\"]+)\"").Select(static match => match.Groups[1].Value).ToArray();
+            Assert.Equal(new[] { "2.0", "1.0" }, options);
+            Assert.Contains("data-version=\"2.0\" selected>2.0 (latest)</option>", picker.Value, StringComparison.Ordinal);
+
+            Assert.Contains("data-api-versions=\"1.0 2.0\"", html, StringComparison.Ordinal);
+            Assert.Equal("2.0", GetCardAttribute(html, "Describe", "data-version-added"));
+            Assert.Equal("2.0", GetCardAttribute(html, "Run", "data-version-changed"));
+            Assert.Null(GetCardAttribute(html, "Run", "data-version-added"));
+            Assert.Contains(">Added in 2.0</span>", html, StringComparison.Ordinal);
+            Assert.Contains("<option value=\"changed:2.0\">Changed in 2.0</option>", html, StringComparison.Ordinal);
+
+            var removed = Regex.Match(html, "<section class=\"api-version-removed-members\" id=\"removed-members\">(.*?)</section>", RegexOptions.Singleline);
+            Assert.True(removed.Success, "Expected a removed members section.");
+            Assert.Contains("Removed in 2.0", removed.Value, StringComparison.Ordinal);
+            Assert.Contains("public void Legacy()", removed.Value, StringComparison.Ordinal);
+
+            // The changes page compares the current version with the one before it by default.
+            Assert.Contains("<a class=\"api-version-changes\" href=\"/api/api-changes/\">", html, StringComparison.Ordinal);
+            var changesHtml = File.ReadAllText(Path.Combine(outputPath, "api-changes", "index.html"));
+            var diff = Regex.Match(changesHtml, "<div class=\"api-diff ev-page-body\" data-api-diff=\"([^\"]*)\">");
+            Assert.True(diff.Success, "Expected an API changes page.");
+            using (var model = JsonDocument.Parse(System.Web.HttpUtility.HtmlDecode(diff.Groups[1].Value)))
+            {
+                Assert.Equal("1.0", model.RootElement.GetProperty("from").GetString());
+                Assert.Equal("2.0", model.RootElement.GetProperty("to").GetString());
+                var snapshots = model.RootElement.GetProperty("versions").EnumerateArray()
+                    .Select(static entry => entry.GetProperty("snapshot").GetString())
+                    .ToArray();
+                Assert.Equal(new[] { "/api/api-snapshot.json", "/api/v1/api-snapshot.json" }, snapshots);
+            }
+            Assert.Matches("<select id=\"api-diff-from\"[^>]*>\\s*<option value=\"2\\.0\">[^<]*</option>\\s*<option value=\"1\\.0\" selected>", changesHtml);
+            Assert.DoesNotContain("<script>", Regex.Match(changesHtml, "<main[^>]*>(.*?)</main>", RegexOptions.Singleline).Groups[1].Value, StringComparison.Ordinal);
+        }
+        finally
+        {
+            if (Directory.Exists(root))
+                Directory.Delete(root, true);
+        }
+    }
+
+    private static string? GetCardAttribute(string html, string memberName, string attribute)
+    {
+        var card = Regex.Match(html, "<div class=\"member-card\"[^>]*data-member-name=\"" + Regex.Escape(memberName) + "\"[^>]*>");
+        Assert.True(card.Success, $"Expected a member card for {memberName}.");
+        var value = Regex.Match(card.Value, " " + Regex.Escape(attribute) + "=\"([^\"]*)\"");
+        return value.Success ? System.Web.HttpUtility.HtmlDecode(value.Groups[1].Value) : null;
+    }
+}
+
+/// <summary>Type used by API documentation version tests.</summary>
+public class WebApiDocsVersionFixture
+{
+    /// <summary>Runs the fixture.</summary>
+    public void Run()
+    {
+    }
+
+    /// <summary>Describes the fixture.</summary>
+    public string Describe() => nameof(WebApiDocsVersionFixture);
+}
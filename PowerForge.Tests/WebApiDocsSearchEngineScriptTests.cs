@@ -0,0 +1,50 @@
+namespace PowerForge.Tests;
+
+public sealed class WebApiDocsSearchEngineScriptTests
+{
+    [NodeFact]
+    public void SearchEngine_MatchesSuiteEntryLabelsAndKinds()
+    {
+        using var results = ApiDocsScriptHost.Run(
+            """
+            var index = self.PowerForgeApiSearch.createIndex([
+              { title: 'Alpha.ReportBuilder', displayName: 'ReportBuilder', kind: 'class', suiteEntryId: 'alpha', suiteEntryLabel: 'Alpha Toolkit' },
+              { title: 'Get-Report', displayName: 'Get-Report', kind: 'cmdlet', suiteEntryId: 'beta', suiteEntryLabel: 'Beta Module' }
+            ]);
+            var titles = function (query) { return index.search(query).map(function (result) { return result.item.title; }); };
+            console.log(JSON.stringify({ label: titles('toolkit'), id: titles('beta'), kind: titles('cmdlet'), name: titles('report') }));
+            """,
+            "search-engine.js");
+
+        string[] Titles(string name) => results.RootElement.GetProperty(name).EnumerateArray().Select(item => item.GetString() ?? string.Empty).ToArray();
+        Assert.Equal(new[] { "Alpha.ReportBuilder" }, Titles("label"));
+        Assert.Equal(new[] { "Get-Report" }, Titles("id"));
+        Assert.Equal(new[] { "Get-Report" }, Titles("kind"));
+        Assert.Equal(2, Titles("name").Length);
+    }
+
+    [NodeFact]
+    public void SearchEngine_CamelCaseMatchingStaysFastForLongNamesAndQueries()
+    {
+        using var results = ApiDocsScriptHost.Run(
+            """
+            var name = new Array(41).join('Aa') + 'Z';
+            var index = self.PowerForgeApiSearch.createIndex([
+              { title: name, displayName: name },
+              { title: 'WebApiDocsGenerator', displayName: 'WebApiDocsGenerator' }
+            ]);
+            var started = Date.now();
+            var miss = index.search(new Array(61).join('a') + 'q').length;
+            var elapsed = Date.now() - started;
+            var titles = function (query) { return index.search(query).map(function (result) { return result.item.title; }); };
+            console.log(JSON.stringify({ miss: miss, elapsed: elapsed, initials: titles('wad'), prefixes: titles('webapid') }));
+            """,
+            "search-engine.js");
+
+        var root = results.RootElement;
+        Assert.Equal(0, root.GetProperty("miss").GetInt32());
+        Assert.True(root.GetProperty("elapsed").GetInt32() < 2000, "Expected CamelCase backtracking to be memoized.");
+        Assert.Equal("WebApiDocsGenerator", Assert.Single(root.GetProperty("initials").EnumerateArray()).GetString());
+        Assert.Equal("WebApiDocsGenerator", Assert.Single(root.GetProperty("prefixes").EnumerateArray()).GetString());
+    }
+}
@@ -3,6 +3,7 @@ using System.Diagnostics;
 using System.IO;
 using System.Linq;
 using System.Text.Json;
+using PowerForge.Tests;
 using PowerForge.Web.Cli;
 using Xunit;
 
@@ -886,8 +887,16 @@ public class WebPipelineRunnerApiDocsPreflightTests
             var suiteSearchPath = Path.Combine(root, "_site", "projects", "api-suite-search.json");
             Assert.True(File.Exists(suiteSearchPath));
             using var suiteSearch = JsonDocument.Parse(File.ReadAllText(suiteSearchPath));
-            Assert.Equal(2, suiteSearch.RootElement.GetProperty("itemCount").GetInt32());
-            Assert.Equal(2, suiteSearch.RootElement.GetProperty("items").GetArrayLength());
+            Assert.Equal(4, suiteSearch.RootElement.GetProperty("itemCount").GetInt32());
+            Assert.Equal(4, suiteSearch.RootElement.GetProperty("items").GetArrayLength());
+            var parameterItem = suiteSearch.RootElement.GetProperty("items").EnumerateArray()
+                .First(item => item.GetProperty("entryKind").GetString() == "member" &&
+                               item.GetProperty("suiteEntryId").GetString() == "testimox");
+            Assert.Equal("parameter", parameterItem.GetProperty("kind").GetString());
+            Assert.Equal("Name", parameterItem.GetProperty("displayName").GetString());
+            Assert.Contains("#", parameterItem.GetProperty("url").GetString(), StringComparison.Ordinal);
+            Assert.Equal("Invoke-SampleFunction", parameterItem.GetProperty("command").GetString());
+            Assert.EndsWith("-param-name", parameterItem.GetProperty("anchor").GetString(), StringComparison.Ordinal);
             using var projectIndexJson = JsonDocument.Parse(File.ReadAllText(Path.Combine(root, "_site", "projects", "testimox", "api", "index.json")));
             Assert.Equal("../../api-suite-search.json", projectIndexJson.RootElement.GetProperty("suite").GetProperty("searchUrl").GetString());
             Assert.Equal("/projects/api-suite/", projectIndexJson.RootElement.GetProperty("suite").GetProperty("homeUrl").GetString());
@@ -1019,6 +1028,198 @@ public class WebPipelineRunnerApiDocsPreflightTests
         }
     }
 
+    [Fact]
+    public void RunPipeline_ProjectApiDocs_WritesShardedSuiteSearchManifest_WhenSuiteSearchShardsIsProject()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-pipeline-project-apidocs-suite-search-shards-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var sourcesRoot = Path.Combine(root, "projects-sources");
+            WriteProjectApiPowerShellSource(sourcesRoot, "testimox", "TestimoX.Module-help.xml", "TestimoX.Module.psd1", "TestimoX.Module.psm1");
+            WriteProjectApiPowerShellSource(sourcesRoot, "adplayground", "ADPlayground.Module-help.xml", "ADPlayground.Module.psd1", "ADPlayground.Module.psm1");
+
+            var catalogPath = Path.Combine(root, "catalog.json");
+            File.WriteAllText(catalogPath,
+                """
+                {
+                  "projects": [
+                    {
+                      "slug": "testimox",
+                      "name": "TestimoX",
+                      "hubPath": "/projects/testimox/",
+                      "surfaces": {
+                        "apiPowerShell": true
+                      }
+                    },
+                    {
+                      "slug": "adplayground",
+                      "name": "ADPlayground",
+                      "hubPath": "/projects/adplayground/",
+                      "surfaces": {
+                        "apiPowerShell": true
+                      }
+                    }
+                  ]
+                }
+                """);
+
+            var pipelinePath = Path.Combine(root, "pipeline.json");
+            File.WriteAllText(pipelinePath,
+                """
+                {
+                  "steps": [
+                    {
+                      "task": "project-apidocs",
+                      "catalog": "./catalog.json",
+                      "sourcesRoot": "./projects-sources",
+                      "outRoot": "./_site/projects",
+                      "template": "docs",
+                      "format": "json",
+                      "suiteTitle": "Project APIs",
+                      "suiteSearchShards": "project"
+                    }
+                  ]
+                }
+                """);
+
+            var result = WebPipelineRunner.RunPipeline(pipelinePath, logger: null);
+
+            Assert.True(result.Success);
+            Assert.True(result.Steps[0].Success);
+
+            var suiteSearchPath = Path.Combine(root, "_site", "projects", "api-suite-search.json");
+            using var suiteSearch = JsonDocument.Parse(File.ReadAllText(suiteSearchPath));
+            Assert.Equal("project", suiteSearch.RootElement.GetProperty("sharding").GetString());
+            Assert.False(suiteSearch.RootElement.TryGetProperty("items", out _));
+            Assert.Equal(4, suiteSearch.RootElement.GetProperty("itemCount").GetInt32());
+
+            var shards = suiteSearch.RootElement.GetProperty("shards").EnumerateArray().ToArray();
+            Assert.Equal(2, shards.Length);
+            var totalItems = 0;
+            foreach (var shard in shards)
+            {
+                var url = shard.GetProperty("url").GetString();
+                Assert.StartsWith("api-suite-search-shards/", url, StringComparison.Ordinal);
+                var shardPath = Path.Combine(root, "_site", "projects", url!.Replace('/', Path.DirectorySeparatorChar));
+                Assert.True(File.Exists(shardPath), $"Expected shard file {shardPath}");
+
+                using var shardDocument = JsonDocument.Parse(File.ReadAllText(shardPath));
+                var items = shardDocument.RootElement.GetProperty("items").EnumerateArray().ToArray();
+                Assert.Equal(shard.GetProperty("itemCount").GetInt32(), items.Length);
+                Assert.All(items, item => Assert.Equal(shard.GetProperty("suiteEntryId").GetString(), item.GetProperty("suiteEntryId").GetString()));
+                totalItems += items.Length;
+            }
+
+            Assert.Equal(4, totalItems);
+        }
+        finally
+        {
+            TryDeleteDirectory(root);
+        }
+    }
+
+    [NodeFact]
+    public void RunPipeline_ProjectApiDocs_ShardedSuiteSearchReturnsSameResultsAsUnsharded()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-pipeline-project-apidocs-suite-search-parity-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var sourcesRoot = Path.Combine(root, "projects-sources");
+            WriteProjectApiPowerShellSource(sourcesRoot, "testimox", "TestimoX.Module-help.xml", "TestimoX.Module.psd1", "TestimoX.Module.psm1", "Invoke-ModuleBuild");
+            WriteProjectApiPowerShellSource(sourcesRoot, "adplayground", "ADPlayground.Module-help.xml", "ADPlayground.Module.psd1", "ADPlayground.Module.psm1", "Get-ADReport");
+            File.WriteAllText(Path.Combine(root, "catalog.json"),
+                """
+                {
+                  "projects": [
+                    { "slug": "testimox", "name": "TestimoX", "hubPath": "/projects/testimox/", "surfaces": { "apiPowerShell": true } },
+                    { "slug": "adplayground", "name": "ADPlayground", "hubPath": "/projects/adplayground/", "surfaces": { "apiPowerShell": true } }
+                  ]
+                }
+                """);
+
+            foreach (var mode in new[] { "none", "prefix", "project" })
+            {
+                var pipelinePath = Path.Combine(root, $"pipeline-{mode}.json");
+                File.WriteAllText(pipelinePath,
+                    $$"""
+                    {
+                      "steps": [
+                        {
+                          "task": "project-apidocs",
+                          "catalog": "./catalog.json",
+                          "sourcesRoot": "./projects-sources",
+                          "outRoot": "./_site-{{mode}}/projects",
+                          "template": "docs",
+                          "format": "json",
+                          "suiteTitle": "Project APIs",
+                          "suiteSearchShards": "{{mode}}"
+                        }
+                      ]
+                    }
+                    """);
+
+                var result = WebPipelineRunner.RunPipeline(pipelinePath, logger: null);
+                Assert.True(result.Success, $"Expected the {mode} pipeline to succeed.");
+            }
+
+            // Each mode is served from its own host (http://prefix.test/projects/... -> _site-prefix/projects/...).
+            using var results = ApiDocsScriptHost.Run(
+                $$"""
+                var fs = require('fs');
+                var path = require('path');
+                var siteRoot = {{JsonSerializer.Serialize(root)}};
+                globalThis.fetch = function (url) {
+                  var parsed = new URL(url);
+                  var file = path.join(siteRoot, '_site-' + parsed.hostname.split('.')[0], decodeURIComponent(parsed.pathname));
+                  if (!fs.existsSync(file)) return Promise.resolve({ ok: false, status: 404, json: function () { return Promise.reject(new Error('missing')); } });
+                  return Promise.resolve({ ok: true, status: 200, json: function () { return Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8'))); } });
+                };
+                var queries = ['invoke', 'report', 'build', 'Invoke-ModuleBuild -Name', '-name', 'function', 'testimox', 'data'];
+                function run(mode) {
+                  var waiting = null;
+                  var found = {};
+                  var session = PowerForgeSuiteSearch.create('http://' + mode + '.test/projects/api-suite-search.json', function (items, state) {
+                    if (!waiting || !state.complete || state.query !== waiting.query) return;
+                    var settle = waiting.resolve;
+                    waiting = null;
+                    settle(items.map(function (item) { return item.title + ' [' + item.suiteEntryId + ']'; }));
+                  });
+                  return session.load().then(function () {
+                    return queries.reduce(function (chain, query) {
+                      return chain
+                        .then(function () {
+                          return new Promise(function (resolve) {
+                            waiting = { query: query, resolve: resolve };
+                            session.query(query, '', 50);
+                          });
+                        })
+                        .then(function (titles) { found[query] = titles; });
+                    }, Promise.resolve());
+                  }).then(function () { return found; });
+                }
+                Promise.all([run('none'), run('prefix'), run('project')]).then(function (found) {
+                  console.log(JSON.stringify({ none: found[0], prefix: found[1], project: found[2] }));
+                });
+                """,
+                "search-engine.js",
+                "suite-search.js");
+
+            var unsharded = results.RootElement.GetProperty("none");
+            Assert.Contains(unsharded.GetProperty("report").EnumerateArray(), title => title.GetString()!.StartsWith("Get-ADReport", StringComparison.Ordinal));
+            Assert.Contains(unsharded.GetProperty("-name").EnumerateArray(), title => title.GetString()!.StartsWith("Invoke-ModuleBuild -Name", StringComparison.Ordinal));
+            Assert.Equal(unsharded.GetRawText(), results.RootElement.GetProperty("prefix").GetRawText());
+            Assert.Equal(unsharded.GetRawText(), results.RootElement.GetProperty("project").GetRawText());
+        }
+        finally
+        {
+            TryDeleteDirectory(root);
+        }
+    }
+
     [Fact]
     public void RunPipeline_ProjectApiDocs_PreservesAbsoluteSuiteLandingUrl()
     {
@@ -1209,6 +1410,138 @@ public class WebPipelineRunnerApiDocsPreflightTests
         }
     }
 
+    [Fact]
+    public void RunPipeline_ProjectApiDocs_WritesSuiteCoverageDashboardAndPerProjectBreakdown()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-pipeline-project-apidocs-suite-dashboard-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var sourcesRoot = Path.Combine(root, "projects-sources");
+            WriteProjectApiPowerShellSource(
+                sourcesRoot,
+                "testimox",
+                "TestimoX.Module-help.xml",
+                "TestimoX.Module.psd1",
+                "TestimoX.Module.psm1",
+                "Invoke-TestimoXAction");
+            WriteProjectApiPowerShellSource(
+                sourcesRoot,
+                "adplayground",
+                "ADPlayground.Module-help.xml",
+                "ADPlayground.Module.psd1",
+                "ADPlayground.Module.psm1",
+                "Invoke-ADPlaygroundAction");
+
+            var manifestsRoot = Path.Combine(root, "manifests");
+            Directory.CreateDirectory(manifestsRoot);
+            File.WriteAllText(Path.Combine(manifestsRoot, "testimox-related.json"),
+                """
+                {
+                  "entries": [
+                    {
+                      "title": "TestimoX quick start",
+                      "url": "/projects/testimox/docs/quick-start/",
+                      "kind": "guide",
+                      "targets": [ "Invoke-TestimoXAction" ]
+                    }
+                  ]
+                }
+                """);
+
+            File.WriteAllText(Path.Combine(root, "catalog.json"),
+                """
+                {
+                  "projects": [
+                    {
+                      "slug": "testimox",
+                      "name": "TestimoX",
+                      "hubPath": "/projects/testimox/",
+                      "surfaces": { "apiPowerShell": true },
+                      "apiDocs": {
+                        "quickStartTypes": "Invoke-TestimoXAction",
+                        "relatedContentManifest": "./manifests/testimox-related.json"
+                      }
+                    },
+                    {
+                      "slug": "adplayground",
+                      "name": "ADPlayground",
+                      "hubPath": "/projects/adplayground/",
+                      "surfaces": { "apiPowerShell": true },
+                      "apiDocs": { "quickStartTypes": "Invoke-ADPlaygroundAction" }
+                    }
+                  ]
+                }
+                """);
+
+            var pipelinePath = Path.Combine(root, "pipeline.json");
+            File.WriteAllText(pipelinePath,
+                """
+                {
+                  "steps": [
+                    {
+                      "task": "project-apidocs",
+                      "catalog": "./catalog.json",
+                      "sourcesRoot": "./projects-sources",
+                      "outRoot": "./_site/projects",
+                      "template": "docs",
+                      "format": "json",
+                      "suiteCoverageDashboard": {
+                        "cards": [
+                          { "id": "missing-quick-starts", "label": "Missing Quick Starts", "metric": "types.quickStartRelatedContent", "format": "missing", "sort": "desc", "note": "Entry points without a guide." },
+                          { "label": "Commands", "metric": "powershell.commandCount", "format": "bogus" },
+                          { "label": "No metric" }
+                        ],
+                        "columns": [
+                          { "id": "commands-missing-examples", "label": "Commands missing examples", "metric": "powershell.codeExamples", "format": "missing" }
+                        ]
+                      }
+                    }
+                  ]
+                }
+                """);
+
+            var result = WebPipelineRunner.RunPipeline(pipelinePath, logger: null);
+
+            Assert.True(result.Success);
+            Assert.True(result.Steps[0].Success);
+
+            using var suiteCoverage = JsonDocument.Parse(File.ReadAllText(Path.Combine(root, "_site", "projects", "api-suite-coverage.json")));
+
+            var cards = suiteCoverage.RootElement.GetProperty("dashboard").GetProperty("cards");
+            Assert.Equal(2, cards.GetArrayLength());
+            Assert.Equal("missing-quick-starts", cards[0].GetProperty("id").GetString());
+            Assert.Equal("missing", cards[0].GetProperty("format").GetString());
+            Assert.Equal("desc", cards[0].GetProperty("sort").GetString());
+            Assert.Equal("Entry points without a guide.", cards[0].GetProperty("note").GetString());
+            Assert.Equal("powershell.commandCount", cards[1].GetProperty("id").GetString());
+            Assert.Equal("count", cards[1].GetProperty("format").GetString());
+            var column = Assert.Single(suiteCoverage.RootElement.GetProperty("dashboard").GetProperty("columns").EnumerateArray());
+            Assert.Equal("powershell.codeExamples", column.GetProperty("metric").GetString());
+
+            // Each project repeats the suite-level groups, so the dashboard metric paths resolve per project too.
+            var projects = suiteCoverage.RootElement.GetProperty("projects");
+            Assert.Equal("testimox", projects[0].GetProperty("id").GetString());
+            Assert.False(string.IsNullOrWhiteSpace(projects[0].GetProperty("href").GetString()));
+            var covered = projects[0].GetProperty("types").GetProperty("quickStartRelatedContent");
+            Assert.Equal(1, covered.GetProperty("covered").GetInt32());
+            Assert.Equal(1, covered.GetProperty("total").GetInt32());
+            var missing = projects[1].GetProperty("types").GetProperty("quickStartRelatedContent");
+            Assert.Equal(0, missing.GetProperty("covered").GetInt32());
+            Assert.Equal(1, missing.GetProperty("total").GetInt32());
+            Assert.Contains(
+                "Invoke-ADPlaygroundAction",
+                projects[1].GetProperty("types").GetProperty("quickStartMissingRelatedContent").GetProperty("types").EnumerateArray().Select(static item => item.GetString()));
+            Assert.Equal(1, projects[1].GetProperty("powershell").GetProperty("commandCount").GetInt32());
+            Assert.Equal(1, projects[1].GetProperty("powershell").GetProperty("codeExamples").GetProperty("total").GetInt32());
+        }
+        finally
+        {
+            TryDeleteDirectory(root);
+        }
+    }
+
     [Fact]
     public void RunPipeline_ProjectApiDocs_ReportsSuiteStarterRecommendationsWhenGuidanceIsMissing()
     {
@@ -0,0 +1,153 @@
+using System.Text.Json;
+using PowerForge.Web;
+
+namespace PowerForge.Tests;
+
+public class WebSearchTelemetryReporterTests
+{
+    [Fact]
+    public void Build_RanksZeroResultAndAbandonedQueries()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-search-telemetry-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var export = Path.Combine(root, "browser-export.json");
+            File.WriteAllText(export,
+                """
+                {
+                  "format": "powerforge-search-telemetry",
+                  "version": 1,
+                  "events": [
+                    { "type": "query", "surface": "api", "query": "New-Widget", "results": 0, "date": "2026-10-01" },
+                    { "type": "query", "surface": "site", "query": "new-widget ", "results": 0, "date": "2026-10-03" },
+                    { "type": "query", "surface": "api", "query": "report", "results": 4, "date": "2026-10-02" },
+                    { "type": "click", "surface": "api", "query": "report", "position": 2, "date": "2026-10-02" },
+                    { "type": "query", "surface": "api", "query": "export csv", "results": 3, "date": "2026-10-02" }
+                  ]
+                }
+                """);
+
+            var outputPath = Path.Combine(root, "report", "search-telemetry.json");
+            var options = new WebSearchTelemetryReportOptions
+            {
+                OutputPath = outputPath
+            };
+            options.Inputs.Add(root);
+
+            var result = WebSearchTelemetryReporter.Build(options);
+            Assert.Equal(1, result.SourceCount);
+            Assert.Equal(4, result.SearchCount);
+            Assert.Equal(2, result.ZeroResultSearchCount);
+            Assert.Equal(1, result.ClickCount);
+            Assert.Equal(3, result.DistinctQueryCount);
+
+            var zeroResult = Assert.Single(result.TopZeroResultQueries);
+            Assert.Equal("new-widget", zeroResult.Query);
+            Assert.Equal(2, zeroResult.ZeroResultSearches);
+            Assert.Equal(new[] { "api", "site" }, zeroResult.Surfaces);
+            Assert.Equal("2026-10-01", zeroResult.FirstSeen);
+            Assert.Equal("2026-10-03", zeroResult.LastSeen);
+
+            var abandoned = Assert.Single(result.TopAbandonedQueries);
+            Assert.Equal("export csv", abandoned.Query);
+            Assert.Equal(1, abandoned.AbandonedSearches);
+
+            using var doc = JsonDocument.Parse(File.ReadAllText(outputPath));
+            var top = doc.RootElement.GetProperty("topZeroResultQueries").EnumerateArray().Single();
+            Assert.Equal("new-widget", top.GetProperty("query").GetString());
+        }
+        finally
+        {
+            TryDelete(root);
+        }
+    }
+
+    [Fact]
+    public void Build_ReadsEndpointLogsAndFiltersBySurface()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-search-telemetry-ndjson-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var log = Path.Combine(root, "endpoint.ndjson");
+            File.WriteAllText(log, string.Join('\n',
+                """{"format":"powerforge-search-telemetry","version":1,"events":[{"type":"query","surface":"suite","query":"xref","results":0,"date":"2026-10-05"}]}""",
+                """{"format":"powerforge-search-telemetry","version":1,"events":[{"type":"query","surface":"api","query":"xref","results":0,"date":"2026-10-05"}]}""",
+                "not json",
+                ""));
+
+            var options = new WebSearchTelemetryReportOptions
+            {
+                Surface = "suite"
+            };
+            options.Inputs.Add(log);
+
+            var result = WebSearchTelemetryReporter.Build(options);
+            Assert.Null(result.OutputPath);
+            Assert.Equal(1, result.SearchCount);
+            var zeroResult = Assert.Single(result.TopZeroResultQueries);
+            Assert.Equal("xref", zeroResult.Query);
+            Assert.Equal(1, zeroResult.ZeroResultSearches);
+            Assert.Contains(result.Warnings, warning => warning.Contains("line 3", StringComparison.Ordinal));
+        }
+        finally
+        {
+            TryDelete(root);
+        }
+    }
+
+    [Fact]
+    public void Build_SkipsQueryEventsWithoutResultCounts()
+    {
+        var root = Path.Combine(Path.GetTempPath(), "pf-web-search-telemetry-malformed-" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(root);
+
+        try
+        {
+            var export = Path.Combine(root, "browser-export.json");
+            File.WriteAllText(export,
+                """
+                {
+                  "format": "powerforge-search-telemetry",
+                  "version": 1,
+                  "events": [
+                    { "type": "query", "surface": "api", "query": "widget", "date": "2026-10-01" },
+                    { "type": "query", "surface": "api", "query": "widget", "results": "many", "date": "2026-10-01" },
+                    { "type": "query", "surface": "api", "query": "report", "results": 0, "date": "2026-10-02" }
+                  ]
+                }
+                """);
+
+            var options = new WebSearchTelemetryReportOptions();
+            options.Inputs.Add(export);
+
+            var result = WebSearchTelemetryReporter.Build(options);
+            Assert.Equal(2, result.MalformedEventCount);
+            Assert.Equal(1, result.EventCount);
+            Assert.Equal(1, result.SearchCount);
+            Assert.Equal(1, result.ZeroResultSearchCount);
+            Assert.Equal(1, result.DistinctQueryCount);
+            Assert.Equal("report", Assert.Single(result.TopZeroResultQueries).Query);
+        }
+        finally
+        {
+            TryDelete(root);
+        }
+    }
+
+    private static void TryDelete(string path)
+    {
+        try
+        {
+            if (Directory.Exists(path))
+                Directory.Delete(path, true);
+        }
+        catch
+        {
+            // ignore cleanup failures in tests
+        }
+    }
+}
@@ -38,12 +38,18 @@ public class WebSiteLocalizationFeaturesTests
             var manifestPath = Path.Combine(result.OutputPath, "search", "manifest.json");
             var collectionSearchPath = Path.Combine(result.OutputPath, "search", "collections", "docs", "index.json");
             var searchSurfacePath = Path.Combine(result.OutputPath, "search", "index.html");
+            var telemetryScriptPath = Path.Combine(result.OutputPath, "search", "search-telemetry.js");
+            var engineScriptPath = Path.Combine(result.OutputPath, "search", "search-engine.js");
             Assert.True(File.Exists(allSearchPath));
             Assert.True(File.Exists(enSearchPath));
             Assert.True(File.Exists(plSearchPath));
             Assert.True(File.Exists(manifestPath));
             Assert.True(File.Exists(collectionSearchPath));
             Assert.True(File.Exists(searchSurfacePath));
+            Assert.Contains("PowerForgeSearchTelemetry", File.ReadAllText(telemetryScriptPath), StringComparison.Ordinal);
+            Assert.Contains("PowerForgeApiSearch", File.ReadAllText(engineScriptPath), StringComparison.Ordinal);
+            Assert.Contains("PowerForgeSuiteSearch", File.ReadAllText(Path.Combine(result.OutputPath, "search", "suite-search.js")), StringComparison.Ordinal);
+            Assert.Contains("PowerForgeCommandPalette", File.ReadAllText(Path.Combine(result.OutputPath, "search", "command-palette.js")), StringComparison.Ordinal);
 
             var allEntries = JsonDocument.Parse(File.ReadAllText(allSearchPath)).RootElement.EnumerateArray().ToArray();
             var enEntries = JsonDocument.Parse(File.ReadAllText(enSearchPath)).RootElement.EnumerateArray().ToArray();
@@ -29,6 +29,7 @@ namespace PowerForge.Web.Cli;
 [JsonSerializable(typeof(WebAgentReadinessCheck))]
 [JsonSerializable(typeof(WebApiDocsResult))]
 [JsonSerializable(typeof(WebXrefMergeResult))]
+[JsonSerializable(typeof(WebSearchTelemetryReportResult))]
 [JsonSerializable(typeof(WebChangelogResult))]
 [JsonSerializable(typeof(WebEcosystemStatsResult))]
 [JsonSerializable(typeof(WebReleaseHubResult))]
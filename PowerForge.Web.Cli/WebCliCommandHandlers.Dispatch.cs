@@ -57,6 +57,7 @@ collection: {{collection}}
             "agent-ready" => HandleAgentReady(subArgs, outputJson, logger, outputSchemaVersion),
             "agentready" => HandleAgentReady(subArgs, outputJson, logger, outputSchemaVersion),
             "xref-merge" => HandleXrefMerge(subArgs, outputJson, logger, outputSchemaVersion),
+            "search-telemetry" => HandleSearchTelemetry(subArgs, outputJson, logger, outputSchemaVersion),
             "server" => HandleServer(subArgs, outputJson, logger, outputSchemaVersion),
             "cloudflare" => HandleCloudflare(subArgs, outputJson, logger, outputSchemaVersion),
             "provider" => HandleProvider(subArgs, outputJson, logger, outputSchemaVersion),
@@ -35,8 +35,12 @@ internal static partial class WebCliCommandHandlers
         var docsTypeTemplate = TryGetOptionValue(subArgs, "--template-docs-type");
         var docsScript = TryGetOptionValue(subArgs, "--docs-script");
         var searchScript = TryGetOptionValue(subArgs, "--search-script");
+        var searchTelemetry = TryGetOptionValue(subArgs, "--search-telemetry");
+        var stateStorage = TryGetOptionValue(subArgs, "--state-storage");
+        var themeMode = TryGetOptionValue(subArgs, "--theme-mode");
         var docsHome = TryGetOptionValue(subArgs, "--docs-home") ?? TryGetOptionValue(subArgs, "--docs-home-url");
         var sidebarPosition = TryGetOptionValue(subArgs, "--sidebar") ?? TryGetOptionValue(subArgs, "--sidebar-position");
+        var sidebarVirtualizeThreshold = ParseIntOption(TryGetOptionValue(subArgs, "--sidebar-virtualize-threshold"), 1000);
         var bodyClass = TryGetOptionValue(subArgs, "--body-class") ?? TryGetOptionValue(subArgs, "--bodyClass");
         var legacyAliasMode = TryGetOptionValue(subArgs, "--legacy-alias-mode") ??
                               TryGetOptionValue(subArgs, "--legacyAliasMode") ??
@@ -79,6 +83,9 @@ internal static partial class WebCliCommandHandlers
         var suiteRelatedContentUrl = TryGetOptionValue(subArgs, "--suite-related-content-url") ?? TryGetOptionValue(subArgs, "--api-suite-related-content-url");
         var suiteNarrativeUrl = TryGetOptionValue(subArgs, "--suite-narrative-url") ?? TryGetOptionValue(subArgs, "--api-suite-narrative-url");
         var suiteEntryValues = GetOptionValues(subArgs, "--suite-entry");
+        var apiVersion = TryGetOptionValue(subArgs, "--api-version");
+        var versionEntryValues = GetOptionValues(subArgs, "--version-entry");
+        var versionSnapshotPaths = ReadOptionList(subArgs, "--version-snapshot", "--version-snapshots");
         var generatePowerShellFallbackExamples = !HasOption(subArgs, "--no-ps-fallback-examples");
         if (HasOption(subArgs, "--ps-fallback-examples-off"))
             generatePowerShellFallbackExamples = false;
@@ -176,8 +183,12 @@ internal static partial class WebCliCommandHandlers
             DocsTypeTemplatePath = docsTypeTemplate,
             DocsScriptPath = docsScript,
             SearchScriptPath = searchScript,
+            SearchTelemetry = searchTelemetry,
+            StateStorage = stateStorage,
+            ThemeMode = themeMode,
             DocsHomeUrl = docsHome,
             SidebarPosition = sidebarPosition,
+            SidebarVirtualizeThreshold = sidebarVirtualizeThreshold,
             BodyClass = bodyClass,
             LegacyAliasMode = legacyAliasMode,
             DisplayNameMode = displayNameMode,
@@ -206,12 +217,17 @@ internal static partial class WebCliCommandHandlers
             ApiSuiteCoverageUrl = suiteCoverageUrl,
             ApiSuiteRelatedContentUrl = suiteRelatedContentUrl,
             ApiSuiteNarrativeUrl = suiteNarrativeUrl,
+            ApiVersion = apiVersion,
             GenerateGitFreshness = generateGitFreshness,
             GitFreshnessNewDays = gitFreshnessNewDays,
             GitFreshnessUpdatedDays = gitFreshnessUpdatedDays
         };
         if (suiteEntryValues.Count > 0)
             options.ApiSuiteEntries.AddRange(ParseApiSuiteEntries(suiteEntryValues));
+        if (versionEntryValues.Count > 0)
+            options.ApiVersionEntries.AddRange(ParseApiVersionEntries(versionEntryValues));
+        if (versionSnapshotPaths.Count > 0)
+            options.ApiVersionSnapshotPaths.AddRange(versionSnapshotPaths);
         if (memberXrefKinds.Count > 0)
             options.MemberXrefKinds.AddRange(memberXrefKinds);
         if (relatedContentManifestPaths.Count > 0)
@@ -885,4 +901,75 @@ internal static partial class WebCliCommandHandlers
         }
         return 0;
     }
+
+    private static int HandleSearchTelemetry(string[] subArgs, bool outputJson, WebConsoleLogger logger, int outputSchemaVersion)
+    {
+        var outPath = TryGetOptionValue(subArgs, "--out") ??
+                      TryGetOptionValue(subArgs, "--out-path") ??
+                      TryGetOptionValue(subArgs, "--output-path");
+        var inputs = ReadOptionList(subArgs, "--input", "--inputs", "--source", "--sources");
+        var pattern = TryGetOptionValue(subArgs, "--pattern") ?? "*.json";
+        var recursive = !HasOption(subArgs, "--top-only");
+        var surface = TryGetOptionValue(subArgs, "--surface");
+        var top = ParseIntOption(TryGetOptionValue(subArgs, "--top"), 20);
+        var minSearches = ParseIntOption(
+            TryGetOptionValue(subArgs, "--min-searches") ??
+            TryGetOptionValue(subArgs, "--minSearches"),
+            1);
+
+        if (inputs.Count == 0)
+            return Fail("Missing required --input.", outputJson, logger, "web.search-telemetry");
+
+        var options = new WebSearchTelemetryReportOptions
+        {
+            OutputPath = outPath,
+            Pattern = string.IsNullOrWhiteSpace(pattern) ? "*.json" : pattern,
+            Recursive = recursive,
+            Surface = surface,
+            Top = top <= 0 ? 20 : top,
+            MinSearches = minSearches <= 0 ? 1 : minSearches
+        };
+        options.Inputs.AddRange(inputs);
+
+        var result = WebSearchTelemetryReporter.Build(options);
+        if (!outputJson && result.Warnings.Length > 0)
+        {
+            foreach (var warning in result.Warnings)
+                logger.Warn(warning);
+        }
+
+        if (outputJson)
+        {
+            WebCliJsonWriter.Write(new WebCliJsonEnvelope
+            {
+                SchemaVersion = outputSchemaVersion,
+                Command = "web.search-telemetry",
+                Success = true,
+                ExitCode = 0,
+                Result = WebCliJson.SerializeToElement(result, WebCliJson.Context.WebSearchTelemetryReportResult)
+            });
+            return 0;
+        }
+
+        logger.Success($"Search telemetry: {result.SearchCount} searches, {result.ZeroResultSearchCount} with no results, {result.ClickCount} clicks");
+        logger.Info($"Sources: {result.SourceCount}");
+        logger.Info($"Distinct queries: {result.DistinctQueryCount}");
+        if (result.MalformedEventCount > 0)
+            logger.Warn($"Skipped {result.MalformedEventCount} query events without a result count.");
+        if (result.TopZeroResultQueries.Length > 0)
+        {
+            logger.Info("Top zero-result queries:");
+            foreach (var stat in result.TopZeroResultQueries)
+                logger.Info($"  {stat.ZeroResultSearches,5}  {stat.Query}");
+        }
+        if (result.TopAbandonedQueries.Length > 0)
+        {
+            logger.Info("Top abandoned queries:");
+            foreach (var stat in result.TopAbandonedQueries)
+                logger.Info($"  {stat.AbandonedSearches,5}  {stat.Query}");
+        }
+        if (!string.IsNullOrWhiteSpace(result.OutputPath))
+            logger.Info($"Report: {result.OutputPath}");
+        return 0;
+    }
 }
@@ -106,12 +106,14 @@ internal static partial class WebCliHelpers
         Console.WriteLine("  powerforge-web apidocs --type powershell --help-path <file|dir> --out <dir> [--title <text>] [--base-url <url>] [--docs-home <url>] [--sidebar <left|right>] [--body-class <class>]");
         Console.WriteLine("                     [--template <name>] [--template-root <dir>] [--template-index <file>] [--template-type <file>]");
         Console.WriteLine("                     [--template-docs-index <file>] [--template-docs-type <file>] [--docs-script <file>] [--search-script <file>]");
+        Console.WriteLine("                     [--search-telemetry local|<endpoint-url>] [--state-storage local|off] [--theme-mode auto|light|dark] [--sidebar-virtualize-threshold <n>]");
         Console.WriteLine("                     [--format json|hybrid] [--css <href>] [--header-html <file>] [--footer-html <file>]");
         Console.WriteLine("                     [--legacy-alias-mode noindex|redirect|omit]");
         Console.WriteLine("                     [--coverage-report <file>] [--no-coverage-report]");
         Console.WriteLine("                     [--xref-map <file>] [--no-xref-map] [--no-member-xref] [--member-xref-kinds <list>] [--member-xref-max-per-type <n>]");
         Console.WriteLine("                     [--ps-examples <file|dir>] [--related-content-manifest <file>] [--related-content-manifests <list>] [--no-ps-fallback-examples] [--ps-fallback-limit <n>]");
         Console.WriteLine("                     [--suite-title <text>] [--suite-current-id <id>] [--suite-home-url <url>] [--suite-home-label <text>] [--suite-search-url <url>] [--suite-xref-map-url <url>] [--suite-coverage-url <url>] [--suite-entry <id|label|href|summary|order>]");
+        Console.WriteLine("                     [--api-version <label>] [--version-entry <version|href|label|order>] [--version-snapshot <file|dir>]");
         Console.WriteLine("                     [--validate-ps-examples] [--ps-example-validation-timeout <n>] [--fail-on-ps-example-validation]");
         Console.WriteLine("                     [--execute-ps-examples] [--ps-example-execution-timeout <n>] [--fail-on-ps-example-execution]");
         Console.WriteLine("                     [--git-freshness] [--git-freshness-new-days <n>] [--git-freshness-updated-days <n>]");
@@ -166,6 +168,8 @@ internal static partial class WebCliHelpers
         Console.WriteLine("  powerforge-web xref-merge --out <file> --map <file|dir[,file|dir...]> [--pattern *.json] [--top-only]");
         Console.WriteLine("                     [--prefer-last] [--fail-on-duplicates] [--max-references <n>] [--max-duplicates <n>]");
         Console.WriteLine("                     [--max-reference-growth-count <n>] [--max-reference-growth-percent <n>] [--fail-on-warnings]");
+        Console.WriteLine("  powerforge-web search-telemetry --input <file|dir[,file|dir...]> [--out <file>] [--top <n>] [--min-searches <n>]");
+        Console.WriteLine("                     [--surface api|suite|site] [--pattern *.json] [--top-only] [--output json]");
         PrintServerAndCloudflareUsage();
     }
 
@@ -394,6 +398,83 @@ internal static partial class WebCliHelpers
         };
     }
 
+    internal static List<WebApiDocsVersionEntry> ParseApiVersionEntries(IEnumerable<string> values)
+    {
+        var results = new List<WebApiDocsVersionEntry>();
+        foreach (var value in values ?? Array.Empty<string>())
+        {
+            if (string.IsNullOrWhiteSpace(value))
+                continue;
+
+            var trimmed = value.Trim();
+            if (trimmed.StartsWith("{", StringComparison.Ordinal) || trimmed.StartsWith("[", StringComparison.Ordinal))
+            {
+                using var document = JsonDocument.Parse(trimmed);
+                var root = document.RootElement;
+                if (root.ValueKind == JsonValueKind.Array)
+                {
+                    foreach (var item in root.EnumerateArray())
+                    {
+                        results.Add(ParseApiVersionEntryElement(item));
+                    }
+                }
+                else
+                {
+                    results.Add(ParseApiVersionEntryElement(root));
+                }
+
+                continue;
+            }
+
+            results.Add(ParseApiVersionEntryPipeSyntax(trimmed));
+        }
+
+        return results
+            .Where(static entry => !string.IsNullOrWhiteSpace(entry.Version) && !string.IsNullOrWhiteSpace(entry.Href))
+            .GroupBy(static entry => entry.Version, StringComparer.OrdinalIgnoreCase)
+            .Select(static group => group.First())
+            .ToList();
+    }
+
+    private static WebApiDocsVersionEntry ParseApiVersionEntryPipeSyntax(string value)
+    {
+        var parts = value.Split('|');
+        if (parts.Length < 2)
+        {
+            throw new InvalidOperationException(
+                $"Invalid --version-entry value '{value}'. Expected 'version|href|label|order' or a JSON object.");
+        }
+
+        int? order = null;
+        if (parts.Length >= 4 &&
+            int.TryParse(parts[3].Trim(), NumberStyles.Integer, CultureInfo.InvariantCulture, out var parsedOrder))
+        {
+            order = parsedOrder;
+        }
+
+        return new WebApiDocsVersionEntry
+        {
+            Version = parts[0].Trim(),
+            Href = parts[1].Trim(),
+            Label = parts.Length >= 3 && !string.IsNullOrWhiteSpace(parts[2]) ? parts[2].Trim() : null,
+            Order = order
+        };
+    }
+
+    private static WebApiDocsVersionEntry ParseApiVersionEntryElement(JsonElement element)
+    {
+        if (element.ValueKind != JsonValueKind.Object)
+            throw new InvalidOperationException("Version entry JSON values must be objects.");
+
+        return new WebApiDocsVersionEntry
+        {
+            Version = GetJsonString(element, "version") ?? GetJsonString(element, "id") ?? string.Empty,
+            Href = GetJsonString(element, "href") ?? GetJsonString(element, "url") ?? string.Empty,
+            Label = GetJsonString(element, "label") ?? GetJsonString(element, "name"),
+            Order = GetJsonInt(element, "order")
+        };
+    }
+
     private static string? GetJsonString(JsonElement element, string name)
     {
         foreach (var property in element.EnumerateObject())
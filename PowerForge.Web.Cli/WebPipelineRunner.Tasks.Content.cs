@@ -60,6 +60,9 @@ internal static partial class WebPipelineRunner
         var docsTypeTemplate = ResolvePath(baseDir, GetString(step, "templateDocsType") ?? GetString(step, "template-docs-type"));
         var docsScript = ResolvePath(baseDir, GetString(step, "docsScript") ?? GetString(step, "docs-script"));
         var searchScript = ResolvePath(baseDir, GetString(step, "searchScript") ?? GetString(step, "search-script"));
+        var searchTelemetry = GetString(step, "searchTelemetry") ?? GetString(step, "search-telemetry");
+        var stateStorage = GetString(step, "stateStorage") ?? GetString(step, "state-storage");
+        var themeMode = GetString(step, "themeMode") ?? GetString(step, "theme-mode");
         var docsHome = GetString(step, "docsHome") ?? GetString(step, "docsHomeUrl") ??
                        GetString(step, "docs-home") ?? GetString(step, "docs-home-url");
         var suiteTitle = GetApiSuiteString(step, "suiteTitle", "suite-title");
@@ -72,7 +75,16 @@ internal static partial class WebPipelineRunner
         var suiteRelatedContentUrl = GetApiSuiteString(step, "suiteRelatedContentUrl", "suite-related-content-url");
         var suiteNarrativeUrl = GetApiSuiteString(step, "suiteNarrativeUrl", "suite-narrative-url");
         var suiteEntries = GetApiSuiteEntries(step);
+        var apiVersion = GetString(step, "apiVersion") ?? GetString(step, "api-version");
+        var versionEntries = GetApiVersionEntries(step);
+        var versionSnapshotPaths = (GetArrayOfStrings(step, "versionSnapshots") ?? GetArrayOfStrings(step, "version-snapshots") ?? Array.Empty<string>())
+            .Append(GetString(step, "versionSnapshot") ?? GetString(step, "version-snapshot"))
+            .Select(path => ResolvePath(baseDir, path))
+            .Where(static path => !string.IsNullOrWhiteSpace(path))
+            .Cast<string>()
+            .ToArray();
         var sidebar = GetString(step, "sidebar") ?? GetString(step, "sidebarPosition") ?? GetString(step, "sidebar-position");
+        var sidebarVirtualizeThreshold = GetInt(step, "sidebarVirtualizeThreshold") ?? GetInt(step, "sidebar-virtualize-threshold") ?? 1000;
         var bodyClass = GetString(step, "bodyClass") ?? GetString(step, "body-class");
         var legacyAliasMode = GetString(step, "legacyAliasMode") ?? GetString(step, "legacy-alias-mode") ??
                               GetString(step, "legacyFlatAliasMode") ?? GetString(step, "legacy-flat-alias-mode");
@@ -344,6 +356,9 @@ internal static partial class WebPipelineRunner
                 DocsTypeTemplatePath = docsTypeTemplate,
                 DocsScriptPath = docsScript,
                 SearchScriptPath = searchScript,
+                SearchTelemetry = searchTelemetry,
+                StateStorage = stateStorage,
+                ThemeMode = themeMode,
                 DocsHomeUrl = docsHome,
                 ApiSuiteTitle = suiteTitle,
                 ApiSuiteCurrentId = suiteCurrentId,
@@ -354,7 +369,9 @@ internal static partial class WebPipelineRunner
                 ApiSuiteCoverageUrl = suiteCoverageUrl,
                 ApiSuiteRelatedContentUrl = suiteRelatedContentUrl,
                 ApiSuiteNarrativeUrl = suiteNarrativeUrl,
+                ApiVersion = apiVersion,
                 SidebarPosition = sidebar,
+                SidebarVirtualizeThreshold = sidebarVirtualizeThreshold,
                 BodyClass = bodyClass,
                 LegacyAliasMode = legacyAliasMode,
                 InjectPrismAssets = GetBool(step, "injectPrism") ?? GetBool(step, "inject-prism") ?? true,
@@ -402,6 +419,10 @@ internal static partial class WebPipelineRunner
             };
         if (suiteEntries.Length > 0)
             options.ApiSuiteEntries.AddRange(suiteEntries);
+        if (versionEntries.Length > 0)
+            options.ApiVersionEntries.AddRange(versionEntries);
+        if (versionSnapshotPaths.Length > 0)
+            options.ApiVersionSnapshotPaths.AddRange(versionSnapshotPaths);
         foreach (var relatedContentManifestPath in ResolveRelatedContentManifestPaths(baseDir, relatedContentManifest, relatedContentManifestArray))
             options.RelatedContentManifestPaths.Add(relatedContentManifestPath);
         if (TryGetObject(step, "templateTokens", out var templateTokens) ||
@@ -751,6 +772,41 @@ internal static partial class WebPipelineRunner
         }
     }
 
+    private static WebApiDocsVersionEntry[] GetApiVersionEntries(JsonElement source)
+    {
+        var entries = new List<WebApiDocsVersionEntry>();
+        AddApiVersionEntries(entries, GetArrayOfObjects(source, "versions"));
+        AddApiVersionEntries(entries, GetArrayOfObjects(source, "versionEntries"));
+        AddApiVersionEntries(entries, GetArrayOfObjects(source, "version-entries"));
+
+        return entries
+            .GroupBy(static entry => entry.Version, StringComparer.OrdinalIgnoreCase)
+            .Select(static group => group.First())
+            .ToArray();
+    }
+
+    private static void AddApiVersionEntries(List<WebApiDocsVersionEntry> entries, JsonElement[]? items)
+    {
+        if (items is not { Length: > 0 })
+            return;
+
+        foreach (var item in items)
+        {
+            if (item.ValueKind != JsonValueKind.Object)
+                continue;
+
+            var entry = new WebApiDocsVersionEntry
+            {
+                Version = GetString(item, "version") ?? GetString(item, "id") ?? string.Empty,
+                Label = GetString(item, "label") ?? GetString(item, "name"),
+                Href = GetString(item, "href") ?? GetString(item, "url") ?? string.Empty,
+                Order = GetInt(item, "order")
+            };
+            if (!string.IsNullOrWhiteSpace(entry.Version) && !string.IsNullOrWhiteSpace(entry.Href))
+                entries.Add(entry);
+        }
+    }
+
     private static ApiSuiteStepSpec? BuildApiSuiteSpec(JsonElement parentStep, JsonElement[] inputs)
     {
         if (inputs.Length <= 1)
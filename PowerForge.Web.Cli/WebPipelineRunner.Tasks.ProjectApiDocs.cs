@@ -105,6 +105,9 @@ internal static partial class WebPipelineRunner
             GetString(step, "suite-search-path"));
         if (string.IsNullOrWhiteSpace(suiteSearchPath))
             suiteSearchPath = Path.Combine(outRoot, "api-suite-search.json");
+        var suiteSearchShardMode = NormalizeProjectApiSuiteSearchShardMode(
+            GetString(step, "suiteSearchShards") ??
+            GetString(step, "suite-search-shards"));
         var suiteXrefMapPath = ResolvePath(baseDir,
             GetString(step, "suiteXrefMapPath") ??
             GetString(step, "suite-xref-map-path"));
@@ -135,6 +138,7 @@ internal static partial class WebPipelineRunner
         var suiteCoveragePreviewCount = GetInt(step, "suiteCoveragePreviewCount") ??
                                         GetInt(step, "suite-coverage-preview-count") ??
                                         5;
+        var suiteCoverageDashboard = GetProjectApiSuiteCoverageDashboard(step);
         var suiteNarrativeThresholds = GetProjectApiSuiteNarrativeThresholds(step);
         var suiteFailOnNarrative = GetBool(step, "suiteFailOnNarrative") ??
                                    GetBool(step, "suite-fail-on-narrative") ??
@@ -327,8 +331,10 @@ internal static partial class WebPipelineRunner
                 suiteNarrativeManifestPaths,
                 suiteManifestPath,
                 generateSuiteSearch ? suiteSearchPath : null,
+                suiteSearchShardMode,
                 generateSuiteXrefMap ? suiteXrefMapPath : null,
                 generateSuiteCoverageReport ? suiteCoveragePath : null,
+                suiteCoverageDashboard,
                 generateSuiteRelatedContent ? suiteRelatedContentPath : null,
                 suiteNarrativeManifestPaths.Length > 0 ? suiteNarrativePath : null,
                 logger);
@@ -907,6 +913,57 @@ internal static partial class WebPipelineRunner
         return new List<ApiDocsCoverageThreshold>();
     }
 
+    private static JsonObject? GetProjectApiSuiteCoverageDashboard(JsonElement step)
+    {
+        if (!TryGetObject(step, "suiteCoverageDashboard", out var dashboard) &&
+            !TryGetObject(step, "suite-coverage-dashboard", out dashboard))
+        {
+            return null;
+        }
+
+        var node = new JsonObject();
+        var cards = BuildProjectApiSuiteCoverageMetricNodes(GetArrayOfObjects(dashboard, "cards"), includeCardFields: true);
+        if (cards.Count > 0)
+            node["cards"] = cards;
+        var columns = BuildProjectApiSuiteCoverageMetricNodes(GetArrayOfObjects(dashboard, "columns"), includeCardFields: false);
+        if (columns.Count > 0)
+            node["columns"] = columns;
+        return node.Count == 0 ? null : node;
+    }
+
+    private static JsonArray BuildProjectApiSuiteCoverageMetricNodes(JsonElement[]? items, bool includeCardFields)
+    {
+        var nodes = new JsonArray();
+        foreach (var item in items ?? Array.Empty<JsonElement>())
+        {
+            var metric = NormalizeOptionalString(GetString(item, "metric"));
+            if (metric is null)
+                continue;
+
+            var format = NormalizeOptionalString(GetString(item, "format"))?.ToLowerInvariant();
+            var node = new JsonObject
+            {
+                ["id"] = NormalizeOptionalString(GetString(item, "id")) ?? metric,
+                ["label"] = NormalizeOptionalString(GetString(item, "label")) ?? metric,
+                ["metric"] = metric,
+                ["format"] = format is "percent" or "missing" ? format : "count"
+            };
+            if (includeCardFields)
+            {
+                var note = NormalizeOptionalString(GetString(item, "note"));
+                if (note is not null)
+                    node["note"] = note;
+                var sort = NormalizeOptionalString(GetString(item, "sort"))?.ToLowerInvariant();
+                if (sort is "asc" or "desc")
+                    node["sort"] = sort;
+            }
+
+            nodes.Add(node);
+        }
+
+        return nodes;
+    }
+
     private static ProjectApiSuiteNarrativeThresholds GetProjectApiSuiteNarrativeThresholds(JsonElement step)
     {
         if (TryGetObject(step, "suiteNarrative", out var suiteNarrative) ||
@@ -1217,6 +1274,9 @@ internal static partial class WebPipelineRunner
                 FooterHtmlPath = footerHtmlPath,
                 TemplateRootPath = ResolvePath(baseDir, GetString(step, "templateRoot") ?? GetString(step, "template-root")),
                 DocsScriptPath = ResolvePath(baseDir, GetString(step, "docsScript") ?? GetString(step, "docs-script")),
+                SearchTelemetry = GetString(step, "searchTelemetry") ?? GetString(step, "search-telemetry"),
+                StateStorage = GetString(step, "stateStorage") ?? GetString(step, "state-storage"),
+                ThemeMode = GetString(step, "themeMode") ?? GetString(step, "theme-mode"),
                 NavJsonPath = siteConfigPath,
                 SiteConfigPath = siteConfigPath,
                 SiteBaseUrl = siteBaseUrl,
@@ -1261,8 +1321,10 @@ internal static partial class WebPipelineRunner
         IReadOnlyList<string> suiteNarrativeManifestPaths,
         string suiteManifestPath,
         string? suiteSearchPath,
+        string suiteSearchShardMode,
         string? suiteXrefMapPath,
         string? suiteCoveragePath,
+        JsonObject? suiteCoverageDashboard,
         string? suiteRelatedContentPath,
         string? suiteNarrativePath,
         WebConsoleLogger? logger)
@@ -1274,7 +1336,7 @@ internal static partial class WebPipelineRunner
 
         if (!string.IsNullOrWhiteSpace(suiteSearchPath))
         {
-            artifacts.SearchOutputPath = WriteProjectApiSuiteSearch(preparedInputs, suiteTitle, suiteHomeUrl, suiteHomeLabel, suiteEntries, suiteSearchPath, logger);
+            artifacts.SearchOutputPath = WriteProjectApiSuiteSearch(preparedInputs, suiteTitle, suiteHomeUrl, suiteHomeLabel, suiteEntries, suiteSearchPath, suiteSearchShardMode, logger);
             artifacts.SearchPath = artifacts.SearchOutputPath;
         }
 
@@ -1286,7 +1348,7 @@ internal static partial class WebPipelineRunner
 
         if (!string.IsNullOrWhiteSpace(suiteCoveragePath))
         {
-            artifacts.CoverageOutputPath = WriteProjectApiSuiteCoverage(preparedInputs, suiteTitle, suiteHomeUrl, suiteHomeLabel, suiteEntries, suiteCoveragePath, logger);
+            artifacts.CoverageOutputPath = WriteProjectApiSuiteCoverage(preparedInputs, suiteTitle, suiteHomeUrl, suiteHomeLabel, suiteEntries, suiteCoveragePath, suiteCoverageDashboard, logger);
             artifacts.CoveragePath = artifacts.CoverageOutputPath;
         }
 
@@ -1327,6 +1389,7 @@ internal static partial class WebPipelineRunner
         string? suiteHomeLabel,
         IReadOnlyList<WebApiDocsSuiteEntry> suiteEntries,
         string suiteSearchPath,
+        string suiteSearchShardMode,
         WebConsoleLogger? logger)
     {
         var items = new List<JsonObject>();
@@ -1364,6 +1427,11 @@ internal static partial class WebPipelineRunner
             .ThenBy(static item => item["displayName"]?.ToString() ?? item["title"]?.ToString(), StringComparer.OrdinalIgnoreCase)
             .ToArray();
 
+        // Shards from an earlier build go first, so an empty or unsharded run never leaves them behind.
+        var shardDirectory = GetProjectApiSuiteSearchShardDirectory(suiteSearchPath);
+        if (Directory.Exists(shardDirectory))
+            Directory.Delete(shardDirectory, recursive: true);
+
         if (deduped.Length == 0)
             return null;
 
@@ -1371,9 +1439,17 @@ internal static partial class WebPipelineRunner
         {
             ["generatedAtUtc"] = DateTime.UtcNow.ToString("O"),
             ["suite"] = BuildProjectApiSuiteMetadataNode(suiteTitle, suiteHomeUrl, suiteHomeLabel, suiteEntries),
-            ["itemCount"] = deduped.Length,
-            ["items"] = new JsonArray(deduped.Cast<JsonNode?>().ToArray())
+            ["itemCount"] = deduped.Length
         };
+        if (suiteSearchShardMode == "none")
+        {
+            payload["items"] = new JsonArray(deduped.Cast<JsonNode?>().ToArray());
+        }
+        else
+        {
+            payload["sharding"] = suiteSearchShardMode;
+            payload["shards"] = WriteProjectApiSuiteSearchShards(deduped, suiteSearchShardMode, shardDirectory);
+        }
 
         EnsureParentDirectory(suiteSearchPath);
         File.WriteAllText(
@@ -1382,6 +1458,96 @@ internal static partial class WebPipelineRunner
         return suiteSearchPath;
     }
 
+    private static string NormalizeProjectApiSuiteSearchShardMode(string? value)
+    {
+        var normalized = value?.Trim().ToLowerInvariant();
+        return normalized switch
+        {
+            "project" or "projects" or "suite-entry" => "project",
+            "prefix" or "letter" or "alpha" => "prefix",
+            _ => "none"
+        };
+    }
+
+    private static string GetProjectApiSuiteSearchShardDirectory(string suiteSearchPath)
+    {
+        var directory = Path.GetDirectoryName(Path.GetFullPath(suiteSearchPath)) ?? string.Empty;
+        return Path.Combine(directory, Path.GetFileNameWithoutExtension(suiteSearchPath) + "-shards");
+    }
+
+    private static JsonArray WriteProjectApiSuiteSearchShards(
+        IReadOnlyList<JsonObject> items,
+        string shardMode,
+        string shardDirectory)
+    {
+        var groups = items
+            .GroupBy(
+                item => shardMode == "project"
+                    ? item["suiteEntryId"]?.ToString() ?? string.Empty
+                    : GetProjectApiSuiteSearchPrefix(item),
+                StringComparer.OrdinalIgnoreCase)
+            .OrderBy(static group => group.Key, StringComparer.OrdinalIgnoreCase)
+            .ToArray();
+
+        Directory.CreateDirectory(shardDirectory);
+        var shardUrlRoot = Path.GetFileName(shardDirectory);
+        var usedIds = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var shards = new JsonArray();
+        foreach (var group in groups)
+        {
+            var baseId = WebCliHelpers.Slugify(group.Key);
+            if (string.IsNullOrWhiteSpace(baseId))
+                baseId = "_";
+            var id = baseId;
+            for (var suffix = 2; !usedIds.Add(id); suffix++)
+                id = baseId + "-" + suffix.ToString(CultureInfo.InvariantCulture);
+
+            var shardItems = group.ToArray();
+            var shardPayload = new JsonObject
+            {
+                ["shard"] = id,
+                ["itemCount"] = shardItems.Length,
+                ["items"] = new JsonArray(shardItems.Cast<JsonNode?>().ToArray())
+            };
+            File.WriteAllText(
+                Path.Combine(shardDirectory, id + ".json"),
+                JsonSerializer.Serialize(shardPayload, new JsonSerializerOptions { WriteIndented = true }));
+
+            var shard = new JsonObject
+            {
+                ["id"] = id,
+                ["url"] = shardUrlRoot + "/" + id + ".json",
+                ["itemCount"] = shardItems.Length
+            };
+            if (shardMode == "project")
+            {
+                shard["suiteEntryId"] = group.Key;
+                shard["suiteEntryLabel"] = shardItems[0]["suiteEntryLabel"]?.ToString();
+            }
+            else
+            {
+                shard["prefix"] = group.Key;
+            }
+            shards.Add(shard);
+        }
+
+        return shards;
+    }
+
+    private static string GetProjectApiSuiteSearchPrefix(JsonObject item)
+    {
+        var name = item["displayName"]?.ToString();
+        if (string.IsNullOrWhiteSpace(name))
+            name = item["title"]?.ToString();
+        if (string.IsNullOrWhiteSpace(name))
+            return "_";
+
+        var first = char.ToLowerInvariant(name.Trim()[0]);
+        return first is >= 'a' and <= 'z' or >= '0' and <= '9'
+            ? first.ToString()
+            : "_";
+    }
+
     private static string? WriteProjectApiSuiteXref(
         IReadOnlyList<ProjectApiDocsPreparedInput> preparedInputs,
         string suiteXrefMapPath,
@@ -1415,6 +1581,7 @@ internal static partial class WebPipelineRunner
         string? suiteHomeLabel,
         IReadOnlyList<WebApiDocsSuiteEntry> suiteEntries,
         string suiteCoveragePath,
+        JsonObject? dashboard,
         WebConsoleLogger? logger)
     {
         var coverageDocuments = new List<(ProjectApiDocsPreparedInput Prepared, JsonDocument Document)>();
@@ -1446,6 +1613,8 @@ internal static partial class WebPipelineRunner
                 ["source"] = BuildAggregatedSourceCoverageGroup(coverageDocuments.Select(static item => item.Document.RootElement).ToArray()),
                 ["powershell"] = BuildAggregatedPowerShellCoverageGroup(coverageDocuments.Select(static item => item.Document.RootElement).ToArray())
             };
+            if (dashboard is not null)
+                payload["dashboard"] = dashboard.DeepClone();
 
             EnsureParentDirectory(suiteCoveragePath);
             File.WriteAllText(
@@ -1925,9 +2094,20 @@ internal static partial class WebPipelineRunner
             ["id"] = prepared.SuiteEntry.Id,
             ["label"] = prepared.SuiteEntry.Label,
             ["coveragePath"] = BuildSuiteArtifactRelativePath(suiteCoveragePath, projectCoveragePath),
+            ["href"] = prepared.SuiteEntry.Href,
             ["typeCount"] = ReadIntByPath(root, "types.count"),
             ["memberCount"] = ReadIntByPath(root, "members.count"),
-            ["commandCount"] = ReadIntByPath(root, "powershell.commandCount")
+            ["commandCount"] = ReadIntByPath(root, "powershell.commandCount"),
+            // Same shape as the suite-level groups, so one dashboard metric path reads both the total and each project row.
+            ["types"] = BuildAggregatedCoverageGroup(new[] { root }, "types"),
+            ["members"] = BuildAggregatedMemberCoverageGroup(new[] { root }),
+            ["powershell"] = new JsonObject
+            {
+                ["commandCount"] = ReadIntByPath(root, "powershell.commandCount"),
+                ["summary"] = BuildMergedCoveragePercent(new[] { root }, "powershell.summary"),
+                ["codeExamples"] = BuildMergedCoveragePercent(new[] { root }, "powershell.codeExamples"),
+                ["commandsMissingCodeExamples"] = BuildJsonArray(MergeStringListByPath(new[] { root }, 100, "powershell.commandsMissingCodeExamples"))
+            }
         };
     }
 
@@ -0,0 +1,368 @@
+(function installPowerForgeCommandPalette(root) {
+  'use strict';
+
+  var perGroupLimit = 6;
+  var instance = null;
+
+  function normalize(value) {
+    return String(value === null || value === undefined ? '' : value).toLowerCase();
+  }
+
+  function escapeHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatCount(value) {
+    var n = parseInt(value, 10);
+    return Number.isFinite(n) ? n.toLocaleString() : '0';
+  }
+
+  // Escapes every segment before wrapping matches in <mark>, so index text never reaches innerHTML raw.
+  function highlightHtml(text, query) {
+    var engine = root.PowerForgeApiSearch;
+    if (!engine || typeof engine.highlight !== 'function') return escapeHtml(text);
+    return engine.highlight(text || '', query, {}).map(function (segment) {
+      return segment.match ? '<mark>' + escapeHtml(segment.text) + '</mark>' : escapeHtml(segment.text);
+    }).join('');
+  }
+
+  function readItems(payload) {
+    return Array.isArray(payload) ? payload : (payload && Array.isArray(payload.items) ? payload.items : []);
+  }
+
+  function readSetting(name, metaName) {
+    var config = root.PowerForgeCommandPaletteConfig;
+    if (config && typeof config[name] === 'string') return config[name].trim();
+    var meta = root.document ? root.document.querySelector('meta[name="' + metaName + '"]') : null;
+    return meta ? String(meta.getAttribute('content') || '').trim() : null;
+  }
+
+  // Sources every page can search: the site index (window.PowerForgeCommandPaletteConfig.siteSearchUrl or
+  // <meta name="pf-site-search-url">, default /search/index.json, "off" disables it) and an optional suite index
+  // (suiteSearchUrl or <meta name="pf-suite-search-url">), so sites served under a subpath can point at their own files.
+  function configuredSources() {
+    var sources = [];
+    var suiteUrl = readSetting('suiteSearchUrl', 'pf-suite-search-url');
+    if (suiteUrl && suiteUrl !== 'off') sources.push({ id: 'suite', label: 'API suite', url: suiteUrl, suite: true });
+    var siteUrl = readSetting('siteSearchUrl', 'pf-site-search-url');
+    if (siteUrl === null || siteUrl === '') siteUrl = '/search/index.json';
+    if (siteUrl !== 'off') sources.push({ id: 'site', label: 'Site', url: siteUrl });
+    return sources;
+  }
+
+  // Searches every source for the palette without touching the DOM. Suite sources go through PowerForgeSuiteSearch,
+  // so only the shards a query needs are fetched; onChange fires whenever a source loads or suite results arrive.
+  function createSearch(sourceList, onChange) {
+    var suiteSearch = root.PowerForgeSuiteSearch;
+    var query = '';
+    var loadStarted = false;
+    var sources = (sourceList || []).map(function (source) {
+      return { id: source.id, label: source.label, url: source.url, apiBase: source.apiBase || '', suite: !!source.suite, status: 'idle' };
+    });
+    var notify = typeof onChange === 'function' ? onChange : function () {};
+
+    function prepare(source, item) {
+      var isSite = source.id === 'site';
+      return {
+        title: item.title || '',
+        displayName: item.displayName || '',
+        aliases: item.aliases,
+        command: item.command || '',
+        parameterSets: item.parameterSets,
+        summary: item.summary || item.description || item.snippet || '',
+        kind: item.kind || item.collection || '',
+        namespace: item.namespace || '',
+        signature: item.signature || '',
+        label: item.suiteEntryLabel || item.collection || item.kind || '',
+        text: isSite || !suiteSearch ? (item.displayName || item.title || '') : suiteSearch.itemLabel(item),
+        href: isSite || !suiteSearch ? (item.url || '#') : suiteSearch.itemHref(item, source.apiBase)
+      };
+    }
+
+    function runSuite(source) {
+      if (source.status === 'ready' && query) source.session.query(query, '', perGroupLimit * 2);
+    }
+
+    function loadSource(source) {
+      source.status = 'loading';
+      if (source.suite && suiteSearch) {
+        source.session = suiteSearch.create(source.url, function (items, state) {
+          source.results = {
+            query: state.query,
+            complete: state.complete,
+            items: items.filter(Boolean).map(function (item) { return prepare(source, item); })
+          };
+          notify();
+        });
+        source.session.load()
+          .then(function () {
+            source.status = 'ready';
+            runSuite(source);
+          }, function () {
+            source.status = 'failed';
+          })
+          .then(notify);
+        return;
+      }
+
+      root.fetch(source.url)
+        .then(function (response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(function (payload) {
+          source.items = readItems(payload).filter(Boolean).map(function (item) { return prepare(source, item); });
+          source.index = root.PowerForgeApiSearch ? root.PowerForgeApiSearch.createIndex(source.items) : null;
+          source.status = 'ready';
+        })
+        .catch(function () {
+          source.items = [];
+          source.status = 'failed';
+        })
+        .then(notify);
+    }
+
+    function searchSource(source) {
+      if (source.session) {
+        return source.results && source.results.query === query ? source.results.items : [];
+      }
+      if (!source.items || !source.items.length) return [];
+      if (source.index) {
+        return source.index.search(query, { limit: perGroupLimit * 2 }).map(function (result) { return result.item; });
+      }
+      var q = normalize(query);
+      return source.items.filter(function (item) {
+        return normalize([item.title, item.displayName, item.summary, item.namespace].join(' ')).indexOf(q) !== -1;
+      });
+    }
+
+    function isPending(source) {
+      if (source.status === 'loading') return true;
+      if (!source.session || source.status !== 'ready' || !query) return false;
+      return !source.results || source.results.query !== query || !source.results.complete;
+    }
+
+    // Groups follow source order; a result already listed by an earlier source (same href) is skipped.
+    function groups() {
+      var seen = {};
+      var list = [];
+      var total = 0;
+      sources.forEach(function (source) {
+        if (!query) return;
+        var items = searchSource(source).filter(function (item) {
+          if (seen[item.href]) return false;
+          seen[item.href] = true;
+          return true;
+        }).slice(0, perGroupLimit);
+        if (!items.length) return;
+        total += items.length;
+        list.push({ id: source.id, label: source.label, items: items });
+      });
+      return {
+        query: query,
+        groups: list,
+        total: total,
+        pending: sources.filter(isPending).length
+      };
+    }
+
+    return {
+      load: function () {
+        if (loadStarted) return;
+        loadStarted = true;
+        sources.forEach(loadSource);
+      },
+      search: function (text) {
+        query = String(text || '').trim();
+        sources.forEach(function (source) {
+          if (source.session) runSuite(source);
+        });
+        return groups();
+      },
+      groups: groups
+    };
+  }
+
+  // Builds the palette dialog. API docs pages pass their own sources and let docs.js bind the shortcut;
+  // other pages get Ctrl+K / Cmd+K from options.shortcut. Configured site and suite sources are always appended.
+  function create(options) {
+    if (instance) return instance;
+    var settings = options || {};
+    var document = root.document;
+    var sources = (settings.sources || []).slice();
+    configuredSources().forEach(function (source) {
+      if (!sources.some(function (existing) { return existing.id === source.id; })) sources.push(source);
+    });
+
+    var container = document.createElement('div');
+    container.className = 'api-palette';
+    container.hidden = true;
+    container.innerHTML =
+      '<div class="api-palette-backdrop"></div>' +
+      '<div class="api-palette-dialog" role="dialog" aria-modal="true" aria-label="Search documentation">' +
+        '<input class="api-palette-input" type="text" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="api-palette-list" autocomplete="off" spellcheck="false" placeholder="Search APIs and docs..." />' +
+        '<div class="api-palette-status" aria-live="polite"></div>' +
+        '<div class="api-palette-list" id="api-palette-list" role="listbox" aria-label="Search results"></div>' +
+        '<div class="api-palette-hint"><kbd>&uarr;</kbd><kbd>&darr;</kbd> to navigate <kbd>Enter</kbd> to open <kbd>Esc</kbd> to close</div>' +
+      '</div>';
+    document.body.appendChild(container);
+
+    var input = container.querySelector('.api-palette-input');
+    var list = container.querySelector('.api-palette-list');
+    var status = container.querySelector('.api-palette-status');
+    var search = createSearch(sources, function () {
+      if (!container.hidden) renderPalette(search.groups());
+    });
+    var optionElements = [];
+    var activeIndex = -1;
+    var returnFocus = null;
+
+    function setActive(index) {
+      if (!optionElements.length) {
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        return;
+      }
+      activeIndex = (index + optionElements.length) % optionElements.length;
+      optionElements.forEach(function (option, i) {
+        var selected = i === activeIndex;
+        option.classList.toggle('active', selected);
+        option.setAttribute('aria-selected', selected ? 'true' : 'false');
+      });
+      input.setAttribute('aria-activedescendant', optionElements[activeIndex].id);
+      optionElements[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function renderPalette(view) {
+      var query = view.query;
+      var optionIndex = 0;
+      list.innerHTML = view.groups.map(function (group, groupIndex) {
+        return '<div class="api-palette-group" role="group" aria-labelledby="api-palette-group-' + groupIndex + '">' +
+          '<div class="api-palette-group-label" id="api-palette-group-' + groupIndex + '" role="presentation">' + escapeHtml(group.label) + '</div>' +
+          group.items.map(function (item) {
+            return '<a class="api-palette-option" id="api-palette-option-' + (optionIndex++) + '" role="option" aria-selected="false" tabindex="-1" href="' + escapeHtml(item.href) + '">' +
+              '<strong>' + highlightHtml(item.text, query) + '</strong>' +
+              (item.label ? '<em>' + escapeHtml(item.label) + '</em>' : '') +
+              (item.signature ? '<code>' + highlightHtml(item.signature, query) + '</code>' : '') +
+              (item.summary ? '<span>' + escapeHtml(item.summary) + '</span>' : '') +
+              '</a>';
+          }).join('') +
+          '</div>';
+      }).join('');
+      optionElements = Array.prototype.slice.call(list.querySelectorAll('.api-palette-option'));
+      input.setAttribute('aria-expanded', optionElements.length ? 'true' : 'false');
+      setActive(0);
+
+      if (!query) {
+        status.textContent = view.pending ? 'Loading search indexes...' : 'Type to search across APIs and docs.';
+      } else if (!view.total) {
+        status.textContent = view.pending ? 'Searching...' : 'No results for "' + query + '".';
+      } else {
+        status.textContent = formatCount(view.total) + ' result' + (view.total === 1 ? '' : 's') + (view.pending ? ', loading more...' : '.');
+      }
+    }
+
+    function openPalette() {
+      if (!container.hidden) {
+        input.focus();
+        input.select();
+        return;
+      }
+      returnFocus = document.activeElement;
+      container.hidden = false;
+      document.body.classList.add('api-palette-open');
+      search.load();
+      renderPalette(search.search(input.value));
+      input.focus();
+      input.select();
+    }
+
+    function closePalette() {
+      if (container.hidden) return;
+      container.hidden = true;
+      document.body.classList.remove('api-palette-open');
+      input.setAttribute('aria-expanded', 'false');
+      if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+      returnFocus = null;
+    }
+
+    input.addEventListener('input', function () {
+      renderPalette(search.search(input.value));
+    });
+    input.addEventListener('keydown', function (event) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        setActive(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+        return;
+      }
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        if (activeIndex >= 0 && optionElements[activeIndex]) root.location.href = optionElements[activeIndex].href;
+        return;
+      }
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        closePalette();
+        return;
+      }
+      if (event.key === 'Tab') {
+        event.preventDefault();
+      }
+    });
+
+    list.addEventListener('mousemove', function (event) {
+      var option = event.target.closest('.api-palette-option');
+      if (!option) return;
+      var index = optionElements.indexOf(option);
+      if (index >= 0 && index !== activeIndex) setActive(index);
+    });
+    list.addEventListener('click', function (event) {
+      if (event.target.closest('.api-palette-option')) closePalette();
+    });
+    container.querySelector('.api-palette-backdrop').addEventListener('click', closePalette);
+
+    if (settings.shortcut) {
+      document.addEventListener('keydown', function (event) {
+        if (event.defaultPrevented || event.isComposing || event.altKey) return;
+        if ((event.ctrlKey || event.metaKey) && normalize(event.key) === 'k') {
+          event.preventDefault();
+          openPalette();
+        }
+      });
+    }
+
+    instance = { open: openPalette, close: closePalette };
+    return instance;
+  }
+
+  // Pages outside the API docs opt in with a [data-pf-command-palette] trigger (shown once the palette is ready).
+  function autoInit() {
+    var triggers = root.document.querySelectorAll('[data-pf-command-palette]');
+    if (!triggers.length) return;
+    var palette = instance || create({ shortcut: true });
+    Array.prototype.forEach.call(triggers, function (trigger) {
+      trigger.hidden = false;
+      trigger.addEventListener('click', function (event) {
+        event.preventDefault();
+        palette.open();
+      });
+    });
+  }
+
+  root.PowerForgeCommandPalette = {
+    create: create,
+    createSearch: createSearch,
+    configuredSources: configuredSources
+  };
+
+  if (root.document && typeof root.document.querySelectorAll === 'function') {
+    if (root.document.readyState === 'loading') root.document.addEventListener('DOMContentLoaded', autoInit);
+    else autoInit();
+  }
+})(typeof self !== 'undefined' ? self : this);
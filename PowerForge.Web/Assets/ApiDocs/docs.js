@@ -12,30 +12,50 @@
   var expandAllBtn = document.querySelector('.sidebar-expand-all');
   var collapseAllBtn = document.querySelector('.sidebar-collapse-all');
   var resetButton = document.querySelector('.sidebar-reset');
-  var memberFilter = document.querySelector('#api-member-filter');
-  var memberKindButtons = Array.prototype.slice.call(document.querySelectorAll('.member-kind'));
-  var inheritedToggle = document.querySelector('#api-show-inherited');
-  var memberExpandAll = document.querySelector('.member-expand-all');
-  var memberCollapseAll = document.querySelector('.member-collapse-all');
-  var memberReset = document.querySelector('.member-reset');
-  var tocToggle = document.querySelector('.type-toc-toggle');
-  var memberSectionToggles = Array.prototype.slice.call(document.querySelectorAll('.member-section-toggle'));
-  var overviewGroupToggles = Array.prototype.slice.call(document.querySelectorAll('[data-overview-group-toggle]'));
-  var suiteSearchRoot = document.querySelector('.api-suite-search[data-suite-search-url]');
-  var suiteSearchInput = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-input') : null;
-  var suiteSearchResults = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-results') : null;
-  var suiteSearchStatus = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-status') : null;
-  var suiteSearchFilterButtons = suiteSearchRoot ? Array.prototype.slice.call(suiteSearchRoot.querySelectorAll('.api-suite-search-filter')) : [];
-  var suiteCoverageRoot = document.querySelector('.api-suite-coverage-summary[data-suite-coverage-url]');
-  var suiteCoverageGrid = suiteCoverageRoot ? suiteCoverageRoot.querySelector('.api-suite-coverage-grid') : null;
-  var suiteCoverageStatus = suiteCoverageRoot ? suiteCoverageRoot.querySelector('.api-suite-coverage-status') : null;
-  var suiteNarrativeRoot = document.querySelector('.api-suite-narrative[data-suite-narrative-url]');
-  var suiteNarrativeSummary = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-summary') : null;
-  var suiteNarrativeSections = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-sections') : null;
-  var suiteNarrativeStatus = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-status') : null;
-  var suiteRelatedContentRoot = document.querySelector('.api-suite-related-content[data-suite-related-content-url]');
-  var suiteRelatedContentList = suiteRelatedContentRoot ? suiteRelatedContentRoot.querySelector('.api-suite-related-content-list') : null;
-  var suiteRelatedContentStatus = suiteRelatedContentRoot ? suiteRelatedContentRoot.querySelector('.api-suite-related-content-status') : null;
+  // Elements inside <main class="api-content">; in-place navigation swaps that region and re-queries them.
+  var memberFilter, memberKindButtons, inheritedToggle, memberExpandAll, memberCollapseAll, memberReset;
+  var memberTraitButtons, memberAccessSelect, memberReturnsInput, memberVersionSelect;
+  var tocToggle, memberSectionToggles, overviewGroupToggles;
+  var suiteSearchRoot, suiteSearchInput, suiteSearchResults, suiteSearchStatus, suiteSearchFilterButtons;
+  var suiteCoverageRoot, suiteCoverageGrid, suiteCoverageStatus;
+  var suiteNarrativeRoot, suiteNarrativeSummary, suiteNarrativeSections, suiteNarrativeStatus;
+  var suiteNarrativeTools, suiteNarrativeContinue;
+  var suiteRelatedContentRoot, suiteRelatedContentList, suiteRelatedContentStatus;
+
+  function queryContentElements() {
+    memberFilter = document.querySelector('#api-member-filter');
+    memberKindButtons = Array.prototype.slice.call(document.querySelectorAll('.member-kind'));
+    inheritedToggle = document.querySelector('#api-show-inherited');
+    memberTraitButtons = Array.prototype.slice.call(document.querySelectorAll('.member-trait[data-member-trait]'));
+    memberAccessSelect = document.querySelector('#api-member-access');
+    memberReturnsInput = document.querySelector('#api-member-returns');
+    memberVersionSelect = document.querySelector('#api-member-version');
+    memberExpandAll = document.querySelector('.member-expand-all');
+    memberCollapseAll = document.querySelector('.member-collapse-all');
+    memberReset = document.querySelector('.member-reset');
+    tocToggle = document.querySelector('.type-toc-toggle');
+    memberSectionToggles = Array.prototype.slice.call(document.querySelectorAll('.member-section-toggle'));
+    overviewGroupToggles = Array.prototype.slice.call(document.querySelectorAll('[data-overview-group-toggle]'));
+    suiteSearchRoot = document.querySelector('.api-suite-search[data-suite-search-url]');
+    suiteSearchInput = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-input') : null;
+    suiteSearchResults = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-results') : null;
+    suiteSearchStatus = suiteSearchRoot ? suiteSearchRoot.querySelector('.api-suite-search-status') : null;
+    suiteSearchFilterButtons = suiteSearchRoot ? Array.prototype.slice.call(suiteSearchRoot.querySelectorAll('.api-suite-search-filter')) : [];
+    suiteCoverageRoot = document.querySelector('.api-suite-coverage-summary[data-suite-coverage-url]');
+    suiteCoverageGrid = suiteCoverageRoot ? suiteCoverageRoot.querySelector('.api-suite-coverage-grid') : null;
+    suiteCoverageStatus = suiteCoverageRoot ? suiteCoverageRoot.querySelector('.api-suite-coverage-status') : null;
+    suiteNarrativeRoot = document.querySelector('.api-suite-narrative[data-suite-narrative-url]');
+    suiteNarrativeSummary = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-summary') : null;
+    suiteNarrativeSections = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-sections') : null;
+    suiteNarrativeStatus = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-status') : null;
+    suiteNarrativeTools = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-tools') : null;
+    suiteNarrativeContinue = suiteNarrativeRoot ? suiteNarrativeRoot.querySelector('.api-suite-narrative-continue') : null;
+    suiteRelatedContentRoot = document.querySelector('.api-suite-related-content[data-suite-related-content-url]');
+    suiteRelatedContentList = suiteRelatedContentRoot ? suiteRelatedContentRoot.querySelector('.api-suite-related-content-list') : null;
+    suiteRelatedContentStatus = suiteRelatedContentRoot ? suiteRelatedContentRoot.querySelector('.api-suite-related-content-status') : null;
+  }
+
+  queryContentElements();
 
   function setSidebar(open) {
     if (!sidebar || !overlay) return;
@@ -97,6 +117,31 @@
     });
   }
 
+  // theme.js (inlined in <head>) owns the theme; the sidebar button only cycles it and describes the choice.
+  function initThemeToggle() {
+    var theme = window.PowerForgeApiDocsTheme;
+    var toggles = Array.prototype.slice.call(document.querySelectorAll('.api-theme-toggle'));
+    if (!theme || !toggles.length) return;
+
+    var labels = { auto: 'follow system', light: 'light', dark: 'dark' };
+    function describe() {
+      var current = theme.get();
+      var next = theme.themes[(theme.themes.indexOf(current) + 1) % theme.themes.length];
+      toggles.forEach(function(toggle) {
+        toggle.setAttribute('aria-label', 'Theme: ' + (labels[current] || current) + ' (switch to ' + (labels[next] || next) + ')');
+        toggle.setAttribute('title', 'Theme: ' + (labels[current] || current));
+      });
+    }
+
+    toggles.forEach(function(toggle) {
+      toggle.addEventListener('click', function() {
+        theme.cycle();
+      });
+    });
+    document.addEventListener('pf:theme-change', describe);
+    describe();
+  }
+
   function normalize(text) {
     return (text || '').toLowerCase();
   }
@@ -116,16 +161,102 @@
       .replace(/'/g, '&#39;');
   }
 
-  function readMetricNumber(root, path) {
-    if (!root || !path) return 0;
+  // Escapes every segment before wrapping matches in <mark>, so index text never reaches innerHTML raw.
+  function highlightHtml(text, query, maxLength) {
+    var engine = window.PowerForgeApiSearch;
+    if (!engine || typeof engine.highlight !== 'function') return escapeHtml(text);
+    return engine.highlight(text || '', query, { maxLength: maxLength || 0 }).map(function(segment) {
+      return segment.match ? '<mark>' + escapeHtml(segment.text) + '</mark>' : escapeHtml(segment.text);
+    }).join('');
+  }
+
+  // Cards and breakdown columns used when api-suite-coverage.json carries no "dashboard" block. A metric path is read
+  // from the payload for the card value and from each payload.projects entry for the per-project breakdown.
+  var defaultSuiteCoverageCards = [
+    { id: 'projects', label: 'Projects', metric: 'projectCount', note: 'APIs included in this suite portal.' },
+    { id: 'types', label: 'Types', metric: 'types.count', note: 'Public symbols merged across all project APIs.' },
+    { id: 'commands', label: 'Commands', metric: 'powershell.commandCount', note: 'PowerShell commands currently represented in the suite.' },
+    { id: 'quick-start-coverage', label: 'Quick Start Coverage', metric: 'types.quickStartRelatedContent', format: 'percent', note: 'Configured quick-start symbols with curated guidance attached.' },
+    { id: 'missing-quick-starts', label: 'Missing Quick Starts', metric: 'types.quickStartRelatedContent', format: 'missing', note: 'Important suite entry points still missing curated walkthroughs.' }
+  ];
+  var defaultSuiteCoverageColumns = [
+    { id: 'types', label: 'Types', metric: 'types.count' },
+    { id: 'undocumented-types', label: 'Undocumented types', metric: 'types.summary', format: 'missing' },
+    { id: 'types-missing-examples', label: 'Types missing examples', metric: 'types.codeExamples', format: 'missing' },
+    { id: 'commands', label: 'Commands', metric: 'powershell.commandCount' },
+    { id: 'commands-missing-examples', label: 'Commands missing examples', metric: 'powershell.codeExamples', format: 'missing' },
+    { id: 'quick-start-coverage', label: 'Quick start coverage', metric: 'types.quickStartRelatedContent', format: 'percent' },
+    { id: 'missing-quick-starts', label: 'Missing quick starts', metric: 'types.quickStartRelatedContent', format: 'missing' }
+  ];
+
+  // Coverage objects ({ covered, total, percent }) read as their percent, their gap (total - covered) or their total.
+  function readMetricValue(root, path, format) {
+    if (!root || !path) return null;
     var current = root;
     var parts = String(path).split('.');
     for (var i = 0; i < parts.length; i++) {
-      if (!current || typeof current !== 'object' || !(parts[i] in current)) return 0;
+      if (!current || typeof current !== 'object' || !(parts[i] in current)) return null;
       current = current[parts[i]];
     }
+    if (current && typeof current === 'object') {
+      if (format === 'missing') current = Number(current.total) - Number(current.covered);
+      else if (format === 'percent') current = current.percent;
+      else current = 'count' in current ? current.count : current.total;
+    }
+    if (current === null || current === '' || typeof current === 'boolean') return null;
     var n = Number(current);
-    return Number.isFinite(n) ? n : 0;
+    if (!Number.isFinite(n)) return null;
+    return format === 'missing' ? Math.max(0, n) : n;
+  }
+
+  function formatMetricValue(value, format) {
+    if (value === null) return '—';
+    return format === 'percent' ? value.toFixed(0) + '%' : formatCount(value);
+  }
+
+  function normalizeCoverageMetrics(list, fallback) {
+    var metrics = (Array.isArray(list) ? list : []).filter(function(item) {
+      return item && typeof item === 'object' && item.metric;
+    }).map(function(item) {
+      var format = String(item.format || '').toLowerCase();
+      return {
+        id: String(item.id || item.metric),
+        label: String(item.label || item.metric),
+        metric: String(item.metric),
+        format: format === 'percent' || format === 'missing' ? format : 'count',
+        note: item.note ? String(item.note) : '',
+        sort: item.sort === 'asc' || item.sort === 'desc' ? item.sort : ''
+      };
+    });
+    return metrics.length ? metrics : normalizeCoverageMetrics(fallback, []);
+  }
+
+  // Gaps sort largest first and percentages lowest first, so the projects that fall furthest short lead the table.
+  function defaultCoverageSortDirection(metric) {
+    if (!metric) return 'asc';
+    if (metric.sort) return metric.sort;
+    return metric.format === 'percent' ? 'asc' : 'desc';
+  }
+
+  function isCoverageShortfall(value, format) {
+    if (value === null) return false;
+    return format === 'missing' ? value > 0 : format === 'percent' && value < 100;
+  }
+
+  function escapeCsvValue(value) {
+    var text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function downloadCsv(fileName, rows) {
+    var csv = rows.map(function(row) { return row.map(escapeCsvValue).join(','); }).join('\r\n');
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
   }
 
   function renderSuiteCoverageSummary() {
@@ -133,54 +264,307 @@
     var coverageUrl = suiteCoverageRoot.getAttribute('data-suite-coverage-url');
     if (!coverageUrl) return;
 
-    suiteCoverageStatus.textContent = 'Loading suite coverage summary...';
+    var breakdown = suiteCoverageRoot.querySelector('.api-suite-coverage-breakdown');
+    if (!breakdown) {
+      breakdown = document.createElement('div');
+      breakdown.className = 'api-suite-coverage-breakdown';
+      breakdown.id = 'api-suite-coverage-breakdown';
+      breakdown.hidden = true;
+      suiteCoverageRoot.appendChild(breakdown);
+    }
+    var canExport = typeof Blob !== 'undefined' && window.URL && typeof URL.createObjectURL === 'function';
+    var grid = suiteCoverageGrid;
+    var status = suiteCoverageStatus;
+    var cards = [];
+    var projects = [];
+    var configuredColumns = [];
+    var columns = [];
+    var activeCard = -1;
+    var sortColumn = null;
+    var sortDirection = 'asc';
+
+    function projectLabel(project) {
+      return String(project.label || project.id || '');
+    }
+
+    function sortedProjects() {
+      var direction = sortDirection === 'desc' ? -1 : 1;
+      return projects.slice().sort(function(a, b) {
+        if (!sortColumn) return direction * projectLabel(a).localeCompare(projectLabel(b));
+        var left = readMetricValue(a, sortColumn.metric, sortColumn.format);
+        var right = readMetricValue(b, sortColumn.metric, sortColumn.format);
+        if (left === null || right === null) {
+          if (left !== right) return left === null ? 1 : -1;
+        } else if (left !== right) {
+          return direction * (left - right);
+        }
+        return projectLabel(a).localeCompare(projectLabel(b));
+      });
+    }
+
+    function renderBreakdown() {
+      var card = cards[activeCard];
+      if (!card) {
+        breakdown.hidden = true;
+        breakdown.innerHTML = '';
+        return;
+      }
+
+      function headerCell(column, key, label) {
+        var sorted = key === (sortColumn ? sortColumn.id : 'project');
+        var ariaSort = sorted ? (sortDirection === 'desc' ? 'descending' : 'ascending') : 'none';
+        return '<th scope="col" aria-sort="' + ariaSort + '"' + (column ? ' class="api-suite-coverage-number"' : '') + '>' +
+          '<button class="api-suite-coverage-sort" type="button" data-coverage-sort="' + escapeHtml(key) + '">' + escapeHtml(label) + '</button>' +
+          '</th>';
+      }
+
+      var head = headerCell(null, 'project', 'Project') + columns.map(function(column) {
+        return headerCell(column, column.id, column.label);
+      }).join('');
+      var body = sortedProjects().map(function(project) {
+        var label = escapeHtml(projectLabel(project));
+        var name = project.href ? '<a href="' + escapeHtml(project.href) + '">' + label + '</a>' : label;
+        return '<tr><th scope="row">' + name + '</th>' + columns.map(function(column) {
+          var value = readMetricValue(project, column.metric, column.format);
+          var classes = ['api-suite-coverage-number'];
+          if (sortColumn && column.id === sortColumn.id) classes.push('active');
+          if (isCoverageShortfall(value, column.format)) classes.push('api-suite-coverage-shortfall');
+          return '<td class="' + classes.join(' ') + '">' + escapeHtml(formatMetricValue(value, column.format)) + '</td>';
+        }).join('') + '</tr>';
+      }).join('');
+
+      breakdown.innerHTML =
+        '<div class="api-suite-coverage-breakdown-header">' +
+          '<h3>' + escapeHtml(card.label) + ' by project</h3>' +
+          (canExport ? '<button class="api-suite-coverage-export" type="button">Export CSV</button>' : '') +
+          '<button class="api-suite-coverage-close" type="button" aria-label="Close breakdown">&times;</button>' +
+        '</div>' +
+        (projects.length
+          ? '<div class="api-suite-coverage-table-wrap"><table class="api-suite-coverage-table"><thead><tr>' + head + '</tr></thead><tbody>' + body + '</tbody></table></div>'
+          : '<p class="api-suite-coverage-empty">This coverage report has no per-project data.</p>');
+      breakdown.hidden = false;
+    }
+
+    function selectCard(index) {
+      activeCard = activeCard === index ? -1 : index;
+      Array.prototype.forEach.call(grid.querySelectorAll('.api-suite-coverage-card'), function(button) {
+        var active = Number(button.getAttribute('data-coverage-card')) === activeCard;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-expanded', active ? 'true' : 'false');
+      });
+
+      var card = cards[activeCard];
+      columns = configuredColumns.slice();
+      sortColumn = null;
+      sortDirection = 'asc';
+      if (card) {
+        // The chosen card's metric leads the table, even when it is not one of the configured columns.
+        sortColumn = columns.filter(function(column) {
+          return column.metric === card.metric && column.format === card.format;
+        })[0] || null;
+        if (!sortColumn && projects.some(function(project) { return readMetricValue(project, card.metric, card.format) !== null; })) {
+          sortColumn = card;
+          columns = [card].concat(columns.filter(function(column) { return column.id !== card.id; }));
+        }
+        if (sortColumn) sortDirection = defaultCoverageSortDirection(sortColumn);
+      }
+      renderBreakdown();
+    }
+
+    function exportBreakdown() {
+      var card = cards[activeCard];
+      if (!card) return;
+      var rows = [['Project'].concat(columns.map(function(column) { return column.label; }))];
+      sortedProjects().forEach(function(project) {
+        rows.push([projectLabel(project)].concat(columns.map(function(column) {
+          return readMetricValue(project, column.metric, column.format);
+        })));
+      });
+      downloadCsv('api-suite-coverage-' + String(card.id).replace(/[^a-z0-9-]+/gi, '-').toLowerCase() + '.csv', rows);
+    }
+
+    grid.addEventListener('click', function(event) {
+      var button = event.target instanceof Element ? event.target.closest('.api-suite-coverage-card[data-coverage-card]') : null;
+      if (button) selectCard(Number(button.getAttribute('data-coverage-card')));
+    });
+
+    breakdown.addEventListener('click', function(event) {
+      var target = event.target instanceof Element ? event.target : null;
+      if (!target) return;
+      var sortButton = target.closest('.api-suite-coverage-sort');
+      if (sortButton) {
+        var key = sortButton.getAttribute('data-coverage-sort');
+        var column = key === 'project' ? null : columns.filter(function(item) { return item.id === key; })[0] || null;
+        if (column === sortColumn) {
+          sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+          sortColumn = column;
+          sortDirection = defaultCoverageSortDirection(column);
+        }
+        renderBreakdown();
+        var focusTarget = breakdown.querySelector('.api-suite-coverage-sort[data-coverage-sort="' + key + '"]');
+        if (focusTarget) focusTarget.focus();
+        return;
+      }
+      if (target.closest('.api-suite-coverage-export')) {
+        exportBreakdown();
+        return;
+      }
+      if (target.closest('.api-suite-coverage-close')) {
+        var index = activeCard;
+        selectCard(index);
+        var trigger = grid.querySelector('.api-suite-coverage-card[data-coverage-card="' + index + '"]');
+        if (trigger) trigger.focus();
+      }
+    });
+
+    status.textContent = 'Loading suite coverage summary...';
     fetch(coverageUrl)
       .then(function(response) {
         if (!response.ok) throw new Error('HTTP ' + response.status);
         return response.json();
       })
       .then(function(payload) {
-        var cards = [
-          {
-            label: 'Projects',
-            value: formatCount(readMetricNumber(payload, 'projectCount')),
-            note: 'APIs included in this suite portal.'
-          },
-          {
-            label: 'Types',
-            value: formatCount(readMetricNumber(payload, 'types.count')),
-            note: 'Public symbols merged across all project APIs.'
-          },
-          {
-            label: 'Commands',
-            value: formatCount(readMetricNumber(payload, 'powershell.commandCount')),
-            note: 'PowerShell commands currently represented in the suite.'
-          },
-          {
-            label: 'Quick Start Coverage',
-            value: readMetricNumber(payload, 'types.quickStartRelatedContent.percent').toFixed(0) + '%',
-            note: 'Configured quick-start symbols with curated guidance attached.'
-          },
-          {
-            label: 'Missing Quick Starts',
-            value: formatCount(readMetricNumber(payload, 'types.quickStartMissingRelatedContent.count')),
-            note: 'Important suite entry points still missing curated walkthroughs.'
-          }
-        ];
+        var dashboard = payload && payload.dashboard && typeof payload.dashboard === 'object' ? payload.dashboard : {};
+        cards = normalizeCoverageMetrics(dashboard.cards, defaultSuiteCoverageCards);
+        projects = (Array.isArray(payload.projects) ? payload.projects : []).filter(function(project) {
+          return project && typeof project === 'object';
+        });
+        // Columns without a value for any project (older reports, C#-only or PowerShell-only suites) are left out.
+        configuredColumns = normalizeCoverageMetrics(dashboard.columns, defaultSuiteCoverageColumns).filter(function(column) {
+          return projects.some(function(project) { return readMetricValue(project, column.metric, column.format) !== null; });
+        });
 
-        suiteCoverageGrid.hidden = false;
-        suiteCoverageGrid.innerHTML = cards.map(function(card) {
-          return '<div class="api-suite-coverage-card">' +
-            '<strong>' + escapeHtml(card.value) + '</strong>' +
+        grid.hidden = false;
+        grid.innerHTML = cards.map(function(card, index) {
+          return '<button class="api-suite-coverage-card" type="button" data-coverage-card="' + index + '" aria-expanded="false" aria-controls="' + escapeHtml(breakdown.id) + '">' +
+            '<strong>' + escapeHtml(formatMetricValue(readMetricValue(payload, card.metric, card.format), card.format)) + '</strong>' +
             '<em>' + escapeHtml(card.label) + '</em>' +
-            '<span>' + escapeHtml(card.note) + '</span>' +
-            '</div>';
+            (card.note ? '<span>' + escapeHtml(card.note) + '</span>' : '') +
+            '</button>';
         }).join('');
-        suiteCoverageStatus.textContent = 'Suite coverage summary loaded.';
+        status.textContent = 'Suite coverage summary loaded. Select a card to compare projects.';
       })
       .catch(function() {
-        suiteCoverageStatus.textContent = 'Suite coverage summary is unavailable right now.';
+        status.textContent = 'Suite coverage summary is unavailable right now.';
+      });
+  }
+
+  // Reader progress through the suite narrative lives in localStorage under one key per narrative file, so two suites
+  // on one site keep separate checklists. Export/import moves it between browsers.
+  var suiteProgressFormat = 'powerforge-suite-progress';
+
+  function createSuiteProgressStore(narrativeUrl) {
+    var key = 'pf-api-suite-progress:' + resolveSuiteGuideKey(narrativeUrl);
+    var state = { guides: {}, last: '', autoComplete: false };
+    var persistent = true;
+
+    function normalize(value) {
+      var next = { guides: {}, last: '', autoComplete: false };
+      if (!value || typeof value !== 'object') return next;
+      var guides = value.guides && typeof value.guides === 'object' ? value.guides : {};
+      Object.keys(guides).forEach(function(guide) {
+        var entry = guides[guide];
+        if (!entry || typeof entry !== 'object') return;
+        var clean = {};
+        if (typeof entry.completed === 'string' && entry.completed) clean.completed = entry.completed;
+        if (typeof entry.visited === 'string' && entry.visited) clean.visited = entry.visited;
+        if (clean.completed || clean.visited) next.guides[guide] = clean;
       });
+      next.last = typeof value.last === 'string' ? value.last : '';
+      next.autoComplete = value.autoComplete === true;
+      return next;
+    }
+
+    try {
+      state = normalize(JSON.parse(window.localStorage.getItem(key) || 'null'));
+    } catch (error) {
+      persistent = false;
+    }
+
+    function save() {
+      if (!persistent) return;
+      try {
+        window.localStorage.setItem(key, JSON.stringify(state));
+      } catch (error) {
+        persistent = false;
+      }
+    }
+
+    function entry(guide) {
+      if (!state.guides[guide]) state.guides[guide] = {};
+      return state.guides[guide];
+    }
+
+    return {
+      persistent: function() { return persistent; },
+      isComplete: function(guide) { return !!(state.guides[guide] && state.guides[guide].completed); },
+      last: function() { return state.last; },
+      autoComplete: function() { return state.autoComplete; },
+      setAutoComplete: function(enabled) {
+        state.autoComplete = !!enabled;
+        save();
+      },
+      setComplete: function(guide, complete) {
+        if (complete) entry(guide).completed = new Date().toISOString();
+        else if (state.guides[guide]) delete state.guides[guide].completed;
+        save();
+      },
+      visit: function(guide) {
+        var now = new Date().toISOString();
+        var record = entry(guide);
+        record.visited = now;
+        if (state.autoComplete && !record.completed) record.completed = now;
+        state.last = guide;
+        save();
+      },
+      reset: function() {
+        state = { guides: {}, last: '', autoComplete: state.autoComplete };
+        save();
+      },
+      exportJson: function() {
+        return JSON.stringify({
+          format: suiteProgressFormat,
+          formatVersion: 1,
+          narrative: resolveSuiteGuideKey(narrativeUrl),
+          exportedAtUtc: new Date().toISOString(),
+          guides: state.guides,
+          last: state.last
+        }, null, 2);
+      },
+      // Imports merge: a guide done in either browser stays done, and the earliest completion wins.
+      importJson: function(text) {
+        var parsed = JSON.parse(text);
+        if (!parsed || parsed.format !== suiteProgressFormat) throw new Error('Not a suite progress export.');
+        var incoming = normalize(parsed);
+        var count = 0;
+        Object.keys(incoming.guides).forEach(function(guide) {
+          var from = incoming.guides[guide];
+          var into = entry(guide);
+          if (from.completed && (!into.completed || from.completed < into.completed)) {
+            if (!into.completed) count++;
+            into.completed = from.completed;
+          }
+          if (from.visited && (!into.visited || from.visited > into.visited)) into.visited = from.visited;
+        });
+        if (!state.last && incoming.last) state.last = incoming.last;
+        save();
+        return count;
+      }
+    };
+  }
+
+  // Same-site guide URLs are keyed by path, so a site moving hosts (or previewing locally) keeps its progress.
+  function resolveSuiteGuideKey(url) {
+    if (!url || url === '#') return '';
+    try {
+      var resolved = new URL(url, window.location.href);
+      return resolved.origin === window.location.origin
+        ? resolved.pathname + resolved.search + resolved.hash
+        : resolved.href;
+    } catch (error) {
+      return String(url);
+    }
   }
 
   function renderSuiteNarrative() {
@@ -188,7 +572,177 @@
     var narrativeUrl = suiteNarrativeRoot.getAttribute('data-suite-narrative-url');
     if (!narrativeUrl) return;
 
-    suiteNarrativeStatus.textContent = 'Loading suite guidance...';
+    var sectionsRoot = suiteNarrativeSections;
+    var status = suiteNarrativeStatus;
+    var toolsRoot = suiteNarrativeTools;
+    var continueRoot = suiteNarrativeContinue;
+    var progress = createSuiteProgressStore(narrativeUrl);
+    var guides = [];
+
+    function updateProgress() {
+      var completedTotal = 0;
+      Array.prototype.forEach.call(sectionsRoot.querySelectorAll('.api-suite-narrative-section'), function(sectionElement) {
+        var entries = Array.prototype.slice.call(sectionElement.querySelectorAll('.api-suite-narrative-entry[data-guide]'));
+        var done = 0;
+        entries.forEach(function(entryElement) {
+          var complete = progress.isComplete(entryElement.getAttribute('data-guide'));
+          if (complete) done++;
+          entryElement.classList.toggle('completed', complete);
+          var toggle = entryElement.querySelector('.api-suite-narrative-complete');
+          if (toggle) {
+            toggle.setAttribute('aria-pressed', complete ? 'true' : 'false');
+            toggle.textContent = complete ? 'Done' : 'Mark done';
+          }
+        });
+        var bar = sectionElement.querySelector('.api-suite-narrative-progress');
+        var label = sectionElement.querySelector('.api-suite-narrative-progress-label');
+        if (bar) bar.value = done;
+        if (label) label.textContent = done + ' of ' + entries.length + ' done';
+        sectionElement.classList.toggle('completed', entries.length > 0 && done === entries.length);
+      });
+      guides.forEach(function(guide) {
+        if (progress.isComplete(guide.key)) completedTotal++;
+      });
+
+      if (toolsRoot) {
+        var summary = toolsRoot.querySelector('.api-suite-narrative-progress-summary');
+        if (summary) {
+          summary.textContent = formatCount(completedTotal) + ' of ' + formatCount(guides.length) + ' guides complete' +
+            (progress.persistent() ? '' : ' (progress cannot be saved in this browser)');
+        }
+      }
+      renderContinue(completedTotal);
+    }
+
+    // Leads with the first unfinished guide after the one opened last, or the first unfinished guide overall.
+    function renderContinue(completedTotal) {
+      if (!continueRoot) return;
+      if (!guides.length) {
+        continueRoot.hidden = true;
+        return;
+      }
+
+      var lastIndex = -1;
+      for (var i = 0; i < guides.length; i++) {
+        if (guides[i].key === progress.last()) lastIndex = i;
+      }
+      var next = null;
+      for (var offset = 1; offset <= guides.length && !next; offset++) {
+        var candidate = guides[(lastIndex + offset + guides.length) % guides.length];
+        if (!progress.isComplete(candidate.key)) next = candidate;
+      }
+
+      if (!next) {
+        continueRoot.innerHTML = '<div class="api-suite-narrative-continue-card completed">' +
+          '<em>All done</em>' +
+          '<strong>You have completed all ' + formatCount(guides.length) + ' guides.</strong>' +
+          '</div>';
+      } else {
+        var eyebrow = completedTotal > 0 || progress.last() ? 'Continue where you left off' : 'Start here';
+        var meta = [next.sectionTitle, next.item.estimatedTime].filter(Boolean).join(' · ');
+        continueRoot.innerHTML = '<a class="api-suite-narrative-continue-card" href="' + escapeHtml(next.item.url) + '" data-guide="' + escapeHtml(next.key) + '">' +
+          '<em>' + escapeHtml(eyebrow) + '</em>' +
+          '<strong>' + escapeHtml(next.item.title || 'Guide') + '</strong>' +
+          (meta ? '<span>' + escapeHtml(meta) + '</span>' : '') +
+          '</a>';
+      }
+      continueRoot.hidden = false;
+    }
+
+    function renderTools() {
+      if (!toolsRoot) return;
+      toolsRoot.innerHTML =
+        '<span class="api-suite-narrative-progress-summary"></span>' +
+        '<label class="api-suite-narrative-auto"><input type="checkbox"' + (progress.autoComplete() ? ' checked' : '') + ' /> Mark guides done when opened from this page</label>' +
+        '<button class="api-suite-narrative-export" type="button">Export progress</button>' +
+        '<button class="api-suite-narrative-import" type="button">Import progress</button>' +
+        '<button class="api-suite-narrative-reset" type="button">Reset</button>' +
+        '<input class="api-suite-narrative-import-file" type="file" accept="application/json,.json" hidden />';
+      toolsRoot.hidden = false;
+    }
+
+    function exportProgress() {
+      var link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([progress.exportJson()], { type: 'application/json' }));
+      link.download = 'suite-progress.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function() { URL.revokeObjectURL(link.href); }, 0);
+      status.textContent = 'Progress exported.';
+    }
+
+    function importProgress(file) {
+      if (!file) return;
+      var reader = new FileReader();
+      reader.onload = function() {
+        try {
+          var added = progress.importJson(String(reader.result || ''));
+          updateProgress();
+          status.textContent = 'Progress imported (' + formatCount(added) + ' newly completed guide' + (added === 1 ? '' : 's') + ').';
+        } catch (error) {
+          status.textContent = 'That file is not a suite progress export.';
+        }
+      };
+      reader.onerror = function() {
+        status.textContent = 'The progress file could not be read.';
+      };
+      reader.readAsText(file);
+    }
+
+    // Guide pages are plain site pages without this script, so only links opened from the narrative or the
+    // continue card are recorded; guides reached from search, navigation or bookmarks are not.
+    function onGuideOpened(event) {
+      var link = event.target instanceof Element ? event.target.closest('a[data-guide]') : null;
+      if (!link || (event.type === 'auxclick' && event.button !== 1)) return;
+      progress.visit(link.getAttribute('data-guide'));
+      updateProgress();
+    }
+
+    sectionsRoot.addEventListener('click', function(event) {
+      var toggle = event.target instanceof Element ? event.target.closest('.api-suite-narrative-complete') : null;
+      if (toggle) {
+        var guide = toggle.getAttribute('data-guide');
+        progress.setComplete(guide, !progress.isComplete(guide));
+        updateProgress();
+        return;
+      }
+      onGuideOpened(event);
+    });
+    sectionsRoot.addEventListener('auxclick', onGuideOpened);
+    if (continueRoot) {
+      continueRoot.addEventListener('click', onGuideOpened);
+      continueRoot.addEventListener('auxclick', onGuideOpened);
+    }
+    if (toolsRoot) {
+      toolsRoot.addEventListener('click', function(event) {
+        var target = event.target instanceof Element ? event.target : null;
+        if (!target) return;
+        if (target.closest('.api-suite-narrative-export')) {
+          exportProgress();
+        } else if (target.closest('.api-suite-narrative-import')) {
+          var input = toolsRoot.querySelector('.api-suite-narrative-import-file');
+          if (input) input.click();
+        } else if (target.closest('.api-suite-narrative-reset')) {
+          if (!window.confirm('Clear your progress through these guides?')) return;
+          progress.reset();
+          updateProgress();
+          status.textContent = 'Progress reset.';
+        }
+      });
+      toolsRoot.addEventListener('change', function(event) {
+        var target = event.target;
+        if (!(target instanceof HTMLInputElement)) return;
+        if (target.type === 'checkbox') {
+          progress.setAutoComplete(target.checked);
+        } else if (target.type === 'file') {
+          importProgress(target.files && target.files[0]);
+          target.value = '';
+        }
+      });
+    }
+
+    status.textContent = 'Loading suite guidance...';
     fetch(narrativeUrl)
       .then(function(response) {
         if (!response.ok) throw new Error('HTTP ' + response.status);
@@ -197,7 +751,7 @@
       .then(function(payload) {
         var sections = Array.isArray(payload.sections) ? payload.sections : [];
         if (!sections.length) {
-          suiteNarrativeStatus.textContent = 'No suite onboarding guidance has been attached yet.';
+          status.textContent = 'No suite onboarding guidance has been attached yet.';
           return;
         }
 
@@ -210,11 +764,14 @@
           suiteNarrativeSummary.textContent = '';
         }
 
-        suiteNarrativeSections.hidden = false;
-        suiteNarrativeSections.innerHTML = sections.map(function(section) {
+        guides = [];
+        var seen = {};
+        sectionsRoot.hidden = false;
+        sectionsRoot.innerHTML = sections.map(function(section) {
           var sectionTitle = escapeHtml(section.title || 'Section');
           var sectionSummary = section.summary ? '<p>' + escapeHtml(section.summary) + '</p>' : '';
           var items = Array.isArray(section.items) ? section.items : [];
+          var tracked = 0;
           var cards = items.map(function(item) {
             var title = escapeHtml(item.title || 'Guide');
             var href = escapeHtml(item.url || '#');
@@ -233,25 +790,47 @@
             var meta = metaParts.length
               ? '<div class="api-suite-narrative-meta">' + escapeHtml(metaParts.join(' · ')) + '</div>'
               : '';
-            return '<a class="api-suite-narrative-item" href="' + href + '">' +
+            var key = resolveSuiteGuideKey(item.url);
+            var guide = escapeHtml(key);
+            var link = '<a class="api-suite-narrative-item" href="' + href + '"' + (key ? ' data-guide="' + guide + '"' : '') + '>' +
               '<strong>' + title + '</strong>' +
               '<em class="api-suite-narrative-kind">' + kind + '</em>' +
               meta +
               summary +
               '</a>';
+            if (!key) return '<div class="api-suite-narrative-entry">' + link + '</div>';
+
+            tracked++;
+            if (!seen[key]) {
+              seen[key] = true;
+              guides.push({ key: key, item: item, sectionTitle: section.title || '' });
+            }
+            return '<div class="api-suite-narrative-entry" data-guide="' + guide + '">' +
+              link +
+              '<button class="api-suite-narrative-complete" type="button" data-guide="' + guide + '" aria-pressed="false" aria-label="Mark ' + title + ' done">Mark done</button>' +
+              '</div>';
           }).join('');
+          var sectionProgress = tracked
+            ? '<div class="api-suite-narrative-section-progress">' +
+              '<progress class="api-suite-narrative-progress" max="' + tracked + '" value="0" aria-label="' + sectionTitle + ' progress"></progress>' +
+              '<span class="api-suite-narrative-progress-label"></span>' +
+              '</div>'
+            : '';
           return '<section class="api-suite-narrative-section">' +
             '<div class="api-suite-narrative-section-head">' +
             '<h3>' + sectionTitle + '</h3>' +
             sectionSummary +
+            sectionProgress +
             '</div>' +
             '<div class="api-suite-narrative-items">' + cards + '</div>' +
             '</section>';
         }).join('');
-        suiteNarrativeStatus.textContent = 'Showing ' + formatCount(sections.length) + ' suite guidance section' + (sections.length === 1 ? '' : 's') + '.';
+        if (guides.length) renderTools();
+        updateProgress();
+        status.textContent = 'Showing ' + formatCount(sections.length) + ' suite guidance section' + (sections.length === 1 ? '' : 's') + '.';
       })
       .catch(function() {
-        suiteNarrativeStatus.textContent = 'Suite guidance is unavailable right now.';
+        status.textContent = 'Suite guidance is unavailable right now.';
       });
   }
 
@@ -298,13 +877,15 @@
   function initSuiteSearch() {
     if (!suiteSearchRoot || !suiteSearchInput || !suiteSearchResults || !suiteSearchStatus) return;
     var searchUrl = suiteSearchRoot.getAttribute('data-suite-search-url');
-    if (!searchUrl) return;
+    var suiteSearch = window.PowerForgeSuiteSearch;
+    if (!searchUrl || !suiteSearch) return;
 
-    var suiteItems = null;
+    var session = suiteSearch.create(searchUrl, renderSuiteItems);
     var loading = false;
     var loaded = false;
     var lastQuery = '';
     var activeSuiteFilter = '';
+    var telemetry = window.PowerForgeSearchTelemetry ? window.PowerForgeSearchTelemetry.create('suite') : null;
 
     function setStatus(text) {
       suiteSearchStatus.textContent = text || '';
@@ -327,6 +908,14 @@
       });
     }
 
+    function getShardProgressText(state) {
+      if (!state.shardCount) return '';
+      if (!state.complete) {
+        return ' Loading index ' + formatCount(state.shardsDone + 1) + ' of ' + formatCount(state.shardCount) + '...';
+      }
+      return state.shardsFailed ? ' Some index parts could not be loaded.' : '';
+    }
+
     function renderSuiteResults(query) {
       var q = normalize(query);
       if (!q) {
@@ -340,59 +929,51 @@
         return;
       }
 
-      var items = (suiteItems || []).filter(function(item) {
-        if (activeSuiteFilter && normalize(item.suiteEntryId) !== normalize(activeSuiteFilter)) {
-          return false;
-        }
-        var haystack = normalize([
-          item.title,
-          item.displayName,
-          item.summary,
-          item.kind,
-          item.namespace,
-          item.suiteEntryLabel,
-          item.suiteEntryId,
-          Array.isArray(item.aliases) ? item.aliases.join(' ') : ''
-        ].join(' '));
-        return haystack.indexOf(q) !== -1;
-      }).slice(0, 8);
+      if (!loaded) {
+        setStatus('Loading suite search index...');
+        return;
+      }
+      session.query(query, activeSuiteFilter, 8);
+    }
 
+    function renderSuiteItems(items, state) {
+      if (!normalize(lastQuery)) return;
+      var progress = getShardProgressText(state);
+      // Counts are only final once every needed shard is in, otherwise a slow shard would look like a zero-result query.
+      if (telemetry && state.complete) telemetry.query(lastQuery, items.length);
       if (!items.length) {
         suiteSearchResults.hidden = false;
         suiteSearchResults.innerHTML = '<div class="api-suite-search-empty">No suite matches found.</div>';
-        setStatus('No matching symbols found' + (activeSuiteFilter ? ' in ' + getActiveFilterLabel() : ' across this API suite') + '.');
+        setStatus('No matching symbols found' + (activeSuiteFilter ? ' in ' + getActiveFilterLabel() : ' across this API suite') + '.' + progress);
         return;
       }
 
       suiteSearchResults.hidden = false;
       suiteSearchResults.innerHTML = items.map(function(item) {
-        var title = escapeHtml(item.displayName || item.title || item.slug || 'Result');
+        var title = highlightHtml(suiteSearch.itemLabel(item), lastQuery);
         var label = escapeHtml(item.suiteEntryLabel || item.suiteEntryId || 'API');
-        var summary = item.summary ? '<span>' + escapeHtml(item.summary) + '</span>' : '';
-        var href = escapeHtml(item.url || '#');
+        var signature = item.signature ? '<code>' + highlightHtml(item.signature, lastQuery) + '</code>' : '';
+        var summary = item.summary ? '<span>' + highlightHtml(item.summary, lastQuery, 160) + '</span>' : '';
+        var href = escapeHtml(suiteSearch.itemHref(item, ''));
         return '<a class="api-suite-search-result" href="' + href + '">' +
           '<strong>' + title + '</strong>' +
           '<em>' + label + '</em>' +
+          signature +
           summary +
           '</a>';
       }).join('');
-      setStatus('Showing ' + formatCount(items.length) + ' suite result' + (items.length === 1 ? '' : 's') + (activeSuiteFilter ? ' in ' + getActiveFilterLabel() : '') + '.');
+      setStatus('Showing ' + formatCount(items.length) + ' suite result' + (items.length === 1 ? '' : 's') + (activeSuiteFilter ? ' in ' + getActiveFilterLabel() : '') + '.' + progress);
     }
 
     function loadSuiteItems() {
       if (loaded || loading) return;
       loading = true;
       setStatus('Loading suite search index...');
-      fetch(searchUrl)
-        .then(function(response) {
-          if (!response.ok) throw new Error('HTTP ' + response.status);
-          return response.json();
-        })
-        .then(function(payload) {
-          suiteItems = Array.isArray(payload) ? payload : (Array.isArray(payload.items) ? payload.items : []);
+      session.load()
+        .then(function(info) {
           loaded = true;
           loading = false;
-          if (!suiteItems.length) {
+          if (!info.itemCount && !info.shardCount) {
             setStatus('Suite search index is available but has no items yet.');
             return;
           }
@@ -405,6 +986,11 @@
     }
 
     suiteSearchInput.addEventListener('focus', loadSuiteItems, { once: true });
+    suiteSearchResults.addEventListener('click', function(event) {
+      var link = event.target.closest('.api-suite-search-result');
+      if (!link || !telemetry) return;
+      telemetry.click(lastQuery, Array.prototype.indexOf.call(suiteSearchResults.children, link) + 1);
+    });
     suiteSearchFilterButtons.forEach(function(button) {
       button.addEventListener('click', function() {
         setActiveFilter(button.getAttribute('data-suite-search-filter') || '');
@@ -433,6 +1019,253 @@
     setStatus('Start typing to search across the full API suite.');
   }
 
+  function fetchSearchItems(url) {
+    return fetch(url)
+      .then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(function(payload) {
+        return Array.isArray(payload) ? payload : (payload && Array.isArray(payload.items) ? payload.items : []);
+      });
+  }
+
+  // The palette itself lives in command-palette.js so theme pages can load it too; API pages add their own sources.
+  function getCommandPaletteSources() {
+    var sources = [];
+    var sidebarTitle = document.querySelector('.sidebar-title[href]');
+    var apiBase = sidebarTitle ? getApiDocsBasePath() : '';
+    if (apiBase) {
+      sources.push({ id: 'api', label: 'This API', url: apiBase + 'search.json', apiBase: apiBase });
+    }
+
+    var shell = document.querySelector('.api-sidebar-shell[data-suite-search-url]');
+    var suiteUrl = null;
+    try {
+      if (shell && apiBase) {
+        suiteUrl = new URL(shell.getAttribute('data-suite-search-url'), new URL(apiBase, window.location.href)).toString();
+      } else if (suiteSearchRoot) {
+        suiteUrl = new URL(suiteSearchRoot.getAttribute('data-suite-search-url'), window.location.href).toString();
+      }
+    } catch (error) {
+      suiteUrl = null;
+    }
+    if (suiteUrl) {
+      sources.push({ id: 'suite', label: 'API suite', url: suiteUrl, suite: true });
+    }
+    return sources;
+  }
+
+  function initCommandPalette() {
+    var palette = window.PowerForgeCommandPalette;
+    if (!palette) return null;
+    return palette.create({ sources: getCommandPaletteSources() });
+  }
+
+  function isEditableTarget(target) {
+    if (!target) return false;
+    var tag = (target.tagName || '').toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+  }
+
+  var defaultShortcuts = {
+    palette: { keys: ['Mod+k'], label: 'Search APIs and docs' },
+    focusFilter: { keys: ['/'], label: 'Filter types in the sidebar' },
+    focusMemberFilter: { keys: ['m'], label: 'Filter members on this page' },
+    nextItem: { keys: ['j'], label: 'Next item in the sidebar' },
+    previousItem: { keys: ['k'], label: 'Previous item in the sidebar' },
+    nextSection: { keys: [']'], label: 'Next section' },
+    previousSection: { keys: ['['], label: 'Previous section' },
+    toggleToc: { keys: ['t'], label: 'Toggle "On this page"' },
+    help: { keys: ['?'], label: 'Show keyboard shortcuts' }
+  };
+
+  // Sites remap or disable shortcuts with window.PowerForgeApiDocsShortcuts (or a pf-api-shortcuts meta tag holding JSON),
+  // e.g. { "focusFilter": "f", "nextItem": ["j", "ArrowDown"], "toggleToc": false }.
+  function readShortcutConfig() {
+    var config = window.PowerForgeApiDocsShortcuts;
+    if (!config) {
+      var meta = document.querySelector('meta[name="pf-api-shortcuts"]');
+      try {
+        config = meta ? JSON.parse(meta.getAttribute('content') || '{}') : null;
+      } catch (error) {
+        config = null;
+      }
+    }
+
+    var bindings = {};
+    Object.keys(defaultShortcuts).forEach(function(action) {
+      var value = config && Object.prototype.hasOwnProperty.call(config, action) ? config[action] : defaultShortcuts[action].keys;
+      var keys = value === false || value === null ? [] : (Array.isArray(value) ? value : [value]);
+      bindings[action] = keys
+        .filter(function(key) { return typeof key === 'string' && key.length > 0; })
+        .map(parseShortcut);
+    });
+    return bindings;
+  }
+
+  function parseShortcut(text) {
+    var parts = text.length > 1 ? text.split('+') : [text];
+    var shortcut = { text: text, key: parts.pop() || '+', mod: false, ctrl: false, alt: false, meta: false };
+    parts.forEach(function(part) {
+      var name = part.toLowerCase();
+      if (name === 'mod') shortcut.mod = true;
+      else if (name === 'ctrl' || name === 'control') shortcut.ctrl = true;
+      else if (name === 'alt' || name === 'option') shortcut.alt = true;
+      else if (name === 'meta' || name === 'cmd') shortcut.meta = true;
+    });
+    return shortcut;
+  }
+
+  function hasModifier(shortcut) {
+    return shortcut.mod || shortcut.ctrl || shortcut.alt || shortcut.meta;
+  }
+
+  function matchesShortcut(event, shortcut) {
+    // Plain keys compare exactly (so "?" and "/" stay distinct); modified ones ignore case, as Shift may be held.
+    var key = hasModifier(shortcut) ? (event.key || '').toLowerCase() : event.key;
+    var expected = hasModifier(shortcut) ? shortcut.key.toLowerCase() : shortcut.key;
+    if (key !== expected || event.altKey !== shortcut.alt) return false;
+    if (shortcut.mod) return event.ctrlKey || event.metaKey;
+    return event.ctrlKey === shortcut.ctrl && event.metaKey === shortcut.meta;
+  }
+
+  function formatShortcut(shortcut) {
+    var isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+    var parts = [];
+    if (shortcut.mod) parts.push(isMac ? '\u2318' : 'Ctrl');
+    if (shortcut.ctrl) parts.push('Ctrl');
+    if (shortcut.alt) parts.push(isMac ? '\u2325' : 'Alt');
+    if (shortcut.meta) parts.push(isMac ? '\u2318' : 'Meta');
+    parts.push(shortcut.key);
+    return parts.map(function(part) { return '<kbd>' + escapeHtml(part) + '</kbd>'; }).join('');
+  }
+
+  function moveSidebarFocus(delta) {
+    if (!sidebar) return;
+    if (toggle && toggle.offsetParent !== null && !sidebar.classList.contains('sidebar-open')) setSidebar(true);
+    if (virtualSidebar) {
+      virtualSidebar.focusStep(delta);
+      return;
+    }
+    var items = Array.prototype.slice.call(sidebar.querySelectorAll('.type-item')).filter(function(item) {
+      return item.offsetParent !== null;
+    });
+    if (!items.length) return;
+    var index = items.indexOf(document.activeElement);
+    if (index < 0) index = items.indexOf(sidebar.querySelector('.type-item.active'));
+    var next = index < 0 ? (delta > 0 ? 0 : items.length - 1) : Math.min(items.length - 1, Math.max(0, index + delta));
+    items[next].focus();
+  }
+
+  // Member sections on type pages and namespace groups on the overview, in document order.
+  function jumpToSection(delta) {
+    var sections = Array.prototype.slice.call(document.querySelectorAll('main.api-content .member-section, main.api-content [data-overview-group]'))
+      .filter(function(section) { return section.offsetParent !== null; });
+    if (!sections.length) return;
+    var edge = 8;
+    var target = null;
+    if (delta > 0) {
+      target = sections.find(function(section) { return section.getBoundingClientRect().top > edge; });
+    } else {
+      for (var i = sections.length - 1; i >= 0 && !target; i--) {
+        if (sections[i].getBoundingClientRect().top < -edge) target = sections[i];
+      }
+    }
+    if (!target) return;
+    target.scrollIntoView({ block: 'start' });
+    var focusTarget = target.querySelector('.member-section-toggle, .overview-group-toggle');
+    if (focusTarget) focusTarget.focus({ preventScroll: true });
+  }
+
+  function initKeyboardShortcuts(palette) {
+    var bindings = readShortcutConfig();
+    var actions = {
+      palette: function() { if (palette) palette.open(); },
+      focusFilter: function() {
+        if (!filterInput) return;
+        if (toggle && toggle.offsetParent !== null) setSidebar(true);
+        filterInput.focus();
+        filterInput.select();
+      },
+      focusMemberFilter: function() {
+        if (!memberFilter) return;
+        memberFilter.focus();
+        memberFilter.select();
+      },
+      nextItem: function() { moveSidebarFocus(1); },
+      previousItem: function() { moveSidebarFocus(-1); },
+      nextSection: function() { jumpToSection(1); },
+      previousSection: function() { jumpToSection(-1); },
+      toggleToc: function() { if (tocToggle) tocToggle.click(); },
+      help: openHelp
+    };
+
+    var root = document.createElement('div');
+    root.className = 'api-shortcuts';
+    root.hidden = true;
+    root.innerHTML =
+      '<div class="api-shortcuts-backdrop"></div>' +
+      '<div class="api-shortcuts-dialog" role="dialog" aria-modal="true" aria-labelledby="api-shortcuts-title">' +
+        '<div class="api-shortcuts-header">' +
+          '<h2 id="api-shortcuts-title">Keyboard shortcuts</h2>' +
+          '<button class="api-shortcuts-close" type="button" aria-label="Close keyboard shortcuts">&times;</button>' +
+        '</div>' +
+        '<dl class="api-shortcuts-list">' +
+          Object.keys(defaultShortcuts).filter(function(action) { return bindings[action].length > 0; }).map(function(action) {
+            return '<div class="api-shortcuts-row"><dt>' + bindings[action].map(formatShortcut).join(' <span>or</span> ') + '</dt>' +
+              '<dd>' + escapeHtml(defaultShortcuts[action].label) + '</dd></div>';
+          }).join('') +
+          '<div class="api-shortcuts-row"><dt><kbd>Esc</kbd></dt><dd>Close dialogs and the sidebar</dd></div>' +
+        '</dl>' +
+        '<p class="api-shortcuts-hint">Shortcuts are ignored while typing in a field.</p>' +
+      '</div>';
+    document.body.appendChild(root);
+
+    var closeButton = root.querySelector('.api-shortcuts-close');
+    var returnFocus = null;
+
+    function openHelp() {
+      if (!root.hidden) return;
+      returnFocus = document.activeElement;
+      root.hidden = false;
+      closeButton.focus();
+    }
+
+    function closeHelp() {
+      if (root.hidden) return;
+      root.hidden = true;
+      if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+      returnFocus = null;
+    }
+
+    closeButton.addEventListener('click', closeHelp);
+    root.querySelector('.api-shortcuts-backdrop').addEventListener('click', closeHelp);
+    root.addEventListener('keydown', function(event) {
+      var isHelpKey = bindings.help.some(function(shortcut) { return matchesShortcut(event, shortcut); });
+      if (event.key === 'Escape' || isHelpKey) {
+        event.preventDefault();
+        event.stopPropagation();
+        closeHelp();
+      } else if (event.key === 'Tab') {
+        event.preventDefault();
+      }
+    });
+
+    document.addEventListener('keydown', function(event) {
+      if (event.defaultPrevented || event.isComposing || !root.hidden) return;
+      var editable = isEditableTarget(event.target);
+      var action = Object.keys(bindings).find(function(name) {
+        return bindings[name].some(function(shortcut) {
+          return (!editable || hasModifier(shortcut)) && matchesShortcut(event, shortcut);
+        });
+      });
+      if (!action) return;
+      event.preventDefault();
+      actions[action]();
+    });
+  }
+
   function normalizePath(path) {
     if (!path) return '/';
     if (path === '/') return '/';
@@ -464,40 +1297,93 @@
     }
   }
 
+  // URL state is encoded by state-codec.js (window.PowerForgeApiDocsState), which is shared with the
+  // template docs.js variants and still reads the older #k=&ns=... and ?kind=&namespace= links.
+  var stateCodec = window.PowerForgeApiDocsState || null;
+
   function isStateHash(hash) {
-    return /^#(?:k|ns|q|mk|mq|mi|mc|tc)=/.test(hash || '');
+    return stateCodec ? stateCodec.isLegacyHash(hash) : false;
   }
 
-  function buildStateHash() {
-    var parts = [];
-    if (activeKind) parts.push('k=' + encodeURIComponent(activeKind));
-    if (activeNamespace) parts.push('ns=' + encodeURIComponent(activeNamespace));
-    if (filterInput && filterInput.value) parts.push('q=' + encodeURIComponent(filterInput.value));
-    if (activeMemberKind) parts.push('mk=' + encodeURIComponent(activeMemberKind));
-    if (memberFilter && memberFilter.value) parts.push('mq=' + encodeURIComponent(memberFilter.value));
-    if (inheritedToggle && inheritedToggle.checked) parts.push('mi=1');
-    if (window.__pfMemberCollapsed) parts.push('mc=' + encodeURIComponent(window.__pfMemberCollapsed));
-    if (window.__pfTocCollapsed) parts.push('tc=1');
+  function currentState() {
+    return {
+      query: filterInput ? filterInput.value : '',
+      kind: activeKind,
+      namespace: activeNamespace,
+      memberKind: activeMemberKind,
+      memberQuery: memberFilter ? memberFilter.value : '',
+      memberDeclaring: activeDeclaringType,
+      memberTraits: getMemberTraitList(),
+      memberAccess: activeMemberAccess,
+      memberReturns: activeMemberReturns,
+      memberVersion: activeMemberVersion,
+      inherited: !!(inheritedToggle && inheritedToggle.checked),
+      memberCollapsed: (window.__pfMemberCollapsed || '').split(',').filter(Boolean),
+      tocCollapsed: !!window.__pfTocCollapsed
+    };
+  }
 
-    return parts.length ? '#' + parts.join('&') : '';
+  // The declaring-type filter names an ancestor of the current type, so it is not carried to other pages.
+  function linkState() {
+    var state = currentState();
+    state.memberDeclaring = '';
+    return state;
   }
 
-  function syncApiLinksWithState(hash) {
+  function syncApiLinksWithState(state) {
+    if (!stateCodec) return;
     document.querySelectorAll('a[href]').forEach(function(anchor) {
-      if (!isApiDocLink(anchor)) return;
-
-      var url = new URL(anchor.getAttribute('href'), window.location.href);
-      if (url.hash && !isStateHash(url.hash)) return;
-
-      url.hash = hash;
-      anchor.setAttribute('href', url.pathname + url.search + url.hash);
+      // Same-page anchors (#member) must stay fragment-only so they scroll instead of reloading.
+      var href = anchor.getAttribute('href');
+      if (!href || href.charAt(0) === '#' || !isApiDocLink(anchor)) return;
+      anchor.setAttribute('href', stateCodec.write(href, state));
     });
   }
 
   var activeKind = '';
   var activeNamespace = '';
   var activeMemberKind = '';
+  var activeDeclaringType = '';
+  // Trait chips (data-traits on member cards) map trait -> 'include' | 'exclude'; the URL lists them as static,-obsolete.
+  var activeMemberTraits = {};
+  var activeMemberAccess = '';
+  var activeMemberReturns = '';
+  // Version filter value is '<added|changed|removed>:<version>' and matches the card's data-version-<status>.
+  var activeMemberVersion = '';
+
+  function getMemberTraitList() {
+    return Object.keys(activeMemberTraits).map(function(trait) {
+      return activeMemberTraits[trait] === 'exclude' ? '-' + trait : trait;
+    });
+  }
+
+  function setMemberTraitList(list) {
+    activeMemberTraits = {};
+    (list || []).forEach(function(entry) {
+      var value = String(entry || '').trim().toLowerCase();
+      var exclude = value.charAt(0) === '-';
+      if (exclude) value = value.slice(1);
+      if (value) activeMemberTraits[value] = exclude ? 'exclude' : 'include';
+    });
+  }
+
+  function matchesMemberVersion(card) {
+    if (!activeMemberVersion) return true;
+    var separator = activeMemberVersion.indexOf(':');
+    if (separator < 0) return true;
+    var status = activeMemberVersion.slice(0, separator);
+    return card.getAttribute('data-version-' + status) === activeMemberVersion.slice(separator + 1);
+  }
+
+  function matchesMemberTraits(card) {
+    var traits = ' ' + (card.getAttribute('data-traits') || '') + ' ';
+    return Object.keys(activeMemberTraits).every(function(trait) {
+      var has = traits.indexOf(' ' + trait + ' ') !== -1;
+      return activeMemberTraits[trait] === 'exclude' ? !has : has;
+    });
+  }
   var totalTypes = countLabel ? parseInt(countLabel.dataset.total || '0', 10) : 0;
+  var virtualSidebar = initVirtualSidebar(document.querySelector('.sidebar-nav[data-nav-url]'));
   namespaceCombo = initNamespaceCombobox(namespaceSelect);
 
   function initNamespaceCombobox(select) {
@@ -675,78 +1561,367 @@
   }
 
   function loadState() {
-    var hash = window.location.hash || '';
-    if (!hash) return;
-    var query = hash.indexOf('?') >= 0 ? hash.split('?')[1] : hash.slice(1);
-    if (!query) return;
-    query.split('&').forEach(function(pair) {
-      var parts = pair.split('=');
-      if (parts.length < 2) return;
-      var key = decodeURIComponent(parts[0]);
-      var value = decodeURIComponent(parts.slice(1).join('='));
-      if (key === 'k') activeKind = value;
-      if (key === 'ns') activeNamespace = value;
-      if (key === 'q' && filterInput) filterInput.value = value;
-      if (key === 'mk') activeMemberKind = value;
-      if (key === 'mq' && memberFilter) memberFilter.value = value;
-      if (key === 'mi' && inheritedToggle) inheritedToggle.checked = value === '1';
-      if (key === 'mc') window.__pfMemberCollapsed = value;
-      if (key === 'tc') window.__pfTocCollapsed = value === '1';
-    });
+    if (!stateCodec) return;
+    var state = stateCodec.read();
+    activeKind = state.kind;
+    activeNamespace = state.namespace;
+    activeMemberKind = state.memberKind;
+    activeDeclaringType = String(state.memberDeclaring || '').toLowerCase();
+    setMemberTraitList(state.memberTraits);
+    activeMemberAccess = state.memberAccess;
+    activeMemberReturns = state.memberReturns;
+    activeMemberVersion = state.memberVersion;
+    if (filterInput && state.query) filterInput.value = state.query;
+    if (memberFilter && state.memberQuery) memberFilter.value = state.memberQuery;
+    if (inheritedToggle && state.inherited) inheritedToggle.checked = true;
+    window.__pfMemberCollapsed = state.memberCollapsed.join(',');
+    window.__pfTocCollapsed = state.tocCollapsed;
   }
 
   function saveState() {
-    var hash = buildStateHash();
-    if (!hash) {
-      history.replaceState(null, '', window.location.pathname + window.location.search);
-      syncApiLinksWithState('');
-      return;
-    }
-    history.replaceState(null, '', window.location.pathname + window.location.search + hash);
-    syncApiLinksWithState(hash);
+    if (!stateCodec) return;
+    var state = currentState();
+    stateCodec.save(state);
+    syncApiLinksWithState(linkState());
   }
 
-  function applyFilter(query) {
-    var q = normalize(query);
-    var items = Array.prototype.slice.call(document.querySelectorAll('.type-item'));
-    var chips = Array.prototype.slice.call(document.querySelectorAll('.type-chip'));
-    var sections = Array.prototype.slice.call(document.querySelectorAll('.nav-section'));
+  // Large APIs ship the type list as a compact JSON model (.sidebar-nav[data-nav-url]) instead of markup in every page.
+  // Only rows near the visible part of the sidebar exist in the DOM; they are absolutely positioned inside the nav,
+  // which is sized for the whole filtered list so the scrollbar stays truthful.
+  function initVirtualSidebar(nav) {
+    if (!nav || !window.fetch) return null;
+
+    var sectionGap = 10;
+    var headerGap = 6;
+    var itemGap = 4;
+    var overscan = 320;
+    var rowHeight = { header: 24, item: 32 };
+    var sections = [];
+    var rows = [];
+    var collapsed = {};
+    var collapseDefault = false;
+    var predicate = null;
+    var ready = false;
+    var renderedFrom = -1;
+    var renderedTo = -1;
+    var frame = 0;
+    var scroller = findScrollParent(nav);
+    var status = nav.querySelector('.sidebar-nav-status');
+    var rowsRoot = document.createElement('div');
+    rowsRoot.className = 'sidebar-nav-rows';
+
+    function findScrollParent(element) {
+      for (var node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+        var overflow = window.getComputedStyle(node).overflowY;
+        if (overflow === 'auto' || overflow === 'scroll') return node;
+      }
+      return null;
+    }
 
-    items.forEach(function(item) {
-      var hay = normalize(item.dataset.search || item.textContent);
-      var matchSearch = !q || hay.indexOf(q) !== -1;
-      var matchKind = !activeKind || item.dataset.kind === activeKind;
-      var matchNamespace = !activeNamespace || item.dataset.namespace === activeNamespace;
-      var match = matchSearch && matchKind && matchNamespace;
-      item.style.display = match ? '' : 'none';
-    });
+    function isCollapsed(index) {
+      return Object.prototype.hasOwnProperty.call(collapsed, index) ? collapsed[index] : collapseDefault;
+    }
 
-    chips.forEach(function(chip) {
-      var hay = normalize(chip.dataset.search || chip.textContent);
-      var matchSearch = !q || hay.indexOf(q) !== -1;
-      var matchKind = !activeKind || chip.dataset.kind === activeKind;
-      var matchNamespace = !activeNamespace || chip.dataset.namespace === activeNamespace;
-      var match = matchSearch && matchKind && matchNamespace;
-      chip.style.display = match ? '' : 'none';
-    });
+    function renderHeader(section, index, top) {
+      var expanded = !isCollapsed(index);
+      return '<div class="nav-section-header nav-virtual-row' + (section.main ? ' main-api' : '') + '" role="button" tabindex="0"' +
+        ' aria-expanded="' + expanded + '" data-section-index="' + index + '" data-row-key="s' + index + '" style="top:' + top + 'px">' +
+        '<svg class="chevron' + (expanded ? ' expanded' : '') + '" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 18l6-6-6-6"/></svg>' +
+        '<span>' + escapeHtml(section.title) + '</span><span class="type-count">' + section.entries.length + '</span></div>';
+    }
 
-    sections.forEach(function(section) {
-      var hasVisible = false;
-      section.querySelectorAll('.type-item').forEach(function(item) {
-        if (item.style.display !== 'none') {
-          hasVisible = true;
-        }
-      });
-      section.style.display = hasVisible ? '' : 'none';
-    });
+    function renderItem(entry, top, search, activePath) {
+      var title = entry.aliases.length ? 'Aliases: ' + entry.aliases.join(', ') : entry.name;
+      var badge = entry.freshness
+        ? '<span class="freshness-badge ' + escapeHtml(entry.freshness) + ' type-list-freshness" title="' + escapeHtml(entry.freshnessTitle) + '">' +
+          (entry.freshness === 'new' ? 'New' : 'Updated') + '</span>'
+        : '';
+      return '<a href="' + escapeHtml(entry.path + search) + '" class="type-item nav-virtual-row' + (entry.path === activePath ? ' active' : '') + '"' +
+        ' data-kind="' + escapeHtml(entry.kind) + '" data-namespace="' + escapeHtml(entry.namespace) + '" data-row-key="t' + escapeHtml(entry.slug) + '"' +
+        ' title="' + escapeHtml(title) + '" style="top:' + top + 'px">' +
+        '<span class="type-icon ' + escapeHtml(entry.kind) + '"><span class="type-icon-glyph">' + escapeHtml(entry.glyph) + '</span></span>' +
+        '<span class="type-name">' + escapeHtml(entry.name) + '</span>' + badge + '</a>';
+    }
+
+    // Rows are positioned by the pitch measured from one real header and item, so theme paddings still apply.
+    function measure() {
+      var sample = sections.length && sections[0].entries.length ? sections[0] : null;
+      if (!sample) return;
+      rowsRoot.innerHTML = renderHeader(sample, 0, 0) + renderItem(sample.entries[0], 0, '', '');
+      var header = rowsRoot.firstElementChild;
+      var item = rowsRoot.lastElementChild;
+      if (header.offsetHeight) rowHeight.header = header.offsetHeight;
+      if (item.offsetHeight) rowHeight.item = item.offsetHeight;
+      rowsRoot.innerHTML = '';
+      renderedFrom = renderedTo = -1;
+    }
+
+    function layout() {
+      var top = 0;
+      var visible = 0;
+      rows = [];
+      sections.forEach(function(section, index) {
+        var matches = section.entries.filter(function(entry) { return entry.match; });
+        if (!matches.length) return;
+        visible += matches.length;
+        if (rows.length) top += sectionGap;
+        rows.push({ section: section, index: index, top: top, height: rowHeight.header });
+        top += rowHeight.header;
+        if (isCollapsed(index)) return;
+        top += headerGap;
+        matches.forEach(function(entry, position) {
+          if (position) top += itemGap;
+          rows.push({ entry: entry, top: top, height: rowHeight.item });
+          top += rowHeight.item;
+        });
+      });
+      nav.style.height = top + 'px';
+      renderedFrom = renderedTo = -1;
+      render();
+      return visible;
+    }
+
+    function findFirstRow(offset) {
+      var low = 0;
+      var high = rows.length;
+      while (low < high) {
+        var mid = (low + high) >> 1;
+        if (rows[mid].top + rows[mid].height < offset) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    }
+
+    function render() {
+      frame = 0;
+      if (!ready) return;
+      var navTop = nav.getBoundingClientRect().top;
+      var viewTop = 0;
+      var viewBottom = window.innerHeight;
+      if (scroller) {
+        var bounds = scroller.getBoundingClientRect();
+        viewTop = Math.max(viewTop, bounds.top);
+        viewBottom = Math.min(viewBottom, bounds.bottom);
+      }
+      var from = findFirstRow(viewTop - navTop - overscan);
+      var to = from;
+      var limit = viewBottom - navTop + overscan;
+      while (to < rows.length && rows[to].top < limit) to++;
+      if (from === renderedFrom && to === renderedTo) return;
+      renderedFrom = from;
+      renderedTo = to;
+
+      var focused = rowsRoot.contains(document.activeElement) ? document.activeElement.getAttribute('data-row-key') : null;
+      var search = stateCodec ? stateCodec.toSearch(linkState()) : '';
+      var activePath = normalizePath(window.location.pathname);
+      var html = '';
+      for (var i = from; i < to; i++) {
+        var row = rows[i];
+        html += row.section ? renderHeader(row.section, row.index, row.top) : renderItem(row.entry, row.top, search, activePath);
+      }
+      rowsRoot.innerHTML = html;
+      if (focused) {
+        var again = rowsRoot.querySelector('[data-row-key="' + focused + '"]');
+        if (again) again.focus({ preventScroll: true });
+      }
+    }
+
+    function scheduleRender() {
+      if (!frame) frame = window.requestAnimationFrame(render);
+    }
+
+    function revealActive() {
+      if (!scroller) return;
+      var activePath = normalizePath(window.location.pathname);
+      for (var i = 0; i < rows.length; i++) {
+        if (!rows[i].entry || rows[i].entry.path !== activePath) continue;
+        var rowTop = nav.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop + rows[i].top;
+        if (rowTop < scroller.scrollTop || rowTop + rows[i].height > scroller.scrollTop + scroller.clientHeight) {
+          scroller.scrollTop = Math.max(0, rowTop - scroller.clientHeight / 3);
+        }
+        return;
+      }
+    }
+
+    // Scrolls the least distance that brings the row fully into view.
+    function revealRow(row) {
+      var rowTop = nav.getBoundingClientRect().top + row.top;
+      var viewTop = 0;
+      var viewBottom = window.innerHeight;
+      if (scroller) {
+        var bounds = scroller.getBoundingClientRect();
+        viewTop = Math.max(viewTop, bounds.top);
+        viewBottom = Math.min(viewBottom, bounds.bottom);
+      }
+      var shift = rowTop < viewTop ? rowTop - viewTop : (rowTop + row.height > viewBottom ? rowTop + row.height - viewBottom : 0);
+      if (!shift) return;
+      if (scroller) scroller.scrollTop += shift;
+      else window.scrollBy(0, shift);
+    }
+
+    function toggleSection(header) {
+      var index = parseInt(header.getAttribute('data-section-index'), 10);
+      if (!Number.isFinite(index)) return;
+      collapsed[index] = !isCollapsed(index);
+      layout();
+    }
 
-    if (emptyLabel) {
-      var anyVisible = items.some(function(item) { return item.style.display !== 'none'; });
-      emptyLabel.hidden = anyVisible;
+    function load(model) {
+      var namespaces = Array.isArray(model.namespaces) ? model.namespaces : [];
+      var basePath = normalizePath(new URL(model.baseUrl || getApiDocsBasePath(), window.location.href).pathname);
+      sections = (Array.isArray(model.sections) ? model.sections : []).map(function(section) {
+        return {
+          title: section.title || '',
+          main: !!section.main,
+          entries: (Array.isArray(section.items) ? section.items : []).map(function(item) {
+            return {
+              slug: item.s || '',
+              path: basePath + (item.s || '') + '/',
+              name: item.n || item.s || '',
+              kind: item.k || '',
+              glyph: item.i || '',
+              namespace: namespaces[item.ns] || '',
+              hay: normalize(item.q || item.n),
+              aliases: Array.isArray(item.a) ? item.a : [],
+              freshness: item.f || '',
+              freshnessTitle: item.ft || '',
+              match: true
+            };
+          })
+        };
+      });
+      if (status) status.remove();
+      nav.appendChild(rowsRoot);
+      ready = true;
+      measure();
+      applyFilter(filterInput ? filterInput.value : '');
+      revealActive();
     }
 
-    if (countLabel) {
-      var visibleCount = items.filter(function(item) { return item.style.display !== 'none'; }).length;
+    nav.addEventListener('click', function(event) {
+      var header = event.target.closest ? event.target.closest('.nav-section-header[data-section-index]') : null;
+      if (header) toggleSection(header);
+    });
+    nav.addEventListener('keydown', function(event) {
+      if (event.key !== 'Enter' && event.key !== ' ') return;
+      var header = event.target.closest ? event.target.closest('.nav-section-header[data-section-index]') : null;
+      if (!header) return;
+      event.preventDefault();
+      toggleSection(header);
+    });
+    if (scroller) scroller.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', function() {
+      if (!ready) return;
+      measure();
+      layout();
+    });
+
+    fetch(nav.getAttribute('data-nav-url'), { credentials: 'same-origin' })
+      .then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(load)
+      .catch(function() {
+        if (!status) return;
+        status.innerHTML = 'Could not load the type list. <a class="sidebar-nav-all" href="' + escapeHtml(getApiDocsBasePath()) + '">Browse all types</a>';
+      });
+
+    return {
+      // Returns the number of matching types, or -1 while the model is still loading.
+      filter: function(match) {
+        predicate = match;
+        if (!ready) return -1;
+        sections.forEach(function(section) {
+          section.entries.forEach(function(entry) { entry.match = !predicate || predicate(entry); });
+        });
+        return layout();
+      },
+      setAllCollapsed: function(value) {
+        collapseDefault = value;
+        collapsed = {};
+        if (ready) layout();
+      },
+      refresh: function() {
+        renderedFrom = renderedTo = -1;
+        render();
+      },
+      // Moves keyboard focus to the next/previous matching type, rendering it first when it is off-screen.
+      focusStep: function(delta) {
+        if (!ready) return;
+        var itemRows = rows.filter(function(row) { return !!row.entry; });
+        if (!itemRows.length) return;
+        var focusedKey = rowsRoot.contains(document.activeElement) ? document.activeElement.getAttribute('data-row-key') : '';
+        var activePath = normalizePath(window.location.pathname);
+        var index = -1;
+        for (var i = 0; i < itemRows.length && index < 0; i++) {
+          if ('t' + itemRows[i].entry.slug === focusedKey) index = i;
+        }
+        for (var j = 0; j < itemRows.length && index < 0; j++) {
+          if (itemRows[j].entry.path === activePath) index = j;
+        }
+        var next = index < 0 ? (delta > 0 ? 0 : itemRows.length - 1) : Math.min(itemRows.length - 1, Math.max(0, index + delta));
+        var row = itemRows[next];
+        revealRow(row);
+        renderedFrom = renderedTo = -1;
+        render();
+        var element = rowsRoot.querySelector('[data-row-key="t' + row.entry.slug + '"]');
+        if (element) element.focus({ preventScroll: true });
+      }
+    };
+  }
+
+  function applyFilter(query) {
+    var q = normalize(query);
+    var items = virtualSidebar ? [] : Array.prototype.slice.call(document.querySelectorAll('.type-item'));
+    var chips = Array.prototype.slice.call(document.querySelectorAll('.type-chip'));
+    var sections = Array.prototype.slice.call(document.querySelectorAll('.nav-section'));
+
+    items.forEach(function(item) {
+      var hay = normalize(item.dataset.search || item.textContent);
+      var matchSearch = !q || hay.indexOf(q) !== -1;
+      var matchKind = !activeKind || item.dataset.kind === activeKind;
+      var matchNamespace = !activeNamespace || item.dataset.namespace === activeNamespace;
+      var match = matchSearch && matchKind && matchNamespace;
+      item.style.display = match ? '' : 'none';
+    });
+
+    chips.forEach(function(chip) {
+      var hay = normalize(chip.dataset.search || chip.textContent);
+      var matchSearch = !q || hay.indexOf(q) !== -1;
+      var matchKind = !activeKind || chip.dataset.kind === activeKind;
+      var matchNamespace = !activeNamespace || chip.dataset.namespace === activeNamespace;
+      var match = matchSearch && matchKind && matchNamespace;
+      chip.style.display = match ? '' : 'none';
+    });
+
+    sections.forEach(function(section) {
+      var hasVisible = false;
+      section.querySelectorAll('.type-item').forEach(function(item) {
+        if (item.style.display !== 'none') {
+          hasVisible = true;
+        }
+      });
+      section.style.display = hasVisible ? '' : 'none';
+    });
+
+    var visibleCount = items.filter(function(item) { return item.style.display !== 'none'; }).length;
+    if (virtualSidebar) {
+      visibleCount = virtualSidebar.filter(function(entry) {
+        var matchSearch = !q || entry.hay.indexOf(q) !== -1;
+        var matchKind = !activeKind || entry.kind === activeKind;
+        var matchNamespace = !activeNamespace || entry.namespace === activeNamespace;
+        return matchSearch && matchKind && matchNamespace;
+      });
+    }
+
+    // A negative count means the virtual sidebar model is still loading; keep the server-rendered labels until then.
+    if (emptyLabel && visibleCount >= 0) {
+      emptyLabel.hidden = visibleCount > 0;
+    }
+
+    if (countLabel && visibleCount >= 0) {
       var total = totalTypes || items.length;
       countLabel.textContent = 'Showing ' + formatCount(visibleCount) + ' of ' + formatCount(total) + ' types';
     }
@@ -829,6 +2004,10 @@
   });
 
   function setAllSections(collapsed) {
+    if (virtualSidebar) {
+      virtualSidebar.setAllCollapsed(collapsed);
+      return;
+    }
     var sections = Array.prototype.slice.call(document.querySelectorAll('.nav-section'));
     sections.forEach(function(section) {
       var content = section.querySelector('.nav-section-content');
@@ -861,6 +2040,7 @@
   function applyMemberFilter() {
     var q = normalize(memberFilter ? memberFilter.value : '');
     var showInherited = inheritedToggle ? inheritedToggle.checked : true;
+    var returnsQuery = normalize(activeMemberReturns);
     var cards = Array.prototype.slice.call(document.querySelectorAll('.member-card'));
     var sections = Array.prototype.slice.call(document.querySelectorAll('.member-section'));
     var groups = Array.prototype.slice.call(document.querySelectorAll('.member-group'));
@@ -869,8 +2049,13 @@
       var hay = normalize(card.dataset.search || card.textContent);
       var matchSearch = !q || hay.indexOf(q) !== -1;
       var matchKind = !activeMemberKind || card.dataset.kind === activeMemberKind;
-      var matchInherited = showInherited || card.dataset.inherited !== 'true';
-      var match = matchSearch && matchKind && matchInherited;
+      // Narrowing to a declaring type (type graph) shows that ancestor's members even while inherited ones are hidden.
+      var matchDeclaring = !activeDeclaringType || getDeclaringTypeKey(card) === activeDeclaringType;
+      var matchInherited = showInherited || card.dataset.inherited !== 'true' || !!activeDeclaringType;
+      var matchAccess = !activeMemberAccess || card.getAttribute('data-access') === activeMemberAccess;
+      var matchReturns = !returnsQuery || normalize(card.getAttribute('data-returns') || '').indexOf(returnsQuery) !== -1;
+      var match = matchSearch && matchKind && matchInherited && matchDeclaring &&
+        matchesMemberTraits(card) && matchAccess && matchReturns && matchesMemberVersion(card);
       card.style.display = match ? '' : 'none';
     });
 
@@ -890,33 +2075,10 @@
       section.style.display = visible ? '' : 'none';
     });
     saveState();
+    if (typeGraph) typeGraph.sync();
+    if (scrollspy) scrollspy.refresh();
   }
 
-  if (memberFilter) {
-    memberFilter.addEventListener('input', function() {
-      applyMemberFilter();
-      saveState();
-    });
-  }
-
-  if (memberKindButtons.length) {
-    memberKindButtons.forEach(function(btn) {
-      btn.addEventListener('click', function() {
-        memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
-        btn.classList.add('active');
-        activeMemberKind = btn.dataset.memberKind || '';
-        applyMemberFilter();
-        saveState();
-      });
-    });
-  }
-
-  if (inheritedToggle) {
-    inheritedToggle.addEventListener('change', function() {
-      applyMemberFilter();
-      saveState();
-    });
-  }
 
   function updateMemberCollapsedState() {
     var collapsedKeys = [];
@@ -929,18 +2091,6 @@
     window.__pfMemberCollapsed = collapsedKeys.join(',');
   }
 
-  memberSectionToggles.forEach(function(btn) {
-    btn.addEventListener('click', function() {
-      var section = btn.closest('.member-section');
-      if (!section) return;
-      var body = section.querySelector('.member-section-body');
-      if (!body) return;
-      var collapsed = section.classList.toggle('collapsed');
-      body.hidden = collapsed;
-      updateMemberCollapsedState();
-      saveState();
-    });
-  });
 
   function setMemberSections(collapsed) {
     document.querySelectorAll('.member-section').forEach(function(section) {
@@ -958,81 +2108,1629 @@
     saveState();
   }
 
-  if (memberExpandAll) {
-    memberExpandAll.addEventListener('click', function() {
-      setMemberSections(false);
+  function bindContent() {
+    if (memberFilter) {
+      memberFilter.addEventListener('input', function() {
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    if (memberKindButtons.length) {
+      memberKindButtons.forEach(function(btn) {
+        btn.addEventListener('click', function() {
+          memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
+          btn.classList.add('active');
+          activeMemberKind = btn.dataset.memberKind || '';
+          applyMemberFilter();
+          saveState();
+        });
+      });
+    }
+
+    if (inheritedToggle) {
+      inheritedToggle.addEventListener('change', function() {
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    memberTraitButtons.forEach(function(btn) {
+      btn.setAttribute('data-label', btn.textContent);
+      btn.addEventListener('click', function() {
+        var trait = btn.getAttribute('data-member-trait');
+        var mode = activeMemberTraits[trait];
+        if (!mode) activeMemberTraits[trait] = 'include';
+        else if (mode === 'include') activeMemberTraits[trait] = 'exclude';
+        else delete activeMemberTraits[trait];
+        syncMemberTraitButtons();
+        applyMemberFilter();
+        saveState();
+      });
+    });
+
+    if (memberAccessSelect) {
+      memberAccessSelect.addEventListener('change', function() {
+        activeMemberAccess = memberAccessSelect.value;
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    if (memberReturnsInput) {
+      memberReturnsInput.addEventListener('input', function() {
+        activeMemberReturns = memberReturnsInput.value;
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    if (memberVersionSelect) {
+      memberVersionSelect.addEventListener('change', function() {
+        activeMemberVersion = memberVersionSelect.value;
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    memberSectionToggles.forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        var section = btn.closest('.member-section');
+        if (!section) return;
+        var body = section.querySelector('.member-section-body');
+        if (!body) return;
+        var collapsed = section.classList.toggle('collapsed');
+        body.hidden = collapsed;
+        updateMemberCollapsedState();
+        saveState();
+      });
+    });
+
+    if (memberExpandAll) {
+      memberExpandAll.addEventListener('click', function() {
+        setMemberSections(false);
+      });
+    }
+
+    if (memberCollapseAll) {
+      memberCollapseAll.addEventListener('click', function() {
+        setMemberSections(true);
+      });
+    }
+
+    if (memberReset) {
+      memberReset.addEventListener('click', function() {
+        activeMemberKind = '';
+        activeDeclaringType = '';
+        activeMemberTraits = {};
+        activeMemberAccess = '';
+        activeMemberReturns = '';
+        activeMemberVersion = '';
+        syncMemberTraitButtons();
+        if (memberAccessSelect) memberAccessSelect.value = '';
+        if (memberReturnsInput) memberReturnsInput.value = '';
+        if (memberVersionSelect) memberVersionSelect.value = '';
+        if (memberFilter) memberFilter.value = '';
+        if (memberKindButtons.length) {
+          memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
+          memberKindButtons[0].classList.add('active');
+        }
+        if (inheritedToggle) inheritedToggle.checked = false;
+        applyMemberFilter();
+        saveState();
+      });
+    }
+
+    if (tocToggle) {
+      tocToggle.addEventListener('click', function() {
+        var toc = tocToggle.closest('.type-toc');
+        if (!toc) return;
+        toc.classList.toggle('collapsed');
+        window.__pfTocCollapsed = toc.classList.contains('collapsed');
+        saveState();
+      });
+    }
+
+    if (overviewGroupToggles.length) {
+      overviewGroupToggles.forEach(function(toggleButton) {
+        function syncOverviewGroup(expanded) {
+          var group = toggleButton.closest('[data-overview-group]');
+          if (!group) return;
+          var extras = Array.prototype.slice.call(group.querySelectorAll('[data-overview-extra]'));
+          extras.forEach(function(node) {
+            node.hidden = !expanded;
+          });
+          toggleButton.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+          toggleButton.textContent = expanded
+            ? (toggleButton.getAttribute('data-collapse-label') || 'Show fewer')
+            : (toggleButton.getAttribute('data-expand-label') || 'Show more');
+        }
+
+        syncOverviewGroup(false);
+        toggleButton.addEventListener('click', function() {
+          var expanded = toggleButton.getAttribute('aria-expanded') === 'true';
+          syncOverviewGroup(!expanded);
+        });
+      });
+    }
+  }
+
+  function restoreContentState() {
+    if (window.__pfTocCollapsed && tocToggle) {
+      var toc = tocToggle.closest('.type-toc');
+      if (toc) toc.classList.add('collapsed');
+    }
+    if (window.__pfMemberCollapsed) {
+      var collapsedIds = window.__pfMemberCollapsed.split(',').filter(Boolean);
+      collapsedIds.forEach(function(id) {
+        var section = document.getElementById(id);
+        if (!section) return;
+        var body = section.querySelector('.member-section-body');
+        if (!body) return;
+        section.classList.add('collapsed');
+        body.hidden = true;
+      });
+    }
+    if (memberKindButtons.length) {
+      memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
+      var activeMemberBtn = memberKindButtons.find(function(b) { return (b.dataset.memberKind || '') === activeMemberKind; });
+      (activeMemberBtn || memberKindButtons[0]).classList.add('active');
+    }
+    restoreMemberRefinements();
+  }
+
+  // Refinements carry over between type pages; drop the ones this page offers no control for, so they cannot hide
+  // every member without a way to undo them.
+  function restoreMemberRefinements() {
+    var traits = memberTraitButtons.map(function(btn) { return btn.getAttribute('data-member-trait'); });
+    Object.keys(activeMemberTraits).forEach(function(trait) {
+      if (traits.indexOf(trait) === -1) delete activeMemberTraits[trait];
+    });
+    syncMemberTraitButtons();
+
+    var hasAccessOption = !!memberAccessSelect && Array.prototype.some.call(memberAccessSelect.options, function(option) {
+      return option.value === activeMemberAccess;
+    });
+    if (!hasAccessOption) activeMemberAccess = '';
+    if (memberAccessSelect) memberAccessSelect.value = activeMemberAccess;
+
+    if (!memberReturnsInput) activeMemberReturns = '';
+    else memberReturnsInput.value = activeMemberReturns;
+
+    var hasVersionOption = !!memberVersionSelect && Array.prototype.some.call(memberVersionSelect.options, function(option) {
+      return option.value === activeMemberVersion;
     });
+    if (!hasVersionOption) activeMemberVersion = '';
+    if (memberVersionSelect) memberVersionSelect.value = activeMemberVersion;
   }
 
-  if (memberCollapseAll) {
-    memberCollapseAll.addEventListener('click', function() {
-      setMemberSections(true);
+  function syncMemberTraitButtons() {
+    memberTraitButtons.forEach(function(btn) {
+      var mode = activeMemberTraits[btn.getAttribute('data-member-trait')] || '';
+      var label = btn.getAttribute('data-label') || btn.textContent;
+      btn.setAttribute('data-trait-mode', mode);
+      btn.setAttribute('aria-pressed', mode ? 'true' : 'false');
+      btn.classList.toggle('active', mode === 'include');
+      btn.classList.toggle('excluded', mode === 'exclude');
+      btn.textContent = mode === 'exclude' ? 'Not ' + label : label;
     });
   }
 
-  if (memberReset) {
-    memberReset.addEventListener('click', function() {
-      activeMemberKind = '';
-      if (memberFilter) memberFilter.value = '';
-      if (memberKindButtons.length) {
-        memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
-        memberKindButtons[0].classList.add('active');
+  // Overload comparison: each .member-group with overloads that take parameters carries a hidden
+  // .member-overload-compare[data-overloads]. "Compare overloads" swaps the cards for a table with one row per overload
+  // and parameters aligned by name; cells whose type or position differ from the rest of their column are highlighted.
+  function initOverloadComparisons() {
+    document.querySelectorAll('.member-group').forEach(function(group) {
+      var button = group.querySelector('.member-group-compare');
+      var panel = group.querySelector('.member-overload-compare[data-overloads]');
+      var body = group.querySelector('.member-group-body');
+      if (!button || !panel || !body) return;
+      var rendered = false;
+
+      function setOpen(open) {
+        if (open && !rendered) {
+          rendered = renderOverloadComparison(panel);
+          if (!rendered) return;
+        }
+        panel.hidden = !open;
+        body.hidden = open;
+        group.classList.toggle('comparing', open);
+        button.setAttribute('aria-expanded', open ? 'true' : 'false');
+        button.textContent = open ? 'Show overload cards' : 'Compare overloads';
+      }
+
+      button.addEventListener('click', function() {
+        setOpen(panel.hidden);
+      });
+      panel.addEventListener('click', function(event) {
+        // Row links point at the overload cards; show the cards first so the browser can scroll to them.
+        if (event.target.closest('a[href^="#"]')) setOpen(false);
+      });
+    });
+  }
+
+  function renderOverloadComparison(panel) {
+    var model = null;
+    try {
+      model = JSON.parse(panel.getAttribute('data-overloads') || 'null');
+    } catch (error) {
+      model = null;
+    }
+    var overloads = model && Array.isArray(model.overloads) ? model.overloads : [];
+    if (!overloads.length) return false;
+
+    // Columns are keyed by parameter name and ordered by the earliest position the name appears at.
+    var columns = [];
+    var columnIndex = {};
+    overloads.forEach(function(overload) {
+      (overload.parameters || []).forEach(function(parameter, position) {
+        var key = String(parameter.name || '#' + position).toLowerCase();
+        var column = columnIndex[key];
+        if (!column) {
+          column = { key: key, name: parameter.name || 'arg' + position, first: position, types: {}, positions: {}, count: 0 };
+          columnIndex[key] = column;
+          columns.push(column);
+        }
+        column.first = Math.min(column.first, position);
+        column.count++;
+        column.types[parameter.type || ''] = (column.types[parameter.type || ''] || 0) + 1;
+        column.positions[position] = (column.positions[position] || 0) + 1;
+      });
+    });
+    columns.sort(function(a, b) { return a.first - b.first; });
+
+    function mostCommon(counts) {
+      var best = null;
+      Object.keys(counts).forEach(function(value) {
+        if (best === null || counts[value] > counts[best]) best = value;
+      });
+      return best;
+    }
+
+    columns.forEach(function(column) {
+      column.commonType = mostCommon(column.types);
+      column.commonPosition = Number(mostCommon(column.positions));
+      column.varies = column.count < overloads.length || Object.keys(column.types).length > 1 || Object.keys(column.positions).length > 1;
+    });
+
+    var hasReturns = overloads.some(function(overload) { return !!overload.returns; });
+    var parameterTypes = [];
+    var rows = overloads.map(function(overload, index) {
+      var byName = {};
+      var types = [];
+      (overload.parameters || []).forEach(function(parameter, position) {
+        byName[String(parameter.name || '#' + position).toLowerCase()] = { parameter: parameter, position: position };
+        var type = parameter.type || '';
+        types.push(type);
+        if (type && parameterTypes.indexOf(type) === -1) parameterTypes.push(type);
+      });
+      var cells = columns.map(function(column) {
+        var entry = byName[column.key];
+        if (!entry) return '<td class="overload-cell overload-cell-missing" aria-label="Not used">&mdash;</td>';
+        var parameter = entry.parameter;
+        var classes = ['overload-cell'];
+        var notes = [];
+        if ((parameter.type || '') !== column.commonType) {
+          classes.push('overload-cell-differs');
+          notes.push('type differs');
+        }
+        if (entry.position !== column.commonPosition) {
+          classes.push('overload-cell-moved');
+          notes.push('position ' + (entry.position + 1));
+        }
+        var optional = parameter.optional
+          ? ' <span class="overload-optional">' + (parameter.defaultValue ? '= ' + escapeHtml(parameter.defaultValue) : 'optional') + '</span>'
+          : '';
+        return '<td class="' + classes.join(' ') + '"' + (notes.length ? ' title="' + escapeHtml(notes.join(', ')) + '"' : '') + '>' +
+          '<code>' + escapeHtml(parameter.type || '?') + '</code>' + optional + '</td>';
+      }).join('');
+      return {
+        types: types,
+        html: '<tr>' +
+          '<th scope="row"><a href="#' + escapeHtml(overload.id || '') + '" title="' + escapeHtml(overload.signature || '') + '">#' + (index + 1) + '</a></th>' +
+          cells +
+          (hasReturns ? '<td class="overload-cell overload-returns"><code>' + escapeHtml(overload.returns || 'void') + '</code></td>' : '') +
+          '</tr>'
+      };
+    });
+    parameterTypes.sort(function(a, b) { return a.localeCompare(b); });
+
+    var header = '<th scope="col">Overload</th>' + columns.map(function(column) {
+      return '<th scope="col"' + (column.varies ? ' class="overload-column-varies" title="Differs between overloads"' : '') + '>' +
+        escapeHtml(column.name) + '</th>';
+    }).join('') + (hasReturns ? '<th scope="col">Returns</th>' : '');
+    var filterId = panel.id + '-type';
+
+    panel.innerHTML =
+      (parameterTypes.length > 1
+        ? '<div class="overload-compare-toolbar">' +
+            '<label for="' + escapeHtml(filterId) + '">Parameter type</label>' +
+            '<select id="' + escapeHtml(filterId) + '" class="overload-type-filter"><option value="">Any</option>' +
+            parameterTypes.map(function(type) { return '<option value="' + escapeHtml(type) + '">' + escapeHtml(type) + '</option>'; }).join('') +
+            '</select>' +
+            '<span class="overload-compare-status" role="status" aria-live="polite"></span>' +
+          '</div>'
+        : '') +
+      '<div class="overload-compare-scroll"><table class="overload-compare-table">' +
+        '<caption>' + escapeHtml((model.name || 'Member') + ': ' + overloads.length + ' overloads') + '</caption>' +
+        '<thead><tr>' + header + '</tr></thead>' +
+        '<tbody>' + rows.map(function(row) { return row.html; }).join('') + '</tbody>' +
+      '</table></div>';
+
+    var filter = panel.querySelector('.overload-type-filter');
+    var status = panel.querySelector('.overload-compare-status');
+    if (filter) {
+      filter.addEventListener('change', function() {
+        var type = filter.value;
+        var visible = 0;
+        panel.querySelectorAll('tbody tr').forEach(function(tr, index) {
+          var match = !type || rows[index].types.indexOf(type) !== -1;
+          tr.hidden = !match;
+          if (match) visible++;
+        });
+        if (status) status.textContent = type ? formatCount(visible) + ' of ' + formatCount(rows.length) + ' overloads' : '';
+      });
+    }
+    return true;
+  }
+
+  // Type graph: the generator puts ancestors, interfaces and derived types in section[data-type-graph]; the diagram is
+  // drawn on first expand. Node links open the type, and a node's members button narrows the member list to members
+  // declared on that type (cards carry data-declaring-type; cards without it belong to the page's own type).
+  var typeGraph = null;
+
+  function getDeclaringTypeKey(card) {
+    var key = card.getAttribute('data-declaring-type');
+    return (key || (typeGraph ? typeGraph.key : '')).toLowerCase();
+  }
+
+  function initTypeGraph() {
+    typeGraph = null;
+    var section = document.querySelector('.type-graph[data-type-graph]');
+    var model = null;
+    try {
+      model = section ? JSON.parse(section.getAttribute('data-type-graph') || 'null') : null;
+    } catch (error) {
+      model = null;
+    }
+    if (!model || !model.type) {
+      activeDeclaringType = '';
+      return;
+    }
+
+    var toggle = section.querySelector('.type-graph-toggle');
+    var canvas = section.querySelector('.type-graph-canvas');
+    var currentKey = String(model.type.key || '').toLowerCase();
+    var cards = Array.prototype.slice.call(document.querySelectorAll('.member-card'));
+    var counts = {};
+    var rendered = false;
+    typeGraph = { key: currentKey, sync: sync };
+
+    cards.forEach(function(card) {
+      var key = getDeclaringTypeKey(card);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    // A filter left in the URL for a type this page does not show would hide every member.
+    if (activeDeclaringType && !counts[activeDeclaringType]) activeDeclaringType = '';
+
+    function renderNode(node, role) {
+      var key = String(node.key || '').toLowerCase();
+      var count = counts[key] || 0;
+      var name = escapeHtml(node.name || node.fullName || '');
+      var label = node.href && role !== 'current'
+        ? '<a class="type-graph-name" href="' + escapeHtml(node.href) + '" title="' + escapeHtml(node.fullName || '') + '">' + name + '</a>'
+        : '<span class="type-graph-name" title="' + escapeHtml(node.fullName || '') + '">' + name + '</span>';
+      var filter = count && role !== 'interface'
+        ? '<button class="type-graph-filter" type="button" data-type-graph-key="' + escapeHtml(key) + '" aria-pressed="false">' +
+          formatCount(count) + (count === 1 ? ' member' : ' members') + '</button>'
+        : '';
+      return '<li class="type-graph-node type-graph-' + role + '" data-type-graph-node="' + escapeHtml(key) + '">' + label + filter + '</li>';
+    }
+
+    function renderGroup(title, nodes, role) {
+      if (!nodes || !nodes.length) return '';
+      return '<div class="type-graph-group type-graph-group-' + role + '"><h3>' + escapeHtml(title) + '</h3>' +
+        '<ul>' + nodes.map(function(node) { return renderNode(node, role); }).join('') + '</ul></div>';
+    }
+
+    function render() {
+      rendered = true;
+      var chain = (model.ancestors || []).map(function(node) { return renderNode(node, 'ancestor'); }).join('') +
+        renderNode(model.type, 'current');
+      canvas.innerHTML =
+        '<div class="type-graph-diagram">' +
+          '<div class="type-graph-main">' +
+            '<ol class="type-graph-chain" aria-label="Inheritance chain">' + chain + '</ol>' +
+            renderGroup('Derived types', model.derived, 'derived') +
+          '</div>' +
+          renderGroup('Implements', model.interfaces, 'interface') +
+        '</div>' +
+        '<p class="type-graph-status" role="status" aria-live="polite"></p>';
+      sync();
+    }
+
+    function setOpen(open) {
+      if (open && !rendered) render();
+      canvas.hidden = !open;
+      if (toggle) {
+        toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        toggle.textContent = open ? 'Hide diagram' : 'Show diagram';
+      }
+    }
+
+    function sync() {
+      if (!rendered) return;
+      canvas.querySelectorAll('.type-graph-filter').forEach(function(button) {
+        var pressed = button.getAttribute('data-type-graph-key') === activeDeclaringType;
+        button.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+        var node = button.closest('.type-graph-node');
+        if (node) node.classList.toggle('active', pressed);
+      });
+      var status = canvas.querySelector('.type-graph-status');
+      if (!status) return;
+      if (!activeDeclaringType) {
+        status.textContent = '';
+        return;
       }
-      if (inheritedToggle) inheritedToggle.checked = false;
+      var node = canvas.querySelector('[data-type-graph-node="' + activeDeclaringType.replace(/["\\]/g, '\\$&') + '"] .type-graph-name');
+      var visible = cards.filter(function(card) { return card.style.display !== 'none'; }).length;
+      status.innerHTML = 'Showing ' + formatCount(visible) + ' of ' + formatCount(counts[activeDeclaringType] || 0) +
+        ' members declared on <strong>' + escapeHtml(node ? node.textContent : activeDeclaringType) + '</strong>. ' +
+        '<button class="type-graph-clear" type="button">Show all members</button>';
+    }
+
+    function setDeclaringType(key) {
+      activeDeclaringType = key === activeDeclaringType ? '' : key;
       applyMemberFilter();
+      if (!activeDeclaringType) return;
+      // Inherited sections start collapsed; open the ones that now hold the requested members.
+      document.querySelectorAll('.member-section.collapsed').forEach(function(memberSection) {
+        var hasMatch = Array.prototype.some.call(memberSection.querySelectorAll('.member-card'), function(card) {
+          return card.style.display !== 'none';
+        });
+        var body = memberSection.querySelector('.member-section-body');
+        if (!hasMatch || !body) return;
+        memberSection.classList.remove('collapsed');
+        body.hidden = false;
+      });
+      updateMemberCollapsedState();
       saveState();
+    }
+
+    if (toggle) {
+      toggle.addEventListener('click', function() {
+        setOpen(canvas.hidden);
+      });
+    }
+    canvas.addEventListener('click', function(event) {
+      if (event.target.closest('.type-graph-clear')) {
+        setDeclaringType('');
+        return;
+      }
+      if (event.target.closest('a')) return;
+      // The whole node is a target for the filter; its name link still navigates.
+      var node = event.target.closest('.type-graph-node');
+      var button = node ? node.querySelector('.type-graph-filter') : null;
+      if (button) setDeclaringType(button.getAttribute('data-type-graph-key'));
     });
+
+    if (activeDeclaringType) setOpen(true);
   }
 
-  if (tocToggle) {
-    tocToggle.addEventListener('click', function() {
-      var toc = tocToggle.closest('.type-toc');
-      if (!toc) return;
-      toc.classList.toggle('collapsed');
-      window.__pfTocCollapsed = toc.classList.contains('collapsed');
-      saveState();
+  // Scrollspy for the type page TOC: the section under the reading line gets .active and the member card
+  // being read is named right under it. An IntersectionObserver band at that line wakes the update, so plain
+  // scrolling costs nothing until something crosses it.
+  var scrollspy = null;
+
+  function initScrollspy() {
+    if (scrollspy) scrollspy.disconnect();
+    scrollspy = null;
+    var toc = document.querySelector('.type-toc');
+    if (!toc || !('IntersectionObserver' in window)) return;
+
+    var sections = [];
+    toc.querySelectorAll('a[href^="#"]').forEach(function(link) {
+      var target = document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1)));
+      if (target) sections.push({ link: link, target: target });
     });
+    if (!sections.length) return;
+
+    var cards = Array.prototype.slice.call(document.querySelectorAll('.member-card[id]'));
+    var readingLine = 0.2;
+    var currentLink = document.createElement('a');
+    currentLink.className = 'type-toc-current';
+    currentLink.hidden = true;
+    var activeSection = null;
+    var activeCard = null;
+    var frame = 0;
+    var anchorTimer = 0;
+    var settled = false;
+
+    function isShown(element) {
+      return element.getClientRects().length > 0;
+    }
+
+    // Entries are in document order, so the last shown one whose top passed the reading line is the active one.
+    function findActive(entries, getElement) {
+      var line = window.innerHeight * readingLine;
+      var found = null;
+      for (var i = 0; i < entries.length; i++) {
+        var element = getElement(entries[i]);
+        if (!isShown(element)) continue;
+        if (element.getBoundingClientRect().top > line) break;
+        found = entries[i];
+      }
+      return found;
+    }
+
+    function keepInView(element) {
+      var scroller = element.parentElement;
+      while (scroller && scroller !== toc.parentElement) {
+        if (scroller.scrollHeight > scroller.clientHeight || scroller.scrollWidth > scroller.clientWidth) break;
+        scroller = scroller.parentElement;
+      }
+      if (!scroller || scroller === toc.parentElement) return;
+      var box = scroller.getBoundingClientRect();
+      var rect = element.getBoundingClientRect();
+      if (rect.top < box.top) scroller.scrollTop -= box.top - rect.top + 8;
+      else if (rect.bottom > box.bottom) scroller.scrollTop += rect.bottom - box.bottom + 8;
+      if (rect.left < box.left) scroller.scrollLeft -= box.left - rect.left + 8;
+      else if (rect.right > box.right) scroller.scrollLeft += rect.right - box.right + 8;
+    }
+
+    // The anchor follows the reader through history.replaceState; view state stays in the query via the codec.
+    function syncAnchor() {
+      if (!stateCodec) return;
+      var id = activeCard ? activeCard.id : (activeSection ? activeSection.target.id : '');
+      var url = new URL(window.location.href);
+      var currentId = url.hash && !isStateHash(url.hash) ? decodeURIComponent(url.hash.slice(1)) : '';
+      if (currentId === id) return;
+      url.hash = id;
+      history.replaceState(history.state, '', stateCodec.write(url.href, currentState()));
+    }
+
+    function update() {
+      frame = 0;
+      var section = findActive(sections, function(entry) { return entry.target; });
+      var card = findActive(cards, function(entry) { return entry; });
+      if (card && (!section || !section.target.contains(card))) card = null;
+      if (section === activeSection && card === activeCard) {
+        settled = true;
+        return;
+      }
+
+      if (activeSection) {
+        activeSection.link.classList.remove('active');
+        activeSection.link.removeAttribute('aria-current');
+      }
+      if (section) {
+        section.link.classList.add('active');
+        section.link.setAttribute('aria-current', 'location');
+      }
+      activeSection = section;
+      activeCard = card;
+
+      if (card && section) {
+        currentLink.setAttribute('href', '#' + card.id);
+        currentLink.textContent = card.dataset.memberName || card.id;
+        section.link.parentNode.appendChild(currentLink);
+        currentLink.hidden = false;
+      } else {
+        currentLink.hidden = true;
+      }
+      if (section) keepInView(card ? currentLink : section.link);
+
+      // The first pass only reflects where the page opened; the address changes once the reader scrolls.
+      if (settled) {
+        clearTimeout(anchorTimer);
+        anchorTimer = setTimeout(syncAnchor, 200);
+      }
+      settled = true;
+    }
+
+    function schedule() {
+      if (!frame) frame = window.requestAnimationFrame(update);
+    }
+
+    var observer = new IntersectionObserver(schedule, { rootMargin: '-' + (readingLine * 100) + '% 0px -' + (99 - readingLine * 100) + '% 0px' });
+    sections.forEach(function(entry) { observer.observe(entry.target); });
+    cards.forEach(function(card) { observer.observe(card); });
+    window.addEventListener('resize', schedule);
+
+    scrollspy = {
+      refresh: schedule,
+      disconnect: function() {
+        observer.disconnect();
+        window.removeEventListener('resize', schedule);
+        if (frame) window.cancelAnimationFrame(frame);
+        clearTimeout(anchorTimer);
+        if (currentLink.parentNode) currentLink.parentNode.removeChild(currentLink);
+      }
+    };
   }
 
-  if (overviewGroupToggles.length) {
-    overviewGroupToggles.forEach(function(toggleButton) {
-      function syncOverviewGroup(expanded) {
-        var group = toggleButton.closest('[data-overview-group]');
-        if (!group) return;
-        var extras = Array.prototype.slice.call(group.querySelectorAll('[data-overview-extra]'));
-        extras.forEach(function(node) {
-          node.hidden = !expanded;
+  // API changes page: diffs the api-snapshot.json of two versions (their search.json when a version has no snapshot,
+  // or two local files) into added, removed and changed types and members, grouped by namespace.
+  var apiDiffSources = {};
+  var apiDiffStatusLabels = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+
+  function getNamespaceFromTypeKey(key) {
+    var plain = String(key || '').split(/[`<(\[]/)[0];
+    var index = plain.lastIndexOf('.');
+    return index > 0 ? plain.slice(0, index) : '';
+  }
+
+  // Snapshots and search indexes both become { version, types: { <full name>: { ..., members: { <anchor>: ... } } } }.
+  function normalizeApiDiffSource(payload, version) {
+    var source = { version: version || '', types: {} };
+    if (payload && payload.format === 'powerforge-api-snapshot') {
+      source.version = payload.apiVersion || source.version;
+      (Array.isArray(payload.types) ? payload.types : []).forEach(function(type) {
+        if (!type || !type.key) return;
+        var members = {};
+        (Array.isArray(type.members) ? type.members : []).forEach(function(member) {
+          if (!member || !member.key) return;
+          members[member.key] = { kind: member.kind || '', name: member.name || member.key, signature: member.signature || '' };
         });
-        toggleButton.setAttribute('aria-expanded', expanded ? 'true' : 'false');
-        toggleButton.textContent = expanded
-          ? (toggleButton.getAttribute('data-collapse-label') || 'Show fewer')
-          : (toggleButton.getAttribute('data-expand-label') || 'Show more');
+        source.types[type.key] = {
+          name: type.name || type.key,
+          namespace: typeof type.namespace === 'string' ? type.namespace : getNamespaceFromTypeKey(type.key),
+          slug: type.slug || '',
+          kind: type.kind || '',
+          signature: type.signature || '',
+          members: members
+        };
+      });
+      return source;
+    }
+
+    var items = Array.isArray(payload) ? payload : (payload && Array.isArray(payload.items) ? payload.items : null);
+    if (!items) throw new Error('not an API snapshot or search index');
+    items.forEach(function(item) {
+      if (!item || item.entryKind !== 'type' || !item.title) return;
+      source.types[item.title] = {
+        name: item.displayName || item.title,
+        namespace: item.namespace || '',
+        slug: item.slug || '',
+        kind: item.kind || '',
+        signature: '',
+        members: {}
+      };
+    });
+    items.forEach(function(item) {
+      if (!item || item.entryKind !== 'member' || !item.anchor) return;
+      var type = source.types[item.parentTitle];
+      if (!type) return;
+      type.members[item.anchor] = {
+        kind: item.kind === 'value' ? 'field' : (item.kind || ''),
+        name: item.displayName || item.anchor,
+        signature: item.signature || ''
+      };
+    });
+    return source;
+  }
+
+  // Types missing on one side are reported once (not member by member); type declarations are only compared when
+  // both sides recorded one, since search indexes carry none.
+  function diffApiSources(from, to) {
+    var changes = [];
+    var keys = Object.keys(from.types);
+    Object.keys(to.types).forEach(function(key) {
+      if (!from.types[key]) keys.push(key);
+    });
+
+    keys.forEach(function(key) {
+      var before = from.types[key];
+      var after = to.types[key];
+      var type = after || before;
+      var base = {
+        typeName: type.name,
+        namespace: type.namespace || '',
+        fromSlug: before ? before.slug : '',
+        toSlug: after ? after.slug : ''
+      };
+      if (!before || !after) {
+        changes.push(Object.assign({}, base, {
+          status: after ? 'added' : 'removed',
+          kind: 'type',
+          name: type.name,
+          typeKind: type.kind,
+          before: before ? before.signature : '',
+          after: after ? after.signature : '',
+          memberCount: Object.keys(type.members).length
+        }));
+        return;
+      }
+      if (before.signature && after.signature && before.signature !== after.signature) {
+        changes.push(Object.assign({}, base, {
+          status: 'changed',
+          kind: 'type',
+          name: after.name,
+          typeKind: after.kind,
+          before: before.signature,
+          after: after.signature
+        }));
       }
 
-      syncOverviewGroup(false);
-      toggleButton.addEventListener('click', function() {
-        var expanded = toggleButton.getAttribute('aria-expanded') === 'true';
-        syncOverviewGroup(!expanded);
+      var memberKeys = Object.keys(before.members);
+      Object.keys(after.members).forEach(function(memberKey) {
+        if (!before.members[memberKey]) memberKeys.push(memberKey);
+      });
+      memberKeys.forEach(function(memberKey) {
+        var oldMember = before.members[memberKey];
+        var newMember = after.members[memberKey];
+        var status = !oldMember ? 'added' : (!newMember ? 'removed' : (oldMember.signature !== newMember.signature ? 'changed' : ''));
+        if (!status) return;
+        var member = newMember || oldMember;
+        changes.push(Object.assign({}, base, {
+          status: status,
+          kind: member.kind || 'member',
+          name: member.name,
+          anchor: memberKey,
+          before: oldMember ? oldMember.signature : '',
+          after: newMember ? newMember.signature : ''
+        }));
       });
     });
+    return changes;
   }
 
-  loadState();
-  if (window.__pfTocCollapsed && tocToggle) {
-    var toc = tocToggle.closest('.type-toc');
-    if (toc) toc.classList.add('collapsed');
-  }
-  if (window.__pfMemberCollapsed) {
-    var collapsedIds = window.__pfMemberCollapsed.split(',').filter(Boolean);
-    collapsedIds.forEach(function(id) {
-      var section = document.getElementById(id);
-      if (!section) return;
-      var body = section.querySelector('.member-section-body');
-      if (!body) return;
-      section.classList.add('collapsed');
-      body.hidden = true;
+  function initApiDiff() {
+    var root = document.querySelector('.api-diff[data-api-diff]');
+    var model = null;
+    try {
+      model = root ? JSON.parse(root.getAttribute('data-api-diff') || 'null') : null;
+    } catch (error) {
+      model = null;
+    }
+    if (!model || !Array.isArray(model.versions)) return;
+
+    var fromSelect = root.querySelector('#api-diff-from');
+    var toSelect = root.querySelector('#api-diff-to');
+    var filters = root.querySelector('.api-diff-filters');
+    var kindSelect = root.querySelector('#api-diff-kind');
+    var filterInput = root.querySelector('#api-diff-filter');
+    var status = root.querySelector('.api-diff-status');
+    var results = root.querySelector('.api-diff-results');
+    if (!fromSelect || !toSelect || !results) return;
+
+    var entries = {};
+    model.versions.forEach(function(entry) {
+      if (entry && entry.version) entries[entry.version] = entry;
     });
+    var localSources = { from: null, to: null };
+    var hiddenStatuses = {};
+    var diff = null;
+    var request = 0;
+
+    // ?from=1.0&to=2.0 picks the pair, so release notes can link straight to a comparison.
+    var params = new URLSearchParams(window.location.search);
+    [[fromSelect, params.get('from')], [toSelect, params.get('to')]].forEach(function(pair) {
+      if (pair[1] && entries[pair[1]]) pair[0].value = pair[1];
+    });
+
+    function setStatus(text) {
+      if (status) status.textContent = text;
+    }
+
+    function loadVersion(version) {
+      var entry = entries[version];
+      if (!entry) return Promise.reject(new Error('unknown version ' + version));
+      if (!apiDiffSources[entry.snapshot]) {
+        apiDiffSources[entry.snapshot] = fetch(entry.snapshot, { credentials: 'same-origin' })
+          .then(function(response) {
+            if (!response.ok) throw new Error('HTTP ' + response.status);
+            return response.json();
+          })
+          .catch(function() {
+            return entry.search ? fetchSearchItems(entry.search) : Promise.reject(new Error('no snapshot'));
+          })
+          .then(function(payload) { return normalizeApiDiffSource(payload, version); });
+        apiDiffSources[entry.snapshot].catch(function() { delete apiDiffSources[entry.snapshot]; });
+      }
+      return apiDiffSources[entry.snapshot];
+    }
+
+    function describe(side, select) {
+      var local = localSources[side];
+      if (local) return { label: local.label, href: '' };
+      var entry = entries[select.value] || {};
+      return { label: entry.label || select.value, href: entry.href || '' };
+    }
+
+    function saveVersions() {
+      if (!window.history || !window.history.replaceState) return;
+      var url = new URL(window.location.href);
+      url.searchParams.set('from', fromSelect.value);
+      url.searchParams.set('to', toSelect.value);
+      window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+    }
+
+    function compare() {
+      var id = ++request;
+      var from = describe('from', fromSelect);
+      var to = describe('to', toSelect);
+      setStatus('Loading ' + from.label + ' and ' + to.label + '…');
+      root.setAttribute('aria-busy', 'true');
+      Promise.all([
+        localSources.from ? Promise.resolve(localSources.from) : loadVersion(fromSelect.value),
+        localSources.to ? Promise.resolve(localSources.to) : loadVersion(toSelect.value)
+      ]).then(function(sources) {
+        if (id !== request) return;
+        diff = { from: from, to: to, changes: diffApiSources(sources[0], sources[1]) };
+        if (filters) filters.hidden = false;
+        render();
+      }, function(error) {
+        if (id !== request) return;
+        diff = null;
+        results.innerHTML = '';
+        if (filters) filters.hidden = true;
+        setStatus('Could not load ' + from.label + ' and ' + to.label + ' (' + error.message + ').');
+      }).then(function() {
+        if (id === request) root.removeAttribute('aria-busy');
+      });
+    }
+
+    function renderLink(version, slug, anchor) {
+      if (!version.href || !slug) return '';
+      return '<a class="api-diff-link" href="' + escapeHtml(version.href + slug + '/' + (anchor ? '#' + anchor : '')) + '">' +
+        escapeHtml(version.label) + '</a>';
+    }
+
+    function renderChange(change) {
+      var title = change.kind === 'type' ? change.name : change.typeName + '.' + change.name;
+      var kindLabel = change.kind === 'type' ? (change.typeKind || 'type') : change.kind;
+      var signature = change.status === 'changed'
+        ? '<del class="api-diff-before"><code>' + escapeHtml(change.before) + '</code></del>' +
+          '<ins class="api-diff-after"><code>' + escapeHtml(change.after) + '</code></ins>'
+        : (change.before || change.after ? '<code class="api-diff-signature">' + escapeHtml(change.after || change.before) + '</code>' : '');
+      var members = change.memberCount
+        ? ' <span class="api-diff-members">' + formatCount(change.memberCount) + (change.memberCount === 1 ? ' member' : ' members') + '</span>'
+        : '';
+      var links = [
+        change.status !== 'added' ? renderLink(diff.from, change.fromSlug, change.anchor) : '',
+        change.status !== 'removed' ? renderLink(diff.to, change.toSlug, change.anchor) : ''
+      ].filter(Boolean).join('');
+      return '<li class="api-diff-entry api-diff-' + change.status + '" data-diff-status="' + change.status + '" data-diff-kind="' + escapeHtml(change.kind) + '">' +
+        '<div class="api-diff-entry-header">' +
+          '<span class="api-diff-badge">' + apiDiffStatusLabels[change.status] + '</span>' +
+          '<span class="api-diff-kind">' + escapeHtml(kindLabel) + '</span>' +
+          '<span class="api-diff-name">' + escapeHtml(title) + '</span>' + members +
+          (links ? '<span class="api-diff-links">' + links + '</span>' : '') +
+        '</div>' + signature + '</li>';
+    }
+
+    function compareChanges(left, right) {
+      return left.typeName.localeCompare(right.typeName) ||
+        (left.kind === 'type' ? 0 : 1) - (right.kind === 'type' ? 0 : 1) ||
+        left.kind.localeCompare(right.kind) ||
+        left.name.localeCompare(right.name);
+    }
+
+    function render() {
+      if (!diff) return;
+      var kind = kindSelect ? kindSelect.value : '';
+      var query = normalize(filterInput ? filterInput.value.trim() : '');
+      var counts = { added: 0, removed: 0, changed: 0 };
+      var groups = {};
+      diff.changes.forEach(function(change) {
+        if (kind && change.kind !== kind) return;
+        if (query && normalize([change.namespace, change.typeName, change.name, change.before, change.after].join(' ')).indexOf(query) === -1) return;
+        counts[change.status]++;
+        if (hiddenStatuses[change.status]) return;
+        (groups[change.namespace] = groups[change.namespace] || []).push(change);
+      });
+
+      root.querySelectorAll('.api-diff-status-toggle').forEach(function(button) {
+        var count = button.querySelector('.api-diff-count');
+        if (count) count.textContent = formatCount(counts[button.getAttribute('data-diff-status')] || 0);
+      });
+
+      var namespaces = Object.keys(groups).sort(function(left, right) { return left.localeCompare(right); });
+      results.innerHTML = namespaces.map(function(namespace) {
+        var items = groups[namespace].sort(compareChanges);
+        return '<section class="api-diff-namespace">' +
+          '<h2>' + escapeHtml(namespace || '(global)') + ' <span class="api-diff-count">' + formatCount(items.length) + '</span></h2>' +
+          '<ul class="api-diff-list">' + items.map(renderChange).join('') + '</ul>' +
+        '</section>';
+      }).join('');
+
+      var pair = diff.from.label + ' → ' + diff.to.label;
+      if (!diff.changes.length) setStatus('No API differences between ' + diff.from.label + ' and ' + diff.to.label + '.');
+      else if (!namespaces.length) setStatus(pair + ': no changes match the filters.');
+      else setStatus(pair + ': ' + formatCount(counts.added) + ' added, ' + formatCount(counts.removed) + ' removed, ' +
+        formatCount(counts.changed) + ' changed.');
+    }
+
+    function readLocalFile(input, side, select) {
+      var file = input.files && input.files[0];
+      if (!file) {
+        localSources[side] = null;
+        select.disabled = false;
+        compare();
+        return;
+      }
+      file.text().then(function(text) {
+        var source = normalizeApiDiffSource(JSON.parse(text), '');
+        source.label = source.version || file.name;
+        localSources[side] = source;
+        select.disabled = true;
+        compare();
+      }).catch(function() {
+        setStatus('Could not read ' + file.name + ' as an API snapshot or search index.');
+      });
+    }
+
+    [[fromSelect, 'from'], [toSelect, 'to']].forEach(function(pair) {
+      pair[0].addEventListener('change', function() {
+        saveVersions();
+        compare();
+      });
+      var file = root.querySelector('#api-diff-' + pair[1] + '-file');
+      if (file && window.File && File.prototype.text) {
+        file.addEventListener('change', function() { readLocalFile(file, pair[1], pair[0]); });
+      } else if (file) {
+        var local = file.closest('.api-diff-local');
+        if (local) local.hidden = true;
+      }
+    });
+
+    var swap = root.querySelector('.api-diff-swap');
+    if (swap) {
+      swap.addEventListener('click', function() {
+        var value = fromSelect.value;
+        fromSelect.value = toSelect.value;
+        toSelect.value = value;
+        var local = localSources.from;
+        localSources.from = localSources.to;
+        localSources.to = local;
+        fromSelect.disabled = !!localSources.from;
+        toSelect.disabled = !!localSources.to;
+        saveVersions();
+        compare();
+      });
+    }
+
+    root.querySelectorAll('.api-diff-status-toggle').forEach(function(button) {
+      button.addEventListener('click', function() {
+        var pressed = button.getAttribute('aria-pressed') !== 'true';
+        button.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+        hiddenStatuses[button.getAttribute('data-diff-status')] = !pressed;
+        render();
+      });
+    });
+    if (kindSelect) kindSelect.addEventListener('change', render);
+    if (filterInput) filterInput.addEventListener('input', render);
+
+    compare();
+  }
+
+  function initContent() {
+    bindContent();
+    restoreContentState();
+    initSuiteSearch();
+    renderSuiteNarrative();
+    renderSuiteCoverageSummary();
+    renderSuiteRelatedContent();
+    initTypeGraph();
+    initOverloadComparisons();
+    applyMemberFilter();
+    initScrollspy();
+    initApiDiff();
   }
+
+  // Version picker: each option holds the API root of one version. Switching keeps the page below the root, the view
+  // state and the member anchor. Type pages list the versions that have the type (data-api-versions) and the versions
+  // with a known snapshot (data-api-version-snapshots): a type missing from a known version opens that version's
+  // root, and pages of versions without a snapshot are probed before leaving.
+  function initVersionPicker() {
+    var picker = document.querySelector('#api-version-picker');
+    if (!picker) return;
+    var initialIndex = picker.selectedIndex;
+
+    function readList(element, name) {
+      return element ? String(element.getAttribute(name) || '').split(/\s+/).filter(Boolean) : [];
+    }
+
+    picker.addEventListener('change', function() {
+      var option = picker.options[picker.selectedIndex];
+      if (!option) return;
+      var version = option.getAttribute('data-version') || '';
+      var targetBase = normalizePath(option.value);
+      var currentBase = normalizePath(picker.getAttribute('data-version-base') || getApiDocsBasePath());
+      var path = window.location.pathname.replace(/index\.html?$/i, '');
+      var relative = path.indexOf(currentBase) === 0 ? path.slice(currentBase.length) : '';
+      var root = targetBase + window.location.search;
+      var target = targetBase + relative;
+      var suffix = window.location.search + window.location.hash;
+      if (!relative) {
+        window.location.assign(root);
+        return;
+      }
+
+      var page = document.querySelector('[data-api-version-snapshots]');
+      if (readList(page, 'data-api-version-snapshots').indexOf(version) !== -1) {
+        window.location.assign(readList(page, 'data-api-versions').indexOf(version) !== -1 ? target + suffix : root);
+        return;
+      }
+      if (!window.fetch) {
+        window.location.assign(target + suffix);
+        return;
+      }
+      picker.disabled = true;
+      fetch(target, { method: 'HEAD', credentials: 'same-origin' })
+        .then(function(response) { return response.ok; }, function() { return false; })
+        .then(function(exists) {
+          window.location.assign(exists ? target + suffix : root);
+        });
+    });
+
+    // Pages restored from the back/forward cache must show the version they belong to.
+    window.addEventListener('pageshow', function() {
+      picker.selectedIndex = initialIndex;
+      picker.disabled = false;
+    });
+  }
+
+  // Hover/focus previews for API links. Entries come from this API's search.json (types by slug, members by
+  // slug + anchor); links search.json does not know, such as inherited members, fall back to xrefmap.json.
+  // Both files are fetched once, on the first preview, and every resolved preview is cached by URL.
+  function initLinkPreviews() {
+    var apiBase = document.querySelector('.sidebar-title[href]') ? getApiDocsBasePath() : '';
+    if (!apiBase || !window.fetch) return;
+
+    var openDelay = 350;
+    var closeDelay = 150;
+    var xrefKinds = { T: 'type', M: 'method', P: 'property', F: 'field', E: 'event' };
+    var searchIndex = null;
+    var xrefIndex = null;
+    var previews = {};
+    var popover = document.createElement('div');
+    popover.className = 'api-preview';
+    popover.id = 'api-preview';
+    popover.setAttribute('role', 'tooltip');
+    popover.hidden = true;
+    document.body.appendChild(popover);
+
+    var activeLink = null;
+    var pendingLink = null;
+    var openTimer = 0;
+    var closeTimer = 0;
+    var hoverCapable = !window.matchMedia || !window.matchMedia('(hover: none)').matches;
+
+    function getPreviewKey(link) {
+      var href = link.getAttribute('href');
+      if (!href || href.charAt(0) === '#' || !isApiDocLink(link)) return '';
+      if (link.closest('.type-toc, .api-palette, .api-preview, .member-anchor')) return '';
+      var url = new URL(href, window.location.href);
+      var path = normalizePath(url.pathname);
+      var slug = path.slice(apiBase.length).split('/')[0];
+      if (!slug || /\.[a-z0-9]+$/i.test(slug)) return '';
+      var anchor = url.hash && !isStateHash(url.hash) ? decodeURIComponent(url.hash.slice(1)) : '';
+      return slug + (anchor ? '#' + anchor : '');
+    }
+
+    function loadSearchIndex() {
+      if (searchIndex) return searchIndex;
+      searchIndex = fetchSearchItems(apiBase + 'search.json').then(function(items) {
+        var index = {};
+        items.forEach(function(item) {
+          if (!item || !item.slug) return;
+          var key = item.slug + (item.entryKind === 'member' && item.anchor ? '#' + item.anchor : '');
+          if (!index[key]) index[key] = item;
+        });
+        return index;
+      }).catch(function() { return {}; });
+      return searchIndex;
+    }
+
+    function loadXrefIndex() {
+      if (xrefIndex) return xrefIndex;
+      xrefIndex = fetch(apiBase + 'xrefmap.json', { credentials: 'same-origin' })
+        .then(function(response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return response.json();
+        })
+        .then(function(payload) {
+          var index = {};
+          (payload && Array.isArray(payload.references) ? payload.references : []).forEach(function(reference) {
+            if (!reference || !reference.href) return;
+            var link = document.createElement('a');
+            link.setAttribute('href', reference.href);
+            var key = getPreviewKey(link);
+            if (key && !index[key]) index[key] = reference;
+          });
+          return index;
+        })
+        .catch(function() { return {}; });
+      return xrefIndex;
+    }
+
+    function fromSearchItem(item) {
+      var isMember = item.entryKind === 'member';
+      var name = item.displayName || item.title || '';
+      var kind = (item.kind || '').toLowerCase();
+      return {
+        kind: kind,
+        name: name,
+        context: [item.namespace, isMember ? item.parentDisplayName : ''].filter(Boolean).join(' · '),
+        signature: isMember ? (item.signature || name) : (kind ? kind + ' ' : '') + (item.title || name),
+        summary: item.summary || ''
+      };
+    }
+
+    function fromXref(reference) {
+      var uid = reference.uid || '';
+      var prefix = /^([A-Z]):/.exec(uid);
+      return {
+        kind: prefix ? (xrefKinds[prefix[1]] || '') : '',
+        name: reference.name || uid,
+        context: '',
+        signature: prefix ? uid.slice(2) : uid,
+        summary: ''
+      };
+    }
+
+    function resolvePreview(key) {
+      if (previews[key]) return previews[key];
+      previews[key] = loadSearchIndex().then(function(index) {
+        if (index[key]) return fromSearchItem(index[key]);
+        return loadXrefIndex().then(function(xrefs) {
+          return xrefs[key] ? fromXref(xrefs[key]) : null;
+        });
+      });
+      return previews[key];
+    }
+
+    function trimSummary(text) {
+      var value = String(text || '').replace(/\s+/g, ' ').trim();
+      return value.length > 240 ? value.slice(0, 239).replace(/\s+\S*$/, '') + '…' : value;
+    }
+
+    function render(preview) {
+      popover.innerHTML =
+        '<div class="api-preview-header">' +
+          (preview.kind ? '<span class="api-preview-kind">' + escapeHtml(preview.kind) + '</span>' : '') +
+          '<span class="api-preview-name">' + escapeHtml(preview.name) + '</span>' +
+        '</div>' +
+        (preview.context ? '<div class="api-preview-context">' + escapeHtml(preview.context) + '</div>' : '') +
+        (preview.signature ? '<pre class="api-preview-signature"><code>' + escapeHtml(preview.signature) + '</code></pre>' : '') +
+        (preview.summary ? '<p class="api-preview-summary">' + escapeHtml(trimSummary(preview.summary)) + '</p>' : '');
+    }
+
+    function position(link) {
+      var rect = link.getBoundingClientRect();
+      var gap = 8;
+      popover.style.left = '0px';
+      popover.style.top = '0px';
+      var width = popover.offsetWidth;
+      var height = popover.offsetHeight;
+      var left = Math.max(gap, Math.min(rect.left, window.innerWidth - width - gap));
+      var below = rect.bottom + gap;
+      var top = below + height > window.innerHeight - gap && rect.top - gap - height >= gap ? rect.top - gap - height : below;
+      popover.style.left = Math.round(left) + 'px';
+      popover.style.top = Math.round(top) + 'px';
+    }
+
+    function hide() {
+      clearTimeout(openTimer);
+      pendingLink = null;
+      if (!activeLink) return;
+      activeLink.removeAttribute('aria-describedby');
+      activeLink = null;
+      popover.hidden = true;
+    }
+
+    function show(link) {
+      var key = getPreviewKey(link);
+      if (!key) return;
+      resolvePreview(key).then(function(preview) {
+        if (pendingLink !== link) return;
+        pendingLink = null;
+        if (!preview || !document.body.contains(link)) return;
+        if (activeLink && activeLink !== link) activeLink.removeAttribute('aria-describedby');
+        activeLink = link;
+        render(preview);
+        popover.hidden = false;
+        position(link);
+        link.setAttribute('aria-describedby', popover.id);
+      });
+    }
+
+    function schedule(link) {
+      clearTimeout(closeTimer);
+      if (link === activeLink || link === pendingLink) return;
+      clearTimeout(openTimer);
+      pendingLink = link;
+      openTimer = setTimeout(function() { show(link); }, openDelay);
+    }
+
+    function scheduleHide() {
+      clearTimeout(openTimer);
+      pendingLink = null;
+      clearTimeout(closeTimer);
+      closeTimer = setTimeout(hide, closeDelay);
+    }
+
+    function findLink(target) {
+      var link = target && target.closest ? target.closest('a[href]') : null;
+      return link && getPreviewKey(link) ? link : null;
+    }
+
+    document.addEventListener('mouseover', function(event) {
+      if (!hoverCapable) return;
+      if (popover.contains(event.target)) {
+        clearTimeout(closeTimer);
+        return;
+      }
+      var link = findLink(event.target);
+      if (link) schedule(link);
+    });
+    document.addEventListener('mouseout', function(event) {
+      if (!hoverCapable) return;
+      var from = popover.contains(event.target) ? popover : findLink(event.target);
+      if (!from || (event.relatedTarget && from.contains(event.relatedTarget))) return;
+      scheduleHide();
+    });
+    document.addEventListener('focusin', function(event) {
+      var link = findLink(event.target);
+      if (link) schedule(link);
+      else if (activeLink || pendingLink) hide();
+    });
+    document.addEventListener('focusout', function(event) {
+      if (findLink(event.target)) scheduleHide();
+    });
+    document.addEventListener('keydown', function(event) {
+      if (event.key === 'Escape' && (activeLink || pendingLink)) hide();
+    });
+    document.addEventListener('click', hide, true);
+    window.addEventListener('scroll', function() { if (activeLink) hide(); }, { passive: true });
+    document.addEventListener('pf:api-content-loaded', hide);
+  }
+
+  // Copy menu of type headers and member cards. Each trigger carries the names, the xref UID and a usage snippet;
+  // the permalink and the Markdown link are built here from the page URL without view state. One menu element
+  // is shared and every handler is delegated, so triggers swapped in by in-place navigation need no rebinding.
+  function initCopyMenu() {
+    var menu = document.createElement('div');
+    menu.className = 'api-copy-menu';
+    menu.id = 'api-copy-menu';
+    menu.setAttribute('role', 'menu');
+    menu.hidden = true;
+    document.body.appendChild(menu);
+
+    var status = document.createElement('p');
+    status.className = 'api-copy-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    document.body.appendChild(status);
+
+    var activeTrigger = null;
+    var entries = [];
+
+    function getPermalink(trigger) {
+      var stateApi = window.PowerForgeApiDocsState;
+      var url = new URL(stateApi ? stateApi.strip(window.location.href) : window.location.pathname + window.location.search, window.location.href);
+      var anchor = trigger.getAttribute('data-copy-anchor') || '';
+      url.hash = anchor ? '#' + anchor : '';
+      return url.href;
+    }
+
+    function buildEntries(trigger) {
+      var name = trigger.getAttribute('data-copy-name') || '';
+      var title = trigger.getAttribute('data-copy-title') || name;
+      var permalink = getPermalink(trigger);
+      var usage = trigger.getAttribute('data-copy-usage') || '';
+      return [
+        { label: 'Fully qualified name', value: name },
+        { label: 'Xref UID', value: trigger.getAttribute('data-copy-uid') || '' },
+        { label: 'Markdown link', value: '[' + title.replace(/([\\\[\]])/g, '\\$1') + '](' + permalink + ')' },
+        { label: 'Permalink', value: permalink },
+        { label: trigger.getAttribute('data-copy-usage-label') || 'Usage', value: usage }
+      ].filter(function(entry) { return entry.value; });
+    }
+
+    function getItems() {
+      return Array.prototype.slice.call(menu.querySelectorAll('.api-copy-item'));
+    }
+
+    function position(trigger) {
+      var rect = trigger.getBoundingClientRect();
+      var gap = 6;
+      menu.style.left = '0px';
+      menu.style.top = '0px';
+      var width = menu.offsetWidth;
+      var height = menu.offsetHeight;
+      var left = Math.max(gap, Math.min(rect.right - width, window.innerWidth - width - gap));
+      var below = rect.bottom + gap;
+      var top = below + height > window.innerHeight - gap && rect.top - gap - height >= gap ? rect.top - gap - height : below;
+      menu.style.left = Math.round(left) + 'px';
+      menu.style.top = Math.round(top) + 'px';
+    }
+
+    function open(trigger) {
+      close(false);
+      entries = buildEntries(trigger);
+      if (!entries.length) return;
+      menu.innerHTML = entries.map(function(entry, index) {
+        return '<button class="api-copy-item" type="button" role="menuitem" tabindex="-1" data-copy-index="' + index + '">' +
+          '<span class="api-copy-label">' + escapeHtml(entry.label) + '</span>' +
+          '<code class="api-copy-value">' + escapeHtml(entry.value) + '</code></button>';
+      }).join('');
+      menu.setAttribute('aria-label', trigger.getAttribute('aria-label') || 'Copy');
+      activeTrigger = trigger;
+      trigger.setAttribute('aria-expanded', 'true');
+      trigger.setAttribute('aria-controls', menu.id);
+      menu.hidden = false;
+      position(trigger);
+      getItems()[0].focus();
+    }
+
+    function close(restoreFocus) {
+      if (!activeTrigger) return;
+      var trigger = activeTrigger;
+      activeTrigger = null;
+      trigger.setAttribute('aria-expanded', 'false');
+      menu.hidden = true;
+      menu.innerHTML = '';
+      if (restoreFocus && document.contains(trigger)) trigger.focus();
+    }
+
+    function copyWithSelection(text) {
+      var textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', 'readonly');
+      textarea.style.position = 'fixed';
+      textarea.style.left = '-9999px';
+      document.body.appendChild(textarea);
+      textarea.select();
+      var copied = false;
+      try {
+        copied = document.execCommand('copy');
+      } catch (error) {
+        copied = false;
+      }
+      textarea.remove();
+      return copied;
+    }
+
+    function copyText(text) {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text).then(function() { return true; }, function() { return copyWithSelection(text); });
+      }
+      return Promise.resolve(copyWithSelection(text));
+    }
+
+    function copyEntry(entry) {
+      var trigger = activeTrigger;
+      close(true);
+      copyText(entry.value).then(function(copied) {
+        status.textContent = copied ? entry.label + ' copied' : 'Copy failed';
+        if (!copied || !trigger) return;
+        trigger.classList.add('copied');
+        setTimeout(function() { trigger.classList.remove('copied'); }, 1500);
+      });
+    }
+
+    document.addEventListener('click', function(event) {
+      var target = event.target;
+      var trigger = target && target.closest ? target.closest('.api-copy-trigger') : null;
+      if (trigger) {
+        event.preventDefault();
+        if (trigger === activeTrigger) close(false);
+        else open(trigger);
+        return;
+      }
+      var item = target && target.closest ? target.closest('.api-copy-item') : null;
+      if (item && menu.contains(item)) {
+        var entry = entries[parseInt(item.getAttribute('data-copy-index'), 10)];
+        if (entry) copyEntry(entry);
+        return;
+      }
+      if (activeTrigger && !menu.contains(target)) close(false);
+    });
+
+    menu.addEventListener('keydown', function(event) {
+      var items = getItems();
+      var index = items.indexOf(document.activeElement);
+      var next = -1;
+      if (event.key === 'ArrowDown') next = (index + 1) % items.length;
+      else if (event.key === 'ArrowUp') next = (index - 1 + items.length) % items.length;
+      else if (event.key === 'Home') next = 0;
+      else if (event.key === 'End') next = items.length - 1;
+      else if (event.key === 'Escape') {
+        event.preventDefault();
+        close(true);
+        return;
+      } else if (event.key === 'Tab') {
+        close(false);
+        return;
+      }
+      if (next < 0) return;
+      event.preventDefault();
+      items[next].focus();
+    });
+
+    window.addEventListener('scroll', function() { close(false); }, { passive: true });
+    window.addEventListener('resize', function() { close(false); });
+    document.addEventListener('pf:api-content-loaded', function() { close(false); });
+  }
+
+  // Follows API doc links by swapping only <main class="api-content">, so the sidebar DOM, its scroll
+  // position and filters stay alive. Anything unexpected falls back to a normal page load.
+  function initInPlaceNavigation() {
+    var main = document.querySelector('main.api-content');
+    if (!main || !sidebar || !window.fetch || !window.DOMParser || !window.history || !history.pushState) return;
+
+    var maxCachedPages = 24;
+    var pages = {};
+    var pageOrder = [];
+    var currentPage = pageKey(window.location);
+    var navigationId = 0;
+    var prefetchTimer = 0;
+    var scrollTimer = 0;
+
+    // View state rides in the query string; it does not change which page is shown or cached.
+    function pageKey(url) {
+      if (!stateCodec) return url.pathname + url.search;
+      var href = stateCodec.strip(url.href);
+      var hashIndex = href.indexOf('#');
+      return hashIndex >= 0 ? href.slice(0, hashIndex) : href;
+    }
+
+    function forget(key) {
+      delete pages[key];
+      var index = pageOrder.indexOf(key);
+      if (index >= 0) pageOrder.splice(index, 1);
+    }
+
+    function fetchPage(url) {
+      var key = pageKey(url);
+      if (pages[key]) return pages[key];
+      var request = fetch(key, { credentials: 'same-origin', headers: { 'Accept': 'text/html' } })
+        .then(function(response) {
+          var type = response.headers.get('Content-Type') || '';
+          if (!response.ok || (type && type.indexOf('text/html') < 0)) throw new Error('HTTP ' + response.status);
+          return response.text();
+        });
+      request.catch(function() { forget(key); });
+      pages[key] = request;
+      pageOrder.push(key);
+      if (pageOrder.length > maxCachedPages) delete pages[pageOrder.shift()];
+      return request;
+    }
+
+    function parsePage(html) {
+      var doc = new DOMParser().parseFromString(html, 'text/html');
+      var nextMain = doc.querySelector('main.api-content');
+      // Pages from another layout, or content that carries its own scripts, need a real load.
+      if (!nextMain || !doc.querySelector('.api-sidebar') || nextMain.querySelector('script')) return null;
+      return { doc: doc, main: nextMain };
+    }
+
+    function updateHead(doc) {
+      document.title = doc.title;
+      ['meta[name="description"]', 'link[rel="canonical"]', 'meta[property="og:title"]', 'meta[property="og:description"]', 'meta[property="og:url"]'].forEach(function(selector) {
+        var current = document.head.querySelector(selector);
+        var next = doc.head ? doc.head.querySelector(selector) : null;
+        if (!current || !next) return;
+        var attribute = current.tagName === 'LINK' ? 'href' : 'content';
+        current.setAttribute(attribute, next.getAttribute(attribute) || '');
+      });
+    }
+
+    function markActiveSidebarItem(url) {
+      var path = normalizePath(url.pathname);
+      sidebar.querySelectorAll('.type-item[href]').forEach(function(link) {
+        var linkPath = normalizePath(new URL(link.getAttribute('href'), window.location.href).pathname);
+        link.classList.toggle('active', linkPath === path);
+      });
+      if (virtualSidebar) virtualSidebar.refresh();
+    }
+
+    function scrollToTarget(url, scrollY) {
+      if (typeof scrollY === 'number') {
+        window.scrollTo(0, scrollY);
+        return;
+      }
+      var id = url.hash && !isStateHash(url.hash) ? decodeURIComponent(url.hash.slice(1)) : '';
+      var target = id ? document.getElementById(id) : null;
+      if (target) target.scrollIntoView();
+      else window.scrollTo(0, 0);
+    }
+
+    function rememberScroll() {
+      history.replaceState(Object.assign({}, history.state, { pfApiDocsScroll: window.scrollY }), '');
+    }
+
+    function navigate(url, push, scrollY) {
+      var id = ++navigationId;
+      main.setAttribute('aria-busy', 'true');
+      fetchPage(url)
+        .then(function(html) {
+          if (id !== navigationId) return;
+          var page = parsePage(html);
+          if (!page) throw new Error('Unsupported page');
+
+          // Member filters follow the reader to the next page, as the URL state does on full loads.
+          var memberQuery = memberFilter ? memberFilter.value : '';
+          var showInherited = inheritedToggle ? inheritedToggle.checked : false;
+          if (push) {
+            rememberScroll();
+            history.pushState({}, '', url.href);
+          }
+          currentPage = pageKey(url);
+          main.innerHTML = page.main.innerHTML;
+          updateHead(page.doc);
+          markActiveSidebarItem(url);
+          queryContentElements();
+          if (memberFilter) memberFilter.value = memberQuery;
+          activeDeclaringType = '';
+          if (inheritedToggle) inheritedToggle.checked = showInherited;
+          initContent();
+          if (window.Prism && typeof window.Prism.highlightAllUnder === 'function') window.Prism.highlightAllUnder(main);
+          setSidebar(false);
+          scrollToTarget(url, scrollY);
+          if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+          main.focus({ preventScroll: true });
+          document.dispatchEvent(new CustomEvent('pf:api-content-loaded', { detail: { url: url.href } }));
+        })
+        .catch(function() {
+          if (id !== navigationId) return;
+          if (push) window.location.assign(url.href);
+          else window.location.reload();
+        })
+        .then(function() {
+          if (id === navigationId) main.removeAttribute('aria-busy');
+        });
+    }
+
+    function findNavigableLink(target) {
+      var anchor = target && target.closest ? target.closest('a[href]') : null;
+      if (!anchor || (anchor.target && anchor.target !== '_self') || anchor.hasAttribute('download')) return null;
+      if (!isApiDocLink(anchor)) return null;
+      var url = new URL(anchor.href);
+      // Data files (search.json, xrefmap.json, ...) and same-page anchors keep their native behavior.
+      if (/\.[a-z0-9]+$/i.test(url.pathname) && !/\.html?$/i.test(url.pathname)) return null;
+      if (pageKey(url) === currentPage) return null;
+      return url;
+    }
+
+    document.addEventListener('click', function(event) {
+      if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+      var url = findNavigableLink(event.target);
+      if (!url) return;
+      event.preventDefault();
+      navigate(url, true);
+    });
+
+    // Warm the cache while the pointer or focus rests on a sidebar link so the swap feels instant.
+    function prefetch(event) {
+      var url = findNavigableLink(event.target);
+      clearTimeout(prefetchTimer);
+      if (!url) return;
+      prefetchTimer = setTimeout(function() {
+        fetchPage(url).catch(function() {});
+      }, 80);
+    }
+
+    sidebar.addEventListener('mouseover', prefetch);
+    sidebar.addEventListener('focusin', prefetch);
+
+    window.addEventListener('scroll', function() {
+      clearTimeout(scrollTimer);
+      scrollTimer = setTimeout(rememberScroll, 150);
+    }, { passive: true });
+
+    window.addEventListener('popstate', function(event) {
+      var url = new URL(window.location.href);
+      if (pageKey(url) === currentPage) return;
+      var state = event.state;
+      navigate(url, false, state && typeof state.pfApiDocsScroll === 'number' ? state.pfApiDocsScroll : undefined);
+    });
+  }
+
+  loadState();
   if (kindButtons.length) {
     kindButtons.forEach(function(b) { b.classList.remove('active'); });
     var activeBtn = kindButtons.find(function(b) { return (b.dataset.kind || '') === activeKind; });
@@ -1040,16 +3738,13 @@
   }
   if (namespaceSelect) namespaceSelect.value = activeNamespace || '';
   syncNamespaceCombobox();
-  if (memberKindButtons.length) {
-    memberKindButtons.forEach(function(b) { b.classList.remove('active'); });
-    var activeMemberBtn = memberKindButtons.find(function(b) { return (b.dataset.memberKind || '') === activeMemberKind; });
-    (activeMemberBtn || memberKindButtons[0]).classList.add('active');
-  }
-  initSuiteSearch();
-  renderSuiteNarrative();
-  renderSuiteCoverageSummary();
-  renderSuiteRelatedContent();
+  initKeyboardShortcuts(initCommandPalette());
   initNavDropdowns();
+  initThemeToggle();
+  initVersionPicker();
   applyFilter(filterInput ? filterInput.value : '');
-  applyMemberFilter();
+  initContent();
+  initLinkPreviews();
+  initCopyMenu();
+  initInPlaceNavigation();
 })();
@@ -0,0 +1,405 @@
+(function installPowerForgeApiSearch(root) {
+  'use strict';
+
+  // Kinds listed first win score ties; anything unknown sorts after them.
+  var kindOrder = ['class', 'struct', 'record', 'interface', 'enum', 'delegate', 'cmdlet', 'function', 'alias'];
+
+  // Every title tier scores above the best summary tier, so a type whose name
+  // matches always outranks a type that only mentions the query in prose.
+  var score = {
+    exact: 1000,
+    exactTitle: 950,
+    prefix: 800,
+    camelStart: 700,
+    camelInner: 600,
+    titleSuffix: 500,
+    substring: 450,
+    titleSubstring: 400,
+    namespacePrefix: 250,
+    fuzzy: 150,
+    aliasPenalty: 50,
+    parameterSet: 120,
+    summaryWord: 60,
+    summary: 40,
+    tag: 20
+  };
+
+  function lower(value) {
+    return String(value === null || value === undefined ? '' : value).toLowerCase();
+  }
+
+  function tokenize(query) {
+    return lower(query).split(/[\s,]+/).filter(function (token) { return token.length > 0; });
+  }
+
+  // PowerShell-style queries: "-Name" tokens target parameters, the rest target commands and names,
+  // so "Invoke-ModuleBuild -Path" means "the Path parameter of Invoke-ModuleBuild".
+  function parseQuery(query) {
+    var terms = [];
+    var parameters = [];
+    tokenize(query).forEach(function (token) {
+      if (token.length > 1 && token.charAt(0) === '-') parameters.push(token.slice(1));
+      else terms.push(token);
+    });
+    return { terms: terms, parameters: parameters };
+  }
+
+  function stripGenerics(value) {
+    return String(value || '').replace(/`\d+/g, '').replace(/<[^>]*>/g, '');
+  }
+
+  function splitWords(text) {
+    var words = [];
+    stripGenerics(text).split(/[^A-Za-z0-9]+/).forEach(function (part) {
+      if (!part) return;
+      var matches = part.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g);
+      if (!matches) return;
+      matches.forEach(function (word) { words.push(word.toLowerCase()); });
+    });
+    return words;
+  }
+
+  function lastSegment(value) {
+    var text = stripGenerics(value);
+    var index = Math.max(text.lastIndexOf('.'), text.lastIndexOf('+'));
+    return index >= 0 ? text.slice(index + 1) : text;
+  }
+
+  // True when the query can be consumed by non-empty prefixes of consecutive
+  // words, e.g. "wad" or "webapid" against [web, api, docs, generator].
+  // Failed (word, query) positions are remembered so backtracking stays polynomial.
+  function consumeWords(words, wordIndex, query, queryIndex, failed) {
+    if (queryIndex === query.length) return true;
+    if (wordIndex >= words.length) return false;
+    var key = wordIndex + ':' + queryIndex;
+    if (failed[key]) return false;
+    var word = words[wordIndex];
+    var max = Math.min(word.length, query.length - queryIndex);
+    for (var length = max; length >= 1; length--) {
+      if (word.substr(0, length) !== query.substr(queryIndex, length)) continue;
+      if (consumeWords(words, wordIndex + 1, query, queryIndex + length, failed)) return true;
+    }
+    failed[key] = true;
+    return false;
+  }
+
+  function matchCamel(words, token) {
+    var failed = {};
+    for (var i = 0; i < words.length; i++) {
+      if (words[i].charAt(0) !== token.charAt(0)) continue;
+      if (consumeWords(words, i, token, 0, failed)) return i;
+    }
+    return -1;
+  }
+
+  // Returns the number of skipped characters when token is a subsequence of text, otherwise -1.
+  function subsequenceGaps(text, token) {
+    var gaps = 0;
+    var position = text.indexOf(token.charAt(0));
+    if (position < 0) return -1;
+    for (var i = 1; i < token.length; i++) {
+      var next = text.indexOf(token.charAt(i), position + 1);
+      if (next < 0) return -1;
+      gaps += next - position - 1;
+      position = next;
+    }
+    return gaps;
+  }
+
+  function prepareName(value, isAlias) {
+    var text = lower(stripGenerics(value));
+    return { text: text, words: splitWords(value), isAlias: isAlias };
+  }
+
+  function prepare(item) {
+    var title = String(item.title || item.name || '');
+    var shortName = item.displayName || item.name || lastSegment(title);
+    var names = [prepareName(shortName, false)];
+    // Parameter entries match their command separately, so "Cmd -Param" titles are not names.
+    var command = item.command ? prepareName(item.command, false) : null;
+    var fallbackName = command ? '' : lastSegment(title);
+    if (fallbackName && lower(fallbackName) !== names[0].text) names.push(prepareName(fallbackName, false));
+    (Array.isArray(item.aliases) ? item.aliases : []).forEach(function (alias) {
+      if (alias) names.push(prepareName(alias, true));
+    });
+    var kind = lower(item.kind);
+    var kindRank = kindOrder.indexOf(kind);
+    return {
+      item: item,
+      names: names,
+      title: lower(stripGenerics(title)),
+      namespace: lower(item.namespace),
+      namespaceWords: splitWords(item.namespace),
+      summary: lower(item.summary),
+      command: command,
+      parameterSets: (Array.isArray(item.parameterSets) ? item.parameterSets : []).map(lower),
+      // Kind and suite project words match last, so "cmdlet" or a project label still finds items.
+      tags: [kind, lower(item.suiteEntryLabel), lower(item.suiteEntryId)].filter(Boolean),
+      kindRank: kindRank < 0 ? kindOrder.length : kindRank
+    };
+  }
+
+  function scoreName(name, token) {
+    var text = name.text;
+    if (!text) return 0;
+    if (text === token) return score.exact;
+    if (text.indexOf(token) === 0) return score.prefix + Math.round(100 * token.length / text.length);
+    var camel = matchCamel(name.words, token);
+    if (camel === 0) return score.camelStart;
+    if (camel > 0) return Math.max(score.titleSuffix + 50, score.camelInner - camel * 10);
+    var position = text.indexOf(token);
+    if (position >= 0) return score.substring - Math.min(position, 40);
+    if (token.length >= 3) {
+      var gaps = subsequenceGaps(text, token);
+      if (gaps >= 0) return Math.max(score.fuzzy, score.fuzzy * 2 - gaps * 10);
+    }
+    return 0;
+  }
+
+  function scoreNames(entry, token) {
+    var best = 0;
+    entry.names.forEach(function (name) {
+      var value = scoreName(name, token);
+      if (value > 0 && name.isAlias) value -= score.aliasPenalty;
+      if (value > best) best = value;
+    });
+    return best;
+  }
+
+  function scoreTitle(entry, token) {
+    var best = scoreNames(entry, token);
+    if (entry.title === token) return Math.max(best, score.exactTitle);
+    if (best >= score.titleSuffix) return best;
+    if (token.indexOf('.') >= 0 && entry.title) {
+      var position = entry.title.lastIndexOf(token);
+      if (position >= 0 && position + token.length === entry.title.length) return Math.max(best, score.titleSuffix);
+      if (position >= 0) return Math.max(best, score.titleSubstring);
+    }
+    if (best > 0) return best;
+    for (var i = 0; i < entry.namespaceWords.length; i++) {
+      if (entry.namespaceWords[i].indexOf(token) === 0) return score.namespacePrefix;
+    }
+    return 0;
+  }
+
+  function scoreSummary(entry, token) {
+    var position = entry.summary.indexOf(token);
+    if (position < 0) return 0;
+    var before = position === 0 ? ' ' : entry.summary.charAt(position - 1);
+    return /[a-z0-9]/.test(before) ? score.summary : score.summaryWord;
+  }
+
+  function scoreTag(entry, token) {
+    for (var i = 0; i < entry.tags.length; i++) {
+      if (entry.tags[i].indexOf(token) >= 0) return score.tag;
+    }
+    return 0;
+  }
+
+  function scoreParameterSet(entry, token) {
+    for (var i = 0; i < entry.parameterSets.length; i++) {
+      if (entry.parameterSets[i].indexOf(token) >= 0) return score.parameterSet;
+    }
+    return 0;
+  }
+
+  // A parameter entry needs at least one token that describes the parameter itself; tokens that only
+  // name its command narrow the match, so "Invoke-ModuleBuild" alone does not list every parameter.
+  function scoreParameterEntry(entry, query) {
+    var total = 0;
+    var titleOnly = true;
+    var matchedParameter = query.parameters.length > 0;
+    for (var i = 0; i < query.parameters.length; i++) {
+      var parameterValue = scoreNames(entry, query.parameters[i]);
+      if (parameterValue <= 0) return null;
+      total += parameterValue;
+    }
+    for (var j = 0; j < query.terms.length; j++) {
+      var token = query.terms[j];
+      var nameValue = scoreNames(entry, token);
+      var commandValue = scoreName(entry.command, token);
+      var value = Math.max(nameValue, commandValue);
+      if (nameValue > 0 && nameValue >= commandValue) matchedParameter = true;
+      if (value <= 0) {
+        value = scoreParameterSet(entry, token) || scoreSummary(entry, token);
+        if (value > 0) matchedParameter = true;
+        else value = scoreTag(entry, token);
+        titleOnly = false;
+      }
+      if (value <= 0) return null;
+      total += value;
+    }
+    if (!matchedParameter) return null;
+    return { item: entry.item, score: total, field: titleOnly ? 'title' : 'summary', entry: entry };
+  }
+
+  function scoreEntry(entry, query) {
+    if (entry.command) return scoreParameterEntry(entry, query);
+    if (query.parameters.length) return null;
+    var total = 0;
+    var titleOnly = true;
+    for (var i = 0; i < query.terms.length; i++) {
+      var value = scoreTitle(entry, query.terms[i]);
+      if (value <= 0) {
+        value = scoreSummary(entry, query.terms[i]) || scoreTag(entry, query.terms[i]);
+        titleOnly = false;
+      }
+      if (value <= 0) return null;
+      total += value;
+    }
+    return { item: entry.item, score: total, field: titleOnly ? 'title' : 'summary', entry: entry };
+  }
+
+  function compareText(left, right) {
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  }
+
+  function compareResults(left, right) {
+    if (left.score !== right.score) return right.score - left.score;
+    if (left.entry.kindRank !== right.entry.kindRank) return left.entry.kindRank - right.entry.kindRank;
+    var byNamespace = compareText(left.entry.namespace, right.entry.namespace);
+    if (byNamespace !== 0) return byNamespace;
+    return compareText(left.entry.title, right.entry.title);
+  }
+
+  function createIndex(items) {
+    var entries = [];
+
+    function add(list) {
+      (Array.isArray(list) ? list : []).forEach(function (item) {
+        if (item) entries.push(prepare(item));
+      });
+      index.size = entries.length;
+    }
+
+    // Scans a snapshot of the index in caller-sized steps so long queries can yield and be abandoned.
+    function cursor(query, options) {
+      var parsed = parseQuery(query);
+      var limit = options && options.limit > 0 ? options.limit : 0;
+      var filter = options && typeof options.filter === 'function' ? options.filter : null;
+      var end = parsed.terms.length || parsed.parameters.length ? entries.length : 0;
+      var position = 0;
+      var matches = [];
+      return {
+        step: function (budget) {
+          var stop = budget > 0 ? Math.min(end, position + budget) : end;
+          for (; position < stop; position++) {
+            var entry = entries[position];
+            if (filter && !filter(entry.item)) continue;
+            var result = scoreEntry(entry, parsed);
+            if (result) matches.push(result);
+          }
+          return position >= end;
+        },
+        results: function () {
+          matches.sort(compareResults);
+          var ranked = limit && matches.length > limit ? matches.slice(0, limit) : matches;
+          return ranked.map(function (match) {
+            return { item: match.item, score: match.score, field: match.field };
+          });
+        }
+      };
+    }
+
+    var index = {
+      size: 0,
+      add: add,
+      cursor: cursor,
+      search: function (query, options) {
+        var scan = cursor(query, options);
+        scan.step(0);
+        return scan.results();
+      },
+      // Runs the query in timer-sliced chunks; call the returned function to cancel a superseded query.
+      run: function (query, options, callback) {
+        var scan = cursor(query, options);
+        var chunkSize = options && options.chunkSize > 0 ? options.chunkSize : 2000;
+        var cancelled = false;
+        function next() {
+          if (cancelled) return;
+          if (scan.step(chunkSize)) {
+            callback(scan.results());
+            return;
+          }
+          setTimeout(next, 0);
+        }
+        next();
+        return function () { cancelled = true; };
+      }
+    };
+    add(items);
+    return index;
+  }
+
+  // Case-insensitive [start, end) ranges of every query token in text, merged where they overlap.
+  function findRanges(text, tokens) {
+    var haystack = lower(text);
+    var ranges = [];
+    tokens.forEach(function (token) {
+      var position = haystack.indexOf(token);
+      while (position >= 0) {
+        ranges.push([position, position + token.length]);
+        position = haystack.indexOf(token, position + token.length);
+      }
+    });
+    ranges.sort(function (left, right) { return left[0] - right[0] || right[1] - left[1]; });
+    var merged = [];
+    ranges.forEach(function (range) {
+      var last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else merged.push([range[0], range[1]]);
+    });
+    return merged;
+  }
+
+  // Picks a maxLength window that starts a little before the first match, snapped to a word boundary.
+  function snippetWindow(text, ranges, maxLength) {
+    if (!maxLength || text.length <= maxLength) return [0, text.length];
+    var first = ranges.length ? ranges[0][0] : 0;
+    var start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+    if (start > 0) {
+      var space = text.indexOf(' ', start);
+      if (space >= 0 && space < first) start = space + 1;
+    }
+    var end = Math.min(text.length, start + maxLength);
+    if (end < text.length) {
+      var lastSpace = text.lastIndexOf(' ', end);
+      var lastMatchEnd = ranges.length ? ranges[0][1] : 0;
+      if (lastSpace > start && lastSpace >= lastMatchEnd) end = lastSpace;
+    }
+    return [start, end];
+  }
+
+  // Splits text into plain and matched segments so callers can render <mark> elements without
+  // ever treating index text as HTML. Trimmed windows are marked with leading/trailing ellipses.
+  function highlight(text, query, options) {
+    var value = String(text === null || text === undefined ? '' : text);
+    var ranges = findRanges(value, tokenize(query));
+    var bounds = snippetWindow(value, ranges, options && options.maxLength > 0 ? options.maxLength : 0);
+    var segments = [];
+    var cursorAt = bounds[0];
+    if (bounds[0] > 0) segments.push({ text: '\u2026', match: false });
+    ranges.forEach(function (range) {
+      var start = Math.max(range[0], bounds[0]);
+      var end = Math.min(range[1], bounds[1]);
+      if (end <= start) return;
+      if (start > cursorAt) segments.push({ text: value.slice(cursorAt, start), match: false });
+      segments.push({ text: value.slice(start, end), match: true });
+      cursorAt = end;
+    });
+    if (cursorAt < bounds[1]) segments.push({ text: value.slice(cursorAt, bounds[1]), match: false });
+    if (bounds[1] < value.length) segments.push({ text: '\u2026', match: false });
+    return segments;
+  }
+
+  root.PowerForgeApiSearch = {
+    createIndex: createIndex,
+    tokenize: tokenize,
+    parseQuery: parseQuery,
+    splitWords: splitWords,
+    highlight: highlight,
+    // Self-installing source so docs.js can start the same engine inside a Blob worker.
+    source: '(' + installPowerForgeApiSearch.toString() + ')(self);'
+  };
+})(typeof self !== 'undefined' ? self : this);
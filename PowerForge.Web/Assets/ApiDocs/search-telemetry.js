@@ -0,0 +1,169 @@
+(function installPowerForgeSearchTelemetry(root) {
+  'use strict';
+
+  var storageKey = 'pf-search-telemetry';
+  var maxStoredEvents = 500;
+  var maxQueryLength = 100;
+  var debounceMs = 1000;
+
+  // Telemetry is opt-in: a page enables it with window.PowerForgeSearchTelemetryConfig = { target: ... }
+  // or <meta name="pf-search-telemetry" content="...">, where the target is "local" or an endpoint URL.
+  function resolveTarget() {
+    if (root.navigator && (root.navigator.doNotTrack === '1' || root.navigator.globalPrivacyControl === true)) return null;
+    var config = root.PowerForgeSearchTelemetryConfig;
+    var target = config && config.target;
+    if (!target && root.document) {
+      var meta = root.document.querySelector('meta[name="pf-search-telemetry"]');
+      target = meta ? meta.getAttribute('content') : '';
+    }
+    target = String(target || '').trim();
+    if (!target || target === 'off' || target === 'false') return null;
+    return target;
+  }
+
+  function readStored() {
+    try {
+      var parsed = JSON.parse(root.localStorage.getItem(storageKey) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeStored(events) {
+    try {
+      root.localStorage.setItem(storageKey, JSON.stringify(events.slice(-maxStoredEvents)));
+    } catch (error) {
+      // Storage can be full or blocked; telemetry must never break search.
+    }
+  }
+
+  // Events only carry the query, counts and a day stamp: no URLs, ids, cookies or precise timestamps.
+  function today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function cleanQuery(query) {
+    return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, maxQueryLength);
+  }
+
+  function send(target, event) {
+    if (target === 'local') {
+      var events = readStored();
+      events.push(event);
+      writeStored(events);
+      return;
+    }
+
+    var body = JSON.stringify({ format: 'powerforge-search-telemetry', version: 1, events: [event] });
+    try {
+      if (root.navigator && typeof root.navigator.sendBeacon === 'function' &&
+          root.navigator.sendBeacon(target, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+      if (typeof root.fetch === 'function') {
+        root.fetch(target, { method: 'POST', body: body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+          .catch(function () {});
+      }
+    } catch (error) {
+      // Ignore transport failures.
+    }
+  }
+
+  var noop = { query: function () {}, click: function () {}, flush: function () {} };
+
+  // surface identifies the search UI ("api", "suite", "site") so reports can tell them apart.
+  function create(surface) {
+    var target = resolveTarget();
+    if (!target) return noop;
+
+    var pending = null;
+    var timer = 0;
+    var lastQuery = '';
+
+    function flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = 0;
+      }
+      if (!pending) return;
+      var event = pending;
+      pending = null;
+      if (event.query === lastQuery) return;
+      lastQuery = event.query;
+      send(target, event);
+    }
+
+    if (root.addEventListener) root.addEventListener('pagehide', flush);
+
+    return {
+      // Records the settled query once the user stops typing, so keystrokes are not logged one by one.
+      query: function (query, resultCount) {
+        var cleaned = cleanQuery(query);
+        if (timer) clearTimeout(timer);
+        timer = 0;
+        if (cleaned.length < 2) {
+          pending = null;
+          return;
+        }
+        pending = { type: 'query', surface: surface, query: cleaned, results: Math.max(0, resultCount | 0), date: today() };
+        timer = setTimeout(flush, debounceMs);
+      },
+      // position is 1-based within the rendered result list.
+      click: function (query, position) {
+        flush();
+        var cleaned = cleanQuery(query);
+        if (cleaned.length < 2) return;
+        send(target, { type: 'click', surface: surface, query: cleaned, position: Math.max(1, position | 0), date: today() });
+      },
+      flush: flush
+    };
+  }
+
+  function exportEvents() {
+    return JSON.stringify({ format: 'powerforge-search-telemetry', version: 1, events: readStored() }, null, 2);
+  }
+
+  // Saves the local buffer as a JSON file for `powerforge-web search-telemetry`.
+  function download(fileName) {
+    var link = root.document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([exportEvents()], { type: 'application/json' }));
+    link.download = fileName || 'search-telemetry.json';
+    root.document.body.appendChild(link);
+    link.click();
+    root.document.body.removeChild(link);
+    setTimeout(function () { URL.revokeObjectURL(link.href); }, 0);
+  }
+
+  // [data-pf-search-telemetry-export] controls start hidden and only appear while events are buffered locally.
+  function bindExportControls() {
+    if (resolveTarget() !== 'local') return;
+    var controls = root.document.querySelectorAll('[data-pf-search-telemetry-export]');
+    Array.prototype.forEach.call(controls, function (control) {
+      control.hidden = false;
+      control.addEventListener('click', function (event) {
+        event.preventDefault();
+        download();
+      });
+    });
+  }
+
+  if (root.document) {
+    if (root.document.readyState === 'loading') root.document.addEventListener('DOMContentLoaded', bindExportControls);
+    else bindExportControls();
+  }
+
+  root.PowerForgeSearchTelemetry = {
+    create: create,
+    enabled: function () { return resolveTarget() !== null; },
+    export: exportEvents,
+    download: download,
+    clear: function () {
+      try {
+        root.localStorage.removeItem(storageKey);
+      } catch (error) {
+        // Ignore blocked storage.
+      }
+    }
+  };
+})(window);
@@ -0,0 +1,288 @@
+(function installPowerForgeSuiteSearch(root) {
+  'use strict';
+
+  // Index and shard payloads are shared by every search on the page, so the suite widget and the
+  // command palette never download the same file twice.
+  var jsonCache = {};
+
+  function normalize(value) {
+    return String(value === null || value === undefined ? '' : value).toLowerCase();
+  }
+
+  function fetchJson(url) {
+    if (!jsonCache[url]) {
+      jsonCache[url] = root.fetch(url).then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      });
+      jsonCache[url].catch(function () { delete jsonCache[url]; });
+    }
+    return jsonCache[url];
+  }
+
+  function readItems(payload) {
+    return Array.isArray(payload) ? payload : (payload && Array.isArray(payload.items) ? payload.items : []);
+  }
+
+  function resolveUrl(url, base) {
+    try {
+      return new URL(url, new URL(base, root.location ? root.location.href : undefined)).toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  // PowerShell parameters read better with their command ("Invoke-ModuleBuild -Path") than with the bare name.
+  function itemLabel(item) {
+    if (item.kind === 'parameter' && item.title) return item.title;
+    return item.displayName || item.title || item.slug || 'Result';
+  }
+
+  // API items link to their page under apiBase; suite items carry a url to the type JSON, which maps to the type page.
+  function itemHref(item, apiBase) {
+    if (item.slug && apiBase) return apiBase + item.slug + '/' + (item.anchor ? '#' + item.anchor : '');
+    var url = item.url || '';
+    var match = /^(.*\/)types\/([^\/?#]+)\.json$/.exec(url);
+    return match ? match[1] + match[2] + '/' : (url || '#');
+  }
+
+  function matchesSuiteEntry(item, suiteEntryId) {
+    return !suiteEntryId || normalize(item.suiteEntryId) === normalize(suiteEntryId);
+  }
+
+  function filterLinear(items, query, suiteEntryId, limit) {
+    var q = normalize(query);
+    return items.filter(function (item) {
+      if (!matchesSuiteEntry(item, suiteEntryId)) return false;
+      var haystack = normalize([
+        item.title,
+        item.displayName,
+        item.summary,
+        item.kind,
+        item.namespace,
+        item.suiteEntryLabel,
+        item.suiteEntryId,
+        Array.isArray(item.aliases) ? item.aliases.join(' ') : '',
+        Array.isArray(item.parameterSets) ? item.parameterSets.join(' ') : ''
+      ].join(' '));
+      return haystack.indexOf(q) !== -1;
+    }).slice(0, limit);
+  }
+
+  // Runs inside the search worker. It is serialized with toString(), so it must not use anything from this file.
+  function workerMain(scope) {
+    var index = scope.PowerForgeApiSearch.createIndex([]);
+    var cancel = null;
+    scope.onmessage = function (event) {
+      var message = event.data || {};
+      if (message.type === 'add') {
+        index.add(message.items);
+        return;
+      }
+      if (message.type !== 'query') return;
+      if (cancel) cancel();
+      var suiteEntryId = String(message.suiteEntryId || '').toLowerCase();
+      cancel = index.run(message.query, {
+        limit: message.limit,
+        filter: suiteEntryId ? function (item) { return String(item.suiteEntryId || '').toLowerCase() === suiteEntryId; } : null
+      }, function (results) {
+        scope.postMessage({
+          type: 'results',
+          id: message.id,
+          items: results.map(function (result) { return result.item; })
+        });
+      });
+    };
+  }
+
+  // Indexes items once and answers queries off the main thread when a worker can be started.
+  // Superseded queries are cancelled; without workers the same engine runs in timer slices on the page.
+  function createClient(onResults) {
+    var engine = root.PowerForgeApiSearch;
+    var items = [];
+    var latestId = 0;
+    var latestRequest = null;
+    var worker = null;
+    var localIndex = null;
+    var cancelLocal = null;
+
+    function deliver(request, results) {
+      if (request.id === latestId) onResults(results, request);
+    }
+
+    function runLocal(request) {
+      if (cancelLocal) cancelLocal();
+      cancelLocal = null;
+      if (!localIndex) {
+        deliver(request, filterLinear(items, request.query, request.suiteEntryId, request.limit));
+        return;
+      }
+      cancelLocal = localIndex.run(request.query, {
+        limit: request.limit,
+        filter: request.suiteEntryId ? function (item) { return matchesSuiteEntry(item, request.suiteEntryId); } : null
+      }, function (results) {
+        deliver(request, results.map(function (result) { return result.item; }));
+      });
+    }
+
+    function useMainThread() {
+      if (worker) worker.terminate();
+      worker = null;
+      if (engine && !localIndex) localIndex = engine.createIndex(items);
+      if (latestRequest) runLocal(latestRequest);
+    }
+
+    if (engine && engine.source && typeof root.Worker !== 'undefined' && typeof root.Blob !== 'undefined' && root.URL && root.URL.createObjectURL) {
+      try {
+        var source = engine.source + '\n(' + workerMain.toString() + ')(self);';
+        worker = new root.Worker(root.URL.createObjectURL(new root.Blob([source], { type: 'text/javascript' })));
+        worker.onmessage = function (event) {
+          var message = event.data || {};
+          if (message.type === 'results' && latestRequest && message.id === latestRequest.id) deliver(latestRequest, message.items || []);
+        };
+        worker.onerror = function (event) {
+          if (event && typeof event.preventDefault === 'function') event.preventDefault();
+          useMainThread();
+        };
+      } catch (error) {
+        worker = null;
+      }
+    }
+    if (!worker) useMainThread();
+
+    return {
+      add: function (list) {
+        if (!Array.isArray(list) || !list.length) return;
+        items = items.concat(list);
+        if (worker) {
+          worker.postMessage({ type: 'add', items: list });
+        } else if (localIndex) {
+          localIndex.add(list);
+        }
+      },
+      query: function (query, suiteEntryId, limit) {
+        latestId++;
+        latestRequest = { id: latestId, query: query, suiteEntryId: suiteEntryId || '', limit: limit };
+        if (worker) {
+          worker.postMessage({ type: 'query', id: latestRequest.id, query: query, suiteEntryId: latestRequest.suiteEntryId, limit: limit });
+        } else {
+          runLocal(latestRequest);
+        }
+      }
+    };
+  }
+
+  // A suite search over api-suite-search.json, which is either a flat item list or a manifest of shards.
+  // onResults(items, state) receives the ranked items for the latest query plus
+  // { query, suiteEntryId, shardCount, shardsDone, shardsFailed, complete }; it fires again as shards arrive.
+  function create(url, onResults) {
+    var shards = null;
+    var client = null;
+    var itemCount = 0;
+    var loadPromise = null;
+    var shardLoading = false;
+    var last = null;
+
+    // Every shard that can hold a match: matches are ranked on substrings, CamelCase parts, summaries, labels and
+    // kinds, so a prefix shard for another letter can still hold results. Only the project filter narrows the scope.
+    function shardScope(query, suiteEntryId) {
+      if (!shards || !normalize(query).trim()) return [];
+      return shards.filter(function (shard) {
+        return shard.prefix || !suiteEntryId || !shard.suiteEntryId || normalize(shard.suiteEntryId) === normalize(suiteEntryId);
+      });
+    }
+
+    // Shards named after each token's first letter ("-path" counts as "p") hold the likeliest matches, so they load
+    // first and the rest of the scope follows in the background.
+    function shardQueue(query, suiteEntryId) {
+      var prefixes = {};
+      normalize(query).split(/\s+/).forEach(function (token) {
+        var first = token.replace(/^-+/, '').charAt(0);
+        if (first) prefixes[/[a-z0-9]/.test(first) ? first : '_'] = true;
+      });
+      var pending = shardScope(query, suiteEntryId).filter(function (shard) { return !shard.loaded && !shard.failed; });
+      return pending.filter(function (shard) { return shard.prefix && prefixes[normalize(shard.prefix)]; })
+        .concat(pending.filter(function (shard) { return !(shard.prefix && prefixes[normalize(shard.prefix)]); }));
+    }
+
+    function describe(request) {
+      var scope = request ? shardScope(request.query, request.suiteEntryId) : [];
+      var done = scope.filter(function (shard) { return shard.loaded || shard.failed; }).length;
+      return {
+        query: request ? request.query : '',
+        suiteEntryId: request ? request.suiteEntryId : '',
+        shardCount: scope.length,
+        shardsDone: done,
+        shardsFailed: scope.filter(function (shard) { return shard.failed; }).length,
+        complete: done === scope.length
+      };
+    }
+
+    function loadShards() {
+      if (!shards || !last || shardLoading) return;
+      var shard = shardQueue(last.query, last.suiteEntryId)[0];
+      if (!shard) return;
+      shardLoading = true;
+      fetchJson(resolveUrl(shard.url, url))
+        .then(function (payload) {
+          var items = readItems(payload);
+          itemCount += items.length;
+          client.add(items);
+          shard.loaded = true;
+        }, function () {
+          shard.failed = true;
+        })
+        .then(function () {
+          // Re-running the query merges the new shard into the results; the superseded run is dropped by the client.
+          shardLoading = false;
+          if (last) client.query(last.query, last.suiteEntryId, last.limit);
+          loadShards();
+        });
+    }
+
+    function load() {
+      if (!loadPromise) {
+        loadPromise = fetchJson(resolveUrl(url, '')).then(function (payload) {
+          var items = [];
+          if (payload && Array.isArray(payload.shards)) {
+            shards = payload.shards.filter(function (shard) { return shard && shard.url; }).map(function (shard) {
+              return { id: shard.id, url: shard.url, prefix: shard.prefix, suiteEntryId: shard.suiteEntryId, itemCount: shard.itemCount };
+            });
+          } else {
+            items = readItems(payload);
+          }
+          client = createClient(function (results, request) {
+            onResults(results, describe(request));
+          });
+          client.add(items);
+          itemCount = items.length;
+          if (last) query(last.query, last.suiteEntryId, last.limit);
+          return { itemCount: itemCount, shardCount: shards ? shards.length : 0 };
+        });
+        loadPromise.catch(function () { loadPromise = null; });
+      }
+      return loadPromise;
+    }
+
+    function query(text, suiteEntryId, limit) {
+      last = normalize(text).trim() ? { query: text, suiteEntryId: suiteEntryId || '', limit: limit } : null;
+      if (!client || !last) return;
+      client.query(last.query, last.suiteEntryId, last.limit);
+      loadShards();
+    }
+
+    return {
+      load: load,
+      query: query,
+      state: function () { return describe(last); }
+    };
+  }
+
+  root.PowerForgeSuiteSearch = {
+    create: create,
+    createClient: createClient,
+    filterLinear: filterLinear,
+    itemLabel: itemLabel,
+    itemHref: itemHref
+  };
+})(typeof self !== 'undefined' ? self : this);
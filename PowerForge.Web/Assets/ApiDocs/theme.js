@@ -0,0 +1,111 @@
+(function installPowerForgeApiDocsTheme(root) {
+  'use strict';
+
+  // Light/dark/auto theme for the API docs. Inlined at the top of <head>, before any stylesheet, so the first
+  // paint already uses the right colors.
+  //   html[data-theme]        the preference: 'auto', 'light' or 'dark' (the attribute site themes already use)
+  //   html[data-color-scheme] what the page shows: 'light' or 'dark'; 'auto' follows prefers-color-scheme live
+  // The preference is stored under the site-wide 'theme' key, so choosing a theme here or on the site sticks for both.
+  var storageKey = 'theme';
+  var themes = ['auto', 'light', 'dark'];
+  var doc = root.document;
+  var html = doc.documentElement;
+  var config = root.PowerForgeApiDocsThemeConfig || {};
+  var fallback = themes.indexOf(config.theme) !== -1 ? config.theme : 'auto';
+  var media = root.matchMedia ? root.matchMedia('(prefers-color-scheme: light)') : null;
+  var current = '';
+
+  function normalize(theme) {
+    return themes.indexOf(theme) !== -1 ? theme : '';
+  }
+
+  function readStored() {
+    try {
+      return normalize(root.localStorage.getItem(storageKey));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // A site script may set html[data-theme] before this runs; it wins over the stored value.
+  function get() {
+    return normalize(html.getAttribute('data-theme')) || readStored() || fallback;
+  }
+
+  function resolve(theme) {
+    var value = normalize(theme) || get();
+    if (value !== 'auto') return value;
+    return media && media.matches ? 'light' : 'dark';
+  }
+
+  // Prism themes are emitted as a light/dark pair; only the one matching the shown scheme stays active.
+  function syncPrism(scheme) {
+    var links = doc.querySelectorAll('link[data-pf-prism-theme]');
+    for (var i = 0; i < links.length; i++) {
+      links[i].media = links[i].getAttribute('data-pf-prism-theme') === scheme ? 'all' : 'not all';
+    }
+  }
+
+  function apply(theme) {
+    var scheme = resolve(theme);
+    current = theme;
+    html.setAttribute('data-theme', theme);
+    html.setAttribute('data-color-scheme', scheme);
+    html.style.colorScheme = scheme;
+    syncPrism(scheme);
+    if (typeof root.CustomEvent === 'function') {
+      doc.dispatchEvent(new root.CustomEvent('pf:theme-change', { detail: { theme: theme, scheme: scheme } }));
+    }
+    return scheme;
+  }
+
+  function set(theme) {
+    var value = normalize(theme) || fallback;
+    try {
+      root.localStorage.setItem(storageKey, value);
+    } catch (error) {
+      // Storage can be blocked; the theme still applies to this page.
+    }
+    apply(value);
+    return value;
+  }
+
+  function cycle() {
+    return set(themes[(themes.indexOf(get()) + 1) % themes.length]);
+  }
+
+  apply(get());
+
+  if (media) {
+    var onSystemChange = function() {
+      if (get() === 'auto') apply('auto');
+    };
+    if (media.addEventListener) media.addEventListener('change', onSystemChange);
+    else if (media.addListener) media.addListener(onSystemChange);
+  }
+
+  // Site theme toggles that only set html[data-theme] keep the resolved scheme in step.
+  if (root.MutationObserver) {
+    new root.MutationObserver(function() {
+      var theme = get();
+      if (theme !== current) apply(theme);
+    }).observe(html, { attributes: true, attributeFilter: ['data-theme'] });
+  }
+
+  root.addEventListener('storage', function(event) {
+    if (event.key === storageKey) apply(readStored() || fallback);
+  });
+
+  // The Prism links come after this script in <head>.
+  doc.addEventListener('DOMContentLoaded', function() {
+    syncPrism(resolve(current));
+  });
+
+  root.PowerForgeApiDocsTheme = {
+    themes: themes.slice(),
+    get: get,
+    set: set,
+    cycle: cycle,
+    resolve: resolve
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -69,6 +69,8 @@ public sealed class WebApiDocsResult
     public string? PowerShellExampleValidationPath { get; set; }
     /// <summary>Path to the PowerShell example media manifest JSON file, when generated.</summary>
     public string? PowerShellExampleMediaManifestPath { get; set; }
+    /// <summary>Path to the API version snapshot JSON file, when generated.</summary>
+    public string? VersionSnapshotPath { get; set; }
     /// <summary>Number of types documented.</summary>
     public int TypeCount { get; set; }
     /// <summary>True when reflection was used to populate types.</summary>
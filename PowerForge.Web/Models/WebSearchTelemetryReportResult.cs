@@ -0,0 +1,53 @@
+namespace PowerForge.Web;
+
+/// <summary>Result payload for search telemetry aggregation.</summary>
+public sealed class WebSearchTelemetryReportResult
+{
+    /// <summary>Path to the written report JSON, when an output path was requested.</summary>
+    public string? OutputPath { get; set; }
+    /// <summary>Number of telemetry files read.</summary>
+    public int SourceCount { get; set; }
+    /// <summary>Number of events aggregated after filtering.</summary>
+    public int EventCount { get; set; }
+    /// <summary>Number of recorded searches.</summary>
+    public int SearchCount { get; set; }
+    /// <summary>Number of recorded searches that returned no results.</summary>
+    public int ZeroResultSearchCount { get; set; }
+    /// <summary>Number of query events skipped because they carried no result count.</summary>
+    public int MalformedEventCount { get; set; }
+    /// <summary>Number of recorded result clicks.</summary>
+    public int ClickCount { get; set; }
+    /// <summary>Number of distinct normalized queries that were searched.</summary>
+    public int DistinctQueryCount { get; set; }
+    /// <summary>Queries ranked by how often they returned no results.</summary>
+    public WebSearchTelemetryQueryStat[] TopZeroResultQueries { get; set; } = Array.Empty<WebSearchTelemetryQueryStat>();
+    /// <summary>Queries ranked by how often results were shown but none was clicked.</summary>
+    public WebSearchTelemetryQueryStat[] TopAbandonedQueries { get; set; } = Array.Empty<WebSearchTelemetryQueryStat>();
+    /// <summary>Warnings emitted while reading telemetry files.</summary>
+    public string[] Warnings { get; set; } = Array.Empty<string>();
+}
+
+/// <summary>Aggregated statistics for a single normalized search query.</summary>
+public sealed class WebSearchTelemetryQueryStat
+{
+    /// <summary>Normalized (trimmed, lower-cased) query text.</summary>
+    public string Query { get; set; } = string.Empty;
+    /// <summary>Number of recorded searches.</summary>
+    public int Searches { get; set; }
+    /// <summary>Number of searches that returned no results.</summary>
+    public int ZeroResultSearches { get; set; }
+    /// <summary>Number of result clicks recorded for the query.</summary>
+    public int Clicks { get; set; }
+    /// <summary>Searches that showed results without a following click.</summary>
+    public int AbandonedSearches { get; set; }
+    /// <summary>Average number of results shown per search.</summary>
+    public double AverageResults { get; set; }
+    /// <summary>Average 1-based position of clicked results, when any click was recorded.</summary>
+    public double? AverageClickPosition { get; set; }
+    /// <summary>Search surfaces (api, suite, site) that recorded the query.</summary>
+    public string[] Surfaces { get; set; } = Array.Empty<string>();
+    /// <summary>First day (yyyy-MM-dd) the query was seen.</summary>
+    public string? FirstSeen { get; set; }
+    /// <summary>Last day (yyyy-MM-dd) the query was seen.</summary>
+    public string? LastSeen { get; set; }
+}
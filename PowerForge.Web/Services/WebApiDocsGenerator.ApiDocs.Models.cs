@@ -42,6 +42,10 @@ public static partial class WebApiDocsGenerator
         public string Kind { get; set; } = "Class";
         public string Slug { get; set; } = string.Empty;
         public ApiFreshnessModel? Freshness { get; set; }
+        public ApiVersionHistoryModel? VersionHistory { get; set; }
+        public List<string> AvailableVersions { get; } = new();
+        public List<string> SnapshotVersions { get; } = new();
+        public List<ApiRemovedMemberModel> RemovedMembers { get; } = new();
         public bool IsStatic { get; set; }
         public bool IsAbstract { get; set; }
         public bool IsSealed { get; set; }
@@ -63,6 +67,21 @@ public static partial class WebApiDocsGenerator
         public string? SourcePath { get; set; }
     }
 
+    private sealed class ApiVersionHistoryModel
+    {
+        public string? AddedIn { get; set; }
+        public string? ChangedIn { get; set; }
+        public string? RemovedIn { get; set; }
+        public bool HasEntries => AddedIn is not null || ChangedIn is not null || RemovedIn is not null;
+    }
+
+    private sealed class ApiRemovedMemberModel
+    {
+        public string Kind { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string? Signature { get; set; }
+    }
+
     private sealed class ApiMemberModel
     {
         public string Name { get; set; } = string.Empty;
@@ -93,6 +112,7 @@ public static partial class WebApiDocsGenerator
         public List<ApiParameterModel> Parameters { get; set; } = new();
         public string? Returns { get; set; }
         public ApiSourceLink? Source { get; set; }
+        public ApiVersionHistoryModel? VersionHistory { get; set; }
     }
 
     private sealed class ApiParameterModel
@@ -0,0 +1,195 @@
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    private static string BuildSearchTelemetryScript(WebApiDocsOptions options)
+    {
+        var target = options.SearchTelemetry?.Trim();
+        if (string.IsNullOrWhiteSpace(target) ||
+            target.Equals("off", StringComparison.OrdinalIgnoreCase) ||
+            target.Equals("false", StringComparison.OrdinalIgnoreCase))
+            return string.Empty;
+
+        // JsonSerializer escapes '<', so the configured target cannot close the script element.
+        var config = JsonSerializer.Serialize(new Dictionary<string, string> { ["target"] = target });
+        // A local buffer only leaves the browser through an export, so local pages get a control for it.
+        var exportControl = string.Equals(target, "local", StringComparison.Ordinal)
+            ? "<button type=\"button\" class=\"pf-search-telemetry-export\" data-pf-search-telemetry-export hidden>Export search telemetry</button>"
+            : string.Empty;
+        return JoinHtmlFragments(
+            exportControl,
+            WrapScript($"window.PowerForgeSearchTelemetryConfig = {config};"),
+            WrapScript(LoadAsset(options, "search-telemetry.js", null)));
+    }
+
+    private static List<Dictionary<string, object?>> BuildApiMemberSearchEntries(
+        IReadOnlyList<ApiTypeModel> types,
+        IReadOnlyDictionary<string, string> typeDisplayNames,
+        object? suiteJson,
+        WebApiDocsOptions options)
+    {
+        var entries = new List<Dictionary<string, object?>>();
+        if (types.Count == 0)
+            return entries;
+
+        var memberRenderInfo = BuildMemberRenderInfoMap(types);
+        foreach (var type in types)
+        {
+            var typeDisplayName = ResolveTypeDisplayName(type, typeDisplayNames);
+            if (IsPowerShellCommandType(type))
+            {
+                AppendPowerShellParameterSearchEntries(entries, type, typeDisplayName, memberRenderInfo, suiteJson, options);
+                continue;
+            }
+
+            AppendMemberSearchEntries(entries, type, typeDisplayName, type.Methods, "method", memberRenderInfo, suiteJson, options);
+            AppendMemberSearchEntries(entries, type, typeDisplayName, type.Properties, "property", memberRenderInfo, suiteJson, options);
+            AppendMemberSearchEntries(entries, type, typeDisplayName, type.Fields, type.Kind == "Enum" ? "value" : "field", memberRenderInfo, suiteJson, options);
+            AppendMemberSearchEntries(entries, type, typeDisplayName, type.Events, "event", memberRenderInfo, suiteJson, options);
+        }
+
+        return entries;
+    }
+
+    private static void AppendMemberSearchEntries(
+        List<Dictionary<string, object?>> entries,
+        ApiTypeModel type,
+        string typeDisplayName,
+        IReadOnlyList<ApiMemberModel> members,
+        string kind,
+        IReadOnlyDictionary<ApiMemberModel, ApiMemberRenderInfo> memberRenderInfo,
+        object? suiteJson,
+        WebApiDocsOptions options)
+    {
+        // Inherited members are indexed on their declaring type; listing them again would flood results with duplicates.
+        foreach (var member in members)
+        {
+            if (member.IsInherited || member.IsConstructor || string.IsNullOrWhiteSpace(member.Name))
+                continue;
+            if (!memberRenderInfo.TryGetValue(member, out var renderInfo))
+                continue;
+
+            var displayName = string.IsNullOrWhiteSpace(member.DisplayName) ? member.Name : member.DisplayName!;
+            var signature = string.IsNullOrWhiteSpace(member.Signature) ? displayName : member.Signature!;
+            entries.Add(BuildMemberSearchEntry(
+                type,
+                typeDisplayName,
+                $"{type.FullName}.{member.Name}",
+                displayName,
+                Array.Empty<string>(),
+                StripCrefTokens(member.Summary),
+                kind,
+                signature,
+                renderInfo.AnchorId,
+                suiteJson,
+                options));
+        }
+    }
+
+    private static void AppendPowerShellParameterSearchEntries(
+        List<Dictionary<string, object?>> entries,
+        ApiTypeModel type,
+        string typeDisplayName,
+        IReadOnlyDictionary<ApiMemberModel, ApiMemberRenderInfo> memberRenderInfo,
+        object? suiteJson,
+        WebApiDocsOptions options)
+    {
+        // A parameter shared by several parameter sets gets one result that points at its row in the first syntax block using it.
+        var parameterSets = new Dictionary<string, List<string>>(StringComparer.OrdinalIgnoreCase);
+        foreach (var syntax in type.Methods)
+        {
+            if (string.IsNullOrWhiteSpace(syntax.ParameterSetName))
+                continue;
+            foreach (var parameter in syntax.Parameters)
+            {
+                if (string.IsNullOrWhiteSpace(parameter.Name))
+                    continue;
+                if (!parameterSets.TryGetValue(parameter.Name, out var sets))
+                {
+                    sets = new List<string>();
+                    parameterSets[parameter.Name] = sets;
+                }
+                if (!sets.Contains(syntax.ParameterSetName!, StringComparer.OrdinalIgnoreCase))
+                    sets.Add(syntax.ParameterSetName!);
+            }
+        }
+
+        var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var syntax in type.Methods)
+        {
+            if (!memberRenderInfo.TryGetValue(syntax, out var renderInfo))
+                continue;
+
+            foreach (var parameter in syntax.Parameters)
+            {
+                if (string.IsNullOrWhiteSpace(parameter.Name) || !seen.Add(parameter.Name))
+                    continue;
+
+                var signature = string.IsNullOrWhiteSpace(parameter.Type)
+                    ? $"-{parameter.Name}"
+                    : $"-{parameter.Name} <{parameter.Type}>";
+                var entry = BuildMemberSearchEntry(
+                    type,
+                    typeDisplayName,
+                    $"{type.Name} -{parameter.Name}",
+                    parameter.Name,
+                    parameter.Aliases.Where(static alias => !string.IsNullOrWhiteSpace(alias)).ToArray(),
+                    StripCrefTokens(parameter.Summary),
+                    "parameter",
+                    signature,
+                    BuildPowerShellParameterAnchorId(renderInfo.AnchorId, parameter.Name),
+                    suiteJson,
+                    options);
+                entry["command"] = type.Name;
+                entry["parameterSets"] = parameterSets.TryGetValue(parameter.Name, out var sets)
+                    ? sets.ToArray()
+                    : Array.Empty<string>();
+                entries.Add(entry);
+            }
+        }
+    }
+
+    private static Dictionary<string, object?> BuildMemberSearchEntry(
+        ApiTypeModel type,
+        string typeDisplayName,
+        string title,
+        string displayName,
+        IReadOnlyList<string> aliases,
+        string? summary,
+        string kind,
+        string signature,
+        string anchorId,
+        object? suiteJson,
+        WebApiDocsOptions options)
+    {
+        return new Dictionary<string, object?>
+        {
+            ["suite"] = suiteJson,
+            ["entryKind"] = "member",
+            ["title"] = title,
+            ["displayName"] = displayName,
+            ["aliases"] = aliases,
+            ["summary"] = summary ?? string.Empty,
+            ["kind"] = kind,
+            ["namespace"] = type.Namespace,
+            ["parentTitle"] = type.FullName,
+            ["parentDisplayName"] = typeDisplayName,
+            ["signature"] = signature,
+            ["slug"] = type.Slug,
+            ["anchor"] = anchorId,
+            ["url"] = BuildMemberSearchUrl(options, type.Slug, anchorId)
+        };
+    }
+
+    private static string BuildMemberSearchUrl(WebApiDocsOptions options, string slug, string anchorId)
+    {
+        // Suite search dedupes by url, so member entries must carry the anchor to stay distinct from their type.
+        var template = (options.Template ?? string.Empty).Trim().ToLowerInvariant();
+        var typeUrl = template is "docs" or "sidebar"
+            ? BuildDocsTypeUrl(options.BaseUrl, slug)
+            : $"{options.BaseUrl.TrimEnd('/')}/types/{slug}.html";
+        return typeUrl + "#" + anchorId;
+    }
+}
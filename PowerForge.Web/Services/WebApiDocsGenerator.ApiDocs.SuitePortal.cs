@@ -20,7 +20,7 @@ public static partial class WebApiDocsGenerator
             throw new InvalidOperationException("GenerateSuitePortal requires at least two suite entries.");
 
         var warnings = new List<string>();
-        var head = GetApiDocsResolvedHeadHtml(options);
+        var head = JoinHtmlFragments(BuildApiDocsThemeScript(options), GetApiDocsResolvedHeadHtml(options));
         var header = LoadOptionalHtml(options.HeaderHtmlPath);
         var footer = LoadOptionalHtml(options.FooterHtmlPath);
         ApplyNavFallback(options, warnings, ref header, ref footer);
@@ -30,7 +30,12 @@ public static partial class WebApiDocsGenerator
         var cssLinks = BuildCssLinks(options.CssHref);
         var fallbackCss = LoadAsset(options, "fallback.css", null);
         var cssBlock = BuildCssBlockWithFallback(fallbackCss, cssLinks);
-        var docsScript = WrapScript(LoadAsset(options, "docs.js", options.DocsScriptPath));
+        var docsScript = JoinHtmlFragments(
+            BuildSearchTelemetryScript(options),
+            WrapScript(LoadAsset(options, "search-engine.js", null)),
+            WrapScript(LoadAsset(options, "suite-search.js", null)),
+            WrapScript(LoadAsset(options, "command-palette.js", null)),
+            WrapScript(LoadAsset(options, "docs.js", options.DocsScriptPath)));
         var social = ResolveApiSocialProfile(options);
         var baseUrl = NormalizeApiRoute(options.BaseUrl);
         var title = string.IsNullOrWhiteSpace(options.Title) ? (suite.Title ?? "API Suite") : options.Title.Trim();
@@ -116,6 +121,8 @@ public static partial class WebApiDocsGenerator
             html.Line("<p class=\"section-desc\">Follow the curated learning path for this API ecosystem before diving into individual reference pages.</p>");
             html.Line("<div class=\"api-suite-narrative-status\" aria-live=\"polite\">Loading suite guidance...</div>");
             html.Line("<div class=\"api-suite-narrative-summary\" hidden></div>");
+            html.Line("<div class=\"api-suite-narrative-tools\" hidden></div>");
+            html.Line("<div class=\"api-suite-narrative-continue\" hidden></div>");
             html.Line("<div class=\"api-suite-narrative-sections\" hidden></div>");
         }
         html.Line("</section>");
@@ -133,6 +140,7 @@ public static partial class WebApiDocsGenerator
             html.Line("<p class=\"section-desc\">Track whether the important entry points across this suite are well documented and supported by guidance.</p>");
             html.Line("<div class=\"api-suite-coverage-status\" aria-live=\"polite\">Loading suite coverage summary...</div>");
             html.Line("<div class=\"api-suite-coverage-grid\" hidden></div>");
+            html.Line("<div class=\"api-suite-coverage-breakdown\" id=\"api-suite-coverage-breakdown\" hidden></div>");
         }
         html.Line("</section>");
     }
@@ -103,7 +103,7 @@ public static partial class WebApiDocsGenerator
         }
     }
 
-    private static string LoadEmbeddedRaw(string fileName)
+    internal static string LoadEmbeddedRaw(string fileName)
     {
         var assembly = typeof(WebApiDocsGenerator).Assembly;
         var resourceName = assembly.GetManifestResourceNames()
@@ -41,11 +41,27 @@ public static partial class WebApiDocsGenerator
     private static IReadOnlyDictionary<string, ApiTypeModel> BuildTypeIndex(IReadOnlyList<ApiTypeModel> types)
     {
         var map = new Dictionary<string, ApiTypeModel>(StringComparer.OrdinalIgnoreCase);
+        var shortNames = new Dictionary<string, List<ApiTypeModel>>(StringComparer.OrdinalIgnoreCase);
         foreach (var type in types)
         {
             var key = NormalizeTypeName(type.FullName);
             if (string.IsNullOrWhiteSpace(key)) continue;
             map[key] = type;
+
+            var shortKey = NormalizeTypeName(type.Name);
+            if (string.IsNullOrWhiteSpace(shortKey)) continue;
+            if (!shortNames.TryGetValue(shortKey, out var list))
+            {
+                list = new List<ApiTypeModel>();
+                shortNames[shortKey] = list;
+            }
+            list.Add(type);
+        }
+        // Reflection reports base types by short name; unique short names resolve to the documented type.
+        foreach (var entry in shortNames)
+        {
+            if (entry.Value.Count == 1 && !map.ContainsKey(entry.Key))
+                map[entry.Key] = entry.Value[0];
         }
         return map;
     }
@@ -59,7 +75,9 @@ public static partial class WebApiDocsGenerator
         {
             var baseKey = NormalizeTypeName(type.BaseType);
             if (string.IsNullOrWhiteSpace(baseKey)) continue;
-            if (!typeIndex.ContainsKey(baseKey)) continue;
+            if (!typeIndex.TryGetValue(baseKey, out var baseType)) continue;
+            // Keyed by the base's full name so GetDerivedTypes finds it however the base was referenced.
+            baseKey = NormalizeTypeName(baseType.FullName);
             if (!map.TryGetValue(baseKey, out var list))
             {
                 list = new List<ApiTypeModel>();
@@ -231,23 +249,28 @@ public static partial class WebApiDocsGenerator
     {
         if (string.IsNullOrWhiteSpace(name))
             return string.Empty;
-        var cleaned = name.Replace("+", ".").Trim();
-        var display = GetDisplayTypeName(cleaned);
-        if (slugMap.TryGetValue(cleaned, out var slug))
+        var display = GetDisplayTypeName(name.Replace("+", ".").Trim());
+        var href = ResolveDocsTypeHref(name, baseUrl, slugMap);
+        if (href is not null)
         {
-            var href = BuildDocsTypeUrl(baseUrl, slug);
-            var safeHref = System.Web.HttpUtility.HtmlAttributeEncode(href);
-            return $"<a href=\"{safeHref}\">{System.Web.HttpUtility.HtmlEncode(display)}</a>";
-        }
-        if (slugMap.TryGetValue(display, out var shortSlug))
-        {
-            var href = BuildDocsTypeUrl(baseUrl, shortSlug);
             var safeHref = System.Web.HttpUtility.HtmlAttributeEncode(href);
             return $"<a href=\"{safeHref}\">{System.Web.HttpUtility.HtmlEncode(display)}</a>";
         }
         return System.Web.HttpUtility.HtmlEncode(display);
     }
 
+    private static string? ResolveDocsTypeHref(string? name, string baseUrl, IReadOnlyDictionary<string, string> slugMap)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+            return null;
+        var cleaned = name.Replace("+", ".").Trim();
+        if (slugMap.TryGetValue(cleaned, out var slug))
+            return BuildDocsTypeUrl(baseUrl, slug);
+        if (slugMap.TryGetValue(GetDisplayTypeName(cleaned), out var shortSlug))
+            return BuildDocsTypeUrl(baseUrl, shortSlug);
+        return null;
+    }
+
     private static string RenderSourceLink(ApiSourceLink link)
     {
         var suffix = link.Line > 0 ? $":{link.Line}" : string.Empty;
@@ -0,0 +1,614 @@
+using System.Globalization;
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    private const string ApiSnapshotFileName = "api-snapshot.json";
+    private const string ApiSnapshotFormat = "powerforge-api-snapshot";
+
+    private sealed class ApiVersionSnapshot
+    {
+        public string Version { get; init; } = string.Empty;
+        public Dictionary<string, ApiVersionSnapshotType> Types { get; } = new(StringComparer.Ordinal);
+    }
+
+    private sealed class ApiVersionSnapshotType
+    {
+        public string Name { get; init; } = string.Empty;
+        public string Namespace { get; init; } = string.Empty;
+        public string Slug { get; init; } = string.Empty;
+        public string Kind { get; init; } = string.Empty;
+        public string Signature { get; init; } = string.Empty;
+        public Dictionary<string, ApiVersionSnapshotMember> Members { get; } = new(StringComparer.Ordinal);
+    }
+
+    private sealed class ApiVersionSnapshotMember
+    {
+        public string Kind { get; init; } = string.Empty;
+        public string Name { get; init; } = string.Empty;
+        public string Signature { get; init; } = string.Empty;
+    }
+
+    private sealed class ApiVersionContext
+    {
+        public string? Current { get; init; }
+        public IReadOnlyList<WebApiDocsVersionEntry> Entries { get; init; } = Array.Empty<WebApiDocsVersionEntry>();
+    }
+
+    /// <summary>
+    /// Writes the snapshot of the current version and stamps types and members with the versions they were added,
+    /// last changed and removed in, based on the snapshots of the other versions. Returns the snapshot path.
+    /// </summary>
+    private static string? ApplyApiVersionHistory(
+        string outputPath,
+        WebApiDocsOptions options,
+        IReadOnlyList<ApiTypeModel> types,
+        List<string> warnings)
+    {
+        var currentVersion = TrimOptionalString(options?.ApiVersion);
+        if (options is null || currentVersion is null)
+            return null;
+
+        var current = BuildApiVersionSnapshot(currentVersion, types, out var memberKeys);
+        var snapshotPath = Path.Combine(outputPath, ApiSnapshotFileName);
+        WriteJson(snapshotPath, BuildApiVersionSnapshotJson(current));
+
+        var snapshots = new List<ApiVersionSnapshot> { current };
+        foreach (var file in EnumerateApiSnapshotFiles(options.ApiVersionSnapshotPaths))
+        {
+            var snapshot = TryReadApiVersionSnapshot(file, warnings);
+            if (snapshot is null)
+                continue;
+            if (snapshots.Any(existing => string.Equals(existing.Version, snapshot.Version, StringComparison.OrdinalIgnoreCase)))
+                continue;
+            snapshots.Add(snapshot);
+        }
+
+        if (snapshots.Count <= 1)
+            return snapshotPath;
+
+        var ordered = snapshots
+            .OrderBy(static snapshot => snapshot.Version, Comparer<string>.Create(CompareApiVersions))
+            .ToList();
+        var currentIndex = ordered.IndexOf(current);
+        var snapshotVersions = ordered.Select(static snapshot => snapshot.Version).ToList();
+
+        foreach (var type in types)
+        {
+            var typeKey = type.FullName;
+            type.SnapshotVersions.Clear();
+            type.SnapshotVersions.AddRange(snapshotVersions);
+            type.AvailableVersions.Clear();
+            type.AvailableVersions.AddRange(ordered.Where(snapshot => snapshot.Types.ContainsKey(typeKey)).Select(static snapshot => snapshot.Version));
+            type.VersionHistory = ComputeApiVersionHistory(ordered, currentIndex, snapshot =>
+                snapshot.Types.TryGetValue(typeKey, out var snapshotType) ? BuildApiSnapshotTypeFingerprint(snapshotType) : null);
+
+            foreach (var (member, memberKey) in memberKeys[type])
+            {
+                member.VersionHistory = ComputeApiVersionHistory(ordered, currentIndex, snapshot =>
+                    snapshot.Types.TryGetValue(typeKey, out var snapshotType) && snapshotType.Members.TryGetValue(memberKey, out var snapshotMember)
+                        ? snapshotMember.Signature
+                        : null);
+            }
+
+            type.RemovedMembers.Clear();
+            if (currentIndex > 0 &&
+                ordered[currentIndex - 1].Types.TryGetValue(typeKey, out var previousType) &&
+                current.Types.TryGetValue(typeKey, out var currentType))
+            {
+                type.RemovedMembers.AddRange(previousType.Members
+                    .Where(entry => !currentType.Members.ContainsKey(entry.Key))
+                    .Select(static entry => new ApiRemovedMemberModel
+                    {
+                        Kind = entry.Value.Kind,
+                        Name = entry.Value.Name,
+                        Signature = string.IsNullOrWhiteSpace(entry.Value.Signature) ? null : entry.Value.Signature
+                    }));
+            }
+        }
+
+        return snapshotPath;
+    }
+
+    // Walks back from the current version while the item exists to find where it appeared, then finds the latest
+    // version (up to the current one) whose fingerprint differs from its predecessor, and the first later version
+    // that no longer has it. An item present since the oldest known version gets no "added" badge.
+    private static ApiVersionHistoryModel? ComputeApiVersionHistory(
+        IReadOnlyList<ApiVersionSnapshot> ordered,
+        int currentIndex,
+        Func<ApiVersionSnapshot, string?> fingerprint)
+    {
+        var fingerprints = ordered.Select(fingerprint).ToArray();
+        if (fingerprints[currentIndex] is null)
+            return null;
+
+        var start = currentIndex;
+        while (start > 0 && fingerprints[start - 1] is not null)
+            start--;
+
+        string? changedIn = null;
+        for (var i = currentIndex; i > start; i--)
+        {
+            if (!string.Equals(fingerprints[i], fingerprints[i - 1], StringComparison.Ordinal))
+            {
+                changedIn = ordered[i].Version;
+                break;
+            }
+        }
+
+        string? removedIn = null;
+        for (var i = currentIndex + 1; i < ordered.Count; i++)
+        {
+            if (fingerprints[i] is null)
+            {
+                removedIn = ordered[i].Version;
+                break;
+            }
+        }
+
+        var history = new ApiVersionHistoryModel
+        {
+            AddedIn = start > 0 ? ordered[start].Version : null,
+            ChangedIn = changedIn,
+            RemovedIn = removedIn
+        };
+        return history.HasEntries ? history : null;
+    }
+
+    private static ApiVersionSnapshot BuildApiVersionSnapshot(
+        string version,
+        IReadOnlyList<ApiTypeModel> types,
+        out Dictionary<ApiTypeModel, List<(ApiMemberModel Member, string Key)>> memberKeys)
+    {
+        var snapshot = new ApiVersionSnapshot { Version = version };
+        memberKeys = new Dictionary<ApiTypeModel, List<(ApiMemberModel Member, string Key)>>();
+        foreach (var type in types)
+        {
+            var snapshotType = new ApiVersionSnapshotType
+            {
+                Name = type.Name,
+                Namespace = type.Namespace,
+                Slug = type.Slug,
+                Kind = type.Kind,
+                Signature = BuildApiSnapshotTypeSignature(type)
+            };
+            var keys = new List<(ApiMemberModel Member, string Key)>();
+            foreach (var (kind, sectionLabel, member) in EnumerateVersionedMembers(type))
+            {
+                // Member keys follow the card anchors (kind, name, parameter types) so they survive doc edits.
+                var baseKey = BuildMemberId(kind, member);
+                var key = baseKey;
+                for (var suffix = 2; snapshotType.Members.ContainsKey(key); suffix++)
+                    key = $"{baseKey}-{suffix}";
+
+                snapshotType.Members[key] = new ApiVersionSnapshotMember
+                {
+                    Kind = kind,
+                    Name = string.IsNullOrWhiteSpace(member.DisplayName) ? member.Name : member.DisplayName!,
+                    Signature = !string.IsNullOrWhiteSpace(member.Signature) ? member.Signature! : BuildSignature(member, sectionLabel)
+                };
+                keys.Add((member, key));
+            }
+
+            snapshot.Types[type.FullName] = snapshotType;
+            memberKeys[type] = keys;
+        }
+
+        return snapshot;
+    }
+
+    // Inherited members belong to their declaring type's history.
+    private static IEnumerable<(string Kind, string SectionLabel, ApiMemberModel Member)> EnumerateVersionedMembers(ApiTypeModel type)
+    {
+        var methodSectionLabel = IsPowerShellCommandType(type) ? "Syntax" : "Methods";
+        var groups = new (string Kind, string SectionLabel, List<ApiMemberModel> Members)[]
+        {
+            ("constructor", "Constructors", type.Constructors),
+            ("method", methodSectionLabel, type.Methods),
+            ("property", "Properties", type.Properties),
+            ("field", "Fields", type.Fields),
+            ("event", "Events", type.Events),
+            ("extension", "Extension Methods", type.ExtensionMethods)
+        };
+        foreach (var (kind, sectionLabel, members) in groups)
+        {
+            foreach (var member in members)
+            {
+                if (!member.IsInherited)
+                    yield return (kind, sectionLabel, member);
+            }
+        }
+    }
+
+    private static string BuildApiSnapshotTypeSignature(ApiTypeModel type)
+    {
+        var parts = new List<string> { type.Kind };
+        if (type.IsStatic) parts.Add("static");
+        if (type.IsAbstract) parts.Add("abstract");
+        if (type.IsSealed) parts.Add("sealed");
+        parts.Add(type.Name);
+        var bases = new List<string>();
+        if (!string.IsNullOrWhiteSpace(type.BaseType))
+            bases.Add(type.BaseType!);
+        bases.AddRange(type.Interfaces
+            .Where(static name => !string.IsNullOrWhiteSpace(name))
+            .OrderBy(static name => name, StringComparer.Ordinal));
+        return bases.Count == 0 ? string.Join(" ", parts) : $"{string.Join(" ", parts)} : {string.Join(", ", bases)}";
+    }
+
+    // A type counts as changed when its declaration or any of its own members changed.
+    private static string BuildApiSnapshotTypeFingerprint(ApiVersionSnapshotType type)
+        => type.Signature + "\n" + string.Join("\n", type.Members
+            .OrderBy(static entry => entry.Key, StringComparer.Ordinal)
+            .Select(static entry => entry.Key + "=" + entry.Value.Signature));
+
+    private static Dictionary<string, object?> BuildApiVersionSnapshotJson(ApiVersionSnapshot snapshot)
+    {
+        return new Dictionary<string, object?>
+        {
+            ["format"] = ApiSnapshotFormat,
+            ["formatVersion"] = 1,
+            ["apiVersion"] = snapshot.Version,
+            ["generatedAtUtc"] = DateTime.UtcNow.ToString("O"),
+            ["types"] = snapshot.Types.Select(static entry => new Dictionary<string, object?>
+            {
+                ["key"] = entry.Key,
+                ["name"] = entry.Value.Name,
+                ["namespace"] = entry.Value.Namespace,
+                ["slug"] = entry.Value.Slug,
+                ["kind"] = entry.Value.Kind,
+                ["signature"] = entry.Value.Signature,
+                ["members"] = entry.Value.Members.Select(static member => new Dictionary<string, object?>
+                {
+                    ["key"] = member.Key,
+                    ["kind"] = member.Value.Kind,
+                    ["name"] = member.Value.Name,
+                    ["signature"] = member.Value.Signature
+                }).ToList()
+            }).ToList()
+        };
+    }
+
+    private static IEnumerable<string> EnumerateApiSnapshotFiles(IEnumerable<string> paths)
+    {
+        var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var path in paths ?? Array.Empty<string>())
+        {
+            if (string.IsNullOrWhiteSpace(path))
+                continue;
+
+            var fullPath = Path.GetFullPath(path.Trim());
+            var candidates = new List<string>();
+            if (File.Exists(fullPath))
+            {
+                candidates.Add(fullPath);
+            }
+            else if (Directory.Exists(fullPath))
+            {
+                candidates.Add(Path.Combine(fullPath, ApiSnapshotFileName));
+                candidates.AddRange(Directory.EnumerateDirectories(fullPath)
+                    .OrderBy(static directory => directory, StringComparer.OrdinalIgnoreCase)
+                    .Select(static directory => Path.Combine(directory, ApiSnapshotFileName)));
+            }
+
+            foreach (var candidate in candidates)
+            {
+                if (File.Exists(candidate) && seen.Add(candidate))
+                    yield return candidate;
+            }
+        }
+    }
+
+    private static ApiVersionSnapshot? TryReadApiVersionSnapshot(string path, List<string> warnings)
+    {
+        try
+        {
+            using var document = JsonDocument.Parse(File.ReadAllText(path));
+            var root = document.RootElement;
+            if (root.ValueKind != JsonValueKind.Object ||
+                !root.TryGetProperty("format", out var format) ||
+                !string.Equals(format.GetString(), ApiSnapshotFormat, StringComparison.Ordinal))
+            {
+                warnings.Add($"API docs versions: {path} is not an API snapshot.");
+                return null;
+            }
+
+            var version = root.TryGetProperty("apiVersion", out var versionElement) ? TrimOptionalString(versionElement.GetString()) : null;
+            if (version is null)
+            {
+                warnings.Add($"API docs versions: {path} does not record an apiVersion.");
+                return null;
+            }
+
+            var snapshot = new ApiVersionSnapshot { Version = version };
+            if (!root.TryGetProperty("types", out var types) || types.ValueKind != JsonValueKind.Array)
+                return snapshot;
+
+            foreach (var item in types.EnumerateArray())
+            {
+                var key = ReadSnapshotString(item, "key");
+                if (string.IsNullOrWhiteSpace(key))
+                    continue;
+
+                var type = new ApiVersionSnapshotType
+                {
+                    Name = ReadSnapshotString(item, "name"),
+                    Namespace = ReadSnapshotString(item, "namespace"),
+                    Slug = ReadSnapshotString(item, "slug"),
+                    Kind = ReadSnapshotString(item, "kind"),
+                    Signature = ReadSnapshotString(item, "signature")
+                };
+                if (item.TryGetProperty("members", out var members) && members.ValueKind == JsonValueKind.Array)
+                {
+                    foreach (var memberItem in members.EnumerateArray())
+                    {
+                        var memberKey = ReadSnapshotString(memberItem, "key");
+                        if (string.IsNullOrWhiteSpace(memberKey))
+                            continue;
+                        type.Members[memberKey] = new ApiVersionSnapshotMember
+                        {
+                            Kind = ReadSnapshotString(memberItem, "kind"),
+                            Name = ReadSnapshotString(memberItem, "name"),
+                            Signature = ReadSnapshotString(memberItem, "signature")
+                        };
+                    }
+                }
+
+                snapshot.Types[key] = type;
+            }
+
+            return snapshot;
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or JsonException or InvalidOperationException)
+        {
+            warnings.Add($"API docs versions: failed to read snapshot {path} ({ex.GetType().Name}: {ex.Message})");
+            return null;
+        }
+    }
+
+    private static string ReadSnapshotString(JsonElement element, string propertyName)
+        => element.ValueKind == JsonValueKind.Object &&
+           element.TryGetProperty(propertyName, out var value) &&
+           value.ValueKind == JsonValueKind.String
+            ? value.GetString() ?? string.Empty
+            : string.Empty;
+
+    /// <summary>
+    /// Orders version labels numerically by dot-separated parts (an optional leading <c>v</c> is ignored);
+    /// a pre-release (<c>2.0-beta</c>) sorts before its release.
+    /// </summary>
+    private static int CompareApiVersions(string? left, string? right)
+    {
+        static (string[] Parts, string? PreRelease) Split(string? value)
+        {
+            var text = (value ?? string.Empty).Trim();
+            if (text.StartsWith("v", StringComparison.OrdinalIgnoreCase) && text.Length > 1 && char.IsDigit(text[1]))
+                text = text.Substring(1);
+            var dash = text.IndexOfAny(new[] { '-', '+' });
+            var preRelease = dash >= 0 && text[dash] == '-' ? text.Substring(dash + 1) : null;
+            var core = dash >= 0 ? text.Substring(0, dash) : text;
+            return (core.Split('.', StringSplitOptions.RemoveEmptyEntries), preRelease);
+        }
+
+        var (leftParts, leftPre) = Split(left);
+        var (rightParts, rightPre) = Split(right);
+        for (var i = 0; i < Math.Max(leftParts.Length, rightParts.Length); i++)
+        {
+            var leftPart = i < leftParts.Length ? leftParts[i] : "0";
+            var rightPart = i < rightParts.Length ? rightParts[i] : "0";
+            var comparison = long.TryParse(leftPart, NumberStyles.None, CultureInfo.InvariantCulture, out var leftNumber) &&
+                             long.TryParse(rightPart, NumberStyles.None, CultureInfo.InvariantCulture, out var rightNumber)
+                ? leftNumber.CompareTo(rightNumber)
+                : string.Compare(leftPart, rightPart, StringComparison.OrdinalIgnoreCase);
+            if (comparison != 0)
+                return comparison;
+        }
+
+        if (leftPre is null || rightPre is null)
+            return leftPre is null ? (rightPre is null ? 0 : 1) : -1;
+        return string.Compare(leftPre, rightPre, StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static ApiVersionContext? BuildApiVersionContext(WebApiDocsOptions options, string currentBaseUrl)
+    {
+        if (options is null)
+            return null;
+
+        var currentVersion = TrimOptionalString(options.ApiVersion);
+        var entries = options.ApiVersionEntries
+            .Where(static entry => entry is not null && !string.IsNullOrWhiteSpace(entry.Version) && !string.IsNullOrWhiteSpace(entry.Href))
+            .Select(static entry => new WebApiDocsVersionEntry
+            {
+                Version = entry.Version.Trim(),
+                Label = TrimOptionalString(entry.Label),
+                Href = EnsureTrailingSlash(entry.Href.Trim()),
+                Order = entry.Order
+            })
+            .GroupBy(static entry => entry.Version, StringComparer.OrdinalIgnoreCase)
+            .Select(static group => group.First())
+            .ToList();
+        var currentUrl = EnsureTrailingSlash(currentBaseUrl);
+        if (currentVersion is not null && !entries.Any(entry => string.Equals(entry.Version, currentVersion, StringComparison.OrdinalIgnoreCase)))
+            entries.Add(new WebApiDocsVersionEntry { Version = currentVersion, Href = currentUrl });
+        if (entries.Count <= 1)
+            return null;
+
+        currentVersion ??= entries
+            .FirstOrDefault(entry => string.Equals(entry.Href, currentUrl, StringComparison.OrdinalIgnoreCase))
+            ?.Version;
+
+        return new ApiVersionContext
+        {
+            Current = currentVersion,
+            Entries = entries
+                .OrderBy(static entry => entry.Order ?? int.MaxValue)
+                .ThenByDescending(static entry => entry.Version, Comparer<string>.Create(CompareApiVersions))
+                .ToArray()
+        };
+    }
+
+    private static object? BuildApiVersionsJson(WebApiDocsOptions options)
+    {
+        var context = BuildApiVersionContext(options, string.IsNullOrWhiteSpace(options.BaseUrl) ? "/api" : options.BaseUrl);
+        if (context is null)
+            return null;
+
+        return new Dictionary<string, object?>
+        {
+            ["current"] = context.Current,
+            ["entries"] = context.Entries.Select(static entry => new Dictionary<string, object?>
+            {
+                ["version"] = entry.Version,
+                ["label"] = entry.Label ?? entry.Version,
+                ["href"] = entry.Href,
+                ["order"] = entry.Order
+            }).ToList()
+        };
+    }
+
+    private static Dictionary<string, object?>? BuildVersionHistoryJson(ApiVersionHistoryModel? history)
+    {
+        if (history is null || !history.HasEntries)
+            return null;
+
+        return new Dictionary<string, object?>
+        {
+            ["addedIn"] = history.AddedIn,
+            ["changedIn"] = history.ChangedIn,
+            ["removedIn"] = history.RemovedIn
+        };
+    }
+
+    /// <summary>
+    /// Renders the sidebar version picker. Options point at each version's API root; docs.js maps the current page
+    /// onto the chosen version and falls back to that root when the page does not exist there.
+    /// </summary>
+    private static void AppendApiVersionPicker(HtmlFragmentBuilder html, ApiVersionContext? versions, string currentBaseUrl)
+    {
+        if (html is null || versions is null)
+            return;
+
+        var currentUrl = EnsureTrailingSlash(currentBaseUrl);
+        var currentAttr = string.IsNullOrWhiteSpace(versions.Current)
+            ? string.Empty
+            : $" data-current-version=\"{System.Web.HttpUtility.HtmlAttributeEncode(versions.Current)}\"";
+        html.Line("<div class=\"api-version-switcher\">");
+        using (html.Indent())
+        {
+            html.Line("<label for=\"api-version-picker\">Version</label>");
+            html.Line($"<select id=\"api-version-picker\" class=\"api-version-picker\" data-version-base=\"{System.Web.HttpUtility.HtmlAttributeEncode(currentUrl)}\"{currentAttr}>");
+            using (html.Indent())
+            {
+                foreach (var entry in versions.Entries)
+                {
+                    var isCurrent = string.Equals(entry.Version, versions.Current, StringComparison.OrdinalIgnoreCase);
+                    var selected = isCurrent ? " selected" : string.Empty;
+                    var href = isCurrent ? currentUrl : entry.Href;
+                    html.Line($"<option value=\"{System.Web.HttpUtility.HtmlAttributeEncode(href)}\" data-version=\"{System.Web.HttpUtility.HtmlAttributeEncode(entry.Version)}\"{selected}>{System.Web.HttpUtility.HtmlEncode(entry.Label ?? entry.Version)}</option>");
+                }
+            }
+            html.Line("</select>");
+            html.Line($"<a class=\"api-version-changes\" href=\"{System.Web.HttpUtility.HtmlAttributeEncode(currentUrl + ApiChangesRoute + "/")}\">Compare versions</a>");
+        }
+        html.Line("</div>");
+    }
+
+    private static string BuildVersionBadgesHtml(ApiVersionHistoryModel? history, string cssClass)
+    {
+        if (history is null || !history.HasEntries)
+            return string.Empty;
+
+        var badges = new List<string>();
+        AddVersionBadge(badges, "added", "Added in", history.AddedIn, cssClass);
+        AddVersionBadge(badges, "changed", "Changed in", history.ChangedIn, cssClass);
+        AddVersionBadge(badges, "removed", "Removed in", history.RemovedIn, cssClass);
+        return string.Join(string.Empty, badges);
+    }
+
+    private static void AddVersionBadge(List<string> badges, string status, string label, string? version, string cssClass)
+    {
+        if (string.IsNullOrWhiteSpace(version))
+            return;
+        badges.Add($"<span class=\"api-version-badge api-version-{status} {System.Web.HttpUtility.HtmlAttributeEncode(cssClass)}\">{System.Web.HttpUtility.HtmlEncode($"{label} {version}")}</span>");
+    }
+
+    /// <summary>Builds the <c>data-version-*</c> attributes docs.js filters member cards by.</summary>
+    private static string BuildVersionFilterAttributes(ApiVersionHistoryModel? history)
+    {
+        if (history is null || !history.HasEntries)
+            return string.Empty;
+
+        var attributes = string.Empty;
+        if (!string.IsNullOrWhiteSpace(history.AddedIn))
+            attributes += $" data-version-added=\"{System.Web.HttpUtility.HtmlAttributeEncode(history.AddedIn)}\"";
+        if (!string.IsNullOrWhiteSpace(history.ChangedIn))
+            attributes += $" data-version-changed=\"{System.Web.HttpUtility.HtmlAttributeEncode(history.ChangedIn)}\"";
+        if (!string.IsNullOrWhiteSpace(history.RemovedIn))
+            attributes += $" data-version-removed=\"{System.Web.HttpUtility.HtmlAttributeEncode(history.RemovedIn)}\"";
+        return attributes;
+    }
+
+    private static string BuildTypeVersionAttributes(ApiTypeModel type)
+    {
+        if (type.SnapshotVersions.Count == 0)
+            return string.Empty;
+
+        return $" data-api-versions=\"{System.Web.HttpUtility.HtmlAttributeEncode(string.Join(" ", type.AvailableVersions))}\"" +
+               $" data-api-version-snapshots=\"{System.Web.HttpUtility.HtmlAttributeEncode(string.Join(" ", type.SnapshotVersions))}\"";
+    }
+
+    // Filter values are "<status>:<version>" (for example added:2.0), newest version first within each status.
+    private static List<(string Value, string Label)> GetMemberVersionFilterOptions(ApiTypeModel type)
+    {
+        var histories = GetFilterableMembers(type)
+            .Select(static member => member.VersionHistory)
+            .Where(static history => history is not null && history.HasEntries)
+            .ToList();
+        var options = new List<(string Value, string Label)>();
+        foreach (var (status, label, select) in new (string Status, string Label, Func<ApiVersionHistoryModel, string?> Select)[]
+                 {
+                     ("added", "Added in", static history => history.AddedIn),
+                     ("changed", "Changed in", static history => history.ChangedIn),
+                     ("removed", "Removed in", static history => history.RemovedIn)
+                 })
+        {
+            var versions = histories
+                .Select(history => select(history!))
+                .Where(static version => !string.IsNullOrWhiteSpace(version))
+                .Select(static version => version!)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .OrderByDescending(static version => version, Comparer<string>.Create(CompareApiVersions));
+            foreach (var version in versions)
+                options.Add(($"{status}:{version}", $"{label} {version}"));
+        }
+
+        return options;
+    }
+
+    private static string BuildRemovedMembersHtml(ApiTypeModel type, string? currentVersion)
+    {
+        if (type.RemovedMembers.Count == 0 || string.IsNullOrWhiteSpace(currentVersion))
+            return string.Empty;
+
+        var html = new HtmlFragmentBuilder(initialIndent: 6);
+        html.Line("<section class=\"api-version-removed-members\" id=\"removed-members\">");
+        using (html.Indent())
+        {
+            html.Line($"<h2>Removed in {System.Web.HttpUtility.HtmlEncode(currentVersion)}</h2>");
+            html.Line("<ul class=\"api-version-removed-list\">");
+            using (html.Indent())
+            {
+                foreach (var member in type.RemovedMembers)
+                {
+                    var text = string.IsNullOrWhiteSpace(member.Signature) ? member.Name : member.Signature!;
+                    html.Line($"<li data-kind=\"{System.Web.HttpUtility.HtmlAttributeEncode(member.Kind)}\"><code>{System.Web.HttpUtility.HtmlEncode(text)}</code></li>");
+                }
+            }
+            html.Line("</ul>");
+        }
+        html.Line("</section>");
+        return html.ToString();
+    }
+}
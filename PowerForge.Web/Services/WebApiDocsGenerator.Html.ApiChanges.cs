@@ -0,0 +1,138 @@
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    private const string ApiChangesRoute = "api-changes";
+
+    private static readonly (string Kind, string Label)[] ApiChangesKindFilters =
+    {
+        ("type", "Types"),
+        ("constructor", "Constructors"),
+        ("method", "Methods"),
+        ("property", "Properties"),
+        ("field", "Fields"),
+        ("event", "Events"),
+        ("extension", "Extension methods")
+    };
+
+    /// <summary>
+    /// Renders the "API changes" page body. docs.js loads the <c>api-snapshot.json</c> (or <c>search.json</c>) of the two
+    /// chosen versions and renders the diff, so the page works from static files and can also compare local files.
+    /// </summary>
+    private static string BuildApiChangesMain(ApiVersionContext versions, string title)
+    {
+        var html = new HtmlFragmentBuilder(initialIndent: 4);
+        var (from, to) = ResolveDefaultApiChangesPair(versions);
+        var model = JsonSerializer.Serialize(new Dictionary<string, object?>
+        {
+            ["current"] = versions.Current,
+            ["from"] = from,
+            ["to"] = to,
+            ["versions"] = versions.Entries.Select(static entry => new Dictionary<string, object?>
+            {
+                ["version"] = entry.Version,
+                ["label"] = entry.Label ?? entry.Version,
+                ["href"] = entry.Href,
+                ["snapshot"] = entry.Href + ApiSnapshotFileName,
+                ["search"] = entry.Href + "search.json"
+            }).ToList()
+        });
+
+        html.Line($"<div class=\"api-diff ev-page-body\" data-api-diff=\"{System.Web.HttpUtility.HtmlAttributeEncode(model)}\">");
+        using (html.Indent())
+        {
+            html.Line("<header class=\"ev-docs-header api-diff-header\">");
+            using (html.Indent())
+            {
+                html.Line($"<p class=\"ev-eyebrow\">{System.Web.HttpUtility.HtmlEncode(title)}</p>");
+                html.Line("<h1>API changes</h1>");
+                html.Line("<p class=\"lead\">Types and members added, removed or changed between two published versions.</p>");
+            }
+            html.Line("</header>");
+
+            html.Line("<div class=\"api-diff-controls\">");
+            using (html.Indent())
+            {
+                AppendApiChangesVersionSelect(html, "api-diff-from", "From", versions, from);
+                AppendApiChangesVersionSelect(html, "api-diff-to", "To", versions, to);
+                html.Line("<button class=\"api-diff-swap\" type=\"button\" aria-label=\"Swap versions\">&#8646;</button>");
+            }
+            html.Line("</div>");
+
+            html.Line("<details class=\"api-diff-local\">");
+            using (html.Indent())
+            {
+                html.Line("<summary>Compare local snapshot files</summary>");
+                html.Line("<p>Pick two <code>api-snapshot.json</code> or <code>search.json</code> files; nothing is uploaded.</p>");
+                html.Line("<label for=\"api-diff-from-file\">From</label>");
+                html.Line("<input id=\"api-diff-from-file\" type=\"file\" accept=\".json,application/json\" />");
+                html.Line("<label for=\"api-diff-to-file\">To</label>");
+                html.Line("<input id=\"api-diff-to-file\" type=\"file\" accept=\".json,application/json\" />");
+            }
+            html.Line("</details>");
+
+            html.Line("<div class=\"api-diff-filters\" hidden>");
+            using (html.Indent())
+            {
+                html.Line("<div class=\"api-diff-status-filter\" role=\"group\" aria-label=\"Change types\">");
+                using (html.Indent())
+                {
+                    foreach (var (status, label) in new[] { ("removed", "Removed"), ("changed", "Changed"), ("added", "Added") })
+                        html.Line($"<button class=\"api-diff-status-toggle api-diff-{status}\" type=\"button\" data-diff-status=\"{status}\" aria-pressed=\"true\">{label} <span class=\"api-diff-count\"></span></button>");
+                }
+                html.Line("</div>");
+                html.Line("<label for=\"api-diff-kind\">Kind</label>");
+                html.Line("<select id=\"api-diff-kind\">");
+                using (html.Indent())
+                {
+                    html.Line("<option value=\"\">All kinds</option>");
+                    foreach (var (kind, label) in ApiChangesKindFilters)
+                        html.Line($"<option value=\"{kind}\">{label}</option>");
+                }
+                html.Line("</select>");
+                html.Line("<input id=\"api-diff-filter\" type=\"search\" placeholder=\"Filter by name or namespace\" aria-label=\"Filter changes\" />");
+            }
+            html.Line("</div>");
+
+            html.Line("<p class=\"api-diff-status\" role=\"status\" aria-live=\"polite\"></p>");
+            html.Line("<div class=\"api-diff-results\"></div>");
+        }
+        html.Line("</div>");
+        return html.ToString();
+    }
+
+    private static void AppendApiChangesVersionSelect(HtmlFragmentBuilder html, string id, string label, ApiVersionContext versions, string? selectedVersion)
+    {
+        html.Line($"<label for=\"{id}\">{label}</label>");
+        html.Line($"<select id=\"{id}\" class=\"api-diff-version\">");
+        using (html.Indent())
+        {
+            foreach (var entry in versions.Entries)
+            {
+                var selected = string.Equals(entry.Version, selectedVersion, StringComparison.OrdinalIgnoreCase) ? " selected" : string.Empty;
+                html.Line($"<option value=\"{System.Web.HttpUtility.HtmlAttributeEncode(entry.Version)}\"{selected}>{System.Web.HttpUtility.HtmlEncode(entry.Label ?? entry.Version)}</option>");
+            }
+        }
+        html.Line("</select>");
+    }
+
+    // Compares the current version (or the newest one) with the version right before it.
+    private static (string? From, string? To) ResolveDefaultApiChangesPair(ApiVersionContext versions)
+    {
+        var ordered = versions.Entries
+            .Select(static entry => entry.Version)
+            .OrderBy(static version => version, Comparer<string>.Create(CompareApiVersions))
+            .ToList();
+        if (ordered.Count == 0)
+            return (null, null);
+
+        var toIndex = versions.Current is null
+            ? -1
+            : ordered.FindIndex(version => string.Equals(version, versions.Current, StringComparison.OrdinalIgnoreCase));
+        if (toIndex <= 0)
+            toIndex = ordered.Count - 1;
+        return (toIndex > 0 ? ordered[toIndex - 1] : null, ordered[toIndex]);
+    }
+}
@@ -0,0 +1,241 @@
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    private const string CopyMenuIconSvg = "<svg viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" aria-hidden=\"true\"><rect x=\"9\" y=\"9\" width=\"13\" height=\"13\" rx=\"2\"/><path d=\"M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1\"/></svg>";
+
+    /// <summary>
+    /// Renders the copy menu trigger of a type header (<paramref name="member"/> is null) or a member card.
+    /// The button carries everything that needs the API model; docs.js opens the menu and builds the
+    /// permalink and Markdown link from the page URL.
+    /// </summary>
+    private static string BuildCopyMenuTriggerHtml(
+        ApiTypeModel type,
+        ApiMemberModel? member,
+        string memberKind,
+        string? anchor,
+        string title,
+        string codeLanguage)
+    {
+        if (type is null)
+            return string.Empty;
+
+        var powerShell = string.Equals(codeLanguage, "powershell", StringComparison.OrdinalIgnoreCase);
+        var name = powerShell ? BuildPowerShellCopyName(type) : BuildCSharpCopyName(type, member, memberKind);
+        if (string.IsNullOrWhiteSpace(name))
+            return string.Empty;
+
+        var uid = powerShell
+            ? GetXrefUid(type, ApiDocsType.PowerShell)
+            : member is null
+                ? GetXrefUid(type, ApiDocsType.CSharp)
+                : BuildCSharpMemberUid(type, member, GetCSharpCopyUidPrefix(memberKind));
+        var usage = powerShell ? BuildPowerShellCopyUsage(type, member) : BuildCSharpCopyUsage(type, member, memberKind);
+        var triggerClass = member is null ? "type-copy" : "member-copy";
+
+        var attributes = new System.Text.StringBuilder();
+        AppendCopyAttribute(attributes, "data-copy-name", name);
+        AppendCopyAttribute(attributes, "data-copy-uid", uid);
+        AppendCopyAttribute(attributes, "data-copy-title", string.IsNullOrWhiteSpace(title) ? name : title);
+        AppendCopyAttribute(attributes, "data-copy-anchor", anchor);
+        AppendCopyAttribute(attributes, "data-copy-usage", usage);
+        if (!string.IsNullOrWhiteSpace(usage))
+            AppendCopyAttribute(attributes, "data-copy-usage-label", powerShell ? "PowerShell usage" : "C# usage");
+
+        var label = System.Web.HttpUtility.HtmlAttributeEncode($"Copy {(string.IsNullOrWhiteSpace(title) ? name : title)}");
+        return $"<button class=\"api-copy-trigger {triggerClass}\" type=\"button\" aria-haspopup=\"menu\" aria-expanded=\"false\" aria-label=\"{label}\" title=\"Copy name, link or usage\"{attributes}>{CopyMenuIconSvg}</button>";
+    }
+
+    private static void AppendCopyAttribute(System.Text.StringBuilder attributes, string name, string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+            return;
+        attributes.Append(' ').Append(name).Append("=\"").Append(System.Web.HttpUtility.HtmlAttributeEncode(value.Trim())).Append('"');
+    }
+
+    private static string GetCSharpCopyUidPrefix(string memberKind)
+    {
+        return memberKind switch
+        {
+            "property" => "P",
+            "field" => "F",
+            "event" => "E",
+            _ => "M"
+        };
+    }
+
+    private static string BuildCSharpCopyName(ApiTypeModel type, ApiMemberModel? member, string memberKind)
+    {
+        var typeName = BuildCSharpCopyTypeName(type, fullName: true);
+        if (member is null || string.IsNullOrWhiteSpace(typeName))
+            return typeName;
+
+        var memberName = memberKind == "constructor" || member.IsConstructor
+            ? BuildCSharpCopyTypeName(type, fullName: false)
+            : StripGenericArity((member.Name ?? string.Empty).Trim());
+        return string.IsNullOrWhiteSpace(memberName) ? typeName : $"{typeName}.{memberName}";
+    }
+
+    // Nested types use '.' and generic types list their type parameters, the way C# code names them.
+    private static string BuildCSharpCopyTypeName(ApiTypeModel type, bool fullName)
+    {
+        var name = (fullName && !string.IsNullOrWhiteSpace(type.FullName) ? type.FullName : type.Name ?? string.Empty).Trim().Replace('+', '.');
+        if (!name.Contains('`'))
+            return name;
+
+        name = StripGenericArity(name);
+        return type.TypeParameters.Count == 0
+            ? name
+            : $"{name}<{string.Join(", ", type.TypeParameters.Select(static parameter => parameter.Name))}>";
+    }
+
+    // "WebClient" -> "webClient"; interfaces drop their "I" prefix ("IDocumentStore" -> "documentStore").
+    private static string BuildCSharpCopyReceiverName(ApiTypeModel type)
+    {
+        var name = StripGenericArity((type.Name ?? string.Empty).Trim());
+        var genericStart = name.IndexOf('<');
+        if (genericStart >= 0)
+            name = name.Substring(0, genericStart);
+        if (string.Equals(type.Kind, "Interface", StringComparison.OrdinalIgnoreCase) && name.Length > 2 && name[0] == 'I' && char.IsUpper(name[1]))
+            name = name.Substring(1);
+        if (string.IsNullOrWhiteSpace(name))
+            return "value";
+        return char.ToLowerInvariant(name[0]) + name.Substring(1);
+    }
+
+    private static string BuildCSharpCopyUsage(ApiTypeModel type, ApiMemberModel? member, string memberKind)
+    {
+        var typeName = BuildCSharpCopyTypeName(type, fullName: false);
+        if (string.IsNullOrWhiteSpace(typeName))
+            return string.Empty;
+        if (member is null)
+            return BuildCSharpTypeCopyUsage(type, typeName);
+
+        if (memberKind == "constructor" || member.IsConstructor)
+            return $"var {BuildCSharpCopyReceiverName(type)} = new {typeName}({BuildCSharpCopyArguments(member.Parameters)});";
+
+        var memberName = StripGenericArity((member.Name ?? string.Empty).Trim());
+        // Operators and explicit interface implementations have no plain call syntax.
+        if (string.IsNullOrWhiteSpace(memberName) || memberName.StartsWith("op_", StringComparison.Ordinal) || memberName.Contains('.'))
+            return string.Empty;
+
+        var receiver = member.IsStatic || string.Equals(type.Kind, "Enum", StringComparison.OrdinalIgnoreCase)
+            ? typeName
+            : BuildCSharpCopyReceiverName(type);
+        switch (memberKind)
+        {
+            case "property":
+                return member.Parameters.Count > 0
+                    ? $"var value = {receiver}[{BuildCSharpCopyArguments(member.Parameters)}];"
+                    : $"var value = {receiver}.{memberName};";
+            case "field":
+                return $"var value = {receiver}.{memberName};";
+            case "event":
+                return $"{receiver}.{memberName} += On{memberName};";
+            case "extension":
+                // The first parameter is the extended instance, which is the type this page documents.
+                return BuildCSharpCopyCall($"{BuildCSharpCopyReceiverName(type)}.{memberName}({BuildCSharpCopyArguments(member.Parameters.Skip(1))})", member.ReturnType);
+            case "method":
+                return BuildCSharpCopyCall($"{receiver}.{memberName}({BuildCSharpCopyArguments(member.Parameters)})", member.ReturnType);
+            default:
+                return string.Empty;
+        }
+    }
+
+    private static string BuildCSharpTypeCopyUsage(ApiTypeModel type, string typeName)
+    {
+        if (string.Equals(type.Kind, "Enum", StringComparison.OrdinalIgnoreCase))
+        {
+            var value = type.Fields.FirstOrDefault(static field => !string.IsNullOrWhiteSpace(field.Name));
+            if (value is not null)
+                return $"var value = {typeName}.{value.Name};";
+        }
+        else if (!type.IsStatic && !type.IsAbstract)
+        {
+            var constructor = type.Constructors
+                .Where(static ctor => !ctor.IsInherited && (string.IsNullOrWhiteSpace(ctor.Access) || string.Equals(ctor.Access, "public", StringComparison.Ordinal)))
+                .OrderBy(static ctor => ctor.Parameters.Count(static parameter => !parameter.IsOptional))
+                .FirstOrDefault();
+            if (constructor is not null)
+                return $"var {BuildCSharpCopyReceiverName(type)} = new {typeName}({BuildCSharpCopyArguments(constructor.Parameters)});";
+        }
+
+        var ns = (type.Namespace ?? string.Empty).Trim();
+        return string.IsNullOrWhiteSpace(ns) ? string.Empty : $"using {ns};";
+    }
+
+    private static string BuildCSharpCopyCall(string call, string? returnType)
+    {
+        var returns = (returnType ?? string.Empty).Trim();
+        if (returns.StartsWith("System.Threading.Tasks.", StringComparison.Ordinal))
+            returns = returns.Substring("System.Threading.Tasks.".Length);
+        if (returns is "Task" or "ValueTask")
+            return $"await {call};";
+        if (returns.StartsWith("Task<", StringComparison.Ordinal) || returns.StartsWith("ValueTask<", StringComparison.Ordinal))
+            return $"var result = await {call};";
+        if (string.IsNullOrWhiteSpace(returns) || returns.Equals("void", StringComparison.OrdinalIgnoreCase) || returns.Equals("System.Void", StringComparison.Ordinal))
+            return $"{call};";
+        return $"var result = {call};";
+    }
+
+    // Only required arguments: optional ones have defaults and would make the snippet longer than a call usually is.
+    private static string BuildCSharpCopyArguments(IEnumerable<ApiParameterModel> parameters)
+    {
+        return string.Join(", ", parameters
+            .Where(static parameter => parameter is not null && !parameter.IsOptional && !string.IsNullOrWhiteSpace(parameter.Name))
+            .Select(static parameter =>
+            {
+                var typeName = (parameter.Type ?? string.Empty).Trim();
+                if (typeName.StartsWith("out ", StringComparison.Ordinal))
+                    return "out var " + parameter.Name;
+                if (typeName.StartsWith("ref ", StringComparison.Ordinal) || typeName.EndsWith('&') || typeName.EndsWith('@'))
+                    return "ref " + parameter.Name;
+                return parameter.Name;
+            }));
+    }
+
+    private static string BuildPowerShellCopyName(ApiTypeModel type)
+    {
+        var command = GetXrefUid(type, ApiDocsType.PowerShell);
+        var module = (type.Namespace ?? string.Empty).Trim();
+        return string.IsNullOrWhiteSpace(module) || !IsPowerShellCommandType(type) ? command : $"{module}\\{command}";
+    }
+
+    // A member is one parameter set; the type header uses the set the generated examples would pick first.
+    private static string BuildPowerShellCopyUsage(ApiTypeModel type, ApiMemberModel? parameterSet)
+    {
+        if (!IsPowerShellCommandType(type))
+            return string.Empty;
+
+        parameterSet ??= type.Methods
+            .Where(static method => method is not null)
+            .OrderByDescending(GetGeneratedPowerShellExampleScore)
+            .ThenBy(static method => method.Parameters.Count(static p => !p.IsOptional))
+            .FirstOrDefault();
+
+        var parts = new List<string> { type.Name.Trim() };
+        if (parameterSet is not null)
+        {
+            foreach (var parameter in parameterSet.Parameters)
+            {
+                if (parameter is null || parameter.IsOptional || string.IsNullOrWhiteSpace(parameter.Name))
+                    continue;
+
+                parts.Add("-" + parameter.Name);
+                if (!IsPowerShellSwitchParameter(parameter.Type))
+                    parts.Add(GetPowerShellSampleValue(parameter));
+            }
+        }
+
+        return string.Join(" ", parts);
+    }
+
+    private static string BuildCopyMenuMemberTitle(ApiTypeModel type, ApiMemberModel member, string codeLanguage)
+    {
+        if (!string.Equals(codeLanguage, "powershell", StringComparison.OrdinalIgnoreCase))
+            return BuildCSharpMemberName(type, member);
+
+        var command = (type.Name ?? string.Empty).Trim();
+        return string.IsNullOrWhiteSpace(member.ParameterSetName) ? command : $"{command} ({member.ParameterSetName})";
+    }
+}
@@ -0,0 +1,129 @@
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    // Order and labels of the member trait chips; traits missing from a type get no chip. Each chip cycles
+    // through "only" and "without", so "Static" also answers "instance members only".
+    private static readonly (string Trait, string Label)[] MemberTraitFilters =
+    {
+        ("static", "Static"),
+        ("async", "Async"),
+        ("extension", "Extension"),
+        ("obsolete", "Obsolete"),
+        ("abstract", "Abstract"),
+        ("virtual", "Virtual"),
+        ("override", "Override"),
+        ("sealed", "Sealed"),
+        ("readonly", "Read-only"),
+        ("const", "Const")
+    };
+
+    private static readonly string[] MemberAccessOrder = { "public", "protected", "protected internal", "private protected", "internal", "private" };
+
+    private static readonly HashSet<string> AsyncReturnTypeNames = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "Task",
+        "ValueTask",
+        "IAsyncEnumerable"
+    };
+
+    /// <summary>
+    /// Builds the <c>data-traits</c>, <c>data-access</c> and <c>data-returns</c> attributes docs.js filters member cards by.
+    /// </summary>
+    private static string BuildMemberFilterAttributes(ApiMemberModel member)
+    {
+        var attributes = string.Empty;
+        var traits = GetMemberTraits(member);
+        if (traits.Count > 0)
+            attributes += $" data-traits=\"{System.Web.HttpUtility.HtmlAttributeEncode(string.Join(" ", traits))}\"";
+        var access = NormalizeMemberAccess(member.Access);
+        if (!string.IsNullOrWhiteSpace(access))
+            attributes += $" data-access=\"{System.Web.HttpUtility.HtmlAttributeEncode(access)}\"";
+        if (!string.IsNullOrWhiteSpace(member.ReturnType))
+            attributes += $" data-returns=\"{System.Web.HttpUtility.HtmlAttributeEncode(NormalizeTypeName(member.ReturnType))}\"";
+        return attributes;
+    }
+
+    private static List<string> GetMemberTraits(ApiMemberModel member)
+    {
+        var modifiers = new HashSet<string>(member.Modifiers.Where(static m => !string.IsNullOrWhiteSpace(m)).Select(static m => m.Trim()), StringComparer.OrdinalIgnoreCase);
+        var traits = new List<string>();
+        foreach (var (trait, _) in MemberTraitFilters)
+        {
+            var has = trait switch
+            {
+                "static" => member.IsStatic || modifiers.Contains("static"),
+                "async" => modifiers.Contains("async") || IsAsyncReturnType(member.ReturnType),
+                "extension" => member.IsExtension,
+                "obsolete" => member.Attributes.Any(IsObsoleteAttribute),
+                _ => modifiers.Contains(trait)
+            };
+            if (has)
+                traits.Add(trait);
+        }
+        return traits;
+    }
+
+    private static bool IsAsyncReturnType(string? returnType)
+    {
+        var key = BuildTypeGraphKey(returnType);
+        if (string.IsNullOrWhiteSpace(key))
+            return false;
+        var lastDot = key.LastIndexOf('.');
+        return AsyncReturnTypeNames.Contains(lastDot >= 0 ? key.Substring(lastDot + 1) : key);
+    }
+
+    private static bool IsObsoleteAttribute(string attribute)
+    {
+        var name = attribute.Trim().TrimStart('[');
+        if (name.StartsWith("System.", StringComparison.OrdinalIgnoreCase))
+            name = name.Substring(7);
+        return name.Equals("Obsolete", StringComparison.OrdinalIgnoreCase) ||
+               name.StartsWith("Obsolete(", StringComparison.OrdinalIgnoreCase) ||
+               name.StartsWith("ObsoleteAttribute", StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static string NormalizeMemberAccess(string? access)
+        => string.Join(" ", (access ?? string.Empty).Split(' ', StringSplitOptions.RemoveEmptyEntries)).ToLowerInvariant();
+
+    private static IEnumerable<ApiMemberModel> GetFilterableMembers(ApiTypeModel type)
+        => type.Constructors
+            .Concat(type.Methods)
+            .Concat(type.Properties)
+            .Concat(type.Fields)
+            .Concat(type.Events)
+            .Concat(type.ExtensionMethods);
+
+    private static List<(string Trait, string Label, int Count)> GetMemberTraitCounts(ApiTypeModel type)
+    {
+        var counts = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+        foreach (var member in GetFilterableMembers(type))
+        {
+            foreach (var trait in GetMemberTraits(member))
+            {
+                counts.TryGetValue(trait, out var count);
+                counts[trait] = count + 1;
+            }
+        }
+
+        return MemberTraitFilters
+            .Where(filter => counts.ContainsKey(filter.Trait))
+            .Select(filter => (filter.Trait, filter.Label, counts[filter.Trait]))
+            .ToList();
+    }
+
+    private static List<string> GetMemberAccessValues(ApiTypeModel type)
+    {
+        return GetFilterableMembers(type)
+            .Select(static member => NormalizeMemberAccess(member.Access))
+            .Where(static access => !string.IsNullOrWhiteSpace(access))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .OrderBy(static access =>
+            {
+                var index = Array.IndexOf(MemberAccessOrder, access);
+                return index >= 0 ? index : MemberAccessOrder.Length;
+            })
+            .ThenBy(static access => access, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+}
@@ -0,0 +1,39 @@
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    /// <summary>
+    /// Builds the (initially hidden) overload comparison container for one <c>.member-group</c>. docs.js renders the
+    /// table from <c>data-overloads</c>: one row per overload, parameters aligned by name, rows linked to the cards.
+    /// </summary>
+    private static string BuildOverloadComparisonHtml(
+        string compareId,
+        string memberName,
+        IReadOnlyList<(string Id, ApiMemberModel Member)> overloads,
+        string sectionLabel)
+    {
+        var model = new Dictionary<string, object?>
+        {
+            ["name"] = memberName,
+            ["overloads"] = overloads.Select(overload => new Dictionary<string, object?>
+            {
+                ["id"] = overload.Id,
+                ["signature"] = string.IsNullOrWhiteSpace(overload.Member.Signature)
+                    ? BuildSignature(overload.Member, sectionLabel)
+                    : overload.Member.Signature,
+                ["returns"] = overload.Member.ReturnType,
+                ["parameters"] = overload.Member.Parameters.Select(static parameter => new Dictionary<string, object?>
+                {
+                    ["name"] = parameter.Name,
+                    ["type"] = parameter.Type,
+                    ["optional"] = parameter.IsOptional,
+                    ["defaultValue"] = parameter.DefaultValue
+                }).ToList()
+            }).ToList()
+        };
+        var json = System.Web.HttpUtility.HtmlAttributeEncode(JsonSerializer.Serialize(model));
+        return $"<div class=\"member-overload-compare\" id=\"{compareId}\" data-overloads=\"{json}\" hidden></div>";
+    }
+}
@@ -0,0 +1,129 @@
+using System.Text;
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    private const string SidebarNavFileName = "sidebar-nav.json";
+
+    /// <summary>
+    /// Writes the compact sidebar nav model used by docs.js to window the type list, or removes a stale one.
+    /// Returns the versioned model URL when the API is large enough to virtualize; otherwise <c>null</c>.
+    /// </summary>
+    private static string? WriteSidebarNavModel(
+        string outputPath,
+        WebApiDocsOptions options,
+        IReadOnlyList<ApiTypeModel> types,
+        string baseUrl,
+        IReadOnlyDictionary<string, string> typeDisplayNames)
+    {
+        var modelPath = Path.Combine(outputPath, SidebarNavFileName);
+        var threshold = options.SidebarVirtualizeThreshold;
+        if (threshold <= 0 || types.Count < threshold)
+        {
+            DeleteGeneratedApiFile(modelPath);
+            return null;
+        }
+
+        var json = JsonSerializer.Serialize(BuildSidebarNavModel(options, types, baseUrl, typeDisplayNames));
+        File.WriteAllText(modelPath, json, Encoding.UTF8);
+
+        // The hash busts browser caches when the type list changes between builds.
+        return $"{baseUrl.TrimEnd('/')}/{SidebarNavFileName}?v={ComputeStableShortHash(json)}";
+    }
+
+    private static Dictionary<string, object?> BuildSidebarNavModel(
+        WebApiDocsOptions options,
+        IReadOnlyList<ApiTypeModel> types,
+        string baseUrl,
+        IReadOnlyDictionary<string, string> typeDisplayNames)
+    {
+        // Sections and ordering mirror the server-rendered sidebar: "Main API" first, then namespaces A-Z.
+        var namespaces = new List<string>();
+        var namespaceIndex = new Dictionary<string, int>(StringComparer.Ordinal);
+        var sections = new List<Dictionary<string, object?>>();
+        var mainTypes = GetMainTypes(types, options);
+        var mainTypeNames = new HashSet<string>(mainTypes.Select(static t => t.Name), StringComparer.OrdinalIgnoreCase);
+
+        if (mainTypes.Count > 0)
+        {
+            sections.Add(new Dictionary<string, object?>
+            {
+                ["title"] = "Main API",
+                ["main"] = true,
+                ["items"] = mainTypes.Select(type => BuildSidebarNavItem(type, typeDisplayNames, namespaces, namespaceIndex)).ToList()
+            });
+        }
+
+        var grouped = types
+            .Where(t => !mainTypeNames.Contains(t.Name))
+            .GroupBy(t => string.IsNullOrWhiteSpace(t.Namespace) ? "(global)" : t.Namespace)
+            .OrderBy(g => g.Key, StringComparer.OrdinalIgnoreCase);
+        foreach (var group in grouped)
+        {
+            sections.Add(new Dictionary<string, object?>
+            {
+                ["title"] = GetShortNamespace(group.Key),
+                ["namespace"] = group.Key,
+                ["items"] = group
+                    .OrderBy(t => t.Name, StringComparer.OrdinalIgnoreCase)
+                    .Select(type => BuildSidebarNavItem(type, typeDisplayNames, namespaces, namespaceIndex))
+                    .ToList()
+            });
+        }
+
+        return new Dictionary<string, object?>
+        {
+            ["version"] = 1,
+            ["baseUrl"] = EnsureTrailingSlash(baseUrl),
+            ["total"] = types.Count,
+            ["namespaces"] = namespaces,
+            ["sections"] = sections
+        };
+    }
+
+    private static Dictionary<string, object?> BuildSidebarNavItem(
+        ApiTypeModel type,
+        IReadOnlyDictionary<string, string> typeDisplayNames,
+        List<string> namespaces,
+        Dictionary<string, int> namespaceIndex)
+    {
+        var displayName = ResolveTypeDisplayName(type, typeDisplayNames);
+        var ns = string.IsNullOrWhiteSpace(type.Namespace) ? "(global)" : type.Namespace;
+        if (!namespaceIndex.TryGetValue(ns, out var nsIndex))
+        {
+            nsIndex = namespaces.Count;
+            namespaces.Add(ns);
+            namespaceIndex[ns] = nsIndex;
+        }
+
+        // Short keys keep the model small for APIs with thousands of types; see Docs/PowerForge.Web.ApiDocs.md.
+        var item = new Dictionary<string, object?>
+        {
+            ["s"] = type.Slug,
+            ["n"] = displayName,
+            ["k"] = NormalizeKind(type.Kind),
+            ["i"] = GetTypeIcon(type.Kind),
+            ["ns"] = nsIndex,
+            ["q"] = BuildTypeSearchText(type, displayName)
+        };
+
+        var aliases = type.Aliases
+            .Where(static alias => !string.IsNullOrWhiteSpace(alias))
+            .Select(static alias => alias.Trim())
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToArray();
+        if (aliases.Length > 0)
+            item["a"] = aliases;
+
+        var status = (type.Freshness?.Status ?? string.Empty).Trim().ToLowerInvariant();
+        if (status is "new" or "updated")
+        {
+            item["f"] = status;
+            item["ft"] = RenderFreshnessText(type.Freshness!);
+        }
+
+        return item;
+    }
+}
@@ -24,7 +24,8 @@ public static partial class WebApiDocsGenerator
         ApiTypeUsageModel? usage,
         ApiTypeRelatedContentModel? relatedContent,
         string codeLanguage,
-        string displayName)
+        string displayName,
+        string? currentVersion = null)
     {
         var sb = new StringBuilder();
         var inheritanceChain = BuildInheritanceChain(type, typeIndex);
@@ -39,12 +40,12 @@ public static partial class WebApiDocsGenerator
         var detailClasses = isPowerShellCommand
             ? "type-detail ev-page-body type-detail--powershell-command"
             : "type-detail ev-page-body";
-        sb.AppendLine($"    <article class=\"{detailClasses}\">");
+        sb.AppendLine($"    <article class=\"{detailClasses}\"{BuildTypeVersionAttributes(type)}>");
         var indexUrl = EnsureTrailingSlash(baseUrl);
         var kindLabel = string.IsNullOrWhiteSpace(type.Kind) ? "Type" : type.Kind;
         var sourceAction = RenderTypeSourceAction(type.Source);
         sb.AppendLine(BuildTypeBreadcrumbHtml(indexUrl, displayName).TrimEnd());
-        sb.AppendLine(BuildTypeHeaderHtml(type, displayName, kindLabel, isPowerShellCommand, sourceAction).TrimEnd());
+        sb.AppendLine(BuildTypeHeaderHtml(type, displayName, kindLabel, isPowerShellCommand, sourceAction, codeLanguage).TrimEnd());
 
         var flags = new List<string>();
         if (type.IsStatic) flags.Add("static");
@@ -59,6 +60,7 @@ public static partial class WebApiDocsGenerator
 
         if (!string.IsNullOrWhiteSpace(type.Summary))
             detailBody.Line($"<p class=\"type-summary\">{RenderLinkedText(type.Summary, baseUrl, slugMap)}</p>");
+        detailBody.AppendRaw(BuildTypeGraphHtml(type, displayName, inheritanceChain, derivedTypes, baseUrl, slugMap, typeIndex));
         if (inheritanceChain.Count > 0)
         {
             detailBody.Line("<section class=\"type-inheritance\" id=\"inheritance\">");
@@ -198,20 +200,22 @@ public static partial class WebApiDocsGenerator
             var usedMemberIds = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
             if (isPowerShellCommand)
             {
-                AppendMemberSections(detailBody, methodSectionLabel, "method", type.Methods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: false, sectionId: methodSectionId);
+                AppendMemberSections(detailBody, methodSectionLabel, "method", type.Methods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: false, sectionId: methodSectionId, ownerType: type);
             }
             else
             {
-                AppendMemberSections(detailBody, "Constructors", "constructor", type.Constructors, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: true, sectionId: "constructors");
-                AppendMemberSections(detailBody, methodSectionLabel, "method", type.Methods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, groupOverloads: true, sectionId: methodSectionId);
-                AppendMemberSections(detailBody, "Properties", "property", type.Properties, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: "properties");
-                AppendMemberSections(detailBody, type.Kind == "Enum" ? "Values" : "Fields", "field", type.Fields, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: type.Kind == "Enum" ? "values" : "fields");
-                AppendMemberSections(detailBody, "Events", "event", type.Events, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: "events");
+                AppendMemberSections(detailBody, "Constructors", "constructor", type.Constructors, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: true, sectionId: "constructors", ownerType: type);
+                AppendMemberSections(detailBody, methodSectionLabel, "method", type.Methods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, groupOverloads: true, sectionId: methodSectionId, ownerType: type);
+                AppendMemberSections(detailBody, "Properties", "property", type.Properties, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: "properties", ownerType: type);
+                AppendMemberSections(detailBody, type.Kind == "Enum" ? "Values" : "Fields", "field", type.Fields, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: type.Kind == "Enum" ? "values" : "fields", ownerType: type);
+                AppendMemberSections(detailBody, "Events", "event", type.Events, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionId: "events", ownerType: type);
                 if (type.ExtensionMethods.Count > 0)
-                    AppendMemberSections(detailBody, "Extension Methods", "extension", type.ExtensionMethods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: true, sectionId: "extensions");
+                    AppendMemberSections(detailBody, "Extension Methods", "extension", type.ExtensionMethods, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited: false, groupOverloads: true, sectionId: "extensions", ownerType: type);
             }
         }
 
+        detailBody.AppendRaw(BuildRemovedMembersHtml(type, currentVersion));
+
         sb.Append(BuildTypeDetailShellHtml(detailBody.ToString(), toc));
 
         sb.AppendLine("    </article>");
@@ -232,7 +236,7 @@ public static partial class WebApiDocsGenerator
         return html.ToString();
     }
 
-    private static string BuildTypeHeaderHtml(ApiTypeModel type, string displayName, string kindLabel, bool isPowerShellCommand, string? sourceAction)
+    private static string BuildTypeHeaderHtml(ApiTypeModel type, string displayName, string kindLabel, bool isPowerShellCommand, string? sourceAction, string codeLanguage)
     {
         var html = new HtmlFragmentBuilder(initialIndent: 6);
         html.Line("<header class=\"type-header ev-docs-header\" id=\"overview\">");
@@ -244,7 +248,13 @@ public static partial class WebApiDocsGenerator
             {
                 html.Line($"<span class=\"type-badge {NormalizeKind(type.Kind)}\">{System.Web.HttpUtility.HtmlEncode(kindLabel)}</span>");
                 AppendFreshnessBadge(html, type.Freshness, "type-freshness-badge");
+                var versionBadges = BuildVersionBadgesHtml(type.VersionHistory, "type-version-badge");
+                if (!string.IsNullOrWhiteSpace(versionBadges))
+                    html.Line(versionBadges);
                 html.Line($"<h1>{System.Web.HttpUtility.HtmlEncode(displayName)}</h1>");
+                var copyTrigger = BuildCopyMenuTriggerHtml(type, null, "type", null, displayName, codeLanguage);
+                if (!string.IsNullOrWhiteSpace(copyTrigger))
+                    html.Line(copyTrigger);
             }
             html.Line("</div>");
             AppendAliasInlineMeta(html, type, "type-header-meta", "type-header-aliases");
@@ -515,6 +525,60 @@ public static partial class WebApiDocsGenerator
             }
             html.Line("</div>");
 
+            var traitCounts = isPowerShellCommand ? new List<(string Trait, string Label, int Count)>() : GetMemberTraitCounts(type);
+            if (traitCounts.Count > 0)
+            {
+                // Each chip cycles: any -> only members with the trait -> members without it.
+                html.Line("<div class=\"member-trait-filter\" role=\"group\" aria-label=\"Member traits\">");
+                using (html.Indent())
+                {
+                    foreach (var (trait, label, count) in traitCounts)
+                        html.Line($"<button class=\"member-trait\" type=\"button\" data-member-trait=\"{trait}\" data-trait-mode=\"\" aria-pressed=\"false\">{System.Web.HttpUtility.HtmlEncode(label)} ({count})</button>");
+                }
+                html.Line("</div>");
+            }
+
+            var accessValues = isPowerShellCommand ? new List<string>() : GetMemberAccessValues(type);
+            var hasReturnTypes = !isPowerShellCommand && GetFilterableMembers(type).Any(static member => !string.IsNullOrWhiteSpace(member.ReturnType));
+            var versionOptions = GetMemberVersionFilterOptions(type);
+            if (accessValues.Count > 1 || hasReturnTypes || versionOptions.Count > 0)
+            {
+                html.Line("<div class=\"member-advanced-filter\">");
+                using (html.Indent())
+                {
+                    if (accessValues.Count > 1)
+                    {
+                        html.Line("<label for=\"api-member-access\">Access</label>");
+                        html.Line("<select id=\"api-member-access\">");
+                        using (html.Indent())
+                        {
+                            html.Line("<option value=\"\">Any</option>");
+                            foreach (var access in accessValues)
+                                html.Line($"<option value=\"{System.Web.HttpUtility.HtmlAttributeEncode(access)}\">{System.Web.HttpUtility.HtmlEncode(access)}</option>");
+                        }
+                        html.Line("</select>");
+                    }
+                    if (hasReturnTypes)
+                    {
+                        html.Line("<label for=\"api-member-returns\">Returns</label>");
+                        html.Line("<input id=\"api-member-returns\" type=\"text\" placeholder=\"Type name\" />");
+                    }
+                    if (versionOptions.Count > 0)
+                    {
+                        html.Line("<label for=\"api-member-version\">Version</label>");
+                        html.Line("<select id=\"api-member-version\">");
+                        using (html.Indent())
+                        {
+                            html.Line("<option value=\"\">Any</option>");
+                            foreach (var (value, label) in versionOptions)
+                                html.Line($"<option value=\"{System.Web.HttpUtility.HtmlAttributeEncode(value)}\">{System.Web.HttpUtility.HtmlEncode(label)}</option>");
+                        }
+                        html.Line("</select>");
+                    }
+                }
+                html.Line("</div>");
+            }
+
             if (!isPowerShellCommand)
             {
                 html.Line("<label class=\"member-toggle\">");
@@ -551,13 +615,14 @@ public static partial class WebApiDocsGenerator
         ISet<string> usedMemberIds,
         bool treatAsInherited = true,
         bool groupOverloads = false,
-        string? sectionId = null)
+        string? sectionId = null,
+        ApiTypeModel? ownerType = null)
     {
         if (sb is null)
             return;
 
         var html = new HtmlFragmentBuilder(initialIndent: 6);
-        AppendMemberSections(html, label, memberKind, members, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited, groupOverloads, sectionId);
+        AppendMemberSections(html, label, memberKind, members, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, treatAsInherited, groupOverloads, sectionId, ownerType);
         if (!html.IsEmpty)
             sb.AppendLine(html.ToString().TrimEnd());
     }
@@ -574,7 +639,8 @@ public static partial class WebApiDocsGenerator
         ISet<string> usedMemberIds,
         bool treatAsInherited = true,
         bool groupOverloads = false,
-        string? sectionId = null)
+        string? sectionId = null,
+        ApiTypeModel? ownerType = null)
     {
         if (html is null || members.Count == 0)
             return;
@@ -585,9 +651,9 @@ public static partial class WebApiDocsGenerator
         var directId = direct.Count > 0 ? sectionId : null;
         var inheritedId = direct.Count == 0 ? sectionId : null;
         if (direct.Count > 0)
-            AppendMemberCards(html, label, memberKind, direct, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, false, groupOverloads, directId);
+            AppendMemberCards(html, label, memberKind, direct, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, false, groupOverloads, directId, ownerType);
         if (inherited.Count > 0)
-            AppendMemberCards(html, $"Inherited {label}", memberKind, inherited, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, true, groupOverloads, inheritedId);
+            AppendMemberCards(html, $"Inherited {label}", memberKind, inherited, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, true, groupOverloads, inheritedId, ownerType);
     }
 
     private static void AppendMemberCards(
@@ -602,13 +668,14 @@ public static partial class WebApiDocsGenerator
         ISet<string> usedMemberIds,
         bool inheritedSection,
         bool groupOverloads,
-        string? sectionId)
+        string? sectionId,
+        ApiTypeModel? ownerType = null)
     {
         if (sb is null)
             return;
 
         var html = new HtmlFragmentBuilder(initialIndent: 6);
-        AppendMemberCards(html, label, memberKind, members, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, inheritedSection, groupOverloads, sectionId);
+        AppendMemberCards(html, label, memberKind, members, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, inheritedSection, groupOverloads, sectionId, ownerType);
         if (!html.IsEmpty)
             sb.AppendLine(html.ToString().TrimEnd());
     }
@@ -625,7 +692,8 @@ public static partial class WebApiDocsGenerator
         ISet<string> usedMemberIds,
         bool inheritedSection,
         bool groupOverloads,
-        string? sectionId)
+        string? sectionId,
+        ApiTypeModel? ownerType = null)
     {
         if (html is null || members.Count == 0)
             return;
@@ -667,10 +735,13 @@ public static partial class WebApiDocsGenerator
                     {
                         if (group.Count() == 1)
                         {
-                            AppendMemberCard(html, memberKind, group.First(), baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label);
+                            AppendMemberCard(html, memberKind, group.First(), baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label, ownerType);
                             continue;
                         }
 
+                        // Overloads that take parameters can be compared side by side; docs.js draws the table.
+                        var canCompare = group.Any(static m => m.Parameters.Count > 0);
+                        var compareId = canCompare ? BuildUniqueMemberId($"{memberKind}-{Slugify(group.Key ?? string.Empty)}-overloads", usedMemberIds) : string.Empty;
                         html.Line("<div class=\"member-group\">");
                         using (html.Indent())
                         {
@@ -679,17 +750,24 @@ public static partial class WebApiDocsGenerator
                             {
                                 html.Line($"<span class=\"member-group-name\">{System.Web.HttpUtility.HtmlEncode(group.Key)}</span>");
                                 html.Line($"<span class=\"member-group-count\">{group.Count()} overloads</span>");
+                                if (canCompare)
+                                    html.Line($"<button class=\"member-group-compare\" type=\"button\" aria-expanded=\"false\" aria-controls=\"{compareId}\">Compare overloads</button>");
                             }
                             html.Line("</div>");
+                            var overloads = new List<(string Id, ApiMemberModel Member)>();
                             html.Line("<div class=\"member-group-body\">");
                             using (html.Indent())
                             {
                                 foreach (var member in group)
                                 {
-                                    AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label);
+                                    var memberId = AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label, ownerType);
+                                    if (!string.IsNullOrWhiteSpace(memberId))
+                                        overloads.Add((memberId, member));
                                 }
                             }
                             html.Line("</div>");
+                            if (canCompare)
+                                html.Line(BuildOverloadComparisonHtml(compareId, group.Key ?? string.Empty, overloads, label));
                         }
                         html.Line("</div>");
                     }
@@ -698,7 +776,7 @@ public static partial class WebApiDocsGenerator
                 {
                     foreach (var member in members)
                     {
-                        AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label);
+                        AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, label, ownerType);
                     }
                 }
             }
@@ -716,18 +794,19 @@ public static partial class WebApiDocsGenerator
         ApiTypeRelatedContentModel? relatedContent,
         string codeLanguage,
         ISet<string> usedMemberIds,
-        string sectionLabel)
+        string sectionLabel,
+        ApiTypeModel? ownerType = null)
     {
         if (sb is null)
             return;
 
         var html = new HtmlFragmentBuilder(initialIndent: 8);
-        AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionLabel);
+        AppendMemberCard(html, memberKind, member, baseUrl, slugMap, relatedContent, codeLanguage, usedMemberIds, sectionLabel, ownerType);
         if (!html.IsEmpty)
             sb.AppendLine(html.ToString().TrimEnd());
     }
 
-    private static void AppendMemberCard(
+    private static string? AppendMemberCard(
         HtmlFragmentBuilder html,
         string memberKind,
         ApiMemberModel member,
@@ -736,10 +815,11 @@ public static partial class WebApiDocsGenerator
         ApiTypeRelatedContentModel? relatedContent,
         string codeLanguage,
         ISet<string> usedMemberIds,
-        string sectionLabel)
+        string sectionLabel,
+        ApiTypeModel? ownerType = null)
     {
         if (html is null)
-            return;
+            return null;
 
         var memberId = BuildUniqueMemberId(BuildMemberId(memberKind, member), usedMemberIds);
         var signature = !string.IsNullOrWhiteSpace(member.Signature)
@@ -748,17 +828,31 @@ public static partial class WebApiDocsGenerator
         var search = $"{member.Name} {signature} {member.Summary} {member.ParameterSetName}".Trim();
         var searchAttr = System.Web.HttpUtility.HtmlEncode(search);
         var inherited = member.IsInherited ? "true" : "false";
+        var memberNameAttr = System.Web.HttpUtility.HtmlAttributeEncode(string.IsNullOrWhiteSpace(member.DisplayName) ? member.Name : member.DisplayName!);
+        // Lets the type graph narrow the member list to one ancestor; cards without it belong to the page's type.
+        var declaringTypeAttr = string.IsNullOrWhiteSpace(member.DeclaringType)
+            ? string.Empty
+            : $" data-declaring-type=\"{System.Web.HttpUtility.HtmlAttributeEncode(BuildTypeGraphKey(member.DeclaringType))}\"";
         var inheritedNote = member.IsInherited && !string.IsNullOrWhiteSpace(member.DeclaringType)
             ? $"Inherited from {member.DeclaringType}"
             : string.Empty;
 
-        html.Line($"<div class=\"member-card\" id=\"{memberId}\" data-kind=\"{memberKind}\" data-inherited=\"{inherited}\" data-search=\"{searchAttr}\">");
+        html.Line($"<div class=\"member-card\" id=\"{memberId}\" data-kind=\"{memberKind}\" data-inherited=\"{inherited}\" data-search=\"{searchAttr}\" data-member-name=\"{memberNameAttr}\"{declaringTypeAttr}{BuildMemberFilterAttributes(member)}{BuildVersionFilterAttributes(member.VersionHistory)}>");
         using (html.Indent())
         {
             html.Line("<div class=\"member-header\">");
             using (html.Indent())
             {
                 html.Line(BuildMemberSignatureHtml(signature, sectionLabel, codeLanguage));
+                var versionBadges = BuildVersionBadgesHtml(member.VersionHistory, "member-version-badge");
+                if (!string.IsNullOrWhiteSpace(versionBadges))
+                    html.Line($"<span class=\"member-version-badges\">{versionBadges}</span>");
+                if (ownerType is not null)
+                {
+                    var copyTrigger = BuildCopyMenuTriggerHtml(ownerType, member, memberKind, memberId, BuildCopyMenuMemberTitle(ownerType, member, codeLanguage), codeLanguage);
+                    if (!string.IsNullOrWhiteSpace(copyTrigger))
+                        html.Line(copyTrigger);
+                }
                 html.Line($"<a class=\"member-anchor\" href=\"#{memberId}\" aria-label=\"Link to {System.Web.HttpUtility.HtmlEncode(member.Name)}\">#</a>");
             }
             html.Line("</div>");
@@ -823,12 +917,16 @@ public static partial class WebApiDocsGenerator
                 html.Line("<dl class=\"param-list\">");
                 using (html.Indent())
                 {
+                    var isSyntax = string.Equals(sectionLabel, "Syntax", StringComparison.OrdinalIgnoreCase);
                     foreach (var param in member.Parameters)
                     {
                         var optional = param.IsOptional ? " optional" : string.Empty;
                         var defaultValue = param.DefaultValue;
                         var defaultText = string.IsNullOrWhiteSpace(defaultValue) ? string.Empty : $" = {defaultValue}";
-                        html.Line($"<dt><span class=\"param-name\">{System.Web.HttpUtility.HtmlEncode(param.Name)}</span> <span class=\"param-type{optional}\">{System.Web.HttpUtility.HtmlEncode(param.Type)}</span><span class=\"param-default\">{System.Web.HttpUtility.HtmlEncode(defaultText)}</span>{BuildParameterMetaChips(param)}</dt>");
+                        var paramAnchor = isSyntax && !string.IsNullOrWhiteSpace(param.Name)
+                            ? $" id=\"{System.Web.HttpUtility.HtmlAttributeEncode(BuildPowerShellParameterAnchorId(memberId, param.Name))}\""
+                            : string.Empty;
+                        html.Line($"<dt{paramAnchor}><span class=\"param-name\">{System.Web.HttpUtility.HtmlEncode(param.Name)}</span> <span class=\"param-type{optional}\">{System.Web.HttpUtility.HtmlEncode(param.Type)}</span><span class=\"param-default\">{System.Web.HttpUtility.HtmlEncode(defaultText)}</span>{BuildParameterMetaChips(param)}</dt>");
                         if (!string.IsNullOrWhiteSpace(param.Summary))
                             html.Line($"<dd>{RenderLinkedText(param.Summary, baseUrl, slugMap)}</dd>");
                         if (param.PossibleValues.Count > 0)
@@ -894,6 +992,7 @@ public static partial class WebApiDocsGenerator
             }
         }
         html.Line("</div>");
+        return memberId;
     }
 
     private static void AppendExamples(
@@ -1404,6 +1503,10 @@ public static partial class WebApiDocsGenerator
         return Slugify(baseName);
     }
 
+    // PowerShell parameter rows get their own anchor inside the syntax card so search and links can target one parameter.
+    private static string BuildPowerShellParameterAnchorId(string memberId, string parameterName)
+        => $"{memberId}-param-{Slugify(parameterName)}";
+
     private static string BuildUniqueMemberId(string preferredId, ISet<string> usedIds)
     {
         var candidate = preferredId;
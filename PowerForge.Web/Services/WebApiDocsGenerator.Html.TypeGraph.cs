@@ -0,0 +1,98 @@
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+public static partial class WebApiDocsGenerator
+{
+    /// <summary>
+    /// Builds the collapsible type graph section. docs.js draws the diagram from <c>data-type-graph</c>
+    /// (ancestors, interfaces and derived types); the section stays empty without script.
+    /// </summary>
+    private static string BuildTypeGraphHtml(
+        ApiTypeModel type,
+        string displayName,
+        IReadOnlyList<string> inheritanceChain,
+        IReadOnlyList<ApiTypeModel> derivedTypes,
+        string baseUrl,
+        IReadOnlyDictionary<string, string> slugMap,
+        IReadOnlyDictionary<string, ApiTypeModel> typeIndex)
+    {
+        var ancestors = inheritanceChain
+            .Where(static name => !string.IsNullOrWhiteSpace(name))
+            .ToList();
+        var interfaces = type.Interfaces
+            .Where(static name => !string.IsNullOrWhiteSpace(name))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+        // A lone implicit System.Object base is not worth a diagram.
+        var hasOnlyObjectBase = ancestors.Count == 1 && string.Equals(NormalizeTypeName(ancestors[0]), "Object", StringComparison.OrdinalIgnoreCase);
+        if ((ancestors.Count == 0 || hasOnlyObjectBase) && interfaces.Count == 0 && derivedTypes.Count == 0)
+            return string.Empty;
+
+        var model = new Dictionary<string, object?>
+        {
+            ["type"] = new Dictionary<string, object?>
+            {
+                ["name"] = displayName,
+                ["fullName"] = type.FullName,
+                ["kind"] = NormalizeKind(type.Kind),
+                ["key"] = BuildTypeGraphKey(type.FullName)
+            },
+            ["ancestors"] = ancestors.Select(name => BuildTypeGraphNode(name, baseUrl, slugMap, typeIndex)).ToList(),
+            ["interfaces"] = interfaces.Select(name => BuildTypeGraphNode(name, baseUrl, slugMap, typeIndex)).ToList(),
+            ["derived"] = derivedTypes
+                .OrderBy(static t => t.FullName, StringComparer.OrdinalIgnoreCase)
+                .Select(derived => BuildTypeGraphNode(derived.FullName, baseUrl, slugMap, typeIndex))
+                .ToList()
+        };
+        var json = System.Web.HttpUtility.HtmlAttributeEncode(JsonSerializer.Serialize(model));
+
+        var html = new HtmlFragmentBuilder(initialIndent: 6);
+        html.Line($"<section class=\"type-graph\" id=\"type-graph\" data-type-graph=\"{json}\">");
+        using (html.Indent())
+        {
+            html.Line("<div class=\"type-graph-header\">");
+            using (html.Indent())
+            {
+                html.Line("<h2>Type Graph</h2>");
+                html.Line("<button class=\"type-graph-toggle\" type=\"button\" aria-expanded=\"false\" aria-controls=\"type-graph-canvas\">Show diagram</button>");
+            }
+            html.Line("</div>");
+            html.Line("<div class=\"type-graph-canvas\" id=\"type-graph-canvas\" hidden></div>");
+        }
+        html.Line("</section>");
+        return html.ToString();
+    }
+
+    private static Dictionary<string, object?> BuildTypeGraphNode(
+        string name,
+        string baseUrl,
+        IReadOnlyDictionary<string, string> slugMap,
+        IReadOnlyDictionary<string, ApiTypeModel> typeIndex)
+    {
+        // Documented types are keyed by full name so the key matches the DeclaringType of their members.
+        var fullName = typeIndex.TryGetValue(BuildTypeGraphKey(name), out var known) ? known.FullName : name;
+        return new Dictionary<string, object?>
+        {
+            ["name"] = GetDisplayTypeName(name.Replace("+", ".").Trim()),
+            ["fullName"] = fullName,
+            ["key"] = BuildTypeGraphKey(fullName),
+            ["href"] = ResolveDocsTypeHref(fullName, baseUrl, slugMap)
+        };
+    }
+
+    /// <summary>
+    /// Comparable key for a type name: generic arguments, arity markers and assembly-qualified suffixes are dropped
+    /// so a member's declaring type matches the graph node of its (possibly closed generic) ancestor.
+    /// </summary>
+    private static string BuildTypeGraphKey(string? name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+            return string.Empty;
+        var value = name.Trim();
+        var cut = value.IndexOfAny(new[] { '[', '<', '{' });
+        if (cut > 0)
+            value = value.Substring(0, cut);
+        return NormalizeTypeName(value);
+    }
+}
@@ -48,6 +48,8 @@ public static partial class WebApiDocsGenerator
 
         var indexTemplate = LoadTemplate(options, "index.html", options.IndexTemplatePath);
         var searchScript = JoinHtmlFragments(
+            BuildSearchTelemetryScript(options),
+            WrapScript(LoadAsset(options, "search-engine.js", null)),
             WrapScript(LoadAsset(options, "search.js", options.SearchScriptPath)),
             prismScripts);
         var indexHtml = ApplyTemplate(indexTemplate, new Dictionary<string, string?>
@@ -109,7 +111,7 @@ public static partial class WebApiDocsGenerator
         IReadOnlyDictionary<string, ApiTypeRelatedContentModel> typeRelatedContentMap,
         List<string> warnings)
     {
-        var head = GetApiDocsResolvedHeadHtml(options);
+        var head = JoinHtmlFragments(BuildApiDocsThemeScript(options), GetApiDocsResolvedHeadHtml(options));
         var header = LoadOptionalHtml(options.HeaderHtmlPath);
         var footer = LoadOptionalHtml(options.FooterHtmlPath);
         ApplyNavFallback(options, warnings, ref header, ref footer);
@@ -124,14 +126,22 @@ public static partial class WebApiDocsGenerator
 
         var baseUrl = string.IsNullOrWhiteSpace(options.BaseUrl) ? "/api" : options.BaseUrl.TrimEnd('/');
         var suite = BuildApiSuiteContext(options, baseUrl);
+        var versions = BuildApiVersionContext(options, baseUrl);
+        var currentVersion = TrimOptionalString(options.ApiVersion);
         var docsScript = JoinHtmlFragments(
+            BuildSearchTelemetryScript(options),
+            BuildApiDocsStateScript(options),
+            WrapScript(LoadAsset(options, "search-engine.js", null)),
+            WrapScript(LoadAsset(options, "suite-search.js", null)),
+            WrapScript(LoadAsset(options, "command-palette.js", null)),
             WrapScript(LoadAsset(options, "docs.js", options.DocsScriptPath)),
             prismScripts);
         var docsHomeUrl = NormalizeDocsHomeUrl(options.DocsHomeUrl, baseUrl);
         var legacyAliasMode = ResolveLegacyAliasMode(options.LegacyAliasMode);
         var social = ResolveApiSocialProfile(options);
         var typeDisplayNames = BuildTypeDisplayNameMap(types, options, warnings);
-        var sidebarHtml = BuildDocsSidebar(options, types, baseUrl, string.Empty, docsHomeUrl, typeDisplayNames, suite);
+        var sidebarNavUrl = WriteSidebarNavModel(outputPath, options, types, baseUrl, typeDisplayNames);
+        var sidebarHtml = BuildDocsSidebar(options, types, baseUrl, string.Empty, docsHomeUrl, typeDisplayNames, suite, sidebarNavUrl, versions);
         var sidebarClass = BuildSidebarClass(options.SidebarPosition);
         var overviewHtml = BuildDocsOverview(options, types, baseUrl, typeDisplayNames, suite);
         var slugMap = BuildTypeSlugMap(types);
@@ -158,14 +168,39 @@ public static partial class WebApiDocsGenerator
         });
         File.WriteAllText(Path.Combine(outputPath, "index.html"), indexHtml.ToString(), Encoding.UTF8);
 
+        if (versions is not null)
+        {
+            var changesTitle = $"API changes - {options.Title}";
+            const string changesDescription = "Types and members added, removed or changed between published versions of this API.";
+            var changesHtml = ApplyTemplate(indexTemplate, new Dictionary<string, string?>
+            {
+                ["TITLE"] = System.Web.HttpUtility.HtmlEncode(changesTitle),
+                ["DESCRIPTION_META"] = BuildDescriptionMetaTag(changesDescription),
+                ["OPEN_GRAPH_META"] = BuildApiOpenGraphMetaTags(options, social, changesTitle, changesDescription, $"{NormalizeApiRoute(baseUrl).TrimEnd('/')}/{ApiChangesRoute}/"),
+                ["HEAD_HTML"] = head,
+                ["CRITICAL_CSS"] = criticalCss,
+                ["CSS"] = cssBlock,
+                ["HEADER"] = header,
+                ["FOOTER"] = footer,
+                ["BODY_CLASS"] = bodyClass,
+                ["SIDEBAR"] = sidebarHtml,
+                ["SIDEBAR_CLASS"] = sidebarClass,
+                ["MAIN"] = BuildApiChangesMain(versions, string.IsNullOrWhiteSpace(options.Title) ? "API Reference" : options.Title.Trim()),
+                ["DOCS_SCRIPT"] = docsScript
+            });
+            var changesDir = Path.Combine(outputPath, ApiChangesRoute);
+            Directory.CreateDirectory(changesDir);
+            File.WriteAllText(Path.Combine(changesDir, "index.html"), changesHtml, Encoding.UTF8);
+        }
+
         foreach (var type in types)
         {
-            var sidebar = BuildDocsSidebar(options, types, baseUrl, type.Slug, docsHomeUrl, typeDisplayNames, suite);
+            var sidebar = BuildDocsSidebar(options, types, baseUrl, type.Slug, docsHomeUrl, typeDisplayNames, suite, sidebarNavUrl, versions);
             var sidebarClassForType = BuildSidebarClass(options.SidebarPosition);
             var displayName = ResolveTypeDisplayName(type, typeDisplayNames);
             typeUsageMap.TryGetValue(type.FullName, out var usage);
             typeRelatedContentMap.TryGetValue(type.FullName, out var relatedContent);
-            var typeMain = BuildDocsTypeDetail(type, baseUrl, slugMap, typeIndex, derivedMap, usage, relatedContent, codeLanguage, displayName);
+            var typeMain = BuildDocsTypeDetail(type, baseUrl, slugMap, typeIndex, derivedMap, usage, relatedContent, codeLanguage, displayName, currentVersion);
             var typeTemplate = LoadTemplate(options, "docs-type.html", options.DocsTypeTemplatePath);
             var pageTitle = $"{displayName} - {options.Title}";
             var typeDescription = BuildApiTypeSeoDescription(options, type, displayName);
@@ -696,6 +731,39 @@ body.pf-api-docs .api-suite-search-filter{
         return JoinHtmlFragments(fallbackBlock, extraCssLinks);
     }
 
+    private static string BuildApiDocsStateScript(WebApiDocsOptions options)
+    {
+        // The codec always ships so every docs.js variant reads and writes the same URL state; storage is opt-in.
+        var storage = options.StateStorage?.Trim();
+        var config = string.Equals(storage, "local", StringComparison.OrdinalIgnoreCase)
+            ? WrapScript("window.PowerForgeApiDocsStateConfig = { storage: 'local' };")
+            : string.Empty;
+        return JoinHtmlFragments(config, WrapScript(LoadAsset(options, "state-codec.js", null)));
+    }
+
+    // The icon for the current preference is picked by CSS from html[data-theme], so it is right before docs.js runs.
+    private static void AppendApiThemeToggle(HtmlFragmentBuilder html)
+    {
+        html.Line("<button class=\"api-theme-toggle\" type=\"button\" aria-label=\"Theme: follow system\" title=\"Theme: follow system\">");
+        using (html.Indent())
+        {
+            html.Line("<svg class=\"api-theme-icon api-theme-icon-auto\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" aria-hidden=\"true\"><rect x=\"2\" y=\"3\" width=\"20\" height=\"14\" rx=\"2\"/><path d=\"M8 21h8M12 17v4\"/></svg>");
+            html.Line("<svg class=\"api-theme-icon api-theme-icon-light\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" aria-hidden=\"true\"><circle cx=\"12\" cy=\"12\" r=\"5\"/><path d=\"M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42\"/></svg>");
+            html.Line("<svg class=\"api-theme-icon api-theme-icon-dark\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\" aria-hidden=\"true\"><path d=\"M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z\"/></svg>");
+        }
+        html.Line("</button>");
+    }
+
+    private static string BuildApiDocsThemeScript(WebApiDocsOptions options)
+    {
+        // Goes first in <head> so the stylesheets already see the visitor's theme; "auto" needs no config.
+        var theme = (options.ThemeMode ?? string.Empty).Trim().ToLowerInvariant();
+        var config = theme is "light" or "dark"
+            ? WrapScript($"window.PowerForgeApiDocsThemeConfig = {{ theme: '{theme}' }};")
+            : string.Empty;
+        return JoinHtmlFragments(config, WrapScript(LoadAsset(options, "theme.js", null)));
+    }
+
     private static string JoinHtmlFragments(params string?[] fragments)
     {
         var parts = fragments
@@ -741,8 +809,8 @@ body.pf-api-docs .api-suite-search-filter{
             var languagesPath = local?.LanguagesPath ?? "/assets/prism/components/";
 
             var css = JoinHtmlFragments(
-                $"<link rel=\"stylesheet\" href=\"{light}\" media=\"(prefers-color-scheme: light)\" />",
-                $"<link rel=\"stylesheet\" href=\"{dark}\" media=\"(prefers-color-scheme: dark)\" />");
+                $"<link rel=\"stylesheet\" href=\"{light}\" media=\"(prefers-color-scheme: light)\" data-pf-prism-theme=\"light\" />",
+                $"<link rel=\"stylesheet\" href=\"{dark}\" media=\"(prefers-color-scheme: dark)\" data-pf-prism-theme=\"dark\" />");
             var scripts = BuildApiPrismScriptBundle(core, autoloader, languagesPath);
             return (css, scripts);
         }
@@ -765,8 +833,8 @@ body.pf-api-docs .api-suite-search-filter{
             defaultCdnName: "prism-okaidia",
             defaultLocalPath: "/assets/prism/prism-okaidia.css");
         var cssLinks = JoinHtmlFragments(
-            $"<link rel=\"stylesheet\" href=\"{cdnLight}\" media=\"(prefers-color-scheme: light)\" />",
-            $"<link rel=\"stylesheet\" href=\"{cdnDark}\" media=\"(prefers-color-scheme: dark)\" />");
+            $"<link rel=\"stylesheet\" href=\"{cdnLight}\" media=\"(prefers-color-scheme: light)\" data-pf-prism-theme=\"light\" />",
+            $"<link rel=\"stylesheet\" href=\"{cdnDark}\" media=\"(prefers-color-scheme: dark)\" data-pf-prism-theme=\"dark\" />");
         var scriptsLinks = BuildApiPrismScriptBundle(
             $"{cdn}/components/prism-core.min.js",
             $"{cdn}/plugins/autoloader/prism-autoloader.min.js",
@@ -954,14 +1022,20 @@ body.pf-api-docs .api-suite-search-filter{
             return string.Empty;
 
         var html = new HtmlFragmentBuilder(initialIndent: 4);
-        AppendMembers(html, "Methods", type.Methods, codeLanguage);
-        AppendMembers(html, "Properties", type.Properties, codeLanguage);
-        AppendMembers(html, "Fields", type.Fields, codeLanguage);
-        AppendMembers(html, "Events", type.Events, codeLanguage);
+        var memberRenderInfo = BuildMemberRenderInfoMap(new[] { type });
+        AppendMembers(html, "Methods", type.Methods, codeLanguage, memberRenderInfo);
+        AppendMembers(html, "Properties", type.Properties, codeLanguage, memberRenderInfo);
+        AppendMembers(html, "Fields", type.Fields, codeLanguage, memberRenderInfo);
+        AppendMembers(html, "Events", type.Events, codeLanguage, memberRenderInfo);
         return html.ToString().TrimEnd();
     }
 
-    private static void AppendMembers(HtmlFragmentBuilder html, string label, List<ApiMemberModel> members, string codeLanguage)
+    private static void AppendMembers(
+        HtmlFragmentBuilder html,
+        string label,
+        List<ApiMemberModel> members,
+        string codeLanguage,
+        IReadOnlyDictionary<ApiMemberModel, ApiMemberRenderInfo> memberRenderInfo)
     {
         if (html is null || members.Count == 0)
             return;
@@ -983,7 +1057,11 @@ body.pf-api-docs .api-suite-search-filter{
                         ? member.Signature
                         : BuildSignature(member, label);
 
-                    html.Line("<li>");
+                    // Same anchor ids as the docs template member cards, so search.json deep links work in both templates.
+                    var anchor = memberRenderInfo.TryGetValue(member, out var renderInfo)
+                        ? $" id=\"{System.Web.HttpUtility.HtmlAttributeEncode(renderInfo.AnchorId)}\""
+                        : string.Empty;
+                    html.Line($"<li{anchor}>");
                     using (html.Indent())
                     {
                         html.Line($"<strong>{System.Web.HttpUtility.HtmlEncode(signature)}</strong>{summary}");
@@ -1000,7 +1078,10 @@ body.pf-api-docs .api-suite-search-filter{
                                         var type = string.IsNullOrWhiteSpace(param.Type) ? string.Empty : $" ({System.Web.HttpUtility.HtmlEncode(param.Type)})";
                                         var psummaryText = StripCrefTokens(param.Summary);
                                         var psummary = string.IsNullOrWhiteSpace(psummaryText) ? string.Empty : $": {System.Web.HttpUtility.HtmlEncode(psummaryText)}";
-                                        html.Line($"<li><code>{System.Web.HttpUtility.HtmlEncode(param.Name)}</code>{type}{psummary}</li>");
+                                        var paramAnchor = renderInfo is not null && renderInfo.SectionLabel == "Syntax" && !string.IsNullOrWhiteSpace(param.Name)
+                                            ? $" id=\"{System.Web.HttpUtility.HtmlAttributeEncode(BuildPowerShellParameterAnchorId(renderInfo.AnchorId, param.Name))}\""
+                                            : string.Empty;
+                                        html.Line($"<li{paramAnchor}><code>{System.Web.HttpUtility.HtmlEncode(param.Name)}</code>{type}{psummary}</li>");
                                     }
                                 }
                                 html.Line("</ul>");
@@ -1040,7 +1121,9 @@ body.pf-api-docs .api-suite-search-filter{
         string activeSlug,
         string docsHomeUrl,
         IReadOnlyDictionary<string, string> typeDisplayNames,
-        ApiSuiteContext? suite)
+        ApiSuiteContext? suite,
+        string? sidebarNavUrl = null,
+        ApiVersionContext? versions = null)
     {
         var indexUrl = EnsureTrailingSlash(baseUrl);
         var html = new HtmlFragmentBuilder(initialIndent: 4);
@@ -1056,7 +1139,10 @@ body.pf-api-docs .api-suite-search-filter{
         var mainTypes = GetMainTypes(types, options);
         var mainTypeNames = new HashSet<string>(mainTypes.Select(static t => t.Name), StringComparer.OrdinalIgnoreCase);
 
-        html.Line("<div class=\"ev-docs-menu api-sidebar-shell\">");
+        var suiteSearchAttribute = string.IsNullOrWhiteSpace(suite?.SearchUrl)
+            ? string.Empty
+            : $" data-suite-search-url=\"{System.Web.HttpUtility.HtmlAttributeEncode(suite!.SearchUrl)}\"";
+        html.Line($"<div class=\"ev-docs-menu api-sidebar-shell\"{suiteSearchAttribute}>");
         using (html.Indent())
         {
             html.Line("<div class=\"sidebar-project-indicator ev-docs-project-indicator\">");
@@ -1093,8 +1179,10 @@ body.pf-api-docs .api-suite-search-filter{
                     html.Line("<span>API Reference</span>");
                 }
                 html.Line("</a>");
+                AppendApiThemeToggle(html);
             }
             html.Line("</div>");
+            AppendApiVersionPicker(html, versions, indexUrl);
             AppendApiSuiteSidebar(html, suite, indexUrl);
             html.Line("<div class=\"sidebar-search\">");
             using (html.Indent())
@@ -1173,75 +1261,89 @@ body.pf-api-docs .api-suite-search-filter{
                 html.Line("<button class=\"sidebar-collapse-all\" type=\"button\">Collapse all</button>");
             }
             html.Line("</div>");
-            html.Line("<nav class=\"sidebar-nav\">");
-            using (html.Indent())
+            if (!string.IsNullOrWhiteSpace(sidebarNavUrl))
             {
-                if (mainTypes.Count > 0)
+                // Large APIs: docs.js renders only the visible rows from the nav model instead of every type per page.
+                html.Line($"<nav class=\"sidebar-nav sidebar-nav-virtual\" data-nav-url=\"{System.Web.HttpUtility.HtmlAttributeEncode(sidebarNavUrl)}\">");
+                using (html.Indent())
                 {
-                    html.Line("<div class=\"nav-section\">");
-                    using (html.Indent())
+                    html.Line($"<div class=\"sidebar-nav-status\" role=\"status\">Loading {primaryKindPluralLabel}...</div>");
+                    html.Line($"<noscript><a class=\"sidebar-nav-all\" href=\"{indexUrl}\">Browse all {primaryKindPluralLabel}</a></noscript>");
+                }
+                html.Line("</nav>");
+            }
+            else
+            {
+                html.Line("<nav class=\"sidebar-nav\">");
+                using (html.Indent())
+                {
+                    if (mainTypes.Count > 0)
                     {
-                        html.Line("<div class=\"nav-section-header main-api\">");
+                        html.Line("<div class=\"nav-section\">");
                         using (html.Indent())
                         {
-                            html.Line("<svg class=\"chevron expanded\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\">");
+                            html.Line("<div class=\"nav-section-header main-api\">");
                             using (html.Indent())
                             {
-                                html.Line("<path d=\"M9 18l6-6-6-6\"/>");
+                                html.Line("<svg class=\"chevron expanded\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\">");
+                                using (html.Indent())
+                                {
+                                    html.Line("<path d=\"M9 18l6-6-6-6\"/>");
+                                }
+                                html.Line("</svg>");
+                                html.Line("<span>Main API</span>");
+                                html.Line($"<span class=\"type-count\">{mainTypes.Count}</span>");
                             }
-                            html.Line("</svg>");
-                            html.Line("<span>Main API</span>");
-                            html.Line($"<span class=\"type-count\">{mainTypes.Count}</span>");
-                        }
-                        html.Line("</div>");
-                        html.Line("<div class=\"nav-section-content\">");
-                        using (html.Indent())
-                        {
-                            foreach (var type in mainTypes)
+                            html.Line("</div>");
+                            html.Line("<div class=\"nav-section-content\">");
+                            using (html.Indent())
                             {
-                                html.Line(BuildSidebarTypeItem(type, baseUrl, activeSlug, typeDisplayNames));
+                                foreach (var type in mainTypes)
+                                {
+                                    html.Line(BuildSidebarTypeItem(type, baseUrl, activeSlug, typeDisplayNames));
+                                }
                             }
+                            html.Line("</div>");
                         }
                         html.Line("</div>");
                     }
-                    html.Line("</div>");
-                }
-                var grouped = types
-                    .Where(t => !mainTypeNames.Contains(t.Name))
-                    .GroupBy(t => string.IsNullOrWhiteSpace(t.Namespace) ? "(global)" : t.Namespace)
-                    .OrderBy(g => g.Key, StringComparer.OrdinalIgnoreCase);
-                foreach (var group in grouped)
-                {
-                    html.Line("<div class=\"nav-section\">");
-                    using (html.Indent())
+                    var grouped = types
+                        .Where(t => !mainTypeNames.Contains(t.Name))
+                        .GroupBy(t => string.IsNullOrWhiteSpace(t.Namespace) ? "(global)" : t.Namespace)
+                        .OrderBy(g => g.Key, StringComparer.OrdinalIgnoreCase);
+                    foreach (var group in grouped)
                     {
-                        html.Line("<div class=\"nav-section-header\">");
+                        html.Line("<div class=\"nav-section\">");
                         using (html.Indent())
                         {
-                            html.Line("<svg class=\"chevron expanded\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\">");
+                            html.Line("<div class=\"nav-section-header\">");
                             using (html.Indent())
                             {
-                                html.Line("<path d=\"M9 18l6-6-6-6\"/>");
+                                html.Line("<svg class=\"chevron expanded\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"currentColor\" stroke-width=\"2\">");
+                                using (html.Indent())
+                                {
+                                    html.Line("<path d=\"M9 18l6-6-6-6\"/>");
+                                }
+                                html.Line("</svg>");
+                                html.Line($"<span>{System.Web.HttpUtility.HtmlEncode(GetShortNamespace(group.Key))}</span>");
+                                html.Line($"<span class=\"type-count\">{group.Count()}</span>");
                             }
-                            html.Line("</svg>");
-                            html.Line($"<span>{System.Web.HttpUtility.HtmlEncode(GetShortNamespace(group.Key))}</span>");
-                            html.Line($"<span class=\"type-count\">{group.Count()}</span>");
-                        }
-                        html.Line("</div>");
-                        html.Line("<div class=\"nav-section-content\">");
-                        using (html.Indent())
-                        {
-                            foreach (var type in group.OrderBy(t => t.Name, StringComparer.OrdinalIgnoreCase))
+                            html.Line("</div>");
+                            html.Line("<div class=\"nav-section-content\">");
+                            using (html.Indent())
                             {
-                                html.Line(BuildSidebarTypeItem(type, baseUrl, activeSlug, typeDisplayNames));
+                                foreach (var type in group.OrderBy(t => t.Name, StringComparer.OrdinalIgnoreCase))
+                                {
+                                    html.Line(BuildSidebarTypeItem(type, baseUrl, activeSlug, typeDisplayNames));
+                                }
                             }
+                            html.Line("</div>");
                         }
                         html.Line("</div>");
                     }
-                    html.Line("</div>");
                 }
+                html.Line("</nav>");
             }
-            html.Line("</nav>");
             html.Line($"<div class=\"sidebar-empty\" hidden>No matching {primaryKindPluralLabel}.</div>");
         }
         html.Line("</div>");
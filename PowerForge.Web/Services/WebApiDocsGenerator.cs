@@ -48,6 +48,11 @@ public sealed class WebApiDocsOptions
       public string? DocsHomeUrl { get; set; }
       /// <summary>Sidebar position for docs template (left or right).</summary>
       public string? SidebarPosition { get; set; }
+    /// <summary>
+    /// Type count at which the docs template sidebar is loaded from a compact <c>sidebar-nav.json</c> model and windowed
+    /// instead of rendering every type into each page. Use <c>0</c> to always render the full list.
+    /// </summary>
+    public int SidebarVirtualizeThreshold { get; set; } = 1000;
     /// <summary>Optional CSS class applied to the &lt;body&gt; element.</summary>
     public string? BodyClass { get; set; }
     /// <summary>
@@ -97,6 +102,18 @@ public sealed class WebApiDocsOptions
     public string? ApiSuiteNarrativeUrl { get; set; }
     /// <summary>Optional suite entries for project/module switching inside generated API docs.</summary>
     public List<WebApiDocsSuiteEntry> ApiSuiteEntries { get; } = new();
+    /// <summary>
+    /// Optional version label of the API being generated (for example <c>2.1</c>). When set, an <c>api-snapshot.json</c>
+    /// is written next to the docs so later versions can compute "added/changed/removed in" badges against it.
+    /// </summary>
+    public string? ApiVersion { get; set; }
+    /// <summary>Optional published versions of this API rendered in the version picker.</summary>
+    public List<WebApiDocsVersionEntry> ApiVersionEntries { get; } = new();
+    /// <summary>
+    /// Optional <c>api-snapshot.json</c> files (or folders containing them, one level deep) of other versions used
+    /// to compute version badges.
+    /// </summary>
+    public List<string> ApiVersionSnapshotPaths { get; } = new();
     /// <summary>Optional path to header HTML fragment.</summary>
     public string? HeaderHtmlPath { get; set; }
     /// <summary>Optional path to footer HTML fragment.</summary>
@@ -168,6 +185,21 @@ public sealed class WebApiDocsOptions
     public string? DocsScriptPath { get; set; }
     /// <summary>Optional override for search script.</summary>
     public string? SearchScriptPath { get; set; }
+    /// <summary>
+    /// Optional opt-in search telemetry target: <c>local</c> buffers events in <c>localStorage</c>,
+    /// any other value is treated as an endpoint URL that receives JSON event batches.
+    /// </summary>
+    public string? SearchTelemetry { get; set; }
+    /// <summary>
+    /// Optional opt-in storage for API docs view state: <c>local</c> remembers kind, namespace and
+    /// collapsed-section defaults in <c>localStorage</c> and applies them to links without state.
+    /// </summary>
+    public string? StateStorage { get; set; }
+    /// <summary>
+    /// Optional theme for visitors without a saved preference: <c>auto</c> (default) follows the system
+    /// color scheme, <c>light</c> or <c>dark</c> pick one. Visitors can switch themes from the sidebar.
+    /// </summary>
+    public string? ThemeMode { get; set; }
     /// <summary>Optional root path for source link generation.</summary>
     public string? SourceRootPath { get; set; }
     /// <summary>
@@ -291,6 +323,19 @@ public sealed class WebApiDocsSuiteEntry
     public int? Order { get; set; }
 }
 
+/// <summary>One published version of the API shown in the version picker.</summary>
+public sealed class WebApiDocsVersionEntry
+{
+    /// <summary>Version label as recorded in API snapshots (for example <c>2.1</c>).</summary>
+    public string Version { get; set; } = string.Empty;
+    /// <summary>Optional visible label; defaults to <see cref="Version"/>.</summary>
+    public string? Label { get; set; }
+    /// <summary>Root URL of the API docs for this version.</summary>
+    public string Href { get; set; } = string.Empty;
+    /// <summary>Ordering hint for the picker; versions are otherwise listed newest first.</summary>
+    public int? Order { get; set; }
+}
+
 /// <summary>Generates API documentation artifacts from XML docs.</summary>
 public static partial class WebApiDocsGenerator
 {
@@ -483,12 +528,14 @@ public static partial class WebApiDocsGenerator
         ValidateConfiguredQuickStartTypes(types, options, warnings);
         ValidateDuplicateMemberSignatures(types, warnings);
         AppendGitFreshnessMetadata(types, options);
+        var versionSnapshotPath = ApplyApiVersionHistory(outputPath, options, types, warnings);
 
         var index = new Dictionary<string, object?>
         {
             ["title"] = options.Title,
             ["generatedAtUtc"] = DateTime.UtcNow.ToString("O"),
             ["suite"] = suiteJson,
+            ["versions"] = BuildApiVersionsJson(options),
             ["assembly"] = new Dictionary<string, object?>
             {
                 ["assemblyName"] = assemblyName ?? string.Empty,
@@ -529,10 +576,11 @@ public static partial class WebApiDocsGenerator
             return new Dictionary<string, object?>
             {
                 ["suite"] = suiteJson,
+                ["entryKind"] = "type",
                 ["title"] = t.FullName,
                 ["displayName"] = displayName,
                 ["aliases"] = aliases,
-                ["summary"] = t.Summary ?? string.Empty,
+                ["summary"] = StripCrefTokens(t.Summary),
                 ["kind"] = t.Kind,
                 ["namespace"] = t.Namespace,
                 ["freshness"] = BuildFreshnessJson(t.Freshness, options),
@@ -540,6 +588,7 @@ public static partial class WebApiDocsGenerator
                 ["url"] = $"{options.BaseUrl.TrimEnd('/')}/types/{t.Slug}.json"
             };
         }).ToList();
+        search.AddRange(BuildApiMemberSearchEntries(types, typeDisplayNames, suiteJson, options));
 
         var searchPath = Path.Combine(outputPath, "search.json");
         WriteJson(searchPath, search);
@@ -565,6 +614,7 @@ public static partial class WebApiDocsGenerator
                 ["assembly"] = type.Assembly,
                 ["source"] = BuildSourceJson(type.Source),
                 ["freshness"] = BuildFreshnessJson(type.Freshness, options),
+                ["versionHistory"] = BuildVersionHistoryJson(type.VersionHistory),
                 ["baseType"] = type.BaseType,
                 ["interfaces"] = type.Interfaces,
                 ["attributes"] = type.Attributes,
@@ -596,6 +646,7 @@ public static partial class WebApiDocsGenerator
                     ["signature"] = m.Signature,
                     ["returnType"] = m.ReturnType,
                     ["declaringType"] = m.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(m.VersionHistory),
                     ["source"] = BuildSourceJson(m.Source),
                     ["isInherited"] = m.IsInherited,
                     ["isStatic"] = m.IsStatic,
@@ -644,6 +695,7 @@ public static partial class WebApiDocsGenerator
                     ["signature"] = m.Signature,
                     ["returnType"] = m.ReturnType,
                     ["declaringType"] = m.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(m.VersionHistory),
                     ["source"] = BuildSourceJson(m.Source),
                     ["isInherited"] = m.IsInherited,
                     ["isStatic"] = m.IsStatic,
@@ -693,6 +745,7 @@ public static partial class WebApiDocsGenerator
                         : p.Signature,
                     ["returnType"] = p.ReturnType,
                     ["declaringType"] = p.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(p.VersionHistory),
                     ["source"] = BuildSourceJson(p.Source),
                     ["isInherited"] = p.IsInherited,
                     ["isStatic"] = p.IsStatic,
@@ -731,6 +784,7 @@ public static partial class WebApiDocsGenerator
                     ["signature"] = f.Signature,
                     ["returnType"] = f.ReturnType,
                     ["declaringType"] = f.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(f.VersionHistory),
                     ["source"] = BuildSourceJson(f.Source),
                     ["isInherited"] = f.IsInherited,
                     ["isStatic"] = f.IsStatic,
@@ -758,6 +812,7 @@ public static partial class WebApiDocsGenerator
                     ["signature"] = e.Signature,
                     ["returnType"] = e.ReturnType,
                     ["declaringType"] = e.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(e.VersionHistory),
                     ["source"] = BuildSourceJson(e.Source),
                     ["isInherited"] = e.IsInherited,
                     ["isStatic"] = e.IsStatic,
@@ -783,6 +838,7 @@ public static partial class WebApiDocsGenerator
                     ["signature"] = m.Signature,
                     ["returnType"] = m.ReturnType,
                     ["declaringType"] = m.DeclaringType,
+                    ["versionHistory"] = BuildVersionHistoryJson(m.VersionHistory),
                     ["source"] = BuildSourceJson(m.Source),
                     ["isInherited"] = m.IsInherited,
                     ["isStatic"] = m.IsStatic,
@@ -856,6 +912,7 @@ public static partial class WebApiDocsGenerator
             CoveragePath = coveragePath,
             XrefPath = xrefPath,
             PowerShellExampleMediaManifestPath = powerShellExampleMediaManifestPath,
+            VersionSnapshotPath = versionSnapshotPath,
             TypeCount = types.Count,
             UsedReflectionFallback = usedReflectionFallback,
             Warnings = normalizedWarnings
@@ -934,6 +991,8 @@ public static partial class WebApiDocsGenerator
             return "[PFWEB.APIDOCS.XREF] " + warning;
         if (trimmed.StartsWith("API docs related content:", StringComparison.OrdinalIgnoreCase))
             return "[PFWEB.APIDOCS.RELATED] " + warning;
+        if (trimmed.StartsWith("API docs versions:", StringComparison.OrdinalIgnoreCase))
+            return "[PFWEB.APIDOCS.VERSIONS] " + warning;
 
         if (trimmed.StartsWith("API docs: using embedded header/footer", StringComparison.OrdinalIgnoreCase))
             return "[PFWEB.APIDOCS.NAV.FALLBACK] " + warning;
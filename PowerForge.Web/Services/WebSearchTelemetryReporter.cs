@@ -0,0 +1,367 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+
+namespace PowerForge.Web;
+
+/// <summary>Options for aggregating exported search telemetry into a report.</summary>
+public sealed class WebSearchTelemetryReportOptions
+{
+    /// <summary>Telemetry export files or directories. Directories are scanned for matching files.</summary>
+    public List<string> Inputs { get; } = new();
+    /// <summary>Directory scan pattern for input directories.</summary>
+    public string Pattern { get; set; } = "*.json";
+    /// <summary>When true, scans input directories recursively.</summary>
+    public bool Recursive { get; set; } = true;
+    /// <summary>Optional output path for the report JSON.</summary>
+    public string? OutputPath { get; set; }
+    /// <summary>Maximum number of queries listed in each ranking.</summary>
+    public int Top { get; set; } = 20;
+    /// <summary>Minimum number of searches before a query is listed.</summary>
+    public int MinSearches { get; set; } = 1;
+    /// <summary>Optional surface filter (for example api, suite or site).</summary>
+    public string? Surface { get; set; }
+}
+
+/// <summary>Aggregates opt-in search telemetry exports into "top zero-result queries" reports.</summary>
+public static class WebSearchTelemetryReporter
+{
+    private sealed class QueryAccumulator
+    {
+        public string Query { get; init; } = string.Empty;
+        public int Searches { get; set; }
+        public int ZeroResultSearches { get; set; }
+        public int Clicks { get; set; }
+        public long ResultTotal { get; set; }
+        public long ClickPositionTotal { get; set; }
+        public HashSet<string> Surfaces { get; } = new(StringComparer.OrdinalIgnoreCase);
+        public string? FirstSeen { get; set; }
+        public string? LastSeen { get; set; }
+    }
+
+    /// <summary>Builds a search telemetry report from exported event files.</summary>
+    /// <param name="options">Report options.</param>
+    /// <returns>Report result payload.</returns>
+    public static WebSearchTelemetryReportResult Build(WebSearchTelemetryReportOptions options)
+    {
+        if (options is null) throw new ArgumentNullException(nameof(options));
+        if (options.Inputs.Count == 0)
+            throw new ArgumentException("At least one input path is required.", nameof(options));
+        if (options.Top <= 0)
+            throw new ArgumentOutOfRangeException(nameof(options.Top), "Top must be greater than zero.");
+        if (options.MinSearches < 1)
+            throw new ArgumentOutOfRangeException(nameof(options.MinSearches), "MinSearches must be at least 1.");
+
+        var warnings = new List<string>();
+        var inputFiles = ResolveInputFiles(options, warnings);
+        if (inputFiles.Count == 0)
+            throw new InvalidOperationException("search telemetry report found no readable input files.");
+
+        var surfaceFilter = string.IsNullOrWhiteSpace(options.Surface) ? null : options.Surface.Trim();
+        var queries = new Dictionary<string, QueryAccumulator>(StringComparer.Ordinal);
+        var eventCount = 0;
+        var queryEventCount = 0;
+        var zeroResultEventCount = 0;
+        var malformedEventCount = 0;
+        var clickCount = 0;
+
+        foreach (var file in inputFiles)
+        {
+            foreach (var telemetryEvent in ReadEvents(file, warnings))
+            {
+                var type = GetString(telemetryEvent, "type");
+                var surface = GetString(telemetryEvent, "surface") ?? string.Empty;
+                var query = NormalizeQuery(GetString(telemetryEvent, "query"));
+                if (string.IsNullOrWhiteSpace(type) || query.Length == 0)
+                    continue;
+                if (surfaceFilter is not null && !surface.Equals(surfaceFilter, StringComparison.OrdinalIgnoreCase))
+                    continue;
+
+                var isQuery = type.Equals("query", StringComparison.OrdinalIgnoreCase);
+                var results = 0;
+                if (isQuery && !TryGetInt(telemetryEvent, "results", out results))
+                {
+                    // A query without a result count says nothing about zero-result searches, so it is not aggregated.
+                    malformedEventCount++;
+                    continue;
+                }
+
+                eventCount++;
+                if (!queries.TryGetValue(query, out var accumulator))
+                {
+                    accumulator = new QueryAccumulator { Query = query };
+                    queries[query] = accumulator;
+                }
+                if (!string.IsNullOrWhiteSpace(surface))
+                    accumulator.Surfaces.Add(surface);
+                TrackDate(accumulator, GetString(telemetryEvent, "date"));
+
+                if (isQuery)
+                {
+                    results = Math.Max(0, results);
+                    queryEventCount++;
+                    accumulator.Searches++;
+                    accumulator.ResultTotal += results;
+                    if (results == 0)
+                    {
+                        zeroResultEventCount++;
+                        accumulator.ZeroResultSearches++;
+                    }
+                }
+                else if (type.Equals("click", StringComparison.OrdinalIgnoreCase))
+                {
+                    clickCount++;
+                    accumulator.Clicks++;
+                    accumulator.ClickPositionTotal += Math.Max(1, GetInt(telemetryEvent, "position"));
+                }
+            }
+        }
+
+        var stats = queries.Values
+            .Where(value => value.Searches >= options.MinSearches)
+            .Select(ToStat)
+            .ToArray();
+        var zeroResultQueries = stats
+            .Where(static stat => stat.ZeroResultSearches > 0)
+            .OrderByDescending(static stat => stat.ZeroResultSearches)
+            .ThenByDescending(static stat => stat.Searches)
+            .ThenBy(static stat => stat.Query, StringComparer.Ordinal)
+            .Take(options.Top)
+            .ToArray();
+        var abandonedQueries = stats
+            .Where(static stat => stat.AbandonedSearches > 0)
+            .OrderByDescending(static stat => stat.AbandonedSearches)
+            .ThenByDescending(static stat => stat.Searches)
+            .ThenBy(static stat => stat.Query, StringComparer.Ordinal)
+            .Take(options.Top)
+            .ToArray();
+
+        var result = new WebSearchTelemetryReportResult
+        {
+            SourceCount = inputFiles.Count,
+            EventCount = eventCount,
+            SearchCount = queryEventCount,
+            ZeroResultSearchCount = zeroResultEventCount,
+            MalformedEventCount = malformedEventCount,
+            ClickCount = clickCount,
+            DistinctQueryCount = queries.Values.Count(static value => value.Searches > 0),
+            TopZeroResultQueries = zeroResultQueries,
+            TopAbandonedQueries = abandonedQueries,
+            Warnings = warnings
+                .Where(static warning => !string.IsNullOrWhiteSpace(warning))
+                .ToArray()
+        };
+
+        if (!string.IsNullOrWhiteSpace(options.OutputPath))
+        {
+            var outputPath = Path.GetFullPath(options.OutputPath);
+            var outputDir = Path.GetDirectoryName(outputPath);
+            if (!string.IsNullOrWhiteSpace(outputDir))
+                Directory.CreateDirectory(outputDir);
+            result.OutputPath = outputPath;
+            File.WriteAllText(outputPath, JsonSerializer.Serialize(BuildPayload(result), new JsonSerializerOptions { WriteIndented = true }));
+        }
+
+        return result;
+    }
+
+    private static WebSearchTelemetryQueryStat ToStat(QueryAccumulator accumulator)
+    {
+        var searchesWithResults = accumulator.Searches - accumulator.ZeroResultSearches;
+        return new WebSearchTelemetryQueryStat
+        {
+            Query = accumulator.Query,
+            Searches = accumulator.Searches,
+            ZeroResultSearches = accumulator.ZeroResultSearches,
+            Clicks = accumulator.Clicks,
+            // Events carry no session ids, so a search "abandons" when results were shown but no click followed for that query.
+            AbandonedSearches = Math.Max(0, searchesWithResults - accumulator.Clicks),
+            AverageResults = accumulator.Searches == 0 ? 0 : Math.Round((double)accumulator.ResultTotal / accumulator.Searches, 2),
+            AverageClickPosition = accumulator.Clicks == 0 ? null : Math.Round((double)accumulator.ClickPositionTotal / accumulator.Clicks, 2),
+            Surfaces = accumulator.Surfaces.OrderBy(static value => value, StringComparer.OrdinalIgnoreCase).ToArray(),
+            FirstSeen = accumulator.FirstSeen,
+            LastSeen = accumulator.LastSeen
+        };
+    }
+
+    private static Dictionary<string, object?> BuildPayload(WebSearchTelemetryReportResult result)
+    {
+        static Dictionary<string, object?> ToJson(WebSearchTelemetryQueryStat stat) => new()
+        {
+            ["query"] = stat.Query,
+            ["searches"] = stat.Searches,
+            ["zeroResultSearches"] = stat.ZeroResultSearches,
+            ["clicks"] = stat.Clicks,
+            ["abandonedSearches"] = stat.AbandonedSearches,
+            ["averageResults"] = stat.AverageResults,
+            ["averageClickPosition"] = stat.AverageClickPosition,
+            ["surfaces"] = stat.Surfaces,
+            ["firstSeen"] = stat.FirstSeen,
+            ["lastSeen"] = stat.LastSeen
+        };
+
+        return new Dictionary<string, object?>
+        {
+            ["generatedAtUtc"] = DateTime.UtcNow.ToString("O"),
+            ["sourceCount"] = result.SourceCount,
+            ["eventCount"] = result.EventCount,
+            ["searchCount"] = result.SearchCount,
+            ["zeroResultSearchCount"] = result.ZeroResultSearchCount,
+            ["malformedEventCount"] = result.MalformedEventCount,
+            ["clickCount"] = result.ClickCount,
+            ["distinctQueryCount"] = result.DistinctQueryCount,
+            ["topZeroResultQueries"] = result.TopZeroResultQueries.Select(ToJson).ToArray(),
+            ["topAbandonedQueries"] = result.TopAbandonedQueries.Select(ToJson).ToArray()
+        };
+    }
+
+    private static void TrackDate(QueryAccumulator accumulator, string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value) ||
+            !DateTime.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var parsed))
+            return;
+
+        var date = parsed.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+        if (accumulator.FirstSeen is null || string.CompareOrdinal(date, accumulator.FirstSeen) < 0)
+            accumulator.FirstSeen = date;
+        if (accumulator.LastSeen is null || string.CompareOrdinal(date, accumulator.LastSeen) > 0)
+            accumulator.LastSeen = date;
+    }
+
+    // Matches the client-side normalization so exports from older scripts still group together.
+    private static string NormalizeQuery(string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+            return string.Empty;
+        return string.Join(' ', value.Trim().ToLowerInvariant().Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+    }
+
+    private static List<string> ResolveInputFiles(WebSearchTelemetryReportOptions options, List<string> warnings)
+    {
+        var files = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var searchOption = options.Recursive ? SearchOption.AllDirectories : SearchOption.TopDirectoryOnly;
+        var pattern = string.IsNullOrWhiteSpace(options.Pattern) ? "*.json" : options.Pattern;
+
+        foreach (var input in options.Inputs.Where(static value => !string.IsNullOrWhiteSpace(value)))
+        {
+            var fullPath = Path.GetFullPath(input);
+            if (File.Exists(fullPath))
+            {
+                files.Add(fullPath);
+                continue;
+            }
+
+            if (Directory.Exists(fullPath))
+            {
+                try
+                {
+                    foreach (var file in Directory.EnumerateFiles(fullPath, pattern, searchOption))
+                        files.Add(Path.GetFullPath(file));
+                }
+                catch (Exception ex)
+                {
+                    warnings.Add($"Search telemetry: failed to enumerate '{fullPath}' ({ex.GetType().Name}: {ex.Message})");
+                }
+                continue;
+            }
+
+            warnings.Add($"Search telemetry: input path was not found: {fullPath}");
+        }
+
+        return files
+            .OrderBy(static value => value, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    // Accepts a browser export ({ "events": [...] }), a bare event array, or endpoint logs with one batch/event per line.
+    private static List<JsonElement> ReadEvents(string file, List<string> warnings)
+    {
+        var events = new List<JsonElement>();
+        string text;
+        try
+        {
+            text = File.ReadAllText(file);
+        }
+        catch (Exception ex)
+        {
+            warnings.Add($"Search telemetry: failed to read '{file}' ({ex.GetType().Name}: {ex.Message})");
+            return events;
+        }
+
+        try
+        {
+            using var doc = JsonDocument.Parse(text);
+            CollectEvents(doc.RootElement, events);
+            return events;
+        }
+        catch (JsonException)
+        {
+            // Fall through to line-delimited parsing.
+        }
+
+        var lineNumber = 0;
+        foreach (var line in text.Split('\n'))
+        {
+            lineNumber++;
+            if (string.IsNullOrWhiteSpace(line))
+                continue;
+            try
+            {
+                using var doc = JsonDocument.Parse(line);
+                CollectEvents(doc.RootElement, events);
+            }
+            catch (JsonException ex)
+            {
+                warnings.Add($"Search telemetry: failed to parse '{file}' line {lineNumber} ({ex.Message})");
+            }
+        }
+
+        return events;
+    }
+
+    private static void CollectEvents(JsonElement root, List<JsonElement> events)
+    {
+        if (root.ValueKind == JsonValueKind.Array)
+        {
+            foreach (var item in root.EnumerateArray())
+                CollectEvents(item, events);
+            return;
+        }
+
+        if (root.ValueKind != JsonValueKind.Object)
+            return;
+
+        if (root.TryGetProperty("events", out var nested) && nested.ValueKind == JsonValueKind.Array)
+        {
+            foreach (var item in nested.EnumerateArray())
+                CollectEvents(item, events);
+            return;
+        }
+
+        events.Add(root.Clone());
+    }
+
+    private static string? GetString(JsonElement element, string propertyName)
+    {
+        return element.TryGetProperty(propertyName, out var value) && value.ValueKind == JsonValueKind.String
+            ? value.GetString()
+            : null;
+    }
+
+    private static int GetInt(JsonElement element, string propertyName)
+        => TryGetInt(element, propertyName, out var number) ? number : 0;
+
+    private static bool TryGetInt(JsonElement element, string propertyName, out int number)
+    {
+        number = 0;
+        if (!element.TryGetProperty(propertyName, out var value))
+            return false;
+        if (value.ValueKind == JsonValueKind.Number && value.TryGetInt32(out number))
+            return true;
+        return value.ValueKind == JsonValueKind.String &&
+               int.TryParse(value.GetString(), NumberStyles.Integer, CultureInfo.InvariantCulture, out number);
+    }
+}
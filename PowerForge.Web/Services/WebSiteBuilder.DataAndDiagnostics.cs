@@ -683,6 +683,7 @@ public static partial class WebSiteBuilder
         Directory.CreateDirectory(searchDir);
         var searchPath = Path.Combine(searchDir, "index.json");
         WriteAllTextIfChanged(searchPath, JsonSerializer.Serialize(entries, WebJson.Options));
+        WriteSearchRuntimeScripts(searchDir);
 
         // Emit per-language search shards so the manifest and client-side fallbacks never
         // advertise a language URL that is missing in root-language deployment artifacts.
@@ -927,4 +928,4 @@ public static partial class WebSiteBuilder
         return text.Substring(0, maxLength).Trim() + "...";
     }
 }
-
+
@@ -6,6 +6,15 @@ namespace PowerForge.Web;
 
 public static partial class WebSiteBuilder
 {
+    // Browser scripts shared with the API docs runtime; themes load them from /search/ instead of keeping copies.
+    private static readonly string[] SearchRuntimeScripts =
+    {
+        "search-telemetry.js",
+        "search-engine.js",
+        "suite-search.js",
+        "command-palette.js"
+    };
+
     private static bool HasFeature(string[]? features, string feature)
     {
         if (features is null || features.Length == 0 || string.IsNullOrWhiteSpace(feature))
@@ -69,6 +78,16 @@ public static partial class WebSiteBuilder
         return weight;
     }
 
+    private static void WriteSearchRuntimeScripts(string searchDir)
+    {
+        foreach (var fileName in SearchRuntimeScripts)
+        {
+            var script = WebApiDocsGenerator.LoadEmbeddedRaw(fileName);
+            if (!string.IsNullOrWhiteSpace(script))
+                WriteAllTextIfChanged(Path.Combine(searchDir, fileName), script);
+        }
+    }
+
     private static void EnsureSearchPage(string outputRoot, IReadOnlyList<SearchIndexEntry> entries)
     {
         if (entries.Count == 0)
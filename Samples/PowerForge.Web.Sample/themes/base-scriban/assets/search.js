@@ -1,67 +1,302 @@
 (() => {
   const input = document.querySelector('[data-pf-search-input]');
   const results = document.querySelector('[data-pf-search-results]');
-  const collectionFilter = document.querySelector('[data-pf-search-collection]');
-  const projectFilter = document.querySelector('[data-pf-search-project]');
-  const tagFilter = document.querySelector('[data-pf-search-tag]');
+  const facetRoot = document.querySelector('[data-pf-search-facets]');
+  const pager = document.querySelector('[data-pf-search-pager]');
+  const summary = document.querySelector('[data-pf-search-summary]');
   if (!input || !results) return;
 
+  // Results page mode keeps query, facets and page number in the URL so a search can be bookmarked, shared and restored.
+  const pageMode = !!input.closest('[data-pf-search-page]');
+  const pageSize = pageMode ? 20 : 10;
+  const searchPageUrl = (input.form && input.form.getAttribute('action')) || '/search/';
   let index = [];
-  const render = (items) => {
+  let indexLoaded = false;
+  let currentPage = 1;
+  const telemetry = window.PowerForgeSearchTelemetry ? window.PowerForgeSearchTelemetry.create('site') : null;
+  const snippetLength = 180;
+
+  const escapeHtml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  // Uses the shared engine's per-token highlighter (published as /search/search-engine.js) so site, API and suite
+  // results mark the same words; each segment is escaped so only our <mark> tags are HTML.
+  const highlight = (text, query, maxLength) => {
+    const engine = window.PowerForgeApiSearch;
+    if (!engine || typeof engine.highlight !== 'function') return escapeHtml(text);
+    return engine.highlight(text == null ? '' : text, query, { maxLength }).map(segment => segment.match
+      ? `<mark>${escapeHtml(segment.text)}</mark>`
+      : escapeHtml(segment.text)).join('');
+  };
+
+  const render = (items, query) => {
     if (!items.length) {
       results.innerHTML = '<div class="pf-search-empty">No results</div>';
       return;
     }
     results.innerHTML = items.map(item => {
-      const tags = (item.tags || []).map(t => `<span class="pf-chip">${t}</span>`).join('');
-      const meta = item.project ? `<span class="pf-chip">${item.project}</span>` : '';
+      const tags = (item.tags || []).map(t => `<span class="pf-chip">${escapeHtml(t)}</span>`).join('');
+      const meta = item.project ? `<span class="pf-chip">${escapeHtml(item.project)}</span>` : '';
       return `
-        <a class="pf-search-item" href="${item.url}">
-          <div class="pf-search-title">${item.title}</div>
-          <div class="pf-search-snippet">${item.snippet || item.description || ''}</div>
+        <a class="pf-search-item" href="${escapeHtml(item.url)}">
+          <div class="pf-search-title">${highlight(item.title, query, 0)}</div>
+          <div class="pf-search-snippet">${highlight(item.snippet || item.description || '', query, snippetLength)}</div>
           <div class="pf-search-tags">${meta}${tags}</div>
         </a>
       `;
     }).join('');
   };
 
-  fetch('/search/index.json')
-    .then(r => r.ok ? r.json() : [])
-    .then(data => { index = data || []; })
-    .catch(() => { index = []; });
-
-  const applyFilters = (items) => {
-    const collectionValue = collectionFilter ? collectionFilter.value : '';
-    const projectValue = projectFilter ? projectFilter.value : '';
-    const tagValue = tagFilter ? tagFilter.value.trim().toLowerCase() : '';
-
-    return items.filter(item => {
-      if (collectionValue && item.collection !== collectionValue) return false;
-      if (projectValue && item.project !== projectValue) return false;
-      if (tagValue) {
-        const tags = (item.tags || []).map(t => (t || '').toLowerCase());
-        if (!tags.includes(tagValue)) return false;
-      }
-      return true;
+  // Facets are built from the index itself; values within a facet are OR-ed, facets are AND-ed together.
+  const facetDefinitions = [
+    { key: 'collection', param: 'collection', label: 'Collection', values: item => [item.collection] },
+    { key: 'project', param: 'project', label: 'Project', values: item => [item.project] },
+    { key: 'kind', param: 'type', label: 'Content type', values: item => [item.kind] },
+    { key: 'tags', param: 'tag', label: 'Tags', values: item => item.tags || [] }
+  ];
+  const selected = {};
+  facetDefinitions.forEach(facet => { selected[facet.key] = new Set(); });
+
+  const facetValues = (facet, item) => facet.values(item)
+    .map(value => String(value == null ? '' : value).trim())
+    .filter(Boolean);
+
+  const matchesFacet = (facet, item) => {
+    const active = selected[facet.key];
+    if (!active.size) return true;
+    return facetValues(facet, item).some(value => active.has(value));
+  };
+
+  const matchesFacets = (item, skipKey) => facetDefinitions.every(facet => facet.key === skipKey || matchesFacet(facet, item));
+
+  const hasSelection = () => facetDefinitions.some(facet => selected[facet.key].size > 0);
+
+  const buildFacets = () => {
+    if (!facetRoot) return;
+    const groups = facetDefinitions.map(facet => {
+      const totals = new Map();
+      index.forEach(item => facetValues(facet, item).forEach(value => totals.set(value, (totals.get(value) || 0) + 1)));
+      if (!totals.size) return '';
+      const options = Array.from(totals.keys())
+        .sort((a, b) => (totals.get(b) - totals.get(a)) || a.localeCompare(b))
+        .map(value => `
+          <label class="pf-search-facet-option">
+            <input type="checkbox" name="${facet.param}" value="${escapeHtml(value)}" data-pf-search-facet="${facet.key}" />
+            <span class="pf-search-facet-label">${escapeHtml(value)}</span>
+            <span class="pf-search-facet-count"></span>
+          </label>
+        `).join('');
+      return `
+        <fieldset class="pf-search-facet">
+          <legend>${escapeHtml(facet.label)}</legend>
+          ${options}
+        </fieldset>
+      `;
+    }).join('');
+    facetRoot.innerHTML = groups
+      ? `${groups}<button type="button" class="pf-search-clear" data-pf-search-clear hidden>Clear all filters</button>`
+      : '';
+  };
+
+  // Each count answers "how many results if I also tick this box", so other facets' selections apply but not its own.
+  const updateFacets = (matches) => {
+    if (!facetRoot) return;
+    facetDefinitions.forEach(facet => {
+      const counts = new Map();
+      matches.forEach(item => {
+        if (!matchesFacets(item, facet.key)) return;
+        facetValues(facet, item).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+      facetRoot.querySelectorAll(`[data-pf-search-facet="${facet.key}"]`).forEach(box => {
+        const count = counts.get(box.value) || 0;
+        box.disabled = count === 0 && !box.checked;
+        const option = box.closest('.pf-search-facet-option');
+        if (option) option.classList.toggle('is-disabled', box.disabled);
+        const label = option ? option.querySelector('.pf-search-facet-count') : null;
+        if (label) label.textContent = String(count);
+      });
     });
+    const clear = facetRoot.querySelector('[data-pf-search-clear]');
+    if (clear) clear.hidden = !hasSelection();
+  };
+
+  const syncFacetInputs = () => {
+    if (!facetRoot) return;
+    facetRoot.querySelectorAll('[data-pf-search-facet]').forEach(box => {
+      const values = selected[box.getAttribute('data-pf-search-facet')];
+      box.checked = !!values && values.has(box.value);
+    });
+  };
+
+  // Facet params repeat (collection=docs&collection=blog), which is also what a plain GET form submit produces.
+  const buildQueryString = (page) => {
+    const params = new URLSearchParams();
+    const q = input.value.trim();
+    if (q) params.set('q', q);
+    facetDefinitions.forEach(facet => selected[facet.key].forEach(value => params.append(facet.param, value)));
+    if (page > 1) params.set('page', String(page));
+    const text = params.toString();
+    return text ? `?${text}` : '';
+  };
+
+  const readUrlState = () => {
+    const params = new URLSearchParams(window.location.search);
+    input.value = params.get('q') || '';
+    facetDefinitions.forEach(facet => {
+      selected[facet.key] = new Set(params.getAll(facet.param).map(value => value.trim()).filter(Boolean));
+    });
+    const page = parseInt(params.get('page') || '1', 10);
+    currentPage = Number.isFinite(page) && page > 0 ? page : 1;
+    syncFacetInputs();
+  };
+
+  // Typing replaces the current entry; committed changes (facets, paging, submit) push a new one for the back button.
+  const writeUrlState = (push) => {
+    if (!pageMode || !window.history || typeof window.history.replaceState !== 'function') return;
+    const url = `${window.location.pathname}${buildQueryString(currentPage)}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    if (push) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+  };
+
+  const renderPager = (total) => {
+    if (!pager) return;
+    const pages = Math.ceil(total / pageSize);
+    if (!pageMode || pages <= 1) {
+      pager.innerHTML = '';
+      return;
+    }
+    const link = (page, label, rel) => `<a class="pf-search-pager-link" href="${escapeHtml(buildQueryString(page) || '?')}" rel="${rel}" data-pf-search-page-link="${page}">${label}</a>`;
+    pager.innerHTML = `
+      <nav class="pf-search-pager" aria-label="Search result pages">
+        ${currentPage > 1 ? link(currentPage - 1, 'Previous', 'prev') : ''}
+        <span class="pf-search-pager-status">Page ${currentPage} of ${pages}</span>
+        ${currentPage < pages ? link(currentPage + 1, 'Next', 'next') : ''}
+      </nav>
+    `;
+  };
+
+  const renderSummary = (total, query) => {
+    if (!summary) return;
+    if (!query && !hasSelection()) {
+      summary.textContent = '';
+      return;
+    }
+    const noun = total === 1 ? 'result' : 'results';
+    summary.textContent = query ? `${total} ${noun} for \u201c${input.value.trim()}\u201d` : `${total} ${noun}`;
   };
 
   const updateResults = () => {
     const q = input.value.trim().toLowerCase();
-    if (!q) {
+    // A query restored from the URL or typed early waits for the index; the load handler runs it again.
+    if (!indexLoaded) {
+      const waiting = !!q || hasSelection();
+      results.setAttribute('aria-busy', waiting ? 'true' : 'false');
+      results.innerHTML = waiting ? '<div class="pf-search-empty">Loading search index&hellip;</div>' : '';
+      if (summary) summary.textContent = waiting ? 'Loading search index\u2026' : '';
+      renderPager(0);
+      return;
+    }
+    results.removeAttribute('aria-busy');
+    const matches = q
+      ? index.filter(item => {
+        const hay = `${item.title} ${item.description} ${item.snippet} ${(item.tags || []).join(' ')}`.toLowerCase();
+        return hay.includes(q);
+      })
+      : index;
+    updateFacets(matches);
+    if (!q && !hasSelection()) {
       results.innerHTML = '';
+      renderSummary(0, q);
+      renderPager(0);
       return;
     }
-    const hits = index.filter(item => {
-      const hay = `${item.title} ${item.description} ${item.snippet} ${(item.tags || []).join(' ')}`.toLowerCase();
-      return hay.includes(q);
-    });
-    render(applyFilters(hits).slice(0, 10));
+
+    const filtered = matches.filter(item => matchesFacets(item));
+    if (telemetry && q) telemetry.query(q, filtered.length);
+    const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+    if (currentPage > pages) currentPage = pages;
+    const offset = pageMode ? (currentPage - 1) * pageSize : 0;
+    render(filtered.slice(offset, offset + pageSize), q);
+    renderSummary(filtered.length, q);
+    renderPager(filtered.length);
+    if (!pageMode && filtered.length > pageSize) {
+      results.insertAdjacentHTML('beforeend',
+        `<a class="pf-search-all" href="${escapeHtml(searchPageUrl + buildQueryString(1))}">See all ${filtered.length} results</a>`);
+    }
   };
 
-  input.addEventListener('input', updateResults);
-  [collectionFilter, projectFilter, tagFilter].forEach(el => {
-    if (!el) return;
-    el.addEventListener('change', updateResults);
+  const commit = (push) => {
+    currentPage = 1;
+    updateResults();
+    writeUrlState(push);
+  };
+
+  if (pageMode) readUrlState();
+  updateResults();
+
+  fetch('/search/index.json')
+    .then(r => r.ok ? r.json() : [])
+    .then(data => { index = Array.isArray(data) ? data : []; })
+    .catch(() => { index = []; })
+    .then(() => {
+      indexLoaded = true;
+      buildFacets();
+      syncFacetInputs();
+      updateResults();
+    });
+
+  input.addEventListener('input', () => commit(false));
+  results.addEventListener('click', (event) => {
+    const link = event.target.closest('.pf-search-item');
+    if (!link || !telemetry) return;
+    const position = Array.prototype.indexOf.call(results.querySelectorAll('.pf-search-item'), link) + 1;
+    telemetry.click(input.value, (pageMode ? (currentPage - 1) * pageSize : 0) + position);
   });
+  if (facetRoot) {
+    facetRoot.addEventListener('change', (event) => {
+      const box = event.target.closest('[data-pf-search-facet]');
+      if (!box) return;
+      const values = selected[box.getAttribute('data-pf-search-facet')];
+      if (!values) return;
+      if (box.checked) values.add(box.value);
+      else values.delete(box.value);
+      commit(true);
+    });
+    facetRoot.addEventListener('click', (event) => {
+      if (!event.target.closest('[data-pf-search-clear]')) return;
+      facetDefinitions.forEach(facet => selected[facet.key].clear());
+      syncFacetInputs();
+      commit(true);
+    });
+  }
+
+  if (pageMode) {
+    // Without JavaScript the form still submits as a plain GET to its action; with it, the page updates in place.
+    if (input.form) {
+      input.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        commit(true);
+      });
+    }
+    if (pager) {
+      pager.addEventListener('click', (event) => {
+        const link = event.target.closest('[data-pf-search-page-link]');
+        if (!link) return;
+        event.preventDefault();
+        currentPage = parseInt(link.getAttribute('data-pf-search-page-link'), 10) || 1;
+        updateResults();
+        writeUrlState(true);
+        results.scrollIntoView({ block: 'start' });
+      });
+    }
+    window.addEventListener('popstate', () => {
+      readUrlState();
+      updateResults();
+    });
+  }
 })();